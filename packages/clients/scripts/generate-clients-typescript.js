@@ -244,7 +244,8 @@ async function main() {
   console.log('\nCreating index exports...');
   const domainExports = domains.map(d => `export * as ${d} from './${d}/index.js';`).join('\n');
   const indexContent = `${domainExports}
-export { q, search } from './search-helpers.js';
+export { q, or, group, search, sort, facets, fields } from './search-helpers.js';
+export type { SortTerm, FacetTerm, FacetInterval, FieldPath, Sparse, FieldSelection } from './search-helpers.js';
 `;
   writeFileSync(join(outputDir, 'index.ts'), indexContent);
   console.log('  ✓ Created index.ts');
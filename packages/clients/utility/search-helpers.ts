@@ -16,16 +16,53 @@
  * );
  * // => "status:approved income:>=1000 programs:snap,cash_programs"
  *
+ * @example
+ * import { q, or, search } from '@codeforamerica/safety-net-colorado';
+ *
+ * const query = q(
+ *   or(search.eq("status", "pending"), search.eq("status", "escalated")),
+ *   search.notExists("queueId")
+ * );
+ * // => "(status:pending OR status:escalated) -queueId:*"
+ *
  * const results = await personsClient.listPersons({
  *   queries: { q: query, limit: 25 }
  * });
+ *
+ * @example
+ * import { sort } from '@codeforamerica/safety-net-colorado';
+ *
+ * const { data } = await workflowClient.listTasks({
+ *   query: { sort: sort.by(sort.asc("priority"), sort.asc("slaDeadline")) },
+ * });
+ * // sort => "priority,slaDeadline"
+ *
+ * @example
+ * import { facets } from '@codeforamerica/safety-net-colorado';
+ *
+ * const { data } = await workflowClient.listTasks({
+ *   query: { facets: facets.by("status", "priority", facets.histogram("createdAt", "month")) },
+ * });
+ * // facets => "status,priority,createdAt:month"; counts in data.fieldFacets
+ *
+ * @example
+ * import { fields } from '@codeforamerica/safety-net-colorado';
+ *
+ * const selection = fields.select<Task>()("status", "priority");
+ * const { data } = await workflowClient.listTasks({
+ *   query: { fields: selection.fields },
+ *   responseValidator: undefined,
+ * });
+ * const rows = data.items.map(selection.project);
+ * // rows: { id, status, priority }[]
  */
 
 /**
  * Combines multiple search conditions into a single query string.
  *
  * Multiple conditions are ANDed together (all must match).
- * Use comma-separated values within a single condition for OR logic.
+ * Use comma-separated values within a single condition, or `or()`, for OR
+ * logic, and `group()` to negate several conditions together.
  *
  * ## Syntax Reference
  *
@@ -49,6 +86,13 @@
  * | `-field:value` | Exclude / negate | `-status:denied` |
  * | `field:*` | Field exists (not null) | `email:*` |
  * | `-field:*` | Field does not exist | `-deletedAt:*` |
+ * | `a AND b` | Both conditions (same as `a b`) | `status:approved AND income:>=1000` |
+ * | `a OR b` | Either condition | `programType:snap OR isExpedited:true` |
+ * | `(a OR b) c` | Group with parentheses | `(status:pending OR status:escalated) -queueId:*` |
+ * | `NOT a`, `-(a b)` | Negate a condition or group | `-(status:denied OR status:withdrawn)` |
+ *
+ * `NOT` binds tighter than `AND`, and `AND` tighter than `OR`. Keywords are
+ * uppercase; lowercase `or` is a search term.
  *
  * @example
  * // Full-text search
@@ -77,6 +121,46 @@ export function q(...conditions: string[]): string {
   return conditions.filter(Boolean).join(" ");
 }
 
+/**
+ * Combines search conditions so that any one of them matches: `(a OR b)`.
+ *
+ * The result is parenthesized, so it combines safely with other conditions
+ * in `q()` (`OR` binds looser than the implicit `AND`).
+ *
+ * @example
+ * q(or(search.eq("programType", "snap"), search.eq("isExpedited", true)))
+ * // => "(programType:snap OR isExpedited:true)"
+ *
+ * @example
+ * // Alternatives that are themselves several conditions
+ * or(group(search.eq("status", "pending"), search.notExists("queueId")), search.eq("isExpedited", true))
+ * // => "((status:pending -queueId:*) OR isExpedited:true)"
+ *
+ * @param conditions - Search conditions, any of which may match
+ * @returns A parenthesized condition to pass to `q()`
+ */
+export function or(...conditions: string[]): string {
+  const parts = conditions.filter(Boolean);
+  return parts.length > 1 ? `(${parts.join(" OR ")})` : parts.join("");
+}
+
+/**
+ * Groups search conditions that must all match: `(a b)`.
+ *
+ * Use it to nest an AND inside `or()`, or prefix it with `-` to exclude
+ * records that match the whole group.
+ *
+ * @example
+ * q(`-${group(search.eq("status", "denied"), search.eq("programType", "snap"))}`)
+ * // => "-(status:denied programType:snap)"
+ *
+ * @param conditions - Search conditions that must all match
+ * @returns A parenthesized condition to pass to `q()` or `or()`
+ */
+export function group(...conditions: string[]): string {
+  return `(${conditions.filter(Boolean).join(" ")})`;
+}
+
 /**
  * Search query builder with type-safe methods for each operator.
  *
@@ -262,3 +346,240 @@ export const search = {
    */
   textEndsWith: (term: string): string => `*${term}`,
 };
+
+/**
+ * Sort key accepted by the `sort` parameter: `field` for ascending,
+ * `-field` for descending.
+ */
+export type SortTerm<F extends string = string> = F | `-${F}`;
+
+/**
+ * Sort parameter builder for list endpoints.
+ *
+ * Up to three fields, applied in order. Enum fields sort in the order the
+ * schema declares their values (e.g., task `priority` sorts `expedited`
+ * first), and null values always sort last. Omitting `sort` returns the
+ * newest records first (`-createdAt`).
+ *
+ * @example
+ * import { sort } from '@codeforamerica/safety-net-colorado';
+ *
+ * // Queue view: most urgent first, then nearest deadline
+ * const { data } = await workflowClient.listTasks({
+ *   query: { sort: sort.by(sort.asc("priority"), sort.asc("slaDeadline")) },
+ * });
+ */
+export const sort = {
+  /**
+   * Ascending: `field`
+   *
+   * @example
+   * sort.asc("slaDeadline")
+   * // => "slaDeadline"
+   *
+   * @example
+   * // Nested field
+   * sort.asc("name.lastName")
+   * // => "name.lastName"
+   */
+  asc: <F extends string>(field: F): SortTerm<F> => field,
+
+  /**
+   * Descending: `-field`
+   *
+   * @example
+   * sort.desc("createdAt")
+   * // => "-createdAt"
+   */
+  desc: <F extends string>(field: F): SortTerm<F> => `-${field}`,
+
+  /**
+   * Combines sort keys into a `sort` parameter value (highest precedence first).
+   *
+   * @example
+   * sort.by(sort.asc("priority"), sort.desc("createdAt"))
+   * // => "priority,-createdAt"
+   *
+   * @param terms - Sort keys built with `sort.asc` / `sort.desc`
+   * @returns A value to pass to the `sort` parameter
+   */
+  by: (...terms: SortTerm[]): string => terms.filter(Boolean).join(","),
+};
+
+/**
+ * Date histogram interval accepted by the `facets` parameter.
+ */
+export type FacetInterval = "day" | "week" | "month" | "year";
+
+/**
+ * Facet key accepted by the `facets` parameter: `field` for counts per
+ * value, `field:interval` for a histogram of a date or date-time field.
+ */
+export type FacetTerm<F extends string = string> = F | `${F}:${FacetInterval}`;
+
+/**
+ * Facets parameter builder for list endpoints and search.
+ *
+ * Each field gets counts of the matching items per value in the response's
+ * `fieldFacets`, most frequent first; array fields count each element.
+ * Date and date-time fields are grouped by day unless an interval is given.
+ * Counts cover every match, not just the returned page.
+ *
+ * @example
+ * import { facets } from '@codeforamerica/safety-net-colorado';
+ *
+ * // Queue dashboard: counts by status and queue, tasks created per week
+ * const { data } = await workflowClient.listTasks({
+ *   query: { facets: facets.by("status", "queueId", facets.histogram("createdAt", "week")), limit: 1 },
+ * });
+ */
+export const facets = {
+  /**
+   * Date histogram: `field:interval`
+   *
+   * @example
+   * facets.histogram("createdAt", "month")
+   * // => "createdAt:month"
+   */
+  histogram: <F extends string>(field: F, interval: FacetInterval): FacetTerm<F> => `${field}:${interval}`,
+
+  /**
+   * Combines facet keys into a `facets` parameter value (at most 10).
+   *
+   * @example
+   * facets.by("status", "programs", facets.histogram("createdAt", "year"))
+   * // => "status,programs,createdAt:year"
+   *
+   * @param terms - Field paths, or histograms built with `facets.histogram`
+   * @returns A value to pass to the `facets` parameter
+   */
+  by: (...terms: FacetTerm[]): string => terms.filter(Boolean).join(","),
+};
+
+type PrevDepth = [never, 0, 1, 2, 3, 4];
+
+/**
+ * Dot paths of the fields of `T` accepted by the `fields` parameter, up to
+ * five levels deep. Paths through arrays name fields of each element
+ * (`household.members.name`).
+ */
+export type FieldPath<T, Depth extends number = 4> = [Depth] extends [never]
+  ? never
+  : T extends readonly (infer E)[]
+    ? FieldPath<E, Depth>
+    : T extends Date
+      ? never
+      : T extends object
+        ? {
+            [K in keyof T & string]-?: NonNullable<T[K]> extends Date
+              ? K
+              : NonNullable<T[K]> extends object
+                ? K | `${K}.${FieldPath<NonNullable<T[K]>, PrevDepth[Depth]>}`
+                : K;
+          }[keyof T & string]
+        : never;
+
+type PathHead<P extends string> = P extends `${infer H}.${string}` ? H : P;
+type PathTail<P extends string, K extends string> = P extends `${K}.${infer R}` ? R : never;
+
+/**
+ * `T` with only the fields named by the paths `P` (and `id`), as returned
+ * when `P` is passed in the `fields` parameter. Optional fields stay
+ * optional, and arrays keep the listed fields of each element.
+ *
+ * @example
+ * type Row = Sparse<Application, "status" | "household.members.name">;
+ * // => { id: string; status: ...; household: { members: { name: ... }[] } }
+ */
+export type Sparse<T, P extends string> = T extends readonly (infer E)[]
+  ? Sparse<E, P>[]
+  : T extends Date
+    ? T
+    : T extends object
+      ? {
+          [K in keyof T as K extends PathHead<P> | "id" ? K : never]: K extends P | "id"
+            ? T[K]
+            : Sparse<T[K], PathTail<P, K & string>>;
+        }
+      : T;
+
+/**
+ * A `fields` parameter value with the matching projection of `T`.
+ */
+export interface FieldSelection<T, P extends string> {
+  /** Value to pass to the `fields` parameter */
+  fields: string;
+  /** Keep only the selected fields of a resource, typed as `Sparse<T, P>` */
+  project: (resource: T) => Sparse<T, P>;
+}
+
+type FieldTree = { [field: string]: FieldTree | true };
+
+const hasOwn = (object: object, key: string): boolean => Object.prototype.hasOwnProperty.call(object, key);
+
+function projectTree(value: unknown, tree: FieldTree | true): unknown {
+  if (tree === true || value === null || typeof value !== "object" || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map((element) => projectTree(element, tree));
+  const result: Record<string, unknown> = {};
+  for (const [key, nested] of Object.entries(value)) {
+    if (hasOwn(tree, key)) result[key] = projectTree(nested, tree[key]);
+  }
+  return result;
+}
+
+/**
+ * Sparse fieldset builder for get and list endpoints.
+ *
+ * The `fields` parameter returns only the listed fields of each resource,
+ * plus `id`. Because the response no longer has every required field, call
+ * the endpoint with `responseValidator: undefined` to skip the generated Zod
+ * response validation, then `project` the result to get its `Sparse` type.
+ *
+ * @example
+ * import { fields } from '@codeforamerica/safety-net-colorado';
+ *
+ * // Names of household members only
+ * const selection = fields.select<Application>()("status", "household.members.name");
+ * const { data } = await applications.getApplication({
+ *   path: { applicationId },
+ *   query: { fields: selection.fields },
+ *   responseValidator: undefined,
+ * });
+ * const application = selection.project(data);
+ * // application.household.members[0].name — other fields are not in the type
+ */
+export const fields = {
+  /**
+   * Selects fields of `T` by dot path. Call with the resource type first,
+   * then the paths.
+   *
+   * @example
+   * fields.select<Task>()("status", "priority").fields
+   * // => "status,priority"
+   *
+   * @returns The `fields` parameter value and a typed projection
+   */
+  select:
+    <T>() =>
+    <P extends FieldPath<T>>(...paths: P[]): FieldSelection<T, P> => {
+      const tree: FieldTree = { id: true };
+      for (const path of paths) {
+        // A shorter path selects the whole subtree
+        let node = tree;
+        const segments = path.split(".");
+        for (const [i, segment] of segments.entries()) {
+          const current = hasOwn(node, segment) ? node[segment] : undefined;
+          if (current === true) break;
+          if (i === segments.length - 1) {
+            node[segment] = true;
+          } else {
+            node = node[segment] = current ?? {};
+          }
+        }
+      }
+      return {
+        fields: paths.join(","),
+        project: (resource) => projectTree(resource, tree) as Sparse<T, P>,
+      };
+    },
+};
@@ -182,6 +182,11 @@ function renderGuards(doc) {
   const headers = ['Guard Name', 'Field', 'Operator', 'Value'];
   const rows = [];
   for (const [name, g] of Object.entries(doc.guards || {})) {
+    // JSON Logic guards export as operator "condition" with the expression as the value
+    if (g.condition !== undefined) {
+      rows.push([name, '', 'condition', JSON.stringify(g.condition)]);
+      continue;
+    }
     // Only JSON.stringify objects/arrays; leave strings and numbers as-is
     let value = '';
     if (g.value != null) {
@@ -345,6 +350,7 @@ function formatTransitionGuardRef(g) {
 
 /** Describe a named guard definition in plain English. */
 function describeNamedGuard(g) {
+  if (g.condition !== undefined) return jsonLogicToFeel(g.condition);
   const f = `\`${g.field}\``;
   switch (g.operator) {
     case 'is_null': return `${f} is not set`;
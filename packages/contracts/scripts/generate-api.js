@@ -32,6 +32,7 @@ function parseArgs() {
     resource: null,
     out: null,
     ref: null,
+    batch: false,
     help: false
   };
 
@@ -54,6 +55,9 @@ function parseArgs() {
       case '--ref':
         options.ref = args[++i];
         break;
+      case '--batch':
+        options.batch = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -92,6 +96,7 @@ Options:
   -o, --out <dir>          Output directory (default: packages/contracts/)
       --ref <dir>          Path to shared components directory (for correct $ref paths
                            when --out is outside the contracts package)
+      --batch              Add POST /{resources}/batch for bulk create/update/delete
   -h, --help               Show this help message
 
 Examples:
@@ -142,11 +147,12 @@ function pluralize(str) {
 // Template Generators
 // =============================================================================
 
-function generateApiSpec(name, resource, componentsPrefix = './components') {
+function generateApiSpec(name, resource, componentsPrefix = './components', { batch = false } = {}) {
   const kebabName = toKebabCase(name);
   const resourcePlural = pluralize(resource);
   const resourcePluralLower = resourcePlural.toLowerCase();
   const resourceIdParam = `${toCamelCase(resource)}Id`;
+  const batchPath = batch ? generateBatchPath(resource, componentsPrefix) : '';
 
   return `openapi: 3.1.0
 info:
@@ -176,6 +182,9 @@ paths:
       - ${resourcePlural}
       parameters:
       - "$ref": "${componentsPrefix}/parameters.yaml#/SearchQueryParam"
+      - "$ref": "${componentsPrefix}/parameters.yaml#/SortParam"
+      - "$ref": "${componentsPrefix}/parameters.yaml#/FacetsParam"
+      - "$ref": "${componentsPrefix}/parameters.yaml#/FieldsParam"
       - "$ref": "${componentsPrefix}/parameters.yaml#/LimitParam"
       - "$ref": "${componentsPrefix}/parameters.yaml#/OffsetParam"
       responses:
@@ -195,6 +204,8 @@ paths:
       operationId: create${resource}
       tags:
       - ${resourcePlural}
+      parameters:
+      - "$ref": "${componentsPrefix}/parameters.yaml#/IdempotencyKeyParam"
       requestBody:
         required: true
         content:
@@ -210,6 +221,8 @@ paths:
               schema:
                 type: string
                 format: uri
+            Idempotent-Replayed:
+              "$ref": "${componentsPrefix}/headers.yaml#/IdempotentReplayed"
           content:
             application/json:
               schema:
@@ -220,7 +233,7 @@ paths:
           "$ref": "${componentsPrefix}/responses.yaml#/UnprocessableEntity"
         '500':
           "$ref": "${componentsPrefix}/responses.yaml#/InternalError"
-  "/${resourcePluralLower}/{${resourceIdParam}}":
+${batchPath}  "/${resourcePluralLower}/{${resourceIdParam}}":
     parameters:
     - "$ref": "#/components/parameters/${resource}IdParam"
     get:
@@ -229,9 +242,15 @@ paths:
       operationId: get${resource}
       tags:
       - ${resourcePlural}
+      parameters:
+      - "$ref": "${componentsPrefix}/parameters.yaml#/IfNoneMatchParam"
+      - "$ref": "${componentsPrefix}/parameters.yaml#/FieldsParam"
       responses:
         '200':
           description: ${resource} retrieved successfully.
+          headers:
+            ETag:
+              "$ref": "${componentsPrefix}/headers.yaml#/ETag"
           content:
             application/json:
               schema:
@@ -239,6 +258,8 @@ paths:
               examples:
                 ${resource}Example1:
                   $ref: "#/components/examples/${resource}Example1"
+        '304':
+          "$ref": "${componentsPrefix}/responses.yaml#/NotModified"
         '404':
           "$ref": "${componentsPrefix}/responses.yaml#/NotFound"
         '500':
@@ -249,6 +270,8 @@ paths:
       operationId: update${resource}
       tags:
       - ${resourcePlural}
+      parameters:
+      - "$ref": "${componentsPrefix}/parameters.yaml#/IfMatchParam"
       requestBody:
         required: true
         content:
@@ -258,6 +281,9 @@ paths:
       responses:
         '200':
           description: ${resource} updated successfully.
+          headers:
+            ETag:
+              "$ref": "${componentsPrefix}/headers.yaml#/ETag"
           content:
             application/json:
               schema:
@@ -266,6 +292,8 @@ paths:
           "$ref": "${componentsPrefix}/responses.yaml#/BadRequest"
         '404':
           "$ref": "${componentsPrefix}/responses.yaml#/NotFound"
+        '412':
+          "$ref": "${componentsPrefix}/responses.yaml#/PreconditionFailed"
         '422':
           "$ref": "${componentsPrefix}/responses.yaml#/UnprocessableEntity"
         '500':
@@ -395,6 +423,49 @@ components:
 `;
 }
 
+/**
+ * Path item for POST /{resources}/batch (see batch_operations in api-patterns.yaml).
+ */
+function generateBatchPath(resource, componentsPrefix) {
+  const resourcePlural = pluralize(resource);
+  const resourcePluralLower = resourcePlural.toLowerCase();
+
+  return `  "/${resourcePluralLower}/batch":
+    post:
+      summary: Batch create, update, or delete ${resourcePluralLower}
+      description: |
+        Apply up to 100 create, update, and delete operations in array order.
+        Operations succeed or fail independently; check each entry in results.
+      operationId: batch${resourcePlural}
+      tags:
+      - ${resourcePlural}
+      parameters:
+      - "$ref": "${componentsPrefix}/parameters.yaml#/IdempotencyKeyParam"
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              "$ref": "${componentsPrefix}/batch.yaml#/BatchRequest"
+      responses:
+        '200':
+          description: Batch processed. Per-operation outcomes are in results.
+          headers:
+            Idempotent-Replayed:
+              "$ref": "${componentsPrefix}/headers.yaml#/IdempotentReplayed"
+          content:
+            application/json:
+              schema:
+                "$ref": "${componentsPrefix}/batch.yaml#/BatchResponse"
+        '400':
+          "$ref": "${componentsPrefix}/responses.yaml#/BadRequest"
+        '422':
+          "$ref": "${componentsPrefix}/responses.yaml#/UnprocessableEntity"
+        '500':
+          "$ref": "${componentsPrefix}/responses.yaml#/InternalError"
+`;
+}
+
 // =============================================================================
 // Main
 // =============================================================================
@@ -446,7 +517,7 @@ async function main() {
   // Generate files
   console.log('📝 Generating files...\n');
 
-  await writeFile(specPath, generateApiSpec(name, resource, componentsPrefix));
+  await writeFile(specPath, generateApiSpec(name, resource, componentsPrefix, { batch: options.batch }));
   console.log(`   ✅ ${specPath}`);
 
   console.log(`
@@ -462,7 +533,7 @@ Next steps:
 }
 
 // Export for testing
-export { parseArgs, toKebabCase, toCamelCase, toPascalCase, pluralize, generateApiSpec };
+export { parseArgs, toKebabCase, toCamelCase, toPascalCase, pluralize, generateApiSpec, generateBatchPath };
 
 // Run main when executed directly
 const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(resolve(process.argv[1]));
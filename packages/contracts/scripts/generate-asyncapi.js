@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * AsyncAPI Generator
+ *
+ * Reads state machine contracts and generates an AsyncAPI 3 document per
+ * domain describing the domain events they emit. Each event action gets a
+ * message whose payload is the DomainEvent envelope with a typed `data`
+ * schema, inferred from the `data` values of the action's event effects:
+ *
+ *   $request.<field>  → the trigger's request body property (nullable unless required)
+ *   $object.<field>   → the governed resource's property in the API spec
+ *   $caller.id, $caller.role → string
+ *   $now              → date-time string
+ *   literals          → const (enum when effects emit different literals)
+ *
+ * Actions with a schema in the state machine's `eventPayloads` use it instead
+ * of the inferred one; `$ref`s are kept as written, since the AsyncAPI
+ * document is written next to the state machine.
+ *
+ * Usage:
+ *   node scripts/generate-asyncapi.js --spec=.
+ *   npm run generate:asyncapi
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { realpathSync } from 'fs';
+import yaml from 'js-yaml';
+import { discoverStateMachines } from './generate-rpc-overlay.js';
+import { cloudEventType } from '../src/events/cloudevents.js';
+import { collectEventEffects } from '../src/validation/event-payload-validator.js';
+
+const DOMAIN_EVENT_REF = './components/events.yaml#/DomainEvent';
+
+/**
+ * Events the SLA clock emits for state machines with an `sla` block.
+ */
+const SLA_EVENTS = {
+  sla_warning: {
+    when: sla => !!sla.warningBefore,
+    summary: 'Emitted by the SLA clock when the deadline is within `sla.warningBefore`.',
+    data: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['slaDeadline', 'remainingMs'],
+      properties: {
+        slaDeadline: { type: 'string', format: 'date-time', description: 'The SLA deadline.' },
+        remainingMs: { type: 'integer', description: 'Time left before the deadline, in milliseconds.' }
+      }
+    }
+  },
+  sla_breached: {
+    when: () => true,
+    summary: 'Emitted by the SLA clock when the deadline passes while the clock is running.',
+    data: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['slaDeadline', 'breachedAt'],
+      properties: {
+        slaDeadline: { type: 'string', format: 'date-time', description: 'The SLA deadline.' },
+        breachedAt: { type: 'string', format: 'date-time', description: 'When the SLA was breached.' }
+      }
+    }
+  }
+};
+
+// =============================================================================
+// Argument Parsing
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { specsDir: null, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--spec=')) {
+      options.specsDir = args[i].split('=')[1];
+    } else if (args[i] === '--spec') {
+      options.specsDir = args[++i];
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      options.help = true;
+    } else {
+      console.error(`Error: Unknown argument: ${args[i]}`);
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// =============================================================================
+// Event Discovery
+// =============================================================================
+
+/**
+ * Group the event effects of a state machine by action.
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @returns {Map<string, Array<{ effect: Object, transition: Object|null, hook: string|null }>>}
+ *   Action → its event effects, from collectEventEffects()
+ */
+export function groupEventEffects(stateMachine) {
+  const byAction = new Map();
+  for (const occurrence of collectEventEffects(stateMachine)) {
+    const { action } = occurrence.effect;
+    if (!byAction.has(action)) byAction.set(action, []);
+    byAction.get(action).push(occurrence);
+  }
+  return byAction;
+}
+
+// =============================================================================
+// Payload Schemas
+// =============================================================================
+
+/**
+ * Convert an action or object name to PascalCase (e.g., "de-escalated" → "DeEscalated").
+ * @param {string} name
+ * @returns {string}
+ */
+export function pascalCase(name) {
+  return name.split(/[-_\s]+/).filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Allow null on a schema, for values that may be absent.
+ */
+function nullable(schema) {
+  if (schema.$ref) return { oneOf: [schema, { type: 'null' }] };
+  if (typeof schema.type === 'string') return { ...schema, type: [schema.type, 'null'] };
+  return schema;
+}
+
+/**
+ * Infer the schema of one event `data` value.
+ * @param {*} value - Value template from the effect (e.g., "$request.reason")
+ * @param {Object} context
+ * @param {Object} [context.requestBody] - The trigger's request body schema
+ * @param {Object} [context.objectSchema] - The governed resource schema from the API spec
+ * @param {string} [context.objectRef] - $ref to the governed resource schema
+ * @returns {Object} JSON Schema ({} when the type cannot be inferred)
+ */
+export function inferValueSchema(value, { requestBody = null, objectSchema = null, objectRef = null } = {}) {
+  if (value === null || value === undefined) return { type: 'null' };
+  if (typeof value === 'boolean') return { type: 'boolean', const: value };
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number', const: value };
+  if (typeof value !== 'string') return {};
+
+  if (value === '$now') return { type: 'string', format: 'date-time' };
+  if (value === '$caller.id' || value === '$caller.role') return { type: 'string' };
+
+  if (value.startsWith('$request.')) {
+    const field = value.slice('$request.'.length);
+    const property = requestBody?.properties?.[field];
+    if (!property) return {};
+    return (requestBody.required || []).includes(field) ? { ...property } : nullable({ ...property });
+  }
+
+  if (value.startsWith('$object.')) {
+    const field = value.slice('$object.'.length);
+    if (!objectRef || !objectSchema?.properties?.[field]) return {};
+    const ref = { $ref: `${objectRef}/properties/${field}` };
+    return (objectSchema.required || []).includes(field) ? ref : nullable(ref);
+  }
+
+  if (value.startsWith('$')) return {};
+  return { type: 'string', const: value };
+}
+
+/**
+ * Merge the schemas one `data` key takes across the effects of an action.
+ */
+function mergeSchemas(schemas) {
+  const distinct = [...new Map(schemas.map(schema => [JSON.stringify(schema), schema])).values()];
+  if (distinct.length === 1) return distinct[0];
+
+  const consts = distinct.every(schema => 'const' in schema && schema.type === distinct[0].type);
+  if (consts) return { type: distinct[0].type, enum: distinct.map(schema => schema.const) };
+
+  return { anyOf: distinct };
+}
+
+/**
+ * Build the `data` schema of an action from its event effects. A key is
+ * required when every effect sets it.
+ * @param {Array<{ effect: Object, transition: Object|null }>} occurrences - From groupEventEffects()
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @param {{ objectSchema: Object|null, objectRef: string|null }} objectInfo - Governed resource schema
+ * @returns {Object} JSON Schema
+ */
+export function buildDataSchema(occurrences, stateMachine, { objectSchema = null, objectRef = null } = {}) {
+  const keySchemas = new Map();
+  for (const { effect, transition } of occurrences) {
+    const requestBody = transition ? stateMachine.requestBodies?.[transition.trigger] : null;
+    for (const [key, value] of Object.entries(effect.data || {})) {
+      if (!keySchemas.has(key)) keySchemas.set(key, []);
+      keySchemas.get(key).push(inferValueSchema(value, { requestBody, objectSchema, objectRef }));
+    }
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [key, schemas] of keySchemas) {
+    properties[key] = mergeSchemas(schemas);
+    if (schemas.length === occurrences.length) required.push(key);
+  }
+
+  const schema = { type: 'object', additionalProperties: false };
+  if (required.length > 0) schema.required = required;
+  schema.properties = properties;
+  return schema;
+}
+
+/**
+ * Describe where an action is emitted (e.g., "Emitted by the claim transition (pending → in_progress).").
+ */
+function describeOccurrences(occurrences, objectName) {
+  // Transitions sharing a trigger (e.g., escalate from two states) are described together
+  const sources = new Map();
+  for (const { transition, hook } of occurrences) {
+    if (hook) {
+      sources.set(hook, `when a ${objectName.toLowerCase()} is ${hook === 'onCreate' ? 'created' : 'updated'}`);
+      continue;
+    }
+    const source = sources.get(transition.trigger) || { transition, from: [] };
+    source.from.push(...[].concat(transition.from).filter(state => !source.from.includes(state)));
+    sources.set(transition.trigger, source);
+  }
+
+  const descriptions = [...sources.values()].map(source => {
+    if (typeof source === 'string') return source;
+    const { transition, from } = source;
+    const kind = transition.on === 'timer' ? 'timer transition' : 'transition';
+    return `by the ${transition.trigger} ${kind} (${from.join(', ')} → ${transition.to})`;
+  });
+  return `Emitted ${descriptions.join('; ')}.`;
+}
+
+// =============================================================================
+// Document Generation
+// =============================================================================
+
+/**
+ * Read the governed resource schema from the state machine's API spec.
+ * @param {string} specsDir - Path to the specs directory
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @returns {{ objectSchema: Object|null, objectRef: string|null, version: string|null }}
+ */
+export function readObjectSchema(specsDir, stateMachine) {
+  try {
+    const spec = yaml.load(readFileSync(join(specsDir, stateMachine.apiSpec), 'utf8'));
+    const objectSchema = spec?.components?.schemas?.[stateMachine.object] || null;
+    return {
+      objectSchema,
+      objectRef: objectSchema ? `./${stateMachine.apiSpec}#/components/schemas/${stateMachine.object}` : null,
+      version: spec?.info?.version || null
+    };
+  } catch {
+    return { objectSchema: null, objectRef: null, version: null };
+  }
+}
+
+/**
+ * Add a state machine's events to an AsyncAPI document.
+ * @param {Object} document - AsyncAPI document being built (mutated)
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @param {{ objectSchema: Object|null, objectRef: string|null }} [objectInfo] - From readObjectSchema()
+ */
+export function addStateMachineEvents(document, stateMachine, objectInfo = {}) {
+  const objectName = stateMachine.object;
+  const resource = objectName.toLowerCase();
+  const channelId = `${resource}Events`;
+  const channelMessages = {};
+
+  const declared = stateMachine.eventPayloads || {};
+  const events = [...groupEventEffects(stateMachine)].map(([action, occurrences]) => ({
+    action,
+    summary: describeOccurrences(occurrences, objectName),
+    data: declared[action] ?? buildDataSchema(occurrences, stateMachine, objectInfo)
+  }));
+  if (stateMachine.sla) {
+    for (const [action, event] of Object.entries(SLA_EVENTS)) {
+      if (event.when(stateMachine.sla)) events.push({ action, summary: event.summary, data: declared[action] ?? event.data });
+    }
+  }
+
+  for (const { action, summary, data } of events) {
+    const name = `${objectName}${pascalCase(action)}`;
+    document.components.schemas[`${name}Data`] = data;
+    document.components.schemas[name] = {
+      allOf: [
+        { $ref: DOMAIN_EVENT_REF },
+        {
+          type: 'object',
+          required: ['data'],
+          properties: {
+            domain: { const: stateMachine.domain },
+            resource: { const: resource },
+            action: { const: action },
+            data: { $ref: `#/components/schemas/${name}Data` }
+          }
+        }
+      ]
+    };
+    document.components.messages[name] = {
+      name: `${resource}.${action}`,
+      title: `${objectName} ${action.replace(/_/g, ' ')}`,
+      summary,
+      contentType: 'application/json',
+      payload: { $ref: `#/components/schemas/${name}` },
+      'x-cloudevents-type': cloudEventType(stateMachine.domain, resource, action)
+    };
+    channelMessages[name] = { $ref: `#/components/messages/${name}` };
+  }
+
+  document.channels[channelId] = {
+    address: '/events/stream',
+    title: `${objectName} events`,
+    description: `Domain events about ${stateMachine.domain} ${resource}s. Streamed from ` +
+      `\`GET /events/stream?resource=${resource}\` (SSE event name \`${resource}.{action}\`) and ` +
+      `POSTed to webhook subscriptions.`,
+    messages: channelMessages
+  };
+  document.operations[`receive${objectName}Events`] = {
+    action: 'receive',
+    channel: { $ref: `#/channels/${channelId}` },
+    summary: `Receive ${resource} events`,
+    messages: Object.keys(channelMessages).map(name => ({ $ref: `#/channels/${channelId}/messages/${name}` }))
+  };
+}
+
+/**
+ * Create an empty AsyncAPI 3 document for a domain.
+ * @param {string} domain - Domain name (e.g., workflow)
+ * @param {string} [version] - Document version (defaults to 1.0.0)
+ * @returns {Object} AsyncAPI document
+ */
+export function createDocument(domain, version = '1.0.0') {
+  return {
+    asyncapi: '3.0.0',
+    info: {
+      title: `${pascalCase(domain)} Domain Events`,
+      version,
+      description: `Auto-generated from the ${domain} state machines. Each message is a DomainEvent ` +
+        `whose data is typed for its action; \`x-cloudevents-type\` is the CloudEvents type of the ` +
+        `same event.`
+    },
+    defaultContentType: 'application/json',
+    servers: {
+      mock: {
+        host: 'localhost:1080',
+        protocol: 'http',
+        description: 'Mock server (SSE event stream and webhook subscriptions)'
+      }
+    },
+    channels: {},
+    operations: {},
+    components: { messages: {}, schemas: {} }
+  };
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    console.log('Usage: node scripts/generate-asyncapi.js --spec=<dir>');
+    console.log('');
+    console.log('Options:');
+    console.log('  --spec=<dir>   Directory containing spec and state machine files');
+    console.log('  --help, -h     Show this help message');
+    process.exit(0);
+  }
+
+  const specsDir = resolve(options.specsDir || '.');
+
+  console.log('Generating AsyncAPI documents...');
+  console.log(`  Specs directory: ${specsDir}`);
+
+  const machines = discoverStateMachines(specsDir);
+
+  if (machines.length === 0) {
+    console.log('  No state machine contracts found.');
+    return;
+  }
+
+  const documents = new Map();
+  for (const { stateMachine } of machines) {
+    const objectInfo = readObjectSchema(specsDir, stateMachine);
+    if (!documents.has(stateMachine.domain)) {
+      documents.set(stateMachine.domain, createDocument(stateMachine.domain, objectInfo.version || undefined));
+    }
+    addStateMachineEvents(documents.get(stateMachine.domain), stateMachine, objectInfo);
+  }
+
+  for (const [domain, document] of documents) {
+    const outPath = join(specsDir, `${domain}-asyncapi.yaml`);
+    writeFileSync(outPath, yaml.dump(document, { lineWidth: 120, noRefs: true, quotingType: '"' }), 'utf8');
+    console.log(`  ✓ ${domain}-asyncapi.yaml (${Object.keys(document.components.messages).length} message(s))`);
+  }
+
+  console.log('✓ AsyncAPI generation complete');
+}
+
+// Export for testing
+export { parseArgs };
+
+// Run main when executed directly
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === realpathSync(resolve(process.argv[1]));
+if (isDirectRun) {
+  main();
+}
@@ -284,10 +284,23 @@ function computeTransitionOrderFrom(stateMachine, startState) {
 // Test Script Generation
 // =============================================================================
 
+/**
+ * Pagination fields list responses carry in each x-pagination style
+ */
+const PAGINATION_FIELDS = {
+  offset: ['total', 'limit', 'offset'],
+  cursor: ['total', 'cursor', 'hasNext'],
+  page: ['total', 'page', 'pageSize'],
+  links: ['total', 'limit', 'links']
+};
+
 /**
  * Generate basic test script for a CRUD request
+ * @param {string} method - HTTP method
+ * @param {Object} endpoint - Endpoint metadata
+ * @param {string} [paginationStyle='offset'] - x-pagination style of list responses
  */
-function generateTestScript(method, endpoint) {
+function generateTestScript(method, endpoint, paginationStyle = 'offset') {
   const tests = [];
 
   // Status code test based on method
@@ -306,9 +319,9 @@ function generateTestScript(method, endpoint) {
       tests.push(`pm.test("Response has required list properties", function () {`);
       tests.push(`    const jsonData = pm.response.json();`);
       tests.push(`    pm.expect(jsonData).to.have.property('items');`);
-      tests.push(`    pm.expect(jsonData).to.have.property('total');`);
-      tests.push(`    pm.expect(jsonData).to.have.property('limit');`);
-      tests.push(`    pm.expect(jsonData).to.have.property('offset');`);
+      for (const field of PAGINATION_FIELDS[paginationStyle] || PAGINATION_FIELDS.offset) {
+        tests.push(`    pm.expect(jsonData).to.have.property('${field}');`);
+      }
       tests.push(`    pm.expect(jsonData.items).to.be.an('array');`);
       tests.push(`});`);
     } else {
@@ -352,6 +365,24 @@ function generateTestScript(method, endpoint) {
   return tests.join('\n');
 }
 
+/**
+ * Generate test script for a batch request
+ */
+function generateBatchTestScript() {
+  const tests = [];
+  tests.push(`pm.test("Status code is 200", function () {`);
+  tests.push(`    pm.response.to.have.status(200);`);
+  tests.push(`});`);
+  tests.push(``);
+  tests.push(`pm.test("Response has one result per operation", function () {`);
+  tests.push(`    const jsonData = pm.response.json();`);
+  tests.push(`    pm.expect(jsonData.results).to.be.an('array');`);
+  tests.push(`    pm.expect(jsonData.results.length).to.eql(jsonData.total);`);
+  tests.push(`    pm.expect(jsonData.succeeded + jsonData.failed).to.eql(jsonData.total);`);
+  tests.push(`});`);
+  return tests.join('\n');
+}
+
 /**
  * Generate test script for an RPC (state transition) request
  * @param {Object} options
@@ -470,49 +501,107 @@ function singularize(str) {
 // CRUD Request Generators
 // =============================================================================
 
+/**
+ * Query parameter that sets the page size in a pagination style
+ */
+function pageSizeQuery(style, size, description) {
+  return { key: style === 'page' ? 'pageSize' : 'limit', value: String(size), description };
+}
+
+/**
+ * Query parameters for the first page of a list in a pagination style
+ */
+function firstPageQuery(style, size, { sizeDescription, startDescription }) {
+  const query = [pageSizeQuery(style, size, sizeDescription)];
+  if (style === 'offset') {
+    query.push({ key: 'offset', value: '0', description: startDescription });
+  } else if (style === 'page') {
+    query.unshift({ key: 'page', value: '1', description: startDescription });
+  }
+  return query;
+}
+
+/**
+ * Test script lines that store the next-page cursor of a cursor or links
+ * style list response in a collection variable
+ */
+function storeNextCursorScript(style, variable) {
+  const next = style === 'links'
+    ? [
+      `const match = (jsonData.links.next || '').match(/[?&]cursor=([^&]+)/);`,
+      `pm.collectionVariables.set('${variable}', match ? decodeURIComponent(match[1]) : '');`
+    ]
+    : [`pm.collectionVariables.set('${variable}', jsonData.cursor || '');`];
+  return ['', 'const jsonData = pm.response.json();', ...next];
+}
+
 /**
  * Generate requests for a GET list endpoint
  */
 function generateListRequests(apiMetadata, endpoint, examples) {
   const requests = [];
   const url = createPostmanUrl(endpoint.path);
+  const style = apiMetadata.pagination?.style || 'offset';
+  const listTestScript = generateTestScript('GET', endpoint, style).split('\n');
 
   // 1. List all (default pagination)
   requests.push({
     name: `List All ${capitalize(apiMetadata.name)}`,
     request: createRequest('GET', {
       ...url,
-      query: [
-        { key: 'limit', value: '25', description: 'Maximum number of items' },
-        { key: 'offset', value: '0', description: 'Number of items to skip' }
-      ]
+      query: firstPageQuery(style, 25, {
+        sizeDescription: 'Maximum number of items',
+        startDescription: 'Number of items to skip'
+      })
     }),
     event: [{
       listen: 'test',
       script: {
-        exec: generateTestScript('GET', endpoint).split('\n')
+        exec: listTestScript
       }
     }]
   });
 
   // 2. List with custom pagination
+  const usesCursor = style === 'cursor' || style === 'links';
+  const cursorVariable = `${apiMetadata.name}NextCursor`;
   requests.push({
     name: `List ${capitalize(apiMetadata.name)} (Paginated)`,
     request: createRequest('GET', {
       ...url,
-      query: [
-        { key: 'limit', value: '2', description: 'Get only 2 items' },
-        { key: 'offset', value: '0', description: 'Start from beginning' }
-      ]
+      query: firstPageQuery(style, 2, {
+        sizeDescription: 'Get only 2 items',
+        startDescription: 'Start from beginning'
+      })
     }),
     event: [{
       listen: 'test',
       script: {
-        exec: generateTestScript('GET', endpoint).split('\n')
+        exec: usesCursor ? [...listTestScript, ...storeNextCursorScript(style, cursorVariable)] : listTestScript
       }
     }]
   });
 
+  // 2b. Follow the cursor from the paginated request
+  if (usesCursor) {
+    requests.push({
+      name: `List ${capitalize(apiMetadata.name)} (Next Page)`,
+      request: createRequest('GET', {
+        ...url,
+        query: [
+          pageSizeQuery(style, 2, 'Get only 2 items'),
+          { key: 'cursor', value: `{{${cursorVariable}}}`, description: 'Cursor from the previous page' }
+        ]
+      }),
+      event: [{
+        listen: 'test',
+        script: {
+          exec: listTestScript
+        }
+      }]
+    });
+  }
+
   // 3. Search examples (if q or search parameter exists)
   const searchParam = endpoint.parameters.find(p => p.name === 'q' || p.name === 'search');
   if (searchParam && examples.length > 0) {
@@ -530,26 +619,111 @@ function generateListRequests(apiMetadata, endpoint, examples) {
         ...url,
         query: [
           { key: searchParam.name, value: searchValue, description: 'Search query (contains match)' },
-          { key: 'limit', value: '10', description: 'Maximum results' }
+          pageSizeQuery(style, 10, 'Maximum results')
         ]
       }),
       event: [{
         listen: 'test',
         script: {
-          exec: generateTestScript('GET', endpoint).split('\n')
+          exec: listTestScript
         }
       }]
     });
   }
 
-  // 4. Filter examples (if other query params exist)
-  for (const param of endpoint.parameters) {
-    if (['q', 'search', 'limit', 'offset'].includes(param.name)) {
-      continue;
-    }
+  // 4. Sort example (if sort parameter exists and items have a createdAt)
+  if (endpoint.parameters.some(p => p.name === 'sort') && listItemHasProperty(endpoint.responseSchema, 'createdAt')) {
+    requests.push({
+      name: `Sort ${capitalize(apiMetadata.name)} (Newest First)`,
+      request: createRequest('GET', {
+        ...url,
+        query: [
+          { key: 'sort', value: '-createdAt', description: 'Sort by creation time, newest first' },
+          pageSizeQuery(style, 10, 'Maximum results')
+        ]
+      }),
+      event: [{
+        listen: 'test',
+        script: {
+          exec: listTestScript
+        }
+      }]
+    });
+  }
 
+  // 5. Facet example (if facets parameter exists and items have a createdAt)
+  if (endpoint.parameters.some(p => p.name === 'facets') && listItemHasProperty(endpoint.responseSchema, 'createdAt')) {
+    requests.push({
+      name: `Facet ${capitalize(apiMetadata.name)} (Created per Month)`,
+      request: createRequest('GET', {
+        ...url,
+        query: [
+          { key: 'facets', value: 'createdAt:month', description: 'Count items per month of creation' },
+          pageSizeQuery(style, 10, 'Maximum results')
+        ]
+      }),
+      event: [{
+        listen: 'test',
+        script: {
+          exec: [
+            ...listTestScript,
+            '',
+            'pm.test("Response has createdAt facet counts", function () {',
+            '    const jsonData = pm.response.json();',
+            "    pm.expect(jsonData.fieldFacets.createdAt).to.be.an('array');",
+            '});'
+          ]
+        }
+      }]
+    });
+  }
+
+  // 6. Sparse fieldset example (if fields parameter exists and items have a createdAt)
+  if (endpoint.parameters.some(p => p.name === 'fields') && listItemHasProperty(endpoint.responseSchema, 'createdAt')) {
+    requests.push({
+      name: `List ${capitalize(apiMetadata.name)} (Selected Fields)`,
+      request: createRequest('GET', {
+        ...url,
+        query: [
+          { key: 'fields', value: 'createdAt', description: 'Return only id and createdAt' },
+          pageSizeQuery(style, 10, 'Maximum results')
+        ]
+      }),
+      event: [{
+        listen: 'test',
+        script: {
+          exec: [
+            ...listTestScript,
+            '',
+            'pm.test("Items have only the selected fields", function () {',
+            '    const jsonData = pm.response.json();',
+            '    jsonData.items.forEach(item => {',
+            "        pm.expect(item).to.have.property('id');",
+            "        pm.expect(['createdAt', 'id']).to.include.members(Object.keys(item));",
+            '    });',
+            '});'
+          ]
+        }
+      }]
+    });
+  }
+
+  // 7. Filter examples (if other query params exist). The filtered search
+  // style declares a parameter per field, so only the first enum filter and
+  // a createdAt range are exercised there.
+  let filterParams = endpoint.parameters.filter(param =>
+    !['q', 'search', 'sort', 'facets', 'fields', 'limit', 'offset', 'cursor', 'page', 'pageSize'].includes(param.name));
+  if (apiMetadata.search?.style === 'filtered') {
+    filterParams = [
+      filterParams.find(param => param.schema?.items?.enum),
+      filterParams.find(param => param.name === 'createdAt[gte]')
+    ].filter(Boolean);
+  }
+
+  for (const param of filterParams) {
     // Add filter example
-    const filterValue = param.schema?.enum?.[0] || 'example';
+    const filterValue = param.schema?.enum?.[0] || param.schema?.items?.enum?.[0] ||
+      (param.schema?.format === 'date-time' ? '2024-01-01T00:00:00Z' : 'example');
     requests.push({
       name: `Filter by ${param.name}`,
       request: createRequest('GET', {
@@ -561,7 +735,7 @@ function generateListRequests(apiMetadata, endpoint, examples) {
       event: [{
         listen: 'test',
         script: {
-          exec: generateTestScript('GET', endpoint).split('\n')
+          exec: listTestScript
         }
       }]
     });
@@ -570,6 +744,25 @@ function generateListRequests(apiMetadata, endpoint, examples) {
   return requests;
 }
 
+/**
+ * Check whether the items of a list response schema declare a property,
+ * looking through allOf branches.
+ */
+function listItemHasProperty(listSchema, property) {
+  const hasProperty = (schema) => !!schema && typeof schema === 'object' &&
+    (property in (schema.properties || {}) || (schema.allOf || []).some(hasProperty));
+  const findItems = (schema) => {
+    if (!schema || typeof schema !== 'object') return null;
+    if (schema.properties?.items?.items) return schema.properties.items.items;
+    for (const branch of schema.allOf || []) {
+      const items = findItems(branch);
+      if (items) return items;
+    }
+    return null;
+  };
+  return hasProperty(findItems(listSchema));
+}
+
 /**
  * Generate requests for a GET by ID endpoint
  */
@@ -788,6 +981,78 @@ function generateDeleteRequests(apiMetadata, endpoint, examples) {
   return requests;
 }
 
+/**
+ * Generate requests for a POST /{resources}/batch endpoint
+ */
+function generateBatchRequests(apiMetadata, endpoint, examples) {
+  if (examples.length === 0) {
+    return [];
+  }
+
+  const example = examples[0];
+  const createData = { ...example.data };
+  delete createData.id;
+  delete createData.createdAt;
+  delete createData.updatedAt;
+
+  const operations = [{ action: 'create', data: createData }];
+
+  // Re-send one scalar field of the example as an update
+  const updateField = Object.keys(createData).find(key =>
+    ['string', 'number', 'boolean'].includes(typeof createData[key])
+  );
+  if (updateField) {
+    operations.push({ action: 'update', id: example.data.id, data: { [updateField]: createData[updateField] } });
+  }
+
+  const request = createRequest('POST', createPostmanUrl(endpoint.path), { operations },
+    `Create and update ${apiMetadata.name} in one batch`);
+
+  // Batches require an Idempotency-Key; a fresh one per run
+  request.header.push({
+    key: 'Idempotency-Key',
+    value: '{{$guid}}',
+    type: 'text'
+  });
+
+  return [{
+    name: `Batch ${capitalize(apiMetadata.name)}`,
+    request,
+    event: [{
+      listen: 'test',
+      script: {
+        exec: generateBatchTestScript().split('\n')
+      }
+    }]
+  }];
+}
+
+/**
+ * Generate requests for a POST /{resources}/search endpoint (x-search
+ * post-search style)
+ */
+function generateSearchBodyRequests(apiMetadata, endpoint, examples) {
+  const style = apiMetadata.pagination?.style || 'offset';
+  const filter = examples.length > 0
+    ? { or: [{ field: 'id', op: 'eq', value: examples[0].data.id }, { not: { field: 'createdAt', op: 'exists' } }] }
+    : { field: 'id', op: 'exists', value: true };
+  const listEndpoint = { ...endpoint, path: endpoint.path.replace(/\/search$/, '') };
+
+  return [{
+    name: `Search ${capitalize(apiMetadata.name)} (Filter Body)`,
+    request: createRequest('POST', {
+      ...createPostmanUrl(endpoint.path),
+      query: [pageSizeQuery(style, 10, 'Maximum results')]
+    }, { filter }, `Search ${apiMetadata.name} with an and/or/not filter`),
+    event: [{
+      listen: 'test',
+      script: {
+        exec: generateTestScript('GET', listEndpoint, style).split('\n')
+      }
+    }]
+  }];
+}
+
 // =============================================================================
 // RPC Request Generators
 // =============================================================================
@@ -957,6 +1222,10 @@ function generateApiRequests(apiMetadata) {
       requests = generateListRequests(displayMeta, endpoint, examples);
     } else if (endpoint.method === 'GET' && isItem) {
       requests = generateGetByIdRequests(displayMeta, endpoint, examples);
+    } else if (endpoint.method === 'POST' && endpoint.path.endsWith('/batch')) {
+      requests = generateBatchRequests(displayMeta, endpoint, examples);
+    } else if (endpoint.method === 'POST' && endpoint.path.endsWith('/search')) {
+      requests = generateSearchBodyRequests(displayMeta, endpoint, examples);
     } else if (endpoint.method === 'POST' && isCollection) {
       requests = generateCreateRequests(displayMeta, endpoint, examples);
     } else if (isRpc) {
@@ -22,13 +22,15 @@ import yaml from 'js-yaml';
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const options = { specsDir: null, help: false };
+  const options = { specsDir: null, batch: false, help: false };
 
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--spec=')) {
       options.specsDir = args[i].split('=')[1];
     } else if (args[i] === '--spec') {
       options.specsDir = args[++i];
+    } else if (args[i] === '--batch') {
+      options.batch = true;
     } else if (args[i] === '--help' || args[i] === '-h') {
       options.help = true;
     } else {
@@ -169,19 +171,95 @@ function buildRequestBody(bodyDef) {
   };
 }
 
+/**
+ * Collect the roles allowed to call each trigger. A trigger shared by several
+ * transitions (e.g., escalate from different states) allows the union of their
+ * actors; if any of them has no actors, the trigger is open to every role.
+ * @param {Array} transitions - State machine transitions
+ * @returns {Map<string, string[]|null>} Trigger → allowed roles, or null if unrestricted
+ */
+export function collectTriggerActors(transitions) {
+  const actorsByTrigger = new Map();
+  for (const transition of transitions) {
+    if (transition.on === 'timer') continue;
+    const actors = transition.actors || [];
+    const existing = actorsByTrigger.get(transition.trigger);
+    if (actors.length === 0 || existing === null) {
+      actorsByTrigger.set(transition.trigger, null);
+    } else {
+      actorsByTrigger.set(transition.trigger, [...new Set([...(existing || []), ...actors])]);
+    }
+  }
+  return actorsByTrigger;
+}
+
+/**
+ * Build the POST /{resources}/batch operation for the governed collection.
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @param {string|null} tag - Tag from the item endpoint
+ * @returns {Object} OpenAPI operation
+ */
+export function buildBatchOperation(stateMachine, tag) {
+  const plural = `${stateMachine.object.toLowerCase()}s`;
+  const operation = {
+    summary: `Batch create, update, or delete ${plural}`,
+    description: `Apply up to 100 create, update, and delete operations in array order. ` +
+      `Operations succeed or fail independently; check each entry in results.`,
+    operationId: `batch${stateMachine.object}s`
+  };
+
+  if (tag) {
+    operation.tags = [tag];
+  }
+
+  operation.parameters = [{ $ref: './components/parameters.yaml#/IdempotencyKeyParam' }];
+  operation.requestBody = {
+    required: true,
+    content: {
+      'application/json': {
+        schema: { $ref: './components/batch.yaml#/BatchRequest' }
+      }
+    }
+  };
+  operation.responses = {
+    '200': {
+      description: 'Batch processed. Per-operation outcomes are in results.',
+      headers: {
+        'Idempotent-Replayed': { $ref: './components/headers.yaml#/IdempotentReplayed' }
+      },
+      content: {
+        'application/json': {
+          schema: { $ref: './components/batch.yaml#/BatchResponse' }
+        }
+      }
+    },
+    '400': { $ref: './components/responses.yaml#/BadRequest' },
+    '422': { $ref: './components/responses.yaml#/UnprocessableEntity' },
+    '500': { $ref: './components/responses.yaml#/InternalError' }
+  };
+
+  return operation;
+}
+
 /**
  * Generate an OpenAPI overlay for a single state machine.
  * @param {Object} stateMachine - The parsed state machine contract
  * @param {{ itemPath: string, paramRefs: Array, tag: string, schemaRef: string }} endpointInfo
+ * @param {Object} [options]
+ * @param {boolean} [options.batch=false] - Also add POST /{resources}/batch for the governed collection
  * @returns {Object} Overlay document
  */
-export function generateOverlay(stateMachine, endpointInfo) {
+export function generateOverlay(stateMachine, endpointInfo, { batch = false } = {}) {
   const { itemPath, paramRefs, tag, schemaRef } = endpointInfo;
   const requestBodies = stateMachine.requestBodies || {};
 
   const pathsUpdate = {};
+  const actorsByTrigger = collectTriggerActors(stateMachine.transitions);
 
   for (const transition of stateMachine.transitions) {
+    // Timer transitions fire automatically — they are not callable endpoints
+    if (transition.on === 'timer') continue;
+
     const rpcPath = `${itemPath}/${transition.trigger}`;
     const operationId = buildOperationId(transition.trigger, stateMachine.object);
 
@@ -191,17 +269,28 @@ export function generateOverlay(stateMachine, endpointInfo) {
       operationId
     };
 
+    // Document the roles allowed to call this endpoint
+    const actors = actorsByTrigger.get(transition.trigger);
+    if (actors) {
+      operation.description += ` Allowed roles: ${actors.join(', ')}.`;
+      operation['x-actors'] = actors;
+    }
+
     if (tag) {
       operation.tags = [tag];
     }
 
-    // Copy parameter references from the item endpoint
-    if (paramRefs.length > 0) {
-      operation.parameters = paramRefs.map(ref => {
+    // Copy parameter references from the item endpoint, then accept If-Match
+    // so callers can reject a transition on a stale copy of the resource, and
+    // Idempotency-Key so retries do not apply the transition twice
+    operation.parameters = [
+      ...paramRefs.map(ref => {
         if (ref.$ref) return { $ref: ref.$ref };
         return ref;
-      });
-    }
+      }),
+      { $ref: './components/parameters.yaml#/IfMatchParam' },
+      { $ref: './components/parameters.yaml#/IdempotencyKeyParam' }
+    ];
 
     // Add request body if defined
     const bodyDef = requestBodies[transition.trigger];
@@ -214,6 +303,10 @@ export function generateOverlay(stateMachine, endpointInfo) {
     const responses = {
       '200': {
         description: 'Transition applied successfully.',
+        headers: {
+          ETag: { $ref: './components/headers.yaml#/ETag' },
+          'Idempotent-Replayed': { $ref: './components/headers.yaml#/IdempotentReplayed' }
+        },
         content: {
           'application/json': {
             schema: schemaRef ? { $ref: schemaRef } : { type: 'object' }
@@ -223,13 +316,24 @@ export function generateOverlay(stateMachine, endpointInfo) {
       '400': { $ref: './components/responses.yaml#/BadRequest' },
       '404': { $ref: './components/responses.yaml#/NotFound' },
       '409': { $ref: './components/responses.yaml#/Conflict' },
+      '412': { $ref: './components/responses.yaml#/PreconditionFailed' },
+      '422': { $ref: './components/responses.yaml#/UnprocessableEntity' },
       '500': { $ref: './components/responses.yaml#/InternalError' }
     };
 
+    if (actors) {
+      responses['403'] = { $ref: './components/responses.yaml#/Forbidden' };
+    }
+
     operation.responses = responses;
     pathsUpdate[rpcPath] = { post: operation };
   }
 
+  if (batch) {
+    const collectionPath = itemPath.slice(0, itemPath.lastIndexOf('/'));
+    pathsUpdate[`${collectionPath}/batch`] = { post: buildBatchOperation(stateMachine, tag) };
+  }
+
   return {
     overlay: '1.0.0',
     info: {
@@ -256,10 +360,11 @@ function main() {
   const options = parseArgs();
 
   if (options.help) {
-    console.log('Usage: node scripts/generate-rpc-overlay.js --spec=<dir>');
+    console.log('Usage: node scripts/generate-rpc-overlay.js --spec=<dir> [--batch]');
     console.log('');
     console.log('Options:');
     console.log('  --spec=<dir>   Directory containing spec and state machine files');
+    console.log('  --batch        Also add POST /{resources}/batch for each governed collection');
     console.log('  --help, -h     Show this help message');
     process.exit(0);
   }
@@ -292,7 +397,7 @@ function main() {
       continue;
     }
 
-    const overlay = generateOverlay(stateMachine, endpointInfo);
+    const overlay = generateOverlay(stateMachine, endpointInfo, { batch: options.batch });
     const overlayYaml = yaml.dump(overlay, { lineWidth: 120, noRefs: true, quotingType: '"' });
     const outPath = join(outDir, `${stateMachine.domain}-rpc.yaml`);
     writeFileSync(outPath, overlayYaml, 'utf8');
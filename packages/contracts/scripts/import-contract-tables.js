@@ -288,6 +288,10 @@ function importGuards(csvData, existingDoc) {
   const guards = {};
   for (const row of csvData.data) {
     const [name, field, operator, value] = row;
+    if (operator === 'condition') {
+      guards[name] = { condition: parseJsonField(value) };
+      continue;
+    }
     const guard = { field };
     if (operator) guard.operator = operator;
     const parsed = parseJsonField(value);
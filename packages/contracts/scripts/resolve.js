@@ -32,6 +32,8 @@ import yaml from 'js-yaml';
 import { applyOverlay, checkPathExists } from '../src/overlay/overlay-resolver.js';
 import { extractConfig, validateConfig } from '../src/overlay/config.js';
 import { discoverRelationships, buildSchemaIndex, resolveRelationships, buildExamplesIndex, resolveExampleRelationships } from '../src/overlay/relationship-resolver.js';
+import { resolvePagination } from '../src/overlay/pagination-resolver.js';
+import { resolveSearch, collectSearchTypes, resolveSearchResultTypes } from '../src/overlay/search-resolver.js';
 import { bundleSpec } from '../src/bundle.js';
 import { discoverStateMachines, extractItemEndpoint, generateOverlay } from './generate-rpc-overlay.js';
 
@@ -775,6 +777,42 @@ async function main() {
     }
   }
 
+  // Validate schema-level x-search extensions and generate the
+  // SearchResultType enum from them (after overlays, which may add or
+  // rename searchable resources)
+  {
+    const { types, problems } = collectSearchTypes(currentResults);
+    for (const { relativePath, schema, message } of problems) {
+      allWarnings.push(`${relativePath}#/components/schemas/${schema}/x-search: ${message}`);
+    }
+    if (types.length > 0) {
+      for (const [relativePath, spec] of currentResults) {
+        currentResults.set(relativePath, resolveSearchResultTypes(spec, types));
+      }
+      console.log(`Search types: ${types.map(t => t.type).join(', ')}`);
+    }
+  }
+
+  // Apply the x-pagination style (after overlays and relationships, so the
+  // configured style wins over overlay edits to Pagination)
+  const paginationStyle = overlayConfig?.['x-pagination']?.style;
+  if (paginationStyle) {
+    for (const [relativePath, spec] of currentResults) {
+      currentResults.set(relativePath, resolvePagination(relativePath, spec, paginationStyle));
+    }
+    console.log(`Pagination: ${paginationStyle}`);
+  }
+
+  // Apply the x-search style (after pagination, so search operations reuse
+  // the resolved list parameters and responses)
+  const searchStyle = overlayConfig?.['x-search']?.style;
+  if (searchStyle) {
+    for (const [relativePath, spec] of currentResults) {
+      currentResults.set(relativePath, resolveSearch(relativePath, spec, searchStyle, currentResults));
+    }
+    console.log(`Search: ${searchStyle}`);
+  }
+
   // Filter by environment if --env specified
   if (options.env) {
     console.log(`Environment: ${options.env}`);
@@ -12,10 +12,11 @@
  */
 
 import { readdir } from 'fs/promises';
-import { statSync } from 'fs';
-import { join, basename, extname, resolve } from 'path';
+import { statSync, readFileSync } from 'fs';
+import { join, basename, extname, resolve, relative } from 'path';
 import $RefParser from '@apidevtools/json-schema-ref-parser';
-import { validateSpec } from '../src/validation/pattern-validator.js';
+import yaml from 'js-yaml';
+import { validateSpec, validateSearchTypes } from '../src/validation/pattern-validator.js';
 
 // =============================================================================
 // Main Script
@@ -37,6 +38,25 @@ async function findOpenAPISpecs(directory) {
   return specs;
 }
 
+/**
+ * Load every YAML file under a directory (skipping node_modules and overlays),
+ * keyed by relative path, for checks that follow $refs across files.
+ */
+async function loadYamlTree(directory, baseDir = directory, files = new Map()) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && entry.name !== 'overlays') {
+        await loadYamlTree(entryPath, baseDir, files);
+      }
+    } else if (entry.name.endsWith('.yaml')) {
+      files.set(relative(baseDir, entryPath), yaml.load(readFileSync(entryPath, 'utf8')));
+    }
+  }
+  return files;
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -125,6 +145,14 @@ Flags:
       }
     }
 
+    // Search types span specs, so they are checked once for the directory
+    if (!isSingleFile) {
+      console.log('📋 Checking x-search declarations...');
+      const errors = validateSearchTypes(await loadYamlTree(specDir));
+      allErrors.push(...errors);
+      console.log(errors.length === 0 ? '   ✅ All patterns valid\n' : `   ❌ ${errors.length} error(s)\n`);
+    }
+
     // Summary
     console.log('─'.repeat(60));
     console.log('📊 Summary\n');
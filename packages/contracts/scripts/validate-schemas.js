@@ -2,6 +2,8 @@
 /**
  * Schema Validation Script
  * Discovers YAML files with a $schema field and validates them against the declared schema.
+ * State machines are also checked for event effects that do not match their
+ * event payload schemas or request bodies.
  */
 
 import { readFileSync, readdirSync, statSync } from 'fs';
@@ -9,6 +11,7 @@ import { resolve, relative, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
 import Ajv2020 from 'ajv/dist/2020.js';
+import { validateEventPayloads } from '../src/validation/event-payload-validator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -108,13 +111,18 @@ async function main() {
 
       // Remove $schema from doc before validating (it's metadata, not part of the data)
       const { $schema, ...data } = doc;
-      const valid = validate(data);
+      const errors = validate(data) ? [] : [...validate.errors];
 
-      if (valid) {
+      // Cross-check event effects once the state machine is structurally valid
+      if (errors.length === 0 && schemaPath.endsWith('state-machine-schema.yaml')) {
+        errors.push(...validateEventPayloads(data, dirname(filePath)));
+      }
+
+      if (errors.length === 0) {
         results.push({ relFile, relSchema, valid: true });
       } else {
         hasErrors = true;
-        results.push({ relFile, relSchema, valid: false, errors: validate.errors });
+        results.push({ relFile, relSchema, valid: false, errors });
       }
     } catch (err) {
       hasErrors = true;
@@ -0,0 +1,84 @@
+/**
+ * CloudEvents 1.0 representation of domain events.
+ *
+ * A DomainEvent maps onto CloudEvents attributes as follows:
+ *
+ *   id            → id
+ *   domain, resource, action → type    org.codeforamerica.safetynet.{domain}.{resource}.{action}
+ *   domain, resource         → source  /{domain}/{resource}
+ *   resourceId    → subject
+ *   occurredAt    → time
+ *   performedById → performedbyid (extension attribute)
+ *   data          → data (datacontenttype application/json)
+ *
+ * Over HTTP, structured mode sends the whole CloudEvent as the body with
+ * Content-Type `application/cloudevents+json`; binary mode sends `data` as the
+ * body and the other attributes as `ce-` headers.
+ */
+
+export const CLOUDEVENTS_SPEC_VERSION = '1.0';
+export const CLOUDEVENTS_TYPE_PREFIX = 'org.codeforamerica.safetynet';
+export const CLOUDEVENTS_CONTENT_TYPE = 'application/cloudevents+json';
+
+/**
+ * CloudEvents `type` of a domain event action.
+ * @param {string} domain - e.g., workflow
+ * @param {string} resource - e.g., task
+ * @param {string} action - e.g., claimed
+ * @returns {string} e.g., org.codeforamerica.safetynet.workflow.task.claimed
+ */
+export function cloudEventType(domain, resource, action) {
+  return `${CLOUDEVENTS_TYPE_PREFIX}.${domain}.${resource}.${action}`;
+}
+
+/**
+ * CloudEvents `source` of a domain event.
+ * @param {string} domain - e.g., workflow
+ * @param {string} resource - e.g., task
+ * @returns {string} e.g., /workflow/task
+ */
+export function cloudEventSource(domain, resource) {
+  return `/${domain}/${resource}`;
+}
+
+/**
+ * Convert a stored DomainEvent to a structured-mode CloudEvent.
+ * @param {Object} event - DomainEvent
+ * @returns {Object} CloudEvent
+ */
+export function toCloudEvent(event) {
+  return {
+    specversion: CLOUDEVENTS_SPEC_VERSION,
+    id: event.id,
+    source: cloudEventSource(event.domain, event.resource),
+    type: cloudEventType(event.domain, event.resource, event.action),
+    subject: event.resourceId,
+    time: event.occurredAt,
+    datacontenttype: 'application/json',
+    performedbyid: event.performedById,
+    data: event.data ?? {}
+  };
+}
+
+/**
+ * Encode a DomainEvent as an HTTP message in a CloudEvents content mode.
+ * @param {Object} event - DomainEvent
+ * @param {'structured'|'binary'} mode - CloudEvents HTTP content mode
+ * @returns {{ headers: Object, body: string }}
+ */
+export function toCloudEventHttp(event, mode) {
+  const cloudEvent = toCloudEvent(event);
+  if (mode === 'structured') {
+    return {
+      headers: { 'Content-Type': CLOUDEVENTS_CONTENT_TYPE },
+      body: JSON.stringify(cloudEvent)
+    };
+  }
+
+  const { data, datacontenttype, ...attributes } = cloudEvent;
+  const headers = { 'Content-Type': datacontenttype };
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) headers[`ce-${name}`] = String(value);
+  }
+  return { headers, body: JSON.stringify(data) };
+}
@@ -0,0 +1,199 @@
+/**
+ * Pagination resolver for the `x-pagination` config.
+ *
+ * List schemas compose the shared `Pagination` component and list
+ * endpoints reference `LimitParam` and `OffsetParam`, so swapping those
+ * three components changes every list endpoint at once. The chosen style
+ * is also stamped on each API spec as a root `x-pagination` extension so
+ * the mock server and generators know which style the contract uses.
+ *
+ * Supported styles:
+ *   offset  — limit/offset query params; total, limit, offset, hasNext (default)
+ *   cursor  — limit/cursor query params; total, cursor, hasNext
+ *   page    — page/pageSize query params; total, page, pageSize, hasNext
+ *   links   — limit/cursor query params; total, limit, hasNext, links.next/prev
+ */
+
+const TOTAL = {
+  type: 'integer',
+  minimum: 0,
+  description: 'Total number of items available.'
+};
+
+const HAS_NEXT = {
+  type: 'boolean',
+  description: 'Whether more items are available beyond the current page.'
+};
+
+const LIMIT = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 100,
+  description: 'Maximum number of items requested.'
+};
+
+const CURSOR_PARAM = {
+  name: 'cursor',
+  in: 'query',
+  description: 'Opaque cursor returned by a previous page. Omit for the first page. A cursor is only valid with the `sort` it was issued for.',
+  schema: {
+    type: 'string'
+  }
+};
+
+// Fields of the base Pagination schema that every style replaces
+const OFFSET_FIELDS = ['total', 'limit', 'offset', 'hasNext'];
+
+// Replacement schemas and parameters per style (offset is the base contract)
+const STYLES = {
+  cursor: {
+    Pagination: {
+      type: 'object',
+      required: ['total', 'cursor', 'hasNext'],
+      properties: {
+        total: TOTAL,
+        cursor: {
+          type: ['string', 'null'],
+          description: 'Opaque cursor for the next page. Null when no more results.'
+        },
+        hasNext: HAS_NEXT
+      }
+    },
+    parameters: {
+      OffsetParam: CURSOR_PARAM
+    }
+  },
+  page: {
+    Pagination: {
+      type: 'object',
+      required: ['total', 'page', 'pageSize', 'hasNext'],
+      properties: {
+        total: TOTAL,
+        page: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Page number of the current page (1-based).'
+        },
+        pageSize: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          description: 'Maximum number of items per page.'
+        },
+        hasNext: HAS_NEXT
+      }
+    },
+    parameters: {
+      LimitParam: {
+        name: 'pageSize',
+        in: 'query',
+        description: 'Maximum number of items per page (1-100).',
+        schema: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 25
+        }
+      },
+      OffsetParam: {
+        name: 'page',
+        in: 'query',
+        description: 'Page number to return (1-based).',
+        schema: {
+          type: 'integer',
+          minimum: 1,
+          default: 1
+        }
+      }
+    }
+  },
+  links: {
+    Pagination: {
+      type: 'object',
+      required: ['total', 'limit', 'hasNext', 'links'],
+      properties: {
+        total: TOTAL,
+        limit: LIMIT,
+        hasNext: HAS_NEXT,
+        links: {
+          type: 'object',
+          required: ['self', 'next', 'prev'],
+          description: 'Links to this page and its neighbours. Next and prev carry an opaque cursor.',
+          properties: {
+            self: {
+              type: 'string',
+              format: 'uri-reference',
+              description: 'Link to the current page.'
+            },
+            next: {
+              type: ['string', 'null'],
+              format: 'uri-reference',
+              description: 'Link to the next page. Null on the last page.'
+            },
+            prev: {
+              type: ['string', 'null'],
+              format: 'uri-reference',
+              description: 'Link to the previous page. Null on the first page.'
+            }
+          }
+        }
+      }
+    },
+    parameters: {
+      OffsetParam: CURSOR_PARAM
+    }
+  }
+};
+
+/**
+ * Apply a pagination style to one resolved file.
+ *
+ * - `components/pagination.yaml` (defines `Pagination`): paging fields replaced
+ * - `components/parameters.yaml` (defines `OffsetParam`): parameters replaced
+ * - `*-openapi.yaml`: root `x-pagination: { style }` added
+ *
+ * Other files, and unknown styles, are returned unchanged.
+ *
+ * @param {string} relativePath - Path of the file relative to the spec root
+ * @param {object} spec - Parsed file contents
+ * @param {string} style - offset, cursor, page, or links
+ * @returns {object} Resolved file contents (a new object when changed)
+ */
+function resolvePagination(relativePath, spec, style = 'offset') {
+  if (!spec || typeof spec !== 'object') return spec;
+  if (style !== 'offset' && !STYLES[style]) return spec;
+
+  if (relativePath.endsWith('-openapi.yaml') && spec.openapi) {
+    // Keep x-pagination next to info so it reads as API-level metadata
+    const result = {};
+    for (const [key, value] of Object.entries(spec)) {
+      if (key === 'x-pagination') continue;
+      result[key] = value;
+      if (key === 'info') result['x-pagination'] = { style };
+    }
+    if (!('x-pagination' in result)) result['x-pagination'] = { style };
+    return result;
+  }
+
+  const replacement = STYLES[style];
+  if (!replacement) return spec;  // offset is the base contract
+
+  let result = spec;
+  if (spec.Pagination) {
+    // Fields that do not depend on the style (fieldFacets) carry over
+    const pagination = structuredClone(replacement.Pagination);
+    for (const [name, property] of Object.entries(spec.Pagination.properties || {})) {
+      if (!OFFSET_FIELDS.includes(name)) pagination.properties[name] = property;
+    }
+    result = { ...result, Pagination: pagination };
+  }
+  if (spec.OffsetParam) {
+    result = { ...result };
+    for (const [name, param] of Object.entries(replacement.parameters)) {
+      result[name] = structuredClone(param);
+    }
+  }
+  return result;
+}
+
+export { resolvePagination };
@@ -0,0 +1,458 @@
+/**
+ * Search resolver for the `x-search` config.
+ *
+ * Every list endpoint accepts the `q` search syntax. The other styles add
+ * operations derived from the list's item schema, so the spec, the mock
+ * server, and the generated clients agree on what can be filtered:
+ *
+ *   simple       — `q` only (default)
+ *   filtered     — typed query parameters per field: `status=pending`,
+ *                  `programType=snap,tanf`, and ranges such as
+ *                  `createdAt[gte]=2026-01-01` on numbers and dates
+ *   post-search  — `POST /{resources}/search` taking a structured filter
+ *                  body (`components/search.yaml#/SearchRequest`)
+ *
+ * The chosen style is stamped on each API spec as a root `x-search`
+ * extension, which the mock server reads.
+ *
+ * Resource schemas opt into cross-resource search (`GET /search`) with a
+ * schema-level `x-search` extension naming the result type, its URL and
+ * title templates, and its searchable, facet, and attribute fields. The
+ * resolver validates these and generates the `SearchResultType` enum from
+ * them.
+ */
+
+import { dirname, posix } from 'path';
+
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean'];
+const RANGE_FORMATS = ['date', 'date-time'];
+
+// Range operators for filtered query parameters, e.g. createdAt[gte]
+const RANGE_OPERATORS = {
+  gt: 'after',
+  gte: 'on or after',
+  lt: 'before',
+  lte: 'on or before'
+};
+
+// Query parameters that are never field filters
+const RESERVED_PARAMS = ['q', 'search', 'sort', 'facets', 'fields', 'limit', 'offset', 'cursor', 'page', 'pageSize'];
+
+/**
+ * Follow a $ref within the resolved file set.
+ * @param {string} ref - Local (`#/...`) or relative (`./file.yaml#/...`) reference
+ * @param {string} relativePath - Path of the file the reference appears in
+ * @param {Map<string, object>} files - All resolved files by relative path
+ * @returns {{ node: object|null, relativePath: string }}
+ */
+function followRef(ref, relativePath, files) {
+  const [file, pointer = ''] = ref.split('#');
+  const target = file ? posix.normalize(posix.join(dirname(relativePath), file)) : relativePath;
+  let node = files.get(target) ?? null;
+  for (const segment of pointer.split('/').filter(Boolean)) {
+    node = node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')] ?? null;
+  }
+  return { node, relativePath: target };
+}
+
+/**
+ * Dereference a schema node (repeatedly, for refs to refs).
+ */
+function deref(schema, relativePath, files) {
+  let current = { node: schema, relativePath };
+  for (let depth = 0; current.node?.$ref && depth < 10; depth++) {
+    current = followRef(current.node.$ref, current.relativePath, files);
+  }
+  return current;
+}
+
+/**
+ * Find the item schema of a list response (`items.items`), through allOf.
+ */
+function findListItems(schema, relativePath, files) {
+  const { node, relativePath: at } = deref(schema, relativePath, files);
+  if (!node || typeof node !== 'object') return null;
+  if (node.properties?.items?.type === 'array' && node.properties.items.items) {
+    return deref(node.properties.items.items, at, files);
+  }
+  for (const branch of node.allOf || []) {
+    const found = findListItems(branch, at, files);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Collect the properties of a schema, merging allOf branches.
+ * @returns {Array<{ name: string, schema: object, relativePath: string }>}
+ */
+function collectProperties(schema, relativePath, files) {
+  const { node, relativePath: at } = deref(schema, relativePath, files);
+  if (!node || typeof node !== 'object') return [];
+  const properties = new Map();
+  for (const branch of node.allOf || []) {
+    for (const property of collectProperties(branch, at, files)) properties.set(property.name, property);
+  }
+  for (const [name, prop] of Object.entries(node.properties || {})) {
+    const { node: schema, relativePath: propertyPath } = deref(prop, at, files);
+    properties.set(name, { name, schema, relativePath: propertyPath });
+  }
+  return [...properties.values()];
+}
+
+/**
+ * Derive the filterable fields of an item schema: scalar and scalar-array
+ * properties, plus scalar properties one level into nested objects
+ * (e.g., name.lastName).
+ * @param {object} itemSchema - Item schema (may be a $ref)
+ * @param {string} relativePath - Path of the file the schema appears in
+ * @param {Map<string, object>} files - All resolved files by relative path
+ * @returns {Array<{ path: string, schema: object, array: boolean, range: boolean }>}
+ */
+function collectFilterFields(itemSchema, relativePath, files) {
+  const fields = new Map();
+
+  const scalarSchema = (node) => {
+    const types = [].concat(node?.type || []).filter(t => t !== 'null');
+    if (types.length !== 1 || !SCALAR_TYPES.includes(types[0])) return null;
+    return {
+      type: types[0],
+      ...(node.format && { format: node.format }),
+      ...(Array.isArray(node.enum) && { enum: node.enum.filter(v => v !== null) })
+    };
+  };
+
+  const addField = (path, node, at) => {
+    if (!node || node.writeOnly) return;
+    const scalar = scalarSchema(node);
+    if (scalar) {
+      const range = scalar.type === 'number' || scalar.type === 'integer' ||
+        (scalar.type === 'string' && RANGE_FORMATS.includes(scalar.format));
+      fields.set(path, { path, schema: scalar, array: false, range });
+      return;
+    }
+    if ([].concat(node.type || []).includes('array')) {
+      const { node: items } = deref(node.items, at, files);
+      const itemScalar = scalarSchema(items);
+      if (itemScalar) fields.set(path, { path, schema: itemScalar, array: true, range: false });
+    }
+  };
+
+  for (const { name, schema, relativePath: at } of collectProperties(itemSchema, relativePath, files)) {
+    if (!schema || fields.has(name)) continue;
+    const isObject = [].concat(schema.type || []).includes('object') || schema.properties || schema.allOf;
+    if (!isObject) {
+      addField(name, schema, at);
+      continue;
+    }
+    for (const nested of collectProperties(schema, at, files)) {
+      if (scalarSchema(nested.schema)) addField(`${name}.${nested.name}`, nested.schema, nested.relativePath);
+    }
+  }
+
+  return [...fields.values()];
+}
+
+/**
+ * Build the filter query parameters for a list endpoint.
+ * @param {Array} fields - Result of collectFilterFields()
+ * @returns {Array<object>} OpenAPI parameter objects
+ */
+function buildFilterParameters(fields) {
+  const parameters = [];
+  for (const { path, schema, array, range } of fields) {
+    parameters.push({
+      name: path,
+      in: 'query',
+      description: array
+        ? `Filter to items whose ${path} include any of these values.`
+        : `Filter by ${path}. Several values match any of them.`,
+      explode: false,
+      schema: { type: 'array', items: { ...schema } }
+    });
+    if (!range) continue;
+    for (const [op, phrase] of Object.entries(RANGE_OPERATORS)) {
+      parameters.push({
+        name: `${path}[${op}]`,
+        in: 'query',
+        description: `Filter to items with ${path} ${phrase} this value.`,
+        schema: { ...schema }
+      });
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Build the `POST {path}/search` operation for a list operation.
+ */
+function buildSearchOperation(path, listOperation, componentsPrefix, relativePath, files) {
+  const collection = path.split('/').filter(Boolean).pop();
+  const listId = listOperation.operationId || `list${collection}`;
+  const operationId = listId.startsWith('list') ? `search${listId.slice(4)}` : `${listId}Search`;
+  // The body carries q, so only sort and paging parameters carry over
+  const parameters = (listOperation.parameters || []).filter(param =>
+    !['q', 'search'].includes(deref(param, relativePath, files).node?.name));
+
+  return {
+    post: {
+      summary: `Search ${collection} with a structured filter`,
+      description: `Same results and pagination as \`GET ${path}\`, filtered by an and/or/not expression in the request body. Sort and paging stay in the query string.`,
+      operationId,
+      ...(listOperation.tags && { tags: listOperation.tags }),
+      parameters,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { $ref: `${componentsPrefix}/search.yaml#/SearchRequest` }
+          }
+        }
+      },
+      responses: listOperation.responses
+    }
+  };
+}
+
+/**
+ * Derive the components directory prefix an API spec uses in its refs
+ * (e.g., "./components").
+ */
+function componentsPrefixOf(spec) {
+  const match = JSON.stringify(spec).match(/"\$ref":"((?:\.\.?\/)+components)\//);
+  return match ? match[1] : './components';
+}
+
+/**
+ * Apply a search style to one resolved file.
+ *
+ * Only `*-openapi.yaml` specs change: each gets a root `x-search: { style }`
+ * extension, and list endpoints (GET on a collection path returning a list
+ * with an `items` array) get filter parameters or a search operation.
+ * Unknown styles are returned unchanged.
+ *
+ * @param {string} relativePath - Path of the file relative to the spec root
+ * @param {object} spec - Parsed file contents
+ * @param {string} style - simple, filtered, or post-search
+ * @param {Map<string, object>} files - All resolved files by relative path (for $refs)
+ * @returns {object} Resolved file contents (a new object when changed)
+ */
+function resolveSearch(relativePath, spec, style = 'simple', files = new Map()) {
+  if (!spec || typeof spec !== 'object') return spec;
+  if (!['simple', 'filtered', 'post-search'].includes(style)) return spec;
+  if (!relativePath.endsWith('-openapi.yaml') || !spec.openapi) return spec;
+
+  const allFiles = new Map(files).set(relativePath, spec);
+  const componentsPrefix = componentsPrefixOf(spec);
+  const paths = {};
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    paths[path] = pathItem;
+    const list = pathItem?.get;
+    if (style === 'simple' || !list || path.includes('{') || list.operationId === 'search') continue;
+
+    const responseSchema = deref(list.responses?.['200'], relativePath, allFiles).node?.content?.['application/json']?.schema;
+    const items = responseSchema && findListItems(responseSchema, relativePath, allFiles);
+    if (!items?.node) continue;
+
+    if (style === 'filtered') {
+      const existing = new Set((list.parameters || []).map(param => param.name).filter(Boolean));
+      const fields = collectFilterFields(items.node, items.relativePath, allFiles)
+        .filter(field => !RESERVED_PARAMS.includes(field.path) && !existing.has(field.path));
+      paths[path] = {
+        ...pathItem,
+        get: { ...list, parameters: [...(list.parameters || []), ...buildFilterParameters(fields)] }
+      };
+    } else if (!spec.paths[`${path}/search`]) {
+      paths[`${path}/search`] = buildSearchOperation(path, list, componentsPrefix, relativePath, allFiles);
+    }
+  }
+
+  // Keep x-search next to info (and x-pagination) so it reads as API-level metadata
+  const result = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (key === 'x-search') continue;
+    result[key] = key === 'paths' ? paths : value;
+    if (key === (spec['x-pagination'] ? 'x-pagination' : 'info')) result['x-search'] = { style };
+  }
+  if (!('x-search' in result)) result['x-search'] = { style };
+  return result;
+}
+
+const SEARCH_TYPE_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+const ATTRIBUTE_TYPES = ['string', 'date', 'currency'];
+
+// Template placeholders: {field.path}, or {field.path|date} for the date part of a date-time
+const TEMPLATE_PLACEHOLDER = /\{([^}|]*)(?:\|([^}]*))?\}/g;
+const TEMPLATE_FORMATS = ['date'];
+
+/**
+ * Find the schema of a dot path within a schema. Numeric segments index
+ * into arrays (`household.members.0.name`).
+ * @returns {{ node: object, relativePath: string }|null}
+ */
+function resolveFieldPath(schema, path, relativePath, files) {
+  let current = deref(schema, relativePath, files);
+  for (const segment of path.split('.')) {
+    if (!current.node || typeof current.node !== 'object') return null;
+    if (/^\d+$/.test(segment)) {
+      if (![].concat(current.node.type || []).includes('array')) return null;
+      current = deref(current.node.items, current.relativePath, files);
+      continue;
+    }
+    const property = collectProperties(current.node, current.relativePath, files).find(p => p.name === segment);
+    if (!property) return null;
+    current = { node: property.schema, relativePath: property.relativePath };
+  }
+  return current.node ? current : null;
+}
+
+/**
+ * Whether a schema holds a scalar, or (with arrays allowed) an array of scalars.
+ */
+function isScalarField(field, files, { arrays = false } = {}) {
+  const types = [].concat(field.node.type || []).filter(t => t !== 'null');
+  if (types.length === 1 && SCALAR_TYPES.includes(types[0])) return true;
+  if (!arrays || !types.includes('array')) return false;
+  const items = deref(field.node.items, field.relativePath, files).node;
+  return SCALAR_TYPES.includes([].concat(items?.type || [])[0]);
+}
+
+/**
+ * Check a schema-level `x-search` extension against the schema it annotates.
+ * @param {object} config - The extension
+ * @param {object} schema - The annotated schema
+ * @param {string} relativePath - Path of the file the schema appears in
+ * @param {Map<string, object>} files - All resolved files by relative path
+ * @returns {string[]} Problems found
+ */
+function validateSearchExtension(config, schema, relativePath, files) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['must be an object'];
+  }
+
+  const problems = [];
+  const fieldExists = (path) => resolveFieldPath(schema, path, relativePath, files) !== null;
+  const checkTemplate = (key) => {
+    if (typeof config[key] !== 'string' || config[key].trim() === '') {
+      problems.push(`${key} must be a non-empty template string`);
+      return;
+    }
+    for (const [, path, format] of config[key].matchAll(TEMPLATE_PLACEHOLDER)) {
+      if (!fieldExists(path)) problems.push(`${key} references unknown field {${path}}`);
+      if (format !== undefined && !TEMPLATE_FORMATS.includes(format)) {
+        problems.push(`${key} uses unknown format |${format} (supported: ${TEMPLATE_FORMATS.join(', ')})`);
+      }
+    }
+  };
+  const checkFields = (key, { required = false, arrays = false } = {}) => {
+    const fields = config[key];
+    if (fields === undefined && !required) return;
+    if (!Array.isArray(fields) || fields.length === 0 || !fields.every(f => typeof f === 'string')) {
+      problems.push(`${key} must be a non-empty array of field paths`);
+      return;
+    }
+    for (const path of fields) {
+      const field = resolveFieldPath(schema, path, relativePath, files);
+      if (!field) problems.push(`${key} references unknown field ${path}`);
+      else if (!isScalarField(field, files, { arrays })) problems.push(`${key} field ${path} must be a ${arrays ? 'scalar or array of scalars' : 'scalar'}`);
+    }
+  };
+
+  if (typeof config.type !== 'string' || !SEARCH_TYPE_PATTERN.test(config.type)) {
+    problems.push('type must be a camelCase identifier such as person or caseNote');
+  }
+  checkTemplate('url');
+  if (typeof config.url === 'string' && !/^\/[^/{}]+\/\{[^}]+\}$/.test(config.url)) {
+    problems.push('url must be an item path such as /persons/{id}');
+  }
+  checkTemplate('title');
+  checkFields('searchableFields', { required: true });
+  checkFields('facetFields', { arrays: true });
+
+  if (config.attributes !== undefined) {
+    if (!Array.isArray(config.attributes)) {
+      problems.push('attributes must be an array');
+    } else {
+      config.attributes.forEach((attribute, i) => {
+        if (typeof attribute?.field !== 'string' || !fieldExists(attribute.field)) {
+          problems.push(`attributes[${i}].field must be a field of the schema`);
+        }
+        if (attribute?.type !== undefined && !ATTRIBUTE_TYPES.includes(attribute.type)) {
+          problems.push(`attributes[${i}].type must be one of ${ATTRIBUTE_TYPES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  const known = ['type', 'url', 'title', 'searchableFields', 'facetFields', 'attributes'];
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) problems.push(`unknown property ${key}`);
+  }
+  return problems;
+}
+
+/**
+ * Collect the schema-level `x-search` extensions of all API specs.
+ * Invalid extensions and duplicate types are reported and left out.
+ * @param {Map<string, object>} files - All resolved files by relative path
+ * @returns {{ types: Array<{ type: string, schema: string, relativePath: string, config: object }>,
+ *   problems: Array<{ relativePath: string, schema: string, message: string }> }}
+ *   types in file, then schema order
+ */
+function collectSearchTypes(files) {
+  const types = [];
+  const problems = [];
+
+  const specPaths = [...files.keys()].filter(path => path.endsWith('-openapi.yaml')).sort();
+  for (const relativePath of specPaths) {
+    const schemas = files.get(relativePath)?.components?.schemas || {};
+    for (const [schemaName, schema] of Object.entries(schemas)) {
+      const config = schema?.['x-search'];
+      if (config === undefined) continue;
+
+      const messages = validateSearchExtension(config, schema, relativePath, files);
+      const duplicate = types.find(t => t.type === config?.type);
+      if (duplicate) {
+        messages.push(`type ${config.type} is already declared by ${duplicate.relativePath}#/components/schemas/${duplicate.schema}`);
+      }
+      if (messages.length > 0) {
+        problems.push(...messages.map(message => ({ relativePath, schema: schemaName, message })));
+        continue;
+      }
+      types.push({ type: config.type, schema: schemaName, relativePath, config });
+    }
+  }
+  return { types, problems };
+}
+
+/**
+ * Generate the `SearchResultType` enum of a spec from the declared search
+ * types. Specs without a `SearchResultType` schema are returned unchanged.
+ * @param {object} spec - Parsed file contents
+ * @param {Array} types - Result of collectSearchTypes()
+ * @returns {object} Resolved file contents (a new object when changed)
+ */
+function resolveSearchResultTypes(spec, types) {
+  const resultType = spec?.components?.schemas?.SearchResultType;
+  if (!resultType) return spec;
+
+  return {
+    ...spec,
+    components: {
+      ...spec.components,
+      schemas: {
+        ...spec.components.schemas,
+        SearchResultType: { ...resultType, enum: types.map(t => t.type) }
+      }
+    }
+  };
+}
+
+export {
+  resolveSearch,
+  collectFilterFields,
+  collectSearchTypes,
+  resolveSearchResultTypes,
+  RESERVED_PARAMS
+};
@@ -0,0 +1,218 @@
+/**
+ * Cross-checks a state machine's event effects against its declared event
+ * payload schemas and request bodies.
+ *
+ * `eventPayloads` maps an event action to the schema of its `data`, inline or
+ * as a `$ref` into the OpenAPI components (relative to the state machine):
+ *
+ *   eventPayloads:
+ *     completed:
+ *       $ref: ./workflow-openapi.yaml#/components/schemas/TaskCompletedEventData
+ *     released:
+ *       type: object
+ *       properties:
+ *         reason: { type: string }
+ *
+ * Reported problems:
+ *   - `$request.<field>` values naming a field the trigger's request body
+ *     does not have, or used in timer transitions, which have no request
+ *   - `data` keys the action's payload schema does not declare
+ *   - required payload properties the effect does not set
+ *   - literal values outside the property's `enum` or `const`
+ *   - payload schemas for actions no effect emits, and unresolvable `$ref`s
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Actions the SLA clock emits for state machines with an `sla` block.
+ */
+export const SLA_EVENT_ACTIONS = ['sla_warning', 'sla_breached'];
+
+/**
+ * Follow a schema's `$ref`s to the schema they point at.
+ * @param {Object} schema - Schema, possibly a `$ref`
+ * @param {{ baseDir: string, doc: Object, files: Map }} location - Directory and document the schema sits in
+ * @returns {{ schema: Object, location: Object }}
+ * @throws {Error} When a file or JSON pointer cannot be resolved
+ */
+function followRef(schema, location) {
+  let current = schema;
+  let { baseDir, doc, files } = location;
+  const seen = new Set();
+
+  while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    const [filePart, pointer = ''] = ref.split('#');
+    if (filePart) {
+      const filePath = resolve(baseDir, filePart);
+      if (!files.has(filePath)) files.set(filePath, yaml.load(readFileSync(filePath, 'utf8')));
+      doc = files.get(filePath);
+      baseDir = dirname(filePath);
+    }
+
+    const key = `${baseDir}|${filePart}#${pointer}`;
+    if (seen.has(key)) throw new Error(`Circular $ref ${ref}`);
+    seen.add(key);
+
+    current = pointer.split('/').slice(1).reduce((node, token) => {
+      const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[name] : undefined;
+    }, doc);
+    if (current === undefined) throw new Error(`Cannot resolve $ref ${ref}`);
+  }
+
+  return { schema: current, location: { baseDir, doc, files } };
+}
+
+/**
+ * Collect the top-level properties and required fields of a schema,
+ * including those of its `allOf` entries.
+ * @returns {{ properties: Object, required: Set<string>, location: Object }}
+ */
+function collectObjectShape(schema, location) {
+  const { schema: target, location: targetLocation } = followRef(schema, location);
+  const properties = {};
+  const required = new Set(target?.required || []);
+
+  for (const [name, property] of Object.entries(target?.properties || {})) {
+    properties[name] = { property, location: targetLocation };
+  }
+  for (const entry of target?.allOf || []) {
+    const shape = collectObjectShape(entry, targetLocation);
+    Object.assign(properties, shape.properties);
+    shape.required.forEach(name => required.add(name));
+  }
+
+  return { properties, required, location: targetLocation };
+}
+
+/**
+ * Check a literal data value against its property's enum or const.
+ * @returns {string|null} Problem description, or null when the value is allowed
+ */
+function checkLiteral(value, { property, location }) {
+  const { schema } = followRef(property, location);
+  if (Array.isArray(schema?.enum) && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema && 'const' in schema && schema.const !== value) {
+    return `must be ${JSON.stringify(schema.const)}`;
+  }
+  return null;
+}
+
+/**
+ * Walk the event effects of a state machine, in onCreate, transition, and
+ * onUpdate order. Also used by the AsyncAPI generator.
+ * @param {Object} stateMachine - The parsed state machine contract
+ * @returns {Array<{ effect: Object, path: string, transition: Object|null, hook: string|null }>}
+ *   Each effect with its JSON path, and the transition that runs it or the
+ *   hook (onCreate, onUpdate) for effects outside transitions
+ */
+export function collectEventEffects(stateMachine) {
+  const results = [];
+  const add = (effects, path, transition, hook) => {
+    (effects || []).forEach((effect, index) => {
+      if (effect?.type === 'event') results.push({ effect, path: `${path}/effects/${index}`, transition, hook });
+    });
+  };
+
+  add(stateMachine.onCreate?.effects, '/onCreate', null, 'onCreate');
+  (stateMachine.transitions || []).forEach((transition, index) => {
+    add(transition.effects, `/transitions/${index}`, transition, null);
+  });
+  add(stateMachine.onUpdate?.effects, '/onUpdate', null, 'onUpdate');
+  return results;
+}
+
+/**
+ * Check `$request.*` references in an event effect's data against the
+ * trigger's request body.
+ */
+function checkRequestReferences(effect, path, transition, requestBodies, errors) {
+  if (!transition) return;
+
+  for (const [key, value] of Object.entries(effect.data || {})) {
+    if (typeof value !== 'string' || !value.startsWith('$request.')) continue;
+    const field = value.slice('$request.'.length).split('.')[0];
+
+    if (transition.on === 'timer') {
+      errors.push({ instancePath: `${path}/data/${key}`, message: `${value}: timer transitions have no request` });
+      continue;
+    }
+
+    const body = requestBodies?.[transition.trigger];
+    if (!body) continue;
+    const fields = Object.keys(body.properties || {});
+    if (!fields.includes(field)) {
+      const known = fields.length > 0 ? ` (fields: ${fields.join(', ')})` : '';
+      errors.push({
+        instancePath: `${path}/data/${key}`,
+        message: `${value}: "${field}" is not in the ${transition.trigger} request body${known}`
+      });
+    }
+  }
+}
+
+/**
+ * Validate a state machine's event effects against its event payload schemas
+ * and request bodies.
+ * @param {Object} stateMachine - Parsed state machine contract
+ * @param {string} baseDir - Directory of the state machine file, for relative `$ref`s
+ * @returns {Array<{ instancePath: string, message: string }>}
+ */
+export function validateEventPayloads(stateMachine, baseDir) {
+  const errors = [];
+  const location = { baseDir, doc: stateMachine, files: new Map() };
+
+  const shapes = new Map();
+  for (const [action, schema] of Object.entries(stateMachine.eventPayloads || {})) {
+    try {
+      shapes.set(action, collectObjectShape(schema, location));
+    } catch (error) {
+      errors.push({ instancePath: `/eventPayloads/${action}`, message: error.message });
+    }
+  }
+
+  const emitted = new Set(stateMachine.sla ? SLA_EVENT_ACTIONS : []);
+  for (const { effect, path, transition } of collectEventEffects(stateMachine)) {
+    emitted.add(effect.action);
+    const data = effect.data || {};
+    checkRequestReferences(effect, path, transition, stateMachine.requestBodies, errors);
+
+    const shape = shapes.get(effect.action);
+    if (!shape) continue;
+
+    for (const [key, value] of Object.entries(data)) {
+      const declared = shape.properties[key];
+      if (!declared) {
+        errors.push({
+          instancePath: `${path}/data/${key}`,
+          message: `"${key}" is not a property of eventPayloads.${effect.action}`
+        });
+      } else if (value !== null && typeof value !== 'object' && !(typeof value === 'string' && value.startsWith('$'))) {
+        const problem = checkLiteral(value, declared);
+        if (problem) errors.push({ instancePath: `${path}/data/${key}`, message: `${JSON.stringify(value)} ${problem}` });
+      }
+    }
+    for (const name of shape.required) {
+      if (!(name in data)) {
+        errors.push({
+          instancePath: `${path}/data`,
+          message: `missing "${name}", required by eventPayloads.${effect.action}`
+        });
+      }
+    }
+  }
+
+  for (const action of shapes.keys()) {
+    if (!emitted.has(action)) {
+      errors.push({ instancePath: `/eventPayloads/${action}`, message: `no event effect emits "${action}"` });
+    }
+  }
+
+  return errors;
+}
@@ -86,9 +86,15 @@ export function extractMetadata(spec, resourceName) {
     schemas: {},
     errorResponses: {},
     pagination: {
+      // offset | cursor | page | links — stamped by the resolver from x-pagination config
+      style: spec['x-pagination']?.style || 'offset',
       limitDefault: 25,
       limitMax: 100,
       offsetDefault: 0
+    },
+    search: {
+      // simple | filtered | post-search — stamped by the resolver from x-search config
+      style: spec['x-search']?.style || 'simple'
     }
   };
   
@@ -3,12 +3,19 @@
  *
  * Validates that OpenAPI specs follow established API design patterns:
  * - Search: List endpoints must use SearchQueryParam
+ * - Sorting: List endpoints must have SortParam
  * - Pagination: List endpoints must have LimitParam and OffsetParam
  * - List Response: Must have items, total, limit, offset, hasNext
  * - Consistent HTTP methods and response codes
+ * - ETags: updatable resources document ETag, If-Match/If-None-Match, 412 and 304
+ * - Sparse fieldsets: resource GET endpoints accept the fields parameter
  * - FK fields (ending in Id, format: uuid) must declare x-relationship
+ * - Search: schema-level x-search extensions are valid and the SearchResultType
+ *   enum lists the types they declare
  */
 
+import { collectSearchTypes } from '../overlay/search-resolver.js';
+
 // =============================================================================
 // Foreign Key Validation Helpers
 // =============================================================================
@@ -112,6 +119,18 @@ export function validateListEndpointParameters(path, operation, errors) {
     });
   }
 
+  // Must have SortParam
+  const hasSortParam = paramRefs.some(ref => ref.includes('SortParam')) ||
+                       paramNames.includes('sort');
+  if (!hasSortParam) {
+    errors.push({
+      path,
+      rule: 'list-endpoint-sort-param',
+      message: `GET ${path} must reference SortParam or have 'sort' parameter`,
+      severity: 'error'
+    });
+  }
+
   // Must have LimitParam
   const hasLimitParam = paramRefs.some(ref => ref.includes('LimitParam')) ||
                         paramNames.includes('limit');
@@ -301,6 +320,77 @@ export function validateSingleResourceGet(path, operation, errors) {
   }
 }
 
+/**
+ * Validates that an operation on an updatable resource documents ETags and
+ * conditional requests: an ETag header on the 200 response, If-None-Match
+ * with a 304 response on GET, and If-Match with a 412 response on PATCH and
+ * transition (RPC) endpoints.
+ * @param {string} path - The endpoint path
+ * @param {string} method - The HTTP method
+ * @param {Object} operation - The OpenAPI operation object
+ * @param {Array} errors - Array to push errors to
+ * @param {Array} [pathParameters] - Parameters declared on the path item
+ */
+export function validateConditionalRequests(path, method, operation, errors, pathParameters = []) {
+  const label = `${method.toUpperCase()} ${path}`;
+  const isRead = method === 'get';
+  const header = isRead ? 'If-None-Match' : 'If-Match';
+  const paramRef = isRead ? 'IfNoneMatchParam' : 'IfMatchParam';
+  const status = isRead ? '304' : '412';
+  const params = [...pathParameters, ...(operation.parameters || [])];
+
+  if (operation.responses?.['200'] && !operation.responses['200'].headers?.ETag) {
+    errors.push({
+      path,
+      rule: 'etag-response-header',
+      message: `${label} 200 response should have ETag header`,
+      severity: 'warn'
+    });
+  }
+
+  const hasHeaderParam = params.some(p => p.$ref?.includes(paramRef) ||
+                                          (p.in === 'header' && p.name === header));
+  if (!hasHeaderParam) {
+    errors.push({
+      path,
+      rule: isRead ? 'etag-if-none-match-param' : 'etag-if-match-param',
+      message: `${label} should reference ${paramRef} or have '${header}' header parameter`,
+      severity: 'warn'
+    });
+  }
+
+  if (!operation.responses?.[status]) {
+    errors.push({
+      path,
+      rule: isRead ? 'etag-304-response' : 'etag-412-response',
+      message: `${label} should document ${status} ${isRead ? 'Not Modified' : 'Precondition Failed'}`,
+      severity: 'warn'
+    });
+  }
+}
+
+/**
+ * Validates that a GET endpoint returning a resource or a list of resources
+ * accepts the `fields` parameter for sparse fieldsets.
+ * @param {string} path - The endpoint path
+ * @param {Object} operation - The OpenAPI operation object
+ * @param {Array} errors - Array to push errors to
+ * @param {Array} [pathParameters] - Parameters declared on the path item
+ */
+export function validateSparseFieldsets(path, operation, errors, pathParameters = []) {
+  const params = [...pathParameters, ...(operation.parameters || [])];
+  const hasFieldsParam = params.some(p => p.$ref?.includes('FieldsParam') ||
+                                          (p.in === 'query' && p.name === 'fields'));
+  if (!hasFieldsParam) {
+    errors.push({
+      path,
+      rule: 'sparse-fieldsets',
+      message: `GET ${path} should reference FieldsParam or have 'fields' parameter`,
+      severity: 'warn'
+    });
+  }
+}
+
 /**
  * Validates that error responses use shared response definitions
  * @param {string} path - The endpoint path
@@ -381,6 +471,49 @@ export function isActionPath(path) {
   return path.substring(lastBrace + 1).includes('/');
 }
 
+/**
+ * Get the collection path of an item path (/tasks/{taskId} => /tasks)
+ * @param {string} path - The endpoint path
+ * @returns {string|null} Null when the path is not an item path
+ */
+export function collectionPathOf(path) {
+  const match = path.match(/^(\/[^{}]+)\/\{[^}]+\}$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Validates schema-level x-search extensions across specs, and that every
+ * SearchResultType enum lists exactly the declared types in resolver order.
+ * @param {Map<string, object>} files - Spec and component files by relative path
+ * @returns {Array} Array of validation errors
+ */
+export function validateSearchTypes(files) {
+  const { types, problems } = collectSearchTypes(files);
+  const errors = problems.map(({ relativePath, schema, message }) => ({
+    spec: relativePath,
+    path: `components/schemas/${schema}/x-search`,
+    rule: 'search-extension',
+    message: `Schema "${schema}": x-search ${message}`,
+    severity: 'error'
+  }));
+
+  const expected = types.map(t => t.type);
+  for (const [relativePath, spec] of files) {
+    const actual = spec?.components?.schemas?.SearchResultType?.enum;
+    if (!relativePath.endsWith('-openapi.yaml') || !actual) continue;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      errors.push({
+        spec: relativePath,
+        path: 'components/schemas/SearchResultType/enum',
+        rule: 'search-result-type-enum',
+        message: `SearchResultType enum must list the x-search types [${expected.join(', ')}], found [${actual.join(', ')}]`,
+        severity: 'error'
+      });
+    }
+  }
+  return errors;
+}
+
 /**
  * Main validation function for a single spec
  * @param {Object} spec - The OpenAPI spec object
@@ -404,9 +537,20 @@ export function validateSpec(spec, specName) {
         // List endpoint validations
         validateListEndpointParameters(path, methods.get, errors);
         validateListResponseSchema(path, methods.get, errors);
+        // Resource collections (with an item path) support sparse fieldsets
+        if (Object.keys(spec.paths).some(p => collectionPathOf(p) === path)) {
+          validateSparseFieldsets(path, methods.get, errors, methods.parameters);
+        }
       } else if (isSingleResourcePath(path)) {
         // Single resource GET validations
         validateSingleResourceGet(path, methods.get, errors);
+        if (spec.paths[collectionPathOf(path)]) {
+          validateSparseFieldsets(path, methods.get, errors, methods.parameters);
+        }
+        // Updatable resources support conditional GET
+        if (methods.patch) {
+          validateConditionalRequests(path, 'get', methods.get, errors, methods.parameters);
+        }
       }
     }
 
@@ -414,6 +558,8 @@ export function validateSpec(spec, specName) {
     if (methods.post) {
       if (!isActionPath(path)) {
         validatePostEndpoint(path, methods.post, errors);
+      } else {
+        validateConditionalRequests(path, 'post', methods.post, errors, methods.parameters);
       }
       validateSharedErrorResponses(path, 'post', methods.post, errors);
     }
@@ -421,6 +567,7 @@ export function validateSpec(spec, specName) {
     // Validate PATCH endpoints
     if (methods.patch) {
       validatePatchEndpoint(path, methods.patch, errors);
+      validateConditionalRequests(path, 'patch', methods.patch, errors, methods.parameters);
       validateSharedErrorResponses(path, 'patch', methods.patch, errors);
     }
 
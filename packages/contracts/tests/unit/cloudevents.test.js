@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the CloudEvents representation of domain events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { toCloudEvent, toCloudEventHttp, cloudEventType, cloudEventSource } from '../../src/events/cloudevents.js';
+
+const event = {
+  id: '7c0e2d5a-4f1b-4c3e-9a8d-2b6f1e0c9d34',
+  domain: 'workflow',
+  resource: 'task',
+  action: 'completed',
+  resourceId: 'd4e5f6a7-b8c9-0d1e-2f3a-4b5c6d7e8f90',
+  performedById: 'worker-1',
+  occurredAt: '2026-03-02T10:00:00Z',
+  data: { outcome: 'approved' },
+  createdAt: '2026-03-02T10:00:00Z',
+  updatedAt: '2026-03-02T10:00:00Z'
+};
+
+test('cloudEventType and cloudEventSource — derived from domain, resource, and action', () => {
+  assert.strictEqual(cloudEventType('workflow', 'task', 'claimed'), 'org.codeforamerica.safetynet.workflow.task.claimed');
+  assert.strictEqual(cloudEventSource('workflow', 'task'), '/workflow/task');
+});
+
+test('toCloudEvent — maps the DomainEvent envelope to CloudEvents attributes', () => {
+  assert.deepStrictEqual(toCloudEvent(event), {
+    specversion: '1.0',
+    id: event.id,
+    source: '/workflow/task',
+    type: 'org.codeforamerica.safetynet.workflow.task.completed',
+    subject: event.resourceId,
+    time: '2026-03-02T10:00:00Z',
+    datacontenttype: 'application/json',
+    performedbyid: 'worker-1',
+    data: { outcome: 'approved' }
+  });
+  assert.deepStrictEqual(toCloudEvent({ ...event, data: undefined }).data, {});
+});
+
+test('toCloudEventHttp — structured mode sends the whole CloudEvent', () => {
+  const { headers, body } = toCloudEventHttp(event, 'structured');
+  assert.deepStrictEqual(headers, { 'Content-Type': 'application/cloudevents+json' });
+  assert.deepStrictEqual(JSON.parse(body), toCloudEvent(event));
+});
+
+test('toCloudEventHttp — binary mode sends data as the body and attributes as ce- headers', () => {
+  const { headers, body } = toCloudEventHttp(event, 'binary');
+  assert.deepStrictEqual(headers, {
+    'Content-Type': 'application/json',
+    'ce-specversion': '1.0',
+    'ce-id': event.id,
+    'ce-source': '/workflow/task',
+    'ce-type': 'org.codeforamerica.safetynet.workflow.task.completed',
+    'ce-subject': event.resourceId,
+    'ce-time': '2026-03-02T10:00:00Z',
+    'ce-performedbyid': 'worker-1'
+  });
+  assert.deepStrictEqual(JSON.parse(body), { outcome: 'approved' });
+});
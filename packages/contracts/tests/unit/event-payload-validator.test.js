@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the event payload validator
+ * Tests event effect data against eventPayloads schemas and request bodies
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { validateEventPayloads, collectEventEffects } from '../../src/validation/event-payload-validator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function withTempDir(fn) {
+  const tmpDir = join(__dirname, `tmp-event-payloads-${Date.now()}`);
+  mkdirSync(tmpDir, { recursive: true });
+  try {
+    return fn(tmpDir);
+  } finally {
+    rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function stateMachine({ data, eventPayloads, timerData } = {}) {
+  return {
+    domain: 'workflow',
+    object: 'Task',
+    sla: { duration: '30d' },
+    transitions: [
+      {
+        trigger: 'complete', from: 'in_progress', to: 'completed',
+        effects: [
+          { type: 'set', field: 'outcome', value: '$request.outcome' },
+          { type: 'event', action: 'completed', data: data ?? { outcome: '$request.outcome' } }
+        ]
+      },
+      {
+        trigger: 'auto-escalate', from: 'pending', to: 'escalated', on: 'timer', after: '72h', relativeTo: 'createdAt',
+        effects: [{ type: 'event', action: 'auto_escalated', data: timerData ?? { reason: 'deadline_exceeded' } }]
+      }
+    ],
+    requestBodies: {
+      complete: { type: 'object', properties: { outcome: { type: 'string' }, notes: { type: 'string' } }, required: ['outcome'] }
+    },
+    eventPayloads: eventPayloads ?? {
+      completed: { type: 'object', additionalProperties: false, required: ['outcome'], properties: { outcome: { type: 'string' } } },
+      auto_escalated: {
+        type: 'object',
+        required: ['reason'],
+        properties: { reason: { type: 'string', enum: ['deadline_exceeded', 'sla_deadline_approaching'] } }
+      }
+    }
+  };
+}
+
+test('collectEventEffects — lists event effects with their paths, transitions, and hooks', () => {
+  const machine = {
+    ...stateMachine(),
+    onCreate: { effects: [{ type: 'set', field: 'status', value: 'pending' }, { type: 'event', action: 'created' }] }
+  };
+  const effects = collectEventEffects(machine);
+
+  assert.deepStrictEqual(effects.map(({ effect, path, hook }) => [effect.action, path, hook]), [
+    ['created', '/onCreate/effects/1', 'onCreate'],
+    ['completed', '/transitions/0/effects/1', null],
+    ['auto_escalated', '/transitions/1/effects/0', null]
+  ]);
+  assert.strictEqual(effects[1].transition.trigger, 'complete');
+  assert.strictEqual(effects[0].transition, null);
+});
+
+test('validateEventPayloads — accepts effects that match their payloads', () => {
+  assert.deepStrictEqual(validateEventPayloads(stateMachine(), __dirname), []);
+});
+
+test('validateEventPayloads — reports $request fields missing from the request body', () => {
+  const errors = validateEventPayloads(stateMachine({ data: { outcome: '$request.outcom' } }), __dirname);
+  assert.deepStrictEqual(errors, [{
+    instancePath: '/transitions/0/effects/1/data/outcome',
+    message: '$request.outcom: "outcom" is not in the complete request body (fields: outcome, notes)'
+  }]);
+
+  const timerErrors = validateEventPayloads(stateMachine({ timerData: { reason: '$request.reason' } }), __dirname);
+  assert.deepStrictEqual(timerErrors.map(e => e.message), ['$request.reason: timer transitions have no request']);
+});
+
+test('validateEventPayloads — reports undeclared keys, missing required keys, and bad literals', () => {
+  const errors = validateEventPayloads(stateMachine({
+    data: { notes: '$request.notes' },
+    timerData: { reason: 'deadline_missed' }
+  }), __dirname);
+
+  assert.deepStrictEqual(errors, [
+    { instancePath: '/transitions/0/effects/1/data/notes', message: '"notes" is not a property of eventPayloads.completed' },
+    { instancePath: '/transitions/0/effects/1/data', message: 'missing "outcome", required by eventPayloads.completed' },
+    {
+      instancePath: '/transitions/1/effects/0/data/reason',
+      message: '"deadline_missed" must be one of: deadline_exceeded, sla_deadline_approaching'
+    }
+  ]);
+});
+
+test('validateEventPayloads — resolves $refs into OpenAPI components', () => {
+  withTempDir((tmpDir) => {
+    writeFileSync(join(tmpDir, 'workflow-openapi.yaml'), yaml.dump({
+      openapi: '3.1.0',
+      components: {
+        schemas: {
+          TaskCompletedEventData: {
+            allOf: [{ $ref: '#/components/schemas/Outcome' }, { properties: { notes: { type: 'string' } } }]
+          },
+          Outcome: { type: 'object', required: ['outcome'], properties: { outcome: { type: 'string' } } }
+        }
+      }
+    }));
+
+    const eventPayloads = {
+      completed: { $ref: './workflow-openapi.yaml#/components/schemas/TaskCompletedEventData' },
+      auto_escalated: { type: 'object', properties: { reason: { type: 'string' } } }
+    };
+    assert.deepStrictEqual(validateEventPayloads(stateMachine({ eventPayloads }), tmpDir), []);
+
+    const missing = validateEventPayloads(stateMachine({ data: { notes: '$request.notes' }, eventPayloads }), tmpDir);
+    assert.deepStrictEqual(missing.map(e => e.message), ['missing "outcome", required by eventPayloads.completed']);
+
+    const broken = validateEventPayloads(stateMachine({
+      eventPayloads: { ...eventPayloads, completed: { $ref: './workflow-openapi.yaml#/components/schemas/Nope' } }
+    }), tmpDir);
+    assert.deepStrictEqual(broken, [{
+      instancePath: '/eventPayloads/completed',
+      message: 'Cannot resolve $ref ./workflow-openapi.yaml#/components/schemas/Nope'
+    }]);
+  });
+});
+
+test('validateEventPayloads — reports payloads for actions nothing emits', () => {
+  const sm = stateMachine();
+  sm.eventPayloads.claimed = { type: 'object' };
+  sm.eventPayloads.sla_breached = { type: 'object' };
+
+  assert.deepStrictEqual(validateEventPayloads(sm, __dirname),
+    [{ instancePath: '/eventPayloads/claimed', message: 'no event effect emits "claimed"' }],
+    'SLA clock actions count as emitted for state machines with an sla block');
+});
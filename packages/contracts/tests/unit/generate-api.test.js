@@ -5,6 +5,7 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
+import yaml from 'js-yaml';
 import {
   parseArgs,
   toKebabCase,
@@ -174,6 +175,17 @@ test('generate-api tests', async (t) => {
     }
   });
 
+  await t.test('parseArgs - parses --batch', () => {
+    const original = process.argv;
+    try {
+      process.argv = ['node', 'generate-api.js', '--name', 'x', '--resource', 'X', '--batch'];
+      const opts = parseArgs();
+      assert.strictEqual(opts.batch, true);
+    } finally {
+      process.argv = original;
+    }
+  });
+
   await t.test('parseArgs - defaults when no args given', () => {
     const original = process.argv;
     try {
@@ -183,6 +195,7 @@ test('generate-api tests', async (t) => {
       assert.strictEqual(opts.resource, null);
       assert.strictEqual(opts.out, null);
       assert.strictEqual(opts.ref, null);
+      assert.strictEqual(opts.batch, false);
       assert.strictEqual(opts.help, false);
     } finally {
       process.argv = original;
@@ -255,4 +268,18 @@ test('generate-api tests', async (t) => {
     assert.ok(spec.includes('      value:'));
   });
 
+  await t.test('generateApiSpec - omits the batch path by default', () => {
+    const spec = generateApiSpec('benefits', 'Benefit');
+    assert.ok(!spec.includes('"/benefits/batch"'));
+  });
+
+  await t.test('generateApiSpec - batch option adds POST /{resources}/batch', () => {
+    const spec = yaml.load(generateApiSpec('benefits', 'Benefit', './components', { batch: true }));
+    const operation = spec.paths['/benefits/batch'].post;
+    assert.strictEqual(operation.operationId, 'batchBenefits');
+    assert.deepStrictEqual(operation.parameters, [{ $ref: './components/parameters.yaml#/IdempotencyKeyParam' }]);
+    assert.strictEqual(operation.requestBody.content['application/json'].schema.$ref, './components/batch.yaml#/BatchRequest');
+    assert.strictEqual(operation.responses['200'].content['application/json'].schema.$ref, './components/batch.yaml#/BatchResponse');
+  });
+
 });
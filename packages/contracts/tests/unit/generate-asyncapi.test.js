@@ -0,0 +1,153 @@
+/**
+ * Unit tests for the AsyncAPI generator
+ * Tests typed event payload schemas inferred from state machine event effects
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  groupEventEffects,
+  inferValueSchema,
+  buildDataSchema,
+  addStateMachineEvents,
+  createDocument,
+  pascalCase
+} from '../../scripts/generate-asyncapi.js';
+
+const sampleStateMachine = {
+  domain: 'workflow',
+  object: 'Task',
+  apiSpec: 'workflow-openapi.yaml',
+  states: { pending: {}, in_progress: {}, escalated: {} },
+  initialState: 'pending',
+  sla: { duration: '30d' },
+  onCreate: { effects: [{ type: 'event', action: 'created' }] },
+  transitions: [
+    {
+      trigger: 'claim', from: 'pending', to: 'in_progress',
+      effects: [{ type: 'set', field: 'assignedToId', value: '$caller.id' }, { type: 'event', action: 'claimed' }]
+    },
+    {
+      trigger: 'escalate', from: 'in_progress', to: 'escalated',
+      effects: [{ type: 'event', action: 'escalated', data: { reason: '$request.reason', notes: '$request.notes', at: '$now' } }]
+    },
+    {
+      trigger: 'escalate', from: 'pending', to: 'escalated',
+      effects: [{ type: 'event', action: 'escalated', data: { reason: '$request.reason', queueId: '$object.queueId' } }]
+    },
+    {
+      trigger: 'auto-escalate', from: 'pending', to: 'escalated', on: 'timer', after: '72h', relativeTo: 'createdAt',
+      effects: [{ type: 'event', action: 'auto_escalated', data: { reason: 'deadline_exceeded' } }]
+    },
+    {
+      trigger: 'auto-escalate-sla', from: 'in_progress', to: 'escalated', on: 'timer', after: '-48h', relativeTo: 'slaDeadline',
+      effects: [{ type: 'event', action: 'auto_escalated', data: { reason: 'sla_deadline_approaching' } }]
+    }
+  ],
+  requestBodies: {
+    escalate: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the task is being escalated' },
+        notes: { type: 'string' }
+      },
+      required: ['reason']
+    }
+  }
+};
+
+const objectInfo = {
+  objectSchema: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string' }, queueId: { type: 'string', format: 'uuid' } }
+  },
+  objectRef: './workflow-openapi.yaml#/components/schemas/Task'
+};
+
+test('pascalCase — joins hyphenated and snake_case words', () => {
+  assert.strictEqual(pascalCase('de-escalated'), 'DeEscalated');
+  assert.strictEqual(pascalCase('awaiting_client'), 'AwaitingClient');
+  assert.strictEqual(pascalCase('workflow'), 'Workflow');
+});
+
+test('groupEventEffects — groups event effects by action', () => {
+  const byAction = groupEventEffects(sampleStateMachine);
+  assert.deepStrictEqual([...byAction.keys()], ['created', 'claimed', 'escalated', 'auto_escalated']);
+  assert.strictEqual(byAction.get('created')[0].hook, 'onCreate');
+  assert.deepStrictEqual(byAction.get('escalated').map(o => o.transition.from), ['in_progress', 'pending']);
+});
+
+test('inferValueSchema — types request, object, caller, clock, and literal values', () => {
+  const requestBody = sampleStateMachine.requestBodies.escalate;
+  assert.deepStrictEqual(inferValueSchema('$request.reason', { requestBody }),
+    { type: 'string', description: 'Why the task is being escalated' });
+  assert.deepStrictEqual(inferValueSchema('$request.notes', { requestBody }), { type: ['string', 'null'] },
+    'optional request fields are nullable');
+  assert.deepStrictEqual(inferValueSchema('$object.queueId', objectInfo), {
+    oneOf: [{ $ref: './workflow-openapi.yaml#/components/schemas/Task/properties/queueId' }, { type: 'null' }]
+  });
+  assert.deepStrictEqual(inferValueSchema('$object.id', objectInfo),
+    { $ref: './workflow-openapi.yaml#/components/schemas/Task/properties/id' });
+  assert.deepStrictEqual(inferValueSchema('$caller.id'), { type: 'string' });
+  assert.deepStrictEqual(inferValueSchema('$now'), { type: 'string', format: 'date-time' });
+  assert.deepStrictEqual(inferValueSchema('deadline_exceeded'), { type: 'string', const: 'deadline_exceeded' });
+  assert.deepStrictEqual(inferValueSchema(true), { type: 'boolean', const: true });
+  assert.deepStrictEqual(inferValueSchema('$request.outcome', { requestBody }), {}, 'unknown fields are untyped');
+});
+
+test('buildDataSchema — merges effects of the same action', () => {
+  const byAction = groupEventEffects(sampleStateMachine);
+
+  const escalated = buildDataSchema(byAction.get('escalated'), sampleStateMachine, objectInfo);
+  assert.deepStrictEqual(escalated.required, ['reason'], 'only keys every effect sets are required');
+  assert.deepStrictEqual(Object.keys(escalated.properties), ['reason', 'notes', 'at', 'queueId']);
+  assert.strictEqual(escalated.additionalProperties, false);
+
+  const autoEscalated = buildDataSchema(byAction.get('auto_escalated'), sampleStateMachine, objectInfo);
+  assert.deepStrictEqual(autoEscalated.properties.reason,
+    { type: 'string', enum: ['deadline_exceeded', 'sla_deadline_approaching'] });
+
+  const claimed = buildDataSchema(byAction.get('claimed'), sampleStateMachine, objectInfo);
+  assert.deepStrictEqual(claimed, { type: 'object', additionalProperties: false, properties: {} });
+});
+
+test('addStateMachineEvents — one message per action on the resource channel', () => {
+  const document = createDocument('workflow');
+  addStateMachineEvents(document, sampleStateMachine, objectInfo);
+
+  assert.strictEqual(document.asyncapi, '3.0.0');
+  assert.deepStrictEqual(Object.keys(document.channels.taskEvents.messages),
+    ['TaskCreated', 'TaskClaimed', 'TaskEscalated', 'TaskAutoEscalated', 'TaskSlaBreached'],
+    'SLA events are added for state machines with an sla block; sla_warning only with warningBefore');
+
+  const message = document.components.messages.TaskEscalated;
+  assert.strictEqual(message.name, 'task.escalated');
+  assert.strictEqual(message.summary, 'Emitted by the escalate transition (in_progress, pending → escalated).');
+  assert.strictEqual(message['x-cloudevents-type'], 'org.codeforamerica.safetynet.workflow.task.escalated');
+
+  const [envelope, typed] = document.components.schemas.TaskEscalated.allOf;
+  assert.deepStrictEqual(envelope, { $ref: './components/events.yaml#/DomainEvent' });
+  assert.deepStrictEqual(typed.properties.action, { const: 'escalated' });
+  assert.deepStrictEqual(typed.properties.data, { $ref: '#/components/schemas/TaskEscalatedData' });
+
+  assert.deepStrictEqual(document.operations.receiveTaskEvents.messages.map(m => m.$ref).slice(0, 2), [
+    '#/channels/taskEvents/messages/TaskCreated',
+    '#/channels/taskEvents/messages/TaskClaimed'
+  ]);
+});
+
+test('addStateMachineEvents — declared eventPayloads replace inferred data schemas', () => {
+  const document = createDocument('workflow');
+  const escalatedRef = { $ref: './workflow-openapi.yaml#/components/schemas/TaskEscalatedEventData' };
+  addStateMachineEvents(document, {
+    ...sampleStateMachine,
+    eventPayloads: { escalated: escalatedRef, sla_breached: { type: 'object' } }
+  }, objectInfo);
+
+  assert.deepStrictEqual(document.components.schemas.TaskEscalatedData, escalatedRef,
+    '$refs are kept as written, relative to the specs directory');
+  assert.deepStrictEqual(document.components.schemas.TaskSlaBreachedData, { type: 'object' });
+  assert.strictEqual(document.components.schemas.TaskClaimedData.additionalProperties, false,
+    'actions without a declared payload are still inferred');
+});
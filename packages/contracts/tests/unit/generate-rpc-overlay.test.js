@@ -14,7 +14,8 @@ import {
   discoverStateMachines,
   extractItemEndpoint,
   generateOverlay,
-  buildOperationId
+  buildOperationId,
+  collectTriggerActors
 } from '../../scripts/generate-rpc-overlay.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -210,6 +211,21 @@ test('generateOverlay — creates one path per transition', () => {
   assert.strictEqual(Object.keys(paths).length, 3);
 });
 
+test('generateOverlay — skips timer transitions', () => {
+  const withTimer = {
+    ...sampleStateMachine,
+    transitions: [
+      ...sampleStateMachine.transitions,
+      { trigger: 'auto-escalate', from: 'pending', to: 'escalated', on: 'timer', after: '72h', relativeTo: 'createdAt' }
+    ]
+  };
+  const overlay = generateOverlay(withTimer, sampleEndpointInfo);
+  const paths = overlay.actions[0].update;
+
+  assert.strictEqual(paths['/tasks/{taskId}/auto-escalate'], undefined);
+  assert.strictEqual(Object.keys(paths).length, 3);
+});
+
 test('generateOverlay — each path has POST operation', () => {
   const overlay = generateOverlay(sampleStateMachine, sampleEndpointInfo);
   const paths = overlay.actions[0].update;
@@ -227,8 +243,42 @@ test('generateOverlay — includes parameter refs', () => {
   const overlay = generateOverlay(sampleStateMachine, sampleEndpointInfo);
   const claimOp = overlay.actions[0].update['/tasks/{taskId}/claim'].post;
 
-  assert.strictEqual(claimOp.parameters.length, 1);
+  assert.strictEqual(claimOp.parameters.length, 3);
   assert.strictEqual(claimOp.parameters[0].$ref, '#/components/parameters/TaskIdParam');
+  assert.strictEqual(claimOp.parameters[1].$ref, './components/parameters.yaml#/IfMatchParam');
+  assert.strictEqual(claimOp.parameters[2].$ref, './components/parameters.yaml#/IdempotencyKeyParam');
+});
+
+test('generateOverlay — documents idempotent replays', () => {
+  const overlay = generateOverlay(sampleStateMachine, sampleEndpointInfo);
+  const claimOp = overlay.actions[0].update['/tasks/{taskId}/claim'].post;
+
+  assert.strictEqual(claimOp.responses['200'].headers['Idempotent-Replayed'].$ref, './components/headers.yaml#/IdempotentReplayed');
+  assert.strictEqual(claimOp.responses['422'].$ref, './components/responses.yaml#/UnprocessableEntity');
+});
+
+test('generateOverlay — documents ETag and 412 for conditional transitions', () => {
+  const overlay = generateOverlay(sampleStateMachine, sampleEndpointInfo);
+  const claimOp = overlay.actions[0].update['/tasks/{taskId}/claim'].post;
+
+  assert.strictEqual(claimOp.responses['200'].headers.ETag.$ref, './components/headers.yaml#/ETag');
+  assert.strictEqual(claimOp.responses['412'].$ref, './components/responses.yaml#/PreconditionFailed');
+});
+
+test('generateOverlay — omits the batch path by default', () => {
+  const paths = generateOverlay(sampleStateMachine, sampleEndpointInfo).actions[0].update;
+  assert.strictEqual(paths['/tasks/batch'], undefined);
+});
+
+test('generateOverlay — batch option adds POST /{resources}/batch', () => {
+  const paths = generateOverlay(sampleStateMachine, sampleEndpointInfo, { batch: true }).actions[0].update;
+  const batchOp = paths['/tasks/batch'].post;
+
+  assert.strictEqual(batchOp.operationId, 'batchTasks');
+  assert.deepStrictEqual(batchOp.tags, ['Tasks']);
+  assert.deepStrictEqual(batchOp.parameters, [{ $ref: './components/parameters.yaml#/IdempotencyKeyParam' }]);
+  assert.strictEqual(batchOp.requestBody.content['application/json'].schema.$ref, './components/batch.yaml#/BatchRequest');
+  assert.strictEqual(batchOp.responses['200'].content['application/json'].schema.$ref, './components/batch.yaml#/BatchResponse');
 });
 
 test('generateOverlay — includes tags from API spec', () => {
@@ -274,3 +324,36 @@ test('generateOverlay — correct operationIds', () => {
   assert.strictEqual(paths['/tasks/{taskId}/complete'].post.operationId, 'completeTask');
   assert.strictEqual(paths['/tasks/{taskId}/release'].post.operationId, 'releaseTask');
 });
+
+test('generateOverlay — documents allowed roles and adds 403 for transitions with actors', () => {
+  const withActors = {
+    ...sampleStateMachine,
+    transitions: [
+      ...sampleStateMachine.transitions,
+      { trigger: 'cancel', from: 'pending', to: 'cancelled', actors: ['supervisor'], effects: [] }
+    ]
+  };
+  const paths = generateOverlay(withActors, sampleEndpointInfo).actions[0].update;
+
+  const cancelOp = paths['/tasks/{taskId}/cancel'].post;
+  assert.deepStrictEqual(cancelOp['x-actors'], ['supervisor']);
+  assert.ok(cancelOp.description.includes('Allowed roles: supervisor.'));
+  assert.strictEqual(cancelOp.responses['403'].$ref, './components/responses.yaml#/Forbidden');
+
+  const claimOp = paths['/tasks/{taskId}/claim'].post;
+  assert.strictEqual(claimOp['x-actors'], undefined);
+  assert.strictEqual(claimOp.responses['403'], undefined);
+});
+
+test('collectTriggerActors — unions actors across transitions sharing a trigger', () => {
+  const actors = collectTriggerActors([
+    { trigger: 'escalate', from: 'in_progress', actors: ['caseworker'] },
+    { trigger: 'escalate', from: 'pending', actors: ['supervisor'] },
+    { trigger: 'resume', from: 'awaiting_client', actors: ['caseworker'] },
+    { trigger: 'resume', from: 'awaiting_verification', actors: [] },
+    { trigger: 'auto-escalate', from: 'pending', on: 'timer', actors: ['system'] }
+  ]);
+  assert.deepStrictEqual(actors.get('escalate'), ['caseworker', 'supervisor']);
+  assert.strictEqual(actors.get('resume'), null);
+  assert.strictEqual(actors.has('auto-escalate'), false);
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for pagination-resolver.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { resolvePagination } from '../../src/overlay/pagination-resolver.js';
+
+const paginationFile = {
+  Pagination: {
+    type: 'object',
+    required: ['total', 'limit', 'offset', 'hasNext'],
+    properties: { total: { type: 'integer' }, offset: { type: 'integer' }, fieldFacets: { $ref: '#/FieldFacets' } }
+  }
+};
+
+const parametersFile = {
+  LimitParam: { name: 'limit', in: 'query', schema: { type: 'integer' } },
+  OffsetParam: { name: 'offset', in: 'query', schema: { type: 'integer' } },
+  SortParam: { name: 'sort', in: 'query', schema: { type: 'string' } }
+};
+
+const apiSpec = {
+  openapi: '3.1.0',
+  info: { title: 'Tasks', version: '1.0.0' },
+  paths: {}
+};
+
+test('pagination-resolver tests', async (t) => {
+
+  await t.test('offset - leaves shared components unchanged', () => {
+    assert.strictEqual(resolvePagination('components/pagination.yaml', paginationFile, 'offset'), paginationFile);
+    assert.strictEqual(resolvePagination('components/parameters.yaml', parametersFile, 'offset'), parametersFile);
+  });
+
+  await t.test('api specs - stamps x-pagination right after info', () => {
+    const result = resolvePagination('workflow-openapi.yaml', apiSpec, 'cursor');
+
+    assert.deepStrictEqual(Object.keys(result), ['openapi', 'info', 'x-pagination', 'paths']);
+    assert.deepStrictEqual(result['x-pagination'], { style: 'cursor' });
+    assert.strictEqual(apiSpec['x-pagination'], undefined);
+  });
+
+  await t.test('cursor - replaces Pagination and the offset parameter', () => {
+    const pagination = resolvePagination('components/pagination.yaml', paginationFile, 'cursor');
+    const params = resolvePagination('components/parameters.yaml', parametersFile, 'cursor');
+
+    assert.deepStrictEqual(pagination.Pagination.required, ['total', 'cursor', 'hasNext']);
+    assert.deepStrictEqual(pagination.Pagination.properties.fieldFacets, { $ref: '#/FieldFacets' }, 'style-independent fields carry over');
+    assert.strictEqual(pagination.Pagination.properties.offset, undefined);
+    assert.strictEqual(params.LimitParam.name, 'limit');
+    assert.strictEqual(params.OffsetParam.name, 'cursor');
+    assert.strictEqual(params.SortParam, parametersFile.SortParam);
+  });
+
+  await t.test('page - renames limit and offset to pageSize and page', () => {
+    const pagination = resolvePagination('components/pagination.yaml', paginationFile, 'page');
+    const params = resolvePagination('components/parameters.yaml', parametersFile, 'page');
+
+    assert.deepStrictEqual(pagination.Pagination.required, ['total', 'page', 'pageSize', 'hasNext']);
+    assert.strictEqual(params.LimitParam.name, 'pageSize');
+    assert.strictEqual(params.OffsetParam.name, 'page');
+  });
+
+  await t.test('links - adds nullable next and prev links', () => {
+    const { Pagination } = resolvePagination('components/pagination.yaml', paginationFile, 'links');
+
+    assert.deepStrictEqual(Pagination.required, ['total', 'limit', 'hasNext', 'links']);
+    assert.deepStrictEqual(Pagination.properties.links.properties.next.type, ['string', 'null']);
+  });
+
+  await t.test('unknown style - returns the file unchanged', () => {
+    assert.strictEqual(resolvePagination('components/pagination.yaml', paginationFile, 'keyset'), paginationFile);
+    assert.strictEqual(resolvePagination('workflow-openapi.yaml', apiSpec, 'keyset'), apiSpec);
+  });
+});
@@ -11,11 +11,15 @@ import {
   validatePostEndpoint,
   validatePatchEndpoint,
   validateSingleResourceGet,
+  validateConditionalRequests,
+  validateSparseFieldsets,
   validateSharedErrorResponses,
   isCollectionPath,
   isSingleResourcePath,
   isActionPath,
+  collectionPathOf,
   validateForeignKeys,
+  validateSearchTypes,
   validateSpec
 } from '../../src/validation/pattern-validator.js';
 
@@ -73,6 +77,7 @@ test('Pattern Validator Tests', async (t) => {
     const operation = {
       parameters: [
         { name: 'q', in: 'query' },
+        { name: 'sort', in: 'query' },
         { name: 'limit', in: 'query' },
         { name: 'offset', in: 'query' }
       ]
@@ -81,7 +86,7 @@ test('Pattern Validator Tests', async (t) => {
     validateListEndpointParameters('/persons', operation, errors);
 
     assert.strictEqual(errors.length, 0);
-    console.log('  ✓ Passes with q, limit, offset parameters');
+    console.log('  ✓ Passes with q, sort, limit, offset parameters');
   });
 
   await t.test('validateListEndpointParameters - passes with params by $ref', () => {
@@ -89,6 +94,7 @@ test('Pattern Validator Tests', async (t) => {
     const operation = {
       parameters: [
         { $ref: './components/common-parameters.yaml#/SearchQueryParam' },
+        { $ref: './components/common-parameters.yaml#/SortParam' },
         { $ref: './components/common-parameters.yaml#/LimitParam' },
         { $ref: './components/common-parameters.yaml#/OffsetParam' }
       ]
@@ -104,6 +110,7 @@ test('Pattern Validator Tests', async (t) => {
     const errors = [];
     const operation = {
       parameters: [
+        { name: 'sort', in: 'query' },
         { name: 'limit', in: 'query' },
         { name: 'offset', in: 'query' }
       ]
@@ -117,11 +124,30 @@ test('Pattern Validator Tests', async (t) => {
     console.log('  ✓ Detects missing search parameter');
   });
 
+  await t.test('validateListEndpointParameters - fails missing sort param', () => {
+    const errors = [];
+    const operation = {
+      parameters: [
+        { name: 'q', in: 'query' },
+        { name: 'limit', in: 'query' },
+        { name: 'offset', in: 'query' }
+      ]
+    };
+
+    validateListEndpointParameters('/persons', operation, errors);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].rule, 'list-endpoint-sort-param');
+    assert.strictEqual(errors[0].severity, 'error');
+    console.log('  ✓ Detects missing sort parameter');
+  });
+
   await t.test('validateListEndpointParameters - fails missing limit param', () => {
     const errors = [];
     const operation = {
       parameters: [
         { name: 'q', in: 'query' },
+        { name: 'sort', in: 'query' },
         { name: 'offset', in: 'query' }
       ]
     };
@@ -138,6 +164,7 @@ test('Pattern Validator Tests', async (t) => {
     const operation = {
       parameters: [
         { name: 'q', in: 'query' },
+        { name: 'sort', in: 'query' },
         { name: 'limit', in: 'query' }
       ]
     };
@@ -155,7 +182,7 @@ test('Pattern Validator Tests', async (t) => {
 
     validateListEndpointParameters('/persons', operation, errors);
 
-    assert.strictEqual(errors.length, 3);
+    assert.strictEqual(errors.length, 4);
     console.log('  ✓ Detects all missing parameters');
   });
 
@@ -470,6 +497,119 @@ test('Pattern Validator Tests', async (t) => {
     console.log('  ✓ Detects missing 404 response');
   });
 
+  // ==========================================================================
+  // Conditional Request (ETag) Validation
+  // ==========================================================================
+
+  await t.test('validateConditionalRequests - passes with documented GET', () => {
+    const errors = [];
+    const operation = {
+      parameters: [{ $ref: './components/parameters.yaml#/IfNoneMatchParam' }],
+      responses: {
+        '200': { headers: { ETag: { $ref: './components/headers.yaml#/ETag' } } },
+        '304': { $ref: './components/responses.yaml#/NotModified' }
+      }
+    };
+
+    validateConditionalRequests('/persons/{personId}', 'get', operation, errors);
+
+    assert.strictEqual(errors.length, 0);
+    console.log('  ✓ Passes with ETag, If-None-Match, and 304');
+  });
+
+  await t.test('validateConditionalRequests - passes with If-Match on the path item', () => {
+    const errors = [];
+    const operation = {
+      responses: {
+        '200': { headers: { ETag: {} } },
+        '412': {}
+      }
+    };
+
+    validateConditionalRequests('/persons/{personId}', 'patch', operation, errors, [
+      { name: 'If-Match', in: 'header' }
+    ]);
+
+    assert.strictEqual(errors.length, 0);
+    console.log('  ✓ Accepts header parameters declared on the path item');
+  });
+
+  await t.test('validateConditionalRequests - warns on undocumented PATCH', () => {
+    const errors = [];
+    const operation = {
+      requestBody: { content: {} },
+      responses: { '200': {} }
+    };
+
+    validateConditionalRequests('/persons/{personId}', 'patch', operation, errors);
+
+    assert.deepStrictEqual(errors.map(e => e.rule).sort(), [
+      'etag-412-response',
+      'etag-if-match-param',
+      'etag-response-header'
+    ]);
+    assert.ok(errors.every(e => e.severity === 'warn'));
+    console.log('  ✓ Detects missing ETag, If-Match, and 412');
+  });
+
+  await t.test('validateConditionalRequests - warns on undocumented GET', () => {
+    const errors = [];
+    const operation = { responses: { '200': {}, '404': {} } };
+
+    validateConditionalRequests('/persons/{personId}', 'get', operation, errors);
+
+    assert.deepStrictEqual(errors.map(e => e.rule).sort(), [
+      'etag-304-response',
+      'etag-if-none-match-param',
+      'etag-response-header'
+    ]);
+    console.log('  ✓ Detects missing ETag, If-None-Match, and 304');
+  });
+
+  // ==========================================================================
+  // Sparse Fieldsets Validation
+  // ==========================================================================
+
+  await t.test('validateSparseFieldsets - passes with FieldsParam or a fields parameter', () => {
+    const errors = [];
+
+    validateSparseFieldsets('/persons', { parameters: [{ $ref: './components/parameters.yaml#/FieldsParam' }] }, errors);
+    validateSparseFieldsets('/persons/{personId}', {}, errors, [{ name: 'fields', in: 'query' }]);
+
+    assert.strictEqual(errors.length, 0);
+    console.log('  ✓ Passes with FieldsParam or fields parameter');
+  });
+
+  await t.test('validateSparseFieldsets - warns without a fields parameter', () => {
+    const errors = [];
+
+    validateSparseFieldsets('/persons', { parameters: [{ name: 'fields', in: 'header' }] }, errors);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].rule, 'sparse-fieldsets');
+    assert.strictEqual(errors[0].severity, 'warn');
+    console.log('  ✓ Warns on missing fields parameter');
+  });
+
+  await t.test('validateSpec - checks sparse fieldsets on resource endpoints only', () => {
+    const ok = { '200': { content: { 'application/json': {} } }, '404': { $ref: './responses.yaml#/NotFound' } };
+    const spec = {
+      paths: {
+        '/persons': { get: { responses: ok } },
+        '/persons/{personId}': { get: { responses: ok } },
+        '/search': { get: { responses: ok } },
+        '/token/claims/{sub}': { get: { responses: ok } }
+      }
+    };
+
+    const paths = validateSpec(spec, 'test.yaml').filter(e => e.rule === 'sparse-fieldsets').map(e => e.path);
+
+    assert.deepStrictEqual(paths, ['/persons', '/persons/{personId}']);
+    assert.strictEqual(collectionPathOf('/persons/{personId}'), '/persons');
+    assert.strictEqual(collectionPathOf('/tasks/{taskId}/claim'), null);
+    console.log('  ✓ Skips endpoints without an item or collection path');
+  });
+
   // ==========================================================================
   // Shared Error Response Validation
   // ==========================================================================
@@ -559,6 +699,7 @@ test('Pattern Validator Tests', async (t) => {
           get: {
             parameters: [
               { name: 'q', in: 'query' },
+              { name: 'sort', in: 'query' },
               { name: 'limit', in: 'query' },
               { name: 'offset', in: 'query' }
             ],
@@ -668,6 +809,7 @@ test('Pattern Validator Tests', async (t) => {
           get: {
             parameters: [
               { name: 'q', in: 'query' },
+              { name: 'sort', in: 'query' },
               { name: 'limit', in: 'query' },
               { name: 'offset', in: 'query' }
             ],
@@ -727,6 +869,40 @@ test('Pattern Validator Tests', async (t) => {
     console.log('  ✓ RPC endpoints exempt from CRUD POST rules');
   });
 
+  await t.test('validateSpec - checks conditional requests on updatable resources only', () => {
+    const spec = {
+      paths: {
+        '/persons/{personId}': {
+          get: {
+            responses: { '200': { content: { 'application/json': {} } }, '404': {} }
+          },
+          patch: {
+            requestBody: { content: {} },
+            responses: { '200': {} }
+          }
+        },
+        '/persons/{personId}/archive': {
+          post: {
+            responses: { '200': {} }
+          }
+        },
+        '/events/{eventId}': {
+          get: {
+            responses: { '200': { content: { 'application/json': {} } }, '404': {} }
+          }
+        }
+      }
+    };
+
+    const errors = validateSpec(spec, 'etag.yaml').filter(e => e.rule.startsWith('etag-'));
+
+    assert.ok(errors.some(e => e.path === '/persons/{personId}' && e.rule === 'etag-if-none-match-param'));
+    assert.ok(errors.some(e => e.path === '/persons/{personId}' && e.rule === 'etag-if-match-param'));
+    assert.ok(errors.some(e => e.path === '/persons/{personId}/archive' && e.rule === 'etag-412-response'));
+    assert.ok(!errors.some(e => e.path === '/events/{eventId}'), 'Read-only resources are not checked');
+    console.log('  ✓ Checks GET, PATCH, and RPC endpoints on updatable resources');
+  });
+
   await t.test('validateSpec - adds spec name to all errors', () => {
     const spec = {
       paths: {
@@ -884,6 +1060,54 @@ test('Pattern Validator Tests', async (t) => {
     console.log('  ✓ Handles specs without schemas');
   });
 
+
+  // ==========================================================================
+  // x-search Types
+  // ==========================================================================
+
+  const searchableSpec = (type) => ({
+    openapi: '3.1.0',
+    components: {
+      schemas: {
+        Task: {
+          'x-search': { type, url: '/tasks/{id}', title: '{name}', searchableFields: ['name'] },
+          type: 'object',
+          properties: { id: { type: 'string' }, name: { type: 'string' } }
+        }
+      }
+    }
+  });
+  const searchSpec = (types) => ({
+    openapi: '3.1.0',
+    components: { schemas: { SearchResultType: { type: 'string', enum: types } } }
+  });
+
+  await t.test('validateSearchTypes - accepts an enum matching the x-search types', () => {
+    const files = new Map([
+      ['search-openapi.yaml', searchSpec(['task'])],
+      ['workflow-openapi.yaml', searchableSpec('task')]
+    ]);
+    assert.deepStrictEqual(validateSearchTypes(files), []);
+    console.log('  ✓ Accepts an enum matching the x-search types');
+  });
+
+  await t.test('validateSearchTypes - flags invalid extensions and stale enums', () => {
+    const files = new Map([
+      ['search-openapi.yaml', searchSpec(['task', 'case'])],
+      ['workflow-openapi.yaml', searchableSpec('task')],
+      ['other-openapi.yaml', searchableSpec('Task Item')]
+    ]);
+    const errors = validateSearchTypes(files);
+
+    assert.deepStrictEqual(errors.map(e => [e.spec, e.rule, e.path]), [
+      ['other-openapi.yaml', 'search-extension', 'components/schemas/Task/x-search'],
+      ['search-openapi.yaml', 'search-result-type-enum', 'components/schemas/SearchResultType/enum']
+    ]);
+    assert.ok(errors[0].message.includes('camelCase'));
+    assert.strictEqual(errors[1].message, 'SearchResultType enum must list the x-search types [task], found [task, case]');
+    console.log('  ✓ Flags invalid extensions and stale enums');
+  });
+
 });
 
 console.log('\n✓ All pattern validator tests passed\n');
@@ -0,0 +1,268 @@
+/**
+ * Unit tests for search-resolver.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveSearch,
+  collectFilterFields,
+  collectSearchTypes,
+  resolveSearchResultTypes
+} from '../../src/overlay/search-resolver.js';
+
+const commonFile = {
+  Name: {
+    type: 'object',
+    properties: {
+      firstName: { type: 'string' },
+      lastName: { type: 'string' }
+    }
+  }
+};
+
+const apiSpec = {
+  openapi: '3.1.0',
+  info: { title: 'Tasks', version: '1.0.0' },
+  'x-pagination': { style: 'cursor' },
+  paths: {
+    '/tasks': {
+      get: {
+        operationId: 'listTasks',
+        tags: ['Tasks'],
+        parameters: [
+          { $ref: './components/parameters.yaml#/SearchQueryParam' },
+          { $ref: './components/parameters.yaml#/LimitParam' }
+        ],
+        responses: {
+          200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/TaskList' } } } }
+        }
+      },
+      post: { operationId: 'createTask' }
+    },
+    '/tasks/{taskId}': {
+      get: { operationId: 'getTask' }
+    }
+  },
+  components: {
+    schemas: {
+      Task: {
+        allOf: [
+          { type: 'object', properties: { id: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } } },
+          {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['pending', 'completed'] },
+              estimate: { type: 'integer' },
+              programs: { type: 'array', items: { type: 'string' } },
+              notes: { type: 'array', items: { type: 'object' } },
+              secret: { type: 'string', writeOnly: true },
+              assignee: { $ref: './components/common.yaml#/Name' }
+            }
+          }
+        ]
+      },
+      TaskList: {
+        allOf: [
+          { $ref: './components/pagination.yaml#/Pagination' },
+          { type: 'object', properties: { items: { type: 'array', items: { $ref: '#/components/schemas/Task' } } } }
+        ]
+      }
+    }
+  }
+};
+
+const files = new Map([
+  ['components/common.yaml', commonFile],
+  ['components/parameters.yaml', {
+    SearchQueryParam: { name: 'q', in: 'query' },
+    LimitParam: { name: 'limit', in: 'query' }
+  }],
+  ['components/pagination.yaml', { Pagination: { type: 'object', properties: { total: { type: 'integer' } } } }]
+]);
+
+test('search-resolver tests', async (t) => {
+
+  await t.test('collectFilterFields - scalars, scalar arrays, and one nested level', () => {
+    const fields = collectFilterFields({ $ref: '#/components/schemas/Task' }, 'tasks-openapi.yaml', new Map(files).set('tasks-openapi.yaml', apiSpec));
+
+    assert.deepStrictEqual(fields.map(f => f.path), [
+      'id', 'createdAt', 'status', 'estimate', 'programs', 'assignee.firstName', 'assignee.lastName'
+    ]);
+    assert.strictEqual(fields.find(f => f.path === 'createdAt').range, true);
+    assert.strictEqual(fields.find(f => f.path === 'estimate').range, true);
+    assert.strictEqual(fields.find(f => f.path === 'status').range, false);
+    assert.strictEqual(fields.find(f => f.path === 'programs').array, true);
+  });
+
+  await t.test('simple - stamps x-search after x-pagination and changes nothing else', () => {
+    const result = resolveSearch('tasks-openapi.yaml', apiSpec, 'simple', files);
+
+    assert.deepStrictEqual(Object.keys(result), ['openapi', 'info', 'x-pagination', 'x-search', 'paths', 'components']);
+    assert.deepStrictEqual(result['x-search'], { style: 'simple' });
+    assert.deepStrictEqual(result.paths, apiSpec.paths);
+  });
+
+  await t.test('filtered - adds typed filter and range parameters to list endpoints', () => {
+    const result = resolveSearch('tasks-openapi.yaml', apiSpec, 'filtered', files);
+    const params = result.paths['/tasks'].get.parameters;
+    const byName = Object.fromEntries(params.filter(p => p.name).map(p => [p.name, p]));
+
+    assert.strictEqual(params.length, 2 + 7 + 8);
+    assert.deepStrictEqual(byName.status.schema, { type: 'array', items: { type: 'string', enum: ['pending', 'completed'] } });
+    assert.strictEqual(byName.status.explode, false);
+    assert.deepStrictEqual(byName['createdAt[gte]'].schema, { type: 'string', format: 'date-time' });
+    assert.deepStrictEqual(byName['estimate[lt]'].schema, { type: 'integer' });
+    assert.strictEqual(byName['status[gte]'], undefined);
+    assert.strictEqual(result.paths['/tasks/{taskId}'], apiSpec.paths['/tasks/{taskId}']);
+    assert.strictEqual(apiSpec.paths['/tasks'].get.parameters.length, 2);
+  });
+
+  await t.test('post-search - adds POST /{resources}/search with a filter body', () => {
+    const result = resolveSearch('tasks-openapi.yaml', apiSpec, 'post-search', files);
+    const search = result.paths['/tasks/search'].post;
+
+    assert.strictEqual(search.operationId, 'searchTasks');
+    assert.deepStrictEqual(search.tags, ['Tasks']);
+    assert.deepStrictEqual(search.parameters, [{ $ref: './components/parameters.yaml#/LimitParam' }]);
+    assert.deepStrictEqual(search.requestBody.content['application/json'].schema, {
+      $ref: './components/search.yaml#/SearchRequest'
+    });
+    assert.strictEqual(search.responses, apiSpec.paths['/tasks'].get.responses);
+    assert.deepStrictEqual(Object.keys(result.paths), ['/tasks', '/tasks/search', '/tasks/{taskId}']);
+  });
+
+  await t.test('non-spec files and unknown styles are returned unchanged', () => {
+    assert.strictEqual(resolveSearch('components/common.yaml', commonFile, 'filtered', files), commonFile);
+    assert.strictEqual(resolveSearch('tasks-openapi.yaml', apiSpec, 'graphql', files), apiSpec);
+  });
+});
+
+const personSpec = {
+  openapi: '3.1.0',
+  components: {
+    schemas: {
+      Person: {
+        'x-search': {
+          type: 'person',
+          url: '/persons/{id}',
+          title: '{name.firstName} {name.lastName}',
+          searchableFields: ['name.firstName', 'email'],
+          facetFields: ['programs'],
+          attributes: [{ field: 'birthDate', label: 'Born', type: 'date' }]
+        },
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { $ref: './components/common.yaml#/Name' },
+          email: { type: 'string' },
+          birthDate: { type: 'string', format: 'date' },
+          programs: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+test('search type tests', async (t) => {
+  await t.test('collectSearchTypes - collects valid x-search extensions in file order', () => {
+    const searchFiles = new Map(files)
+      .set('tasks-openapi.yaml', {
+        ...apiSpec,
+        components: {
+          schemas: {
+            Task: { ...apiSpec.components.schemas.Task, 'x-search': { type: 'task', url: '/tasks/{id}', title: '{id}', searchableFields: ['status'] } }
+          }
+        }
+      })
+      .set('persons-openapi.yaml', personSpec);
+
+    const { types, problems } = collectSearchTypes(searchFiles);
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(types.map(t => [t.type, t.relativePath, t.schema]), [
+      ['person', 'persons-openapi.yaml', 'Person'],
+      ['task', 'tasks-openapi.yaml', 'Task']
+    ]);
+  });
+
+  await t.test('collectSearchTypes - reports invalid extensions and duplicate types', () => {
+    const person = personSpec.components.schemas.Person;
+    const searchFiles = new Map(files)
+      .set('persons-openapi.yaml', personSpec)
+      .set('registry-openapi.yaml', {
+        openapi: '3.1.0',
+        components: {
+          schemas: {
+            Person: { ...person, 'x-search': { ...person['x-search'] } },
+            Broken: {
+              ...person,
+              'x-search': {
+                type: 'Broken',
+                url: '/broken',
+                title: '{nickname|upper}',
+                searchableFields: ['programs'],
+                facetFields: ['name'],
+                attributes: [{ field: 'email', type: 'number' }],
+                icon: 'user'
+              }
+            }
+          }
+        }
+      });
+
+    const { types, problems } = collectSearchTypes(searchFiles);
+    assert.deepStrictEqual(types.map(t => t.type), ['person']);
+    assert.ok(problems.every(p => p.relativePath === 'registry-openapi.yaml'));
+    assert.deepStrictEqual(problems.filter(p => p.schema === 'Person').map(p => p.message), [
+      'type person is already declared by persons-openapi.yaml#/components/schemas/Person'
+    ]);
+    assert.deepStrictEqual(problems.filter(p => p.schema === 'Broken').map(p => p.message), [
+      'type must be a camelCase identifier such as person or caseNote',
+      'url must be an item path such as /persons/{id}',
+      'title references unknown field {nickname}',
+      'title uses unknown format |upper (supported: date)',
+      'searchableFields field programs must be a scalar',
+      'facetFields field name must be a scalar or array of scalars',
+      'attributes[0].type must be one of string, date, currency',
+      'unknown property icon'
+    ]);
+  });
+
+  await t.test('collectSearchTypes - template paths index into arrays', () => {
+    const applicationSpec = {
+      openapi: '3.1.0',
+      components: {
+        schemas: {
+          Application: {
+            'x-search': {
+              type: 'application',
+              url: '/applications/{id}',
+              title: '{members.0.name.firstName}',
+              searchableFields: ['id']
+            },
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              members: { type: 'array', items: { type: 'object', properties: { name: { $ref: './components/common.yaml#/Name' } } } }
+            }
+          }
+        }
+      }
+    };
+    const { problems } = collectSearchTypes(new Map(files).set('applications-openapi.yaml', applicationSpec));
+    assert.deepStrictEqual(problems, []);
+  });
+
+  await t.test('resolveSearchResultTypes - generates the SearchResultType enum', () => {
+    const searchSpec = {
+      openapi: '3.1.0',
+      components: { schemas: { SearchResultType: { type: 'string', enum: ['old'] } } }
+    };
+    const types = [{ type: 'person' }, { type: 'task' }];
+
+    const result = resolveSearchResultTypes(searchSpec, types);
+    assert.deepStrictEqual(result.components.schemas.SearchResultType, { type: 'string', enum: ['person', 'task'] });
+    assert.deepStrictEqual(searchSpec.components.schemas.SearchResultType.enum, ['old']);
+    assert.strictEqual(resolveSearchResultTypes(personSpec, types), personSpec);
+  });
+});
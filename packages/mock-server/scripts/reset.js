@@ -74,14 +74,14 @@ async function reset() {
     }
     
     // Reseed databases using shared setup
-    const { summary } = await performSetup({ specsDir, verbose: false });
+    const { summary, indexes } = await performSetup({ specsDir, verbose: false });
     
     // Display summary
     console.log('='.repeat(70));
     console.log('Reset Summary:');
     console.log('='.repeat(70));
     
-    displaySetupSummary(summary);
+    displaySetupSummary(summary, indexes);
     
     console.log('\n✓ Reset complete!');
     console.log('\nRestart the mock server if it is running.\n');
@@ -12,13 +12,38 @@ import { realpathSync, openSync, statSync } from 'fs';
 import { resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { performSetup } from '../src/setup.js';
+import { findUnknownLookupEntities } from '../src/state-machine-loader.js';
 import { registerAllRoutes, registerStateMachineRoutes } from '../src/route-generator.js';
 import { closeAll } from '../src/database-manager.js';
 import { validateJSON } from '../src/validator.js';
 import { createSseHandler } from '../src/handlers/sse-handler.js';
+import { collectCollectionSchemas } from '../src/indexes.js';
+import {
+  createGetClockHandler,
+  createAdvanceClockHandler,
+  createResetClockHandler,
+  createRunTimersHandler
+} from '../src/handlers/clock-handler.js';
+import { startTimerScheduler, stopTimerScheduler } from '../src/timer-scheduler.js';
+import { startWebhookDelivery, stopWebhookDelivery, SUBSCRIPTIONS_COLLECTION } from '../src/webhook-delivery.js';
+import { setEventSinks, startOutboxRelay, stopOutboxRelay } from '../src/outbox.js';
+import { createEventSink, parseEventSinkNames } from '../src/event-sinks.js';
+import { startNatsBroker, DEFAULT_NATS_PORT } from '../src/nats-broker.js';
+import { createGetOutboxHandler, createRelayOutboxHandler } from '../src/handlers/outbox-handler.js';
 
 const HOST = process.env.MOCK_SERVER_HOST || 'localhost';
 const PORT = parseInt(process.env.MOCK_SERVER_PORT || '1080', 10);
+const TIMER_INTERVAL_MS = parseInt(process.env.MOCK_TIMER_INTERVAL_MS || '60000', 10);
+const WEBHOOK_OPTIONS = {
+  maxAttempts: parseInt(process.env.MOCK_WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  retryBaseMs: parseInt(process.env.MOCK_WEBHOOK_RETRY_BASE_MS || '1000', 10),
+  timeoutMs: parseInt(process.env.MOCK_WEBHOOK_TIMEOUT_MS || '5000', 10)
+};
+const EVENT_SINKS = parseEventSinkNames(process.env.MOCK_EVENT_SINKS);
+const EVENT_SINK_FORMAT = process.env.MOCK_EVENT_SINK_FORMAT || 'domain-event';
+const EVENTS_FILE = resolve(process.env.MOCK_EVENTS_FILE || 'mock-events.ndjson');
+const NATS_PORT = parseInt(process.env.MOCK_NATS_PORT || String(DEFAULT_NATS_PORT), 10);
+const OUTBOX_INTERVAL_MS = parseInt(process.env.MOCK_OUTBOX_INTERVAL_MS || '5000', 10);
 
 function showHelp() {
   console.log(`
@@ -39,8 +64,20 @@ Options:
   -h, --help      Show this help message
 
 Environment:
-  MOCK_SERVER_HOST   Host to bind to (default: localhost)
-  MOCK_SERVER_PORT   Port to listen on (default: 1080)
+  MOCK_SERVER_HOST               Host to bind to (default: localhost)
+  MOCK_SERVER_PORT               Port to listen on (default: 1080)
+  MOCK_TIMER_INTERVAL_MS         How often to fire due timer transitions (default: 60000, 0 disables)
+  MOCK_REQUIRE_IDEMPOTENCY_KEY   Reject RPC transitions without an Idempotency-Key (default: false)
+  MOCK_WEBHOOK_MAX_ATTEMPTS      Webhook delivery attempts before dead-lettering (default: 5)
+  MOCK_WEBHOOK_RETRY_BASE_MS     Delay before the first webhook retry, doubled after each (default: 1000)
+  MOCK_WEBHOOK_TIMEOUT_MS        Webhook request timeout (default: 5000)
+  MOCK_EVENT_SINKS               Where the outbox relay publishes events: sse, webhook, stdout,
+                                 file, nats (comma-separated, default: sse,webhook)
+  MOCK_EVENT_SINK_FORMAT         Body of stdout, file, and nats messages: domain-event or
+                                 cloudevents (default: domain-event)
+  MOCK_EVENTS_FILE               NDJSON file of the file sink (default: mock-events.ndjson)
+  MOCK_NATS_PORT                 Port of the NATS-compatible broker for the nats sink (default: 4222)
+  MOCK_OUTBOX_INTERVAL_MS        How often to retry unpublished events (default: 5000, 0 disables)
 
 Examples:
   npm run mock:start
@@ -82,6 +119,7 @@ function parseSpecDirs() {
 }
 
 let expressServer = null;
+let natsBroker = null;
 
 /**
  * Start the mock server
@@ -103,13 +141,21 @@ async function startMockServer(specDirs = null, seedDir = null) {
     let apiSpecs = [];
     let allStateMachines = [];
     let allRules = [];
+    let allCalendars = [];
     for (const specsDir of specDirs) {
       const result = await performSetup({ specsDir, seedDir, verbose: true });
       apiSpecs = apiSpecs.concat(result.apiSpecs);
       allStateMachines = allStateMachines.concat(result.stateMachines);
       allRules = allRules.concat(result.rules);
+      allCalendars = allCalendars.concat(result.calendars);
     }
 
+    // Lookup effects must name a collection one of the APIs serves
+    const collections = new Set(apiSpecs.flatMap(api => api.endpoints.map(endpoint => endpoint.path.split('/')[1])));
+    const lookupErrors = findUnknownLookupEntities(allStateMachines, collections);
+    if (lookupErrors.length > 0) {
+      throw new Error(`State machine lookups name unknown collections:\n${lookupErrors.map(e => `  ${e}`).join('\n')}`);
+    }
 
     // Create Express app
     const app = express();
@@ -118,7 +164,8 @@ async function startMockServer(specDirs = null, seedDir = null) {
     app.use(cors({
       origin: '*',
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Caller-Id'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Caller-Id', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'Last-Event-ID'],
+      exposedHeaders: ['ETag', 'Idempotent-Replayed'],
       credentials: true
     }));
 
@@ -133,16 +180,49 @@ async function startMockServer(specDirs = null, seedDir = null) {
     });
 
     // Register SSE stream endpoint before item routes to avoid :id capture
-    app.get('/events/stream', createSseHandler());
+    const collectionSchemas = apiSpecs.map(api => collectCollectionSchemas(api));
+    const eventSchema = collectionSchemas.map(schemas => schemas.get('events')).find(Boolean);
+    app.get('/events/stream', createSseHandler(eventSchema));
     console.log('  GET    /events/stream - Domain event stream (SSE)');
 
     // Register API routes dynamically
     const baseUrl = `http://${HOST}:${PORT}`;
-    const allEndpoints = registerAllRoutes(app, apiSpecs, baseUrl, allStateMachines, allRules);
+    const allEndpoints = registerAllRoutes(app, apiSpecs, baseUrl, allStateMachines, allRules, allCalendars);
 
     // Register state machine RPC routes
-    const rpcEndpoints = registerStateMachineRoutes(app, allStateMachines, apiSpecs, allRules);
+    const rpcEndpoints = registerStateMachineRoutes(app, allStateMachines, apiSpecs, allRules, allCalendars);
+
+    // Mock clock and timer admin endpoints
+    app.get('/_mock/clock', createGetClockHandler());
+    app.post('/_mock/clock/advance', createAdvanceClockHandler(allStateMachines, allRules, allCalendars));
+    app.post('/_mock/clock/reset', createResetClockHandler());
+    app.post('/_mock/timers/run', createRunTimersHandler(allStateMachines, allRules, allCalendars));
+    app.get('/_mock/outbox', createGetOutboxHandler());
+    app.post('/_mock/outbox/relay', createRelayOutboxHandler());
+
+    // Fire timer transitions (on: timer) in the background
+    if (startTimerScheduler(allStateMachines, allRules, allCalendars, { intervalMs: TIMER_INTERVAL_MS })) {
+      console.log(`  Timer scheduler running every ${TIMER_INTERVAL_MS}ms`);
+    }
+
+    // Deliver domain events to webhook subscriptions
+    if (collectionSchemas.some(schemas => schemas.has(SUBSCRIPTIONS_COLLECTION))) {
+      startWebhookDelivery(eventSchema, WEBHOOK_OPTIONS);
+      console.log(`  Webhook delivery running (${WEBHOOK_OPTIONS.maxAttempts} attempts per event)`);
+    }
 
+    // Publish domain events from the outbox to the configured sinks
+    if (EVENT_SINKS.includes('nats')) {
+      natsBroker = await startNatsBroker({ host: HOST, port: NATS_PORT });
+      console.log(`  NATS-compatible broker on nats://${HOST}:${natsBroker.port}`);
+    }
+    setEventSinks(EVENT_SINKS.map(name => createEventSink(name, {
+      format: EVENT_SINK_FORMAT,
+      file: EVENTS_FILE,
+      broker: natsBroker
+    })));
+    startOutboxRelay({ intervalMs: OUTBOX_INTERVAL_MS });
+    console.log(`  Outbox relay publishing to ${EVENT_SINKS.join(', ')}`);
 
     // 404 handler for undefined routes
     app.use((req, res) => {
@@ -206,6 +286,15 @@ async function startMockServer(specDirs = null, seedDir = null) {
       }
     }
 
+    console.log(`\nMock Clock:`);
+    console.log(`  GET    http://${HOST}:${PORT}/_mock/clock`);
+    console.log(`  POST   http://${HOST}:${PORT}/_mock/clock/advance - Advance time and fire due timers`);
+    console.log(`  POST   http://${HOST}:${PORT}/_mock/clock/reset`);
+    console.log(`  POST   http://${HOST}:${PORT}/_mock/timers/run - Fire due timers now`);
+    console.log(`\nEvent Outbox:`);
+    console.log(`  GET    http://${HOST}:${PORT}/_mock/outbox - Event sinks and unpublished events`);
+    console.log(`  POST   http://${HOST}:${PORT}/_mock/outbox/relay - Publish pending events now`);
+
     // Example curl commands
     console.log('\n' + '='.repeat(70));
     console.log('Example Commands:');
@@ -235,6 +324,14 @@ async function stopServer(exitProcess = true) {
   console.log('\n\nStopping server...');
 
   try {
+    stopTimerScheduler();
+    stopWebhookDelivery();
+    stopOutboxRelay();
+    if (natsBroker) {
+      await natsBroker.close();
+      natsBroker = null;
+    }
+
     // Close databases
     closeAll();
     console.log('✓ Databases closed');
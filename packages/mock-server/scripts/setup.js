@@ -47,10 +47,10 @@ Flags:
 
   try {
     // Perform setup (load specs and seed databases)
-    const { summary } = await performSetup({ specsDir, verbose: true });
+    const { summary, indexes } = await performSetup({ specsDir, verbose: true });
     
     // Display summary
-    displaySetupSummary(summary);
+    displaySetupSummary(summary, indexes);
     
     console.log('\n✓ Setup complete!');
     console.log('\nStart the mock server with: npm run mock:start\n');
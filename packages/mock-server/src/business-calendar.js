@@ -0,0 +1,341 @@
+/**
+ * Business calendar — working days, working hours, and holidays in a time zone.
+ *
+ * Calendars come from *-calendar.yaml contracts. Local dates are handled as
+ * { year, month, day } objects and converted to instants with the calendar's
+ * time zone, so daylight saving transitions are respected.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+
+// Safety limit when searching for the next working day (e.g., a calendar where every day is a holiday)
+const MAX_DAY_SCAN = 366 * 2;
+
+/**
+ * Calendar used when a domain has no *-calendar.yaml contract.
+ */
+export const DEFAULT_CALENDAR = Object.freeze({
+  timeZone: 'UTC',
+  workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  workingHours: { start: '09:00', end: '17:00' },
+  holidays: {}
+});
+
+const formatters = new Map();
+const holidayCache = new WeakMap();
+
+/**
+ * Get a cached Intl formatter for a time zone.
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a time zone name is supported.
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local wall-clock fields of an instant in a time zone.
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds.
+ */
+function zoneOffset(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time of day to an instant.
+ * @param {{ year: number, month: number, day: number }} date - Local date
+ * @param {number} msOfDay - Milliseconds since local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function zonedToInstant(date, msOfDay, timeZone) {
+  const guess = Date.UTC(date.year, date.month - 1, date.day) + msOfDay;
+  // Re-check the offset at the first estimate in case it crosses a DST change
+  const estimate = guess - zoneOffset(guess, timeZone);
+  return guess - zoneOffset(estimate, timeZone);
+}
+
+/**
+ * Local date of an instant in a time zone.
+ */
+function localDate(ms, timeZone) {
+  const { year, month, day } = zonedParts(ms, timeZone);
+  return { year, month, day };
+}
+
+/**
+ * Shift a local date by a number of days.
+ */
+function shiftDate({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function compareDates(a, b) {
+  return dateKey(a).localeCompare(dateKey(b));
+}
+
+/**
+ * Parse an HH:MM local time into milliseconds since midnight.
+ */
+function parseLocalTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return (hours * 60 + minutes) * MINUTE_MS;
+}
+
+/**
+ * Compute the date a holiday falls on in a given year.
+ * @param {Object} holiday - Holiday definition from the calendar contract
+ * @param {number} year - Year to compute
+ * @returns {{ year: number, month: number, day: number }|null} Null for dated holidays in other years
+ */
+function holidayDate(holiday, year) {
+  if (holiday.date) {
+    const [y, m, d] = holiday.date.split('-').map(Number);
+    return y === year ? { year: y, month: m, day: d } : null;
+  }
+
+  if (holiday.weekday) {
+    const target = WEEKDAYS.indexOf(holiday.weekday);
+    let date;
+    if (holiday.week === -1) {
+      const last = shiftDate({ year, month: holiday.month + 1, day: 1 }, -1);
+      const back = (WEEKDAYS.indexOf(weekdayOf(last)) - target + 7) % 7;
+      date = shiftDate(last, -back);
+    } else {
+      const first = { year, month: holiday.month, day: 1 };
+      const forward = (target - WEEKDAYS.indexOf(weekdayOf(first)) + 7) % 7;
+      date = shiftDate(first, forward + (holiday.week - 1) * 7);
+    }
+    return shiftDate(date, holiday.offsetDays || 0);
+  }
+
+  const date = { year, month: holiday.month, day: holiday.day };
+  if (holiday.observed === 'nearest_weekday') {
+    const weekday = weekdayOf(date);
+    if (weekday === 'saturday') return shiftDate(date, -1);
+    if (weekday === 'sunday') return shiftDate(date, 1);
+  }
+  return date;
+}
+
+/**
+ * Get the holiday dates observed in a year, keyed YYYY-MM-DD.
+ * Observed dates can cross a year boundary (New Year's Day on a Saturday is
+ * observed on December 31), so adjacent years are included.
+ * @param {Object} calendar - Calendar contract
+ * @param {number} year - Year to compute
+ * @returns {Map<string, string>} Date key → holiday name
+ */
+export function getHolidays(calendar, year) {
+  let byYear = holidayCache.get(calendar);
+  if (!byYear) {
+    byYear = new Map();
+    holidayCache.set(calendar, byYear);
+  }
+
+  if (!byYear.has(year)) {
+    const holidays = new Map();
+    for (const holiday of Object.values(calendar.holidays || {})) {
+      for (const y of [year - 1, year, year + 1]) {
+        const date = holidayDate(holiday, y);
+        if (date && date.year === year) holidays.set(dateKey(date), holiday.name);
+      }
+    }
+    byYear.set(year, holidays);
+  }
+
+  return byYear.get(year);
+}
+
+/**
+ * Check whether a local date is a working day (a working weekday that is not a holiday).
+ * @param {Object} calendar - Calendar contract
+ * @param {{ year: number, month: number, day: number }} date - Local date
+ * @returns {boolean}
+ */
+export function isWorkingDay(calendar, date) {
+  if (!calendar.workingDays.includes(weekdayOf(date))) return false;
+  return !getHolidays(calendar, date.year).has(dateKey(date));
+}
+
+/**
+ * Working hours of a local date as instants.
+ * @returns {{ start: number, end: number }}
+ */
+function workingWindow(calendar, date) {
+  return {
+    start: zonedToInstant(date, parseLocalTime(calendar.workingHours.start), calendar.timeZone),
+    end: zonedToInstant(date, parseLocalTime(calendar.workingHours.end), calendar.timeZone)
+  };
+}
+
+/**
+ * Find the nearest working day from a date, stepping in a direction.
+ * @param {Object} calendar - Calendar contract
+ * @param {{ year: number, month: number, day: number }} date - Starting local date (inclusive)
+ * @param {number} step - 1 to search forward, -1 to search backward
+ */
+function nearestWorkingDay(calendar, date, step) {
+  let current = date;
+  for (let i = 0; i < MAX_DAY_SCAN; i++) {
+    if (isWorkingDay(calendar, current)) return current;
+    current = shiftDate(current, step);
+  }
+  throw new Error(`No working day within ${MAX_DAY_SCAN} days of ${dateKey(date)}`);
+}
+
+/**
+ * Check whether an instant falls within working hours on a working day.
+ * @param {Object} calendar - Calendar contract
+ * @param {Date|string|number} at - Instant to check
+ * @returns {boolean}
+ */
+export function isWorkingTime(calendar, at) {
+  const ms = new Date(at).getTime();
+  const date = localDate(ms, calendar.timeZone);
+  if (!isWorkingDay(calendar, date)) return false;
+  const { start, end } = workingWindow(calendar, date);
+  return ms >= start && ms < end;
+}
+
+/**
+ * Add working time to an instant, skipping non-working hours, days, and holidays.
+ * Negative amounts count backward.
+ * @param {Object} calendar - Calendar contract
+ * @param {Date|string|number} start - Starting instant
+ * @param {number} ms - Working time to add, in milliseconds
+ * @returns {Date}
+ */
+export function addBusinessTime(calendar, start, ms) {
+  let cursor = new Date(start).getTime();
+  let remaining = Math.abs(ms);
+  const step = ms < 0 ? -1 : 1;
+  let date = localDate(cursor, calendar.timeZone);
+
+  while (remaining > 0) {
+    date = nearestWorkingDay(calendar, date, step);
+    const { start: windowStart, end: windowEnd } = workingWindow(calendar, date);
+
+    if (step > 0) {
+      cursor = Math.max(cursor, windowStart);
+      if (cursor < windowEnd) {
+        const available = windowEnd - cursor;
+        if (remaining <= available) return new Date(cursor + remaining);
+        remaining -= available;
+      }
+    } else {
+      cursor = Math.min(cursor, windowEnd);
+      if (cursor > windowStart) {
+        const available = cursor - windowStart;
+        if (remaining <= available) return new Date(cursor - remaining);
+        remaining -= available;
+      }
+    }
+
+    // Continue from the edge of the next working day's window
+    date = shiftDate(date, step);
+    cursor = step > 0 ? -Infinity : Infinity;
+  }
+
+  return new Date(cursor);
+}
+
+/**
+ * Add working days to an instant, keeping the local time of day.
+ * Negative amounts count backward.
+ * @param {Object} calendar - Calendar contract
+ * @param {Date|string|number} start - Starting instant
+ * @param {number} days - Working days to add
+ * @returns {Date}
+ */
+export function addBusinessDays(calendar, start, days) {
+  const ms = new Date(start).getTime();
+  if (days === 0) return new Date(ms);
+
+  let date = localDate(ms, calendar.timeZone);
+  const msOfDay = ms - zonedToInstant(date, 0, calendar.timeZone);
+  const step = days < 0 ? -1 : 1;
+
+  for (let counted = 0; counted < Math.abs(days);) {
+    date = shiftDate(date, step);
+    if (isWorkingDay(calendar, date)) counted++;
+  }
+
+  return new Date(zonedToInstant(date, msOfDay, calendar.timeZone));
+}
+
+/**
+ * Measure the working time between two instants.
+ * @param {Object} calendar - Calendar contract
+ * @param {Date|string|number} start - Start instant
+ * @param {Date|string|number} end - End instant
+ * @returns {number} Working milliseconds (negative if end is before start)
+ */
+export function businessTimeBetween(calendar, start, end) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  if (to < from) return -businessTimeBetween(calendar, to, from);
+
+  let total = 0;
+  const last = localDate(to, calendar.timeZone);
+  for (let date = localDate(from, calendar.timeZone); compareDates(date, last) <= 0; date = shiftDate(date, 1)) {
+    if (!isWorkingDay(calendar, date)) continue;
+    const window = workingWindow(calendar, date);
+    const overlap = Math.min(window.end, to) - Math.max(window.start, from);
+    if (overlap > 0) total += overlap;
+  }
+  return total;
+}
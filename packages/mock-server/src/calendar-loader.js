@@ -0,0 +1,72 @@
+/**
+ * Calendar loader — discovers and parses business calendar contracts.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { DEFAULT_CALENDAR, isValidTimeZone } from './business-calendar.js';
+
+/**
+ * Discover and load all calendar contracts from a directory.
+ * Looks for files matching *-calendar.yaml.
+ * @param {string} specsDir - Path to the specs directory
+ * @returns {Array<{ domain: string, calendar: Object, filePath: string }>}
+ */
+export function discoverCalendars(specsDir) {
+  let files;
+  try {
+    files = readdirSync(specsDir);
+  } catch {
+    return [];
+  }
+
+  const results = [];
+
+  for (const file of files) {
+    if (!file.endsWith('-calendar.yaml')) continue;
+
+    const filePath = join(specsDir, file);
+    try {
+      const content = readFileSync(filePath, 'utf8');
+      const calendar = yaml.load(content);
+
+      if (!calendar || !calendar.domain || !calendar.workingDays || !calendar.workingHours) {
+        console.warn(`Skipping ${file}: missing domain, workingDays, or workingHours`);
+        continue;
+      }
+
+      if (!isValidTimeZone(calendar.timeZone)) {
+        console.warn(`Skipping ${file}: unknown time zone "${calendar.timeZone}"`);
+        continue;
+      }
+
+      if (calendar.workingHours.start >= calendar.workingHours.end) {
+        console.warn(`Skipping ${file}: workingHours.start must be before workingHours.end`);
+        continue;
+      }
+
+      results.push({
+        domain: calendar.domain,
+        calendar,
+        filePath
+      });
+    } catch (err) {
+      console.warn(`Failed to parse ${file}: ${err.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Find the business calendar for a domain.
+ * Falls back to DEFAULT_CALENDAR (Monday–Friday, 09:00–17:00 UTC, no holidays).
+ * @param {Array} allCalendars - Array from discoverCalendars()
+ * @param {string} domain - Domain name (e.g., "workflow")
+ * @returns {Object} Calendar contract
+ */
+export function findCalendar(allCalendars, domain) {
+  const entry = (allCalendars || []).find(c => c.domain === domain);
+  return entry ? entry.calendar : DEFAULT_CALENDAR;
+}
@@ -0,0 +1,64 @@
+/**
+ * Controllable clock for the mock server.
+ * All server-side timestamps (createdAt, $now, timer due times) read from
+ * this clock so tests can advance time instead of waiting for it.
+ * Singleton shared across all handlers in the same process.
+ */
+
+// Offset in milliseconds between the mock clock and the system clock
+let offsetMs = 0;
+
+/**
+ * Current mock time.
+ * @returns {Date}
+ */
+export function now() {
+  return new Date(Date.now() + offsetMs);
+}
+
+/**
+ * Current mock time as an ISO 8601 string.
+ * @returns {string}
+ */
+export function nowISO() {
+  return now().toISOString();
+}
+
+/**
+ * Move the mock clock forward (or backward, for negative values).
+ * @param {number} ms - Milliseconds to advance
+ * @returns {Date} New mock time
+ */
+export function advanceClock(ms) {
+  offsetMs += ms;
+  return now();
+}
+
+/**
+ * Set the mock clock to an absolute time. The clock keeps ticking from there.
+ * @param {Date|string} time - Target time
+ * @returns {Date} New mock time
+ */
+export function setClock(time) {
+  const target = new Date(time).getTime();
+  if (Number.isNaN(target)) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+  offsetMs = target - Date.now();
+  return now();
+}
+
+/**
+ * Reset the mock clock back to system time.
+ */
+export function resetClock() {
+  offsetMs = 0;
+}
+
+/**
+ * Current offset from system time in milliseconds.
+ * @returns {number}
+ */
+export function getClockOffset() {
+  return offsetMs;
+}
@@ -9,6 +9,9 @@ import { dirname, join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
 import { randomUUID } from 'crypto';
 import { deepMerge } from './deep-merge.js';
+import { nowISO } from './clock.js';
+import { fieldToJsonPath, jsonExtract, registerIndexedFields } from './query-parser.js';
+import { createSearchIndex, indexResource, removeFromIndex, clearIndex } from './search-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,6 +19,12 @@ const __dirname = dirname(__filename);
 // Store database connections
 const databases = new Map();
 
+// Searchable fields of collections with a full-text index
+const searchIndexes = new Map();
+
+// Open unit of work: connections with a pending transaction, and callbacks to run on commit
+let unitOfWork = null;
+
 /**
  * Get or create database for a resource type
  * @param {string} resourceName - Name of the resource (e.g., 'persons')
@@ -23,7 +32,7 @@ const databases = new Map();
  */
 export function getDatabase(resourceName) {
   if (databases.has(resourceName)) {
-    return databases.get(resourceName);
+    return enlist(databases.get(resourceName));
   }
   
   const dataDir = join(__dirname, '../../generated/mock-data');
@@ -42,38 +51,192 @@ export function getDatabase(resourceName) {
     db.exec(`
       CREATE TABLE IF NOT EXISTS resources (
         id TEXT PRIMARY KEY,
-        data TEXT NOT NULL
+        data TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1
       );
     `);
+    // Databases created before version tracking lack the column
+    const columns = db.prepare('PRAGMA table_info(resources)').all();
+    if (!columns.some(column => column.name === 'version')) {
+      db.exec('ALTER TABLE resources ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    }
   } catch (error) {
     console.error(`Failed to create resources table for ${resourceName}:`, error);
     throw error;
   }
   
-  // Create indexes for common search fields
-  // These improve query performance for JSON extracts
-  // Using nested path for name fields (name.firstName, name.lastName)
+  // Field indexes come from the schema (see syncIndexes() and indexes.js)
+  databases.set(resourceName, db);
+  return enlist(db);
+}
+
+/**
+ * Join a connection to the open unit of work, starting its transaction on first use.
+ * @param {Database} db - SQLite database instance
+ * @returns {Database} The same instance
+ */
+function enlist(db) {
+  if (unitOfWork && !unitOfWork.connections.has(db)) {
+    db.exec('BEGIN');
+    unitOfWork.connections.add(db);
+  }
+  return db;
+}
+
+/**
+ * Collection name of an open connection, for error messages.
+ */
+function collectionOf(db) {
+  for (const [name, candidate] of databases.entries()) {
+    if (candidate === db) return name;
+  }
+  return db.name;
+}
+
+/**
+ * Commit each connection of a unit of work in turn. Every connection is
+ * checked first, so a closed one fails before anything commits; a COMMIT that
+ * fails after others succeeded throws an error listing both sides.
+ * @param {Set<Database>} connections - Connections with an open transaction
+ * @throws {Error} With `committed` and `rolledBack` collection names when a COMMIT fails
+ */
+function commitAll(connections) {
+  const closed = [...connections].filter(db => !db.open).map(collectionOf);
+  if (closed.length > 0) {
+    throw new Error(`Cannot commit: connection closed for ${closed.join(', ')}`);
+  }
+
+  const committed = [];
+  for (const db of connections) {
+    try {
+      db.exec('COMMIT');
+    } catch (commitError) {
+      const rolledBack = [...connections].map(collectionOf).filter(name => !committed.includes(name));
+      const error = new Error(
+        `Commit failed for ${collectionOf(db)}: ${commitError.message} ` +
+        `(committed: ${committed.join(', ') || 'none'}; rolled back: ${rolledBack.join(', ')})`
+      );
+      error.committed = committed;
+      error.rolledBack = rolledBack;
+      throw error;
+    }
+    committed.push(collectionOf(db));
+  }
+}
+
+/**
+ * Run a function as a single unit of work across collections.
+ * Each collection is its own SQLite file, so there is no shared transaction:
+ * every database touched inside `fn` gets its own transaction. When `fn`
+ * throws, all of them are rolled back. When it returns, they are committed one
+ * after another, which is atomic only per file: a COMMIT that fails (e.g., on
+ * a disk error) leaves the collections committed before it committed, and the
+ * error lists which ones were committed and which were rolled back.
+ * Nested calls join the outer unit of work. `fn` must be synchronous.
+ * @param {Function} fn - Work to run
+ * @returns {*} The return value of fn
+ * @throws {Error} Whatever `fn` throws, or a commit error (see commitAll())
+ */
+export function transaction(fn) {
+  if (unitOfWork) {
+    return fn();
+  }
+
+  unitOfWork = { connections: new Set(), onCommit: [] };
+  const { connections, onCommit } = unitOfWork;
   try {
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_name_firstName ON resources(json_extract(data, '$.name.firstName'));`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_name_lastName ON resources(json_extract(data, '$.name.lastName'));`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_status ON resources(json_extract(data, '$.status'));`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_email ON resources(json_extract(data, '$.email'));`);
-    db.exec(`CREATE INDEX IF NOT EXISTS idx_createdAt ON resources(json_extract(data, '$.createdAt'));`);
+    const result = fn();
+    commitAll(connections);
+    unitOfWork = null;
+    for (const callback of onCommit) {
+      try {
+        callback();
+      } catch (callbackError) {
+        console.error('After-commit callback failed:', callbackError.message);
+      }
+    }
+    return result;
   } catch (error) {
-    // Indexes may already exist or fields may not be present in all resources
-    console.warn(`Warning: Could not create indexes for ${resourceName}:`, error.message);
+    for (const db of connections) {
+      if (db.open && db.inTransaction) db.exec('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    unitOfWork = null;
+  }
+}
+
+/**
+ * Run a callback once the current unit of work commits, or immediately outside one.
+ * Used for side effects (e.g., publishing events) that must not happen on rollback.
+ * @param {Function} callback - Callback to run
+ */
+export function afterCommit(callback) {
+  if (unitOfWork) {
+    unitOfWork.onCommit.push(callback);
+  } else {
+    callback();
+  }
+}
+
+/**
+ * Maintain a full-text index (see search-index.js) over a collection's
+ * searchable fields. The index is rebuilt from the stored resources and then
+ * updated on every create, update, and delete.
+ * @param {string} resourceName - Name of the resource
+ * @param {string[]} fields - Searchable field paths
+ */
+export function enableSearchIndex(resourceName, fields) {
+  createSearchIndex(getDatabase(resourceName), fields);
+  searchIndexes.set(resourceName, fields);
+}
+
+/**
+ * Create expression indexes over JSON fields of a collection and drop the
+ * field indexes (idx_*) it no longer has. Indexed fields are registered with
+ * jsonExtract() so that queries use the indexed expressions.
+ * @param {string} resourceName - Name of the resource
+ * @param {string[][]} indexes - Field paths per index (more than one for a composite index)
+ * @returns {string[]} Index names
+ */
+export function syncIndexes(resourceName, indexes) {
+  const db = getDatabase(resourceName);
+  const wanted = new Map(indexes.map(paths => [
+    `idx_${paths.map(path => path.replace(/\./g, '_')).join('__')}`,
+    paths.map(path => `json_extract(data, '${fieldToJsonPath(path)}')`)
+  ]));
+
+  const existing = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'resources' AND name LIKE 'idx\\_%' ESCAPE '\\'"
+  ).all();
+  for (const { name } of existing) {
+    if (!wanted.has(name)) db.exec(`DROP INDEX "${name}"`);
+  }
+  for (const [name, expressions] of wanted) {
+    db.exec(`CREATE INDEX IF NOT EXISTS "${name}" ON resources(${expressions.join(', ')})`);
+  }
+
+  registerIndexedFields(indexes.flat());
+  return [...wanted.keys()];
+}
+
+/**
+ * Update the full-text index entry of a resource, if the collection has an index.
+ */
+function reindex(db, resourceName, resource) {
+  const fields = searchIndexes.get(resourceName);
+  if (fields) {
+    indexResource(db, fields, resource);
   }
-  
-  databases.set(resourceName, db);
-  return db;
 }
 
 /**
  * Find all resources with optional filtering and pagination
  * @param {string} resourceName - Name of the resource
- * @param {Object} filters - Filter conditions (key-value pairs)
+ * @param {Object} filters - Filter conditions (key-value pairs; keys are field paths like status or name.lastName)
  * @param {Object} pagination - Pagination options {limit, offset}
  * @returns {Object} {items: Array, total: number}
+ * @throws {Error} If a filter key is not a plain field path
  */
 export function findAll(resourceName, filters = {}, pagination = {}) {
   const db = getDatabase(resourceName);
@@ -85,8 +248,9 @@ export function findAll(resourceName, filters = {}, pagination = {}) {
   
   for (const [key, value] of Object.entries(filters)) {
     if (value !== undefined && value !== null) {
-      whereClauses.push(`json_extract(data, '$.${key}') = ?`);
-      params.push(value);
+      const extract = jsonExtract(key);
+      whereClauses.push(`${extract.sql} = ?`);
+      params.push(...extract.params, value);
     }
   }
   
@@ -127,14 +291,14 @@ export function search(resourceName, query, searchFields = [], pagination = {})
   }
   
   // Build WHERE clause for search
-  const whereClauses = searchFields.map(field => 
-    `LOWER(json_extract(data, '$.${field}')) LIKE LOWER(?)`
+  const whereClauses = searchFields.map(() =>
+    'LOWER(json_extract(data, ?)) LIKE LOWER(?)'
   );
   const whereClause = `WHERE ${whereClauses.join(' OR ')}`;
   
-  // Prepare search pattern
+  // Prepare the JSON path and search pattern for each field
   const searchPattern = `%${query}%`;
-  const params = searchFields.map(() => searchPattern);
+  const params = searchFields.flatMap(field => [fieldToJsonPath(field), searchPattern]);
   
   // Get total count
   const countStmt = db.prepare(`SELECT COUNT(*) as count FROM resources ${whereClause}`);
@@ -172,6 +336,18 @@ export function findById(resourceName, id) {
   return JSON.parse(row.data);
 }
 
+/**
+ * Get the version of a resource. Versions start at 1 and increase on every update.
+ * @param {string} resourceName - Name of the resource
+ * @param {string} id - Resource ID
+ * @returns {number|null} Version or null if not found
+ */
+export function getVersion(resourceName, id) {
+  const db = getDatabase(resourceName);
+  const row = db.prepare('SELECT version FROM resources WHERE id = ?').get(id);
+  return row ? row.version : null;
+}
+
 /**
  * Create a new resource
  * @param {string} resourceName - Name of the resource
@@ -183,7 +359,7 @@ export function create(resourceName, data) {
   
   // Generate server-side fields
   const id = randomUUID();
-  const now = new Date().toISOString();
+  const now = nowISO();
   
   const resource = {
     ...data,
@@ -194,12 +370,13 @@ export function create(resourceName, data) {
   
   const stmt = db.prepare('INSERT INTO resources (id, data) VALUES (?, ?)');
   stmt.run(id, JSON.stringify(resource));
+  reindex(db, resourceName, resource);
   
   return resource;
 }
 
 /**
- * Update a resource
+ * Update a resource and increment its version
  * @param {string} resourceName - Name of the resource
  * @param {string} id - Resource ID
  * @param {Object} updates - Fields to update
@@ -218,11 +395,12 @@ export function update(resourceName, id, updates) {
   const merged = deepMerge(existing, updates, ['id', 'createdAt']);
   const updated = {
     ...merged,
-    updatedAt: new Date().toISOString()
+    updatedAt: nowISO()
   };
   
-  const stmt = db.prepare('UPDATE resources SET data = ? WHERE id = ?');
+  const stmt = db.prepare('UPDATE resources SET data = ?, version = version + 1 WHERE id = ?');
   stmt.run(JSON.stringify(updated), id);
+  reindex(db, resourceName, updated);
   
   return updated;
 }
@@ -238,6 +416,9 @@ export function deleteResource(resourceName, id) {
   
   const stmt = db.prepare('DELETE FROM resources WHERE id = ? RETURNING id');
   const result = stmt.get(id);
+  if (result !== undefined && searchIndexes.has(resourceName)) {
+    removeFromIndex(db, id);
+  }
   
   return result !== undefined;
 }
@@ -249,6 +430,9 @@ export function deleteResource(resourceName, id) {
 export function clearAll(resourceName) {
   const db = getDatabase(resourceName);
   db.prepare('DELETE FROM resources').run();
+  if (searchIndexes.has(resourceName)) {
+    clearIndex(db);
+  }
 }
 
 /**
@@ -261,7 +445,7 @@ export function insertResource(resourceName, resource) {
   
   // Ensure timestamps exist
   if (!resource.createdAt) {
-    resource.createdAt = new Date().toISOString();
+    resource.createdAt = nowISO();
   }
   if (!resource.updatedAt) {
     resource.updatedAt = resource.createdAt;
@@ -269,6 +453,7 @@ export function insertResource(resourceName, resource) {
   
   const stmt = db.prepare('INSERT OR REPLACE INTO resources (id, data) VALUES (?, ?)');
   stmt.run(resource.id, JSON.stringify(resource));
+  reindex(db, resourceName, resource);
 }
 
 /**
@@ -283,11 +468,12 @@ export function count(resourceName) {
 }
 
 /**
- * Close all database connections
+ * Close all database connections and stop maintaining search indexes
  */
 export function closeAll() {
   for (const [name, db] of databases.entries()) {
     db.close();
     databases.delete(name);
   }
+  searchIndexes.clear();
 }
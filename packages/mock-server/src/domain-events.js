@@ -0,0 +1,76 @@
+/**
+ * Domain events — persists events to the events collection and records them
+ * in the outbox, which publishes them to the event sinks (SSE subscribers,
+ * webhooks, ...). Inside a unit of work, events are published only once it
+ * commits.
+ *
+ * Event data is checked against the state machine's `eventPayloads` schema
+ * for the action, when it declares one. Mismatches are logged, or — with
+ * `strictEvents: true` on the state machine or MOCK_STRICT_EVENTS=true —
+ * thrown, which rolls back the surrounding unit of work.
+ */
+
+import { create } from './database-manager.js';
+import { enqueueEvent } from './outbox.js';
+import { validate } from './validator.js';
+
+/**
+ * Whether event data that does not match its payload schema fails the write.
+ * @param {Object} stateMachine - The state machine contract
+ * @returns {boolean}
+ */
+function isStrictEvents(stateMachine) {
+  return stateMachine.strictEvents ?? process.env.MOCK_STRICT_EVENTS === 'true';
+}
+
+/**
+ * Check event data against the state machine's payload schema for the action.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {string} action - Event action
+ * @param {Object} [data] - Event payload
+ * @returns {{ valid: boolean, errors: Array<{ field: string, message: string }> }}
+ */
+export function checkEventPayload(stateMachine, action, data) {
+  const schema = stateMachine.eventPayloads?.[action];
+  return validate(data ?? {}, schema, `event:${stateMachine.domain}:${stateMachine.object}:${action}`);
+}
+
+/**
+ * Store a domain event for a state machine's object and queue it for publishing.
+ * @param {Object} stateMachine - The state machine contract (supplies domain and resource)
+ * @param {Object} event
+ * @param {string} event.action - Event action (e.g., "claimed")
+ * @param {string} event.resourceId - ID of the resource the event is about
+ * @param {string} event.performedById - Caller ID (or "system")
+ * @param {string} event.occurredAt - ISO timestamp
+ * @param {Object} [event.data] - Event payload
+ * @returns {Object} The stored event
+ * @throws {Error} With status 500 and code INVALID_EVENT_PAYLOAD, when the data does not match in strict mode
+ */
+export function emitDomainEvent(stateMachine, { action, resourceId, performedById, occurredAt, data }) {
+  const { valid, errors } = checkEventPayload(stateMachine, action, data);
+  if (!valid) {
+    const problems = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    const message = `Event "${action}" data does not match eventPayloads.${action}: ${problems}`;
+    if (isStrictEvents(stateMachine)) {
+      const error = new Error(message);
+      error.status = 500;
+      error.code = 'INVALID_EVENT_PAYLOAD';
+      error.details = errors;
+      throw error;
+    }
+    console.warn(message);
+  }
+
+  const stored = create('events', {
+    domain: stateMachine.domain,
+    resource: stateMachine.object.toLowerCase(),
+    action,
+    resourceId,
+    performedById,
+    occurredAt,
+    data
+  });
+  enqueueEvent(stored);
+  return stored;
+}
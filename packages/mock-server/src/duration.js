@@ -0,0 +1,112 @@
+/**
+ * Duration parsing and arithmetic shared by timers and SLA deadlines.
+ * Durations use the compact form found in contracts: 72h, 7d, -48h, 1d12h.
+ *
+ * With calendarType "business", durations are measured against a business
+ * calendar: d and w count working days (a week is five working days), and
+ * h, m, s count working time within working hours.
+ */
+
+import { DEFAULT_CALENDAR, addBusinessDays, addBusinessTime, businessTimeBetween } from './business-calendar.js';
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Split a duration string into its sign and unit segments.
+ * @param {string} duration - Duration string
+ * @returns {{ negative: boolean, segments: Array<[number, string]> }}
+ * @throws {Error} If the string is not a valid duration
+ */
+function parseSegments(duration) {
+  if (typeof duration !== 'string') {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  const match = duration.trim().match(/^(-)?((?:\d+[smhdw])+)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: "${duration}"`);
+  }
+
+  const segments = [...match[2].matchAll(/(\d+)([smhdw])/g)].map(([, amount, unit]) => [parseInt(amount, 10), unit]);
+  return { negative: Boolean(match[1]), segments };
+}
+
+/**
+ * Parse a duration string into milliseconds of calendar time.
+ * Supports s, m, h, d, w units, combined segments (1d12h), and a leading minus sign.
+ * @param {string} duration - Duration string (e.g., "72h", "-48h", "30d")
+ * @returns {number} Duration in milliseconds (negative for negative durations)
+ * @throws {Error} If the string is not a valid duration
+ */
+export function parseDuration(duration) {
+  const { negative, segments } = parseSegments(duration);
+  const total = segments.reduce((sum, [amount, unit]) => sum + amount * UNIT_MS[unit], 0);
+  return negative ? -total : total;
+}
+
+/**
+ * Add a duration to a point in time.
+ * @param {Date|string} start - Starting time
+ * @param {string} duration - Duration string (may be negative)
+ * @param {Object} [options]
+ * @param {string} [options.calendarType='calendar'] - "calendar" or "business"
+ * @param {Object} [options.calendar] - Business calendar (defaults to DEFAULT_CALENDAR)
+ * @returns {Date} Resulting time
+ */
+export function addDuration(start, duration, { calendarType = 'calendar', calendar } = {}) {
+  if (calendarType !== 'business') {
+    return new Date(new Date(start).getTime() + parseDuration(duration));
+  }
+
+  const { negative, segments } = parseSegments(duration);
+  const sign = negative ? -1 : 1;
+  let days = 0;
+  let ms = 0;
+  for (const [amount, unit] of segments) {
+    if (unit === 'w') days += amount * 5;
+    else if (unit === 'd') days += amount;
+    else ms += amount * UNIT_MS[unit];
+  }
+
+  const cal = calendar || DEFAULT_CALENDAR;
+  const afterDays = addBusinessDays(cal, start, sign * days);
+  return addBusinessTime(cal, afterDays, sign * ms);
+}
+
+/**
+ * Measure the time elapsed between two points in time.
+ * @param {Date|string} start - Start time
+ * @param {Date|string} end - End time
+ * @param {Object} [options]
+ * @param {string} [options.calendarType='calendar'] - "calendar" or "business"
+ * @param {Object} [options.calendar] - Business calendar (defaults to DEFAULT_CALENDAR)
+ * @returns {number} Elapsed milliseconds (working time for business; negative if end is before start)
+ */
+export function elapsedDuration(start, end, { calendarType = 'calendar', calendar } = {}) {
+  if (calendarType !== 'business') {
+    return new Date(end).getTime() - new Date(start).getTime();
+  }
+  return businessTimeBetween(calendar || DEFAULT_CALENDAR, start, end);
+}
+
+/**
+ * Add elapsed time (as measured by elapsedDuration) to a point in time.
+ * @param {Date|string} start - Starting time
+ * @param {number} ms - Milliseconds to add (working time for business; may be negative)
+ * @param {Object} [options]
+ * @param {string} [options.calendarType='calendar'] - "calendar" or "business"
+ * @param {Object} [options.calendar] - Business calendar (defaults to DEFAULT_CALENDAR)
+ * @returns {Date} Resulting time
+ */
+export function addElapsed(start, ms, { calendarType = 'calendar', calendar } = {}) {
+  if (calendarType !== 'business') {
+    return new Date(new Date(start).getTime() + ms);
+  }
+  return addBusinessTime(calendar || DEFAULT_CALENDAR, start, ms);
+}
@@ -0,0 +1,86 @@
+/**
+ * ETags and conditional requests.
+ * ETags are derived from each resource's version counter, hashed so clients
+ * treat them as opaque instead of relying on version numbers. A partial
+ * representation (e.g., `?fields=status`) hashes its field list in as well,
+ * so it never shares a strong ETag with the full resource.
+ */
+
+import { createHash } from 'crypto';
+import { getVersion } from './database-manager.js';
+
+/**
+ * Build the strong ETag for a version of a resource.
+ * @param {string} resourceName - Name of the resource (e.g., 'tasks')
+ * @param {string} id - Resource ID
+ * @param {number} version - Resource version
+ * @param {string|null} [representation] - Field list of a partial representation,
+ *   from fieldsKey(); null for the full resource
+ * @returns {string} Quoted ETag
+ */
+export function computeETag(resourceName, id, version, representation = null) {
+  const key = `${resourceName}:${id}:${version}${representation ? `:${representation}` : ''}`;
+  const hash = createHash('sha256').update(key).digest('hex');
+  return `"${hash.slice(0, 16)}"`;
+}
+
+/**
+ * Get the current ETag of a stored resource.
+ * @param {string} resourceName - Name of the resource
+ * @param {string} id - Resource ID
+ * @param {string|null} [representation] - Field list of a partial representation
+ * @returns {string|null} Quoted ETag or null if not found
+ */
+export function getETag(resourceName, id, representation = null) {
+  const version = getVersion(resourceName, id);
+  return version === null ? null : computeETag(resourceName, id, version, representation);
+}
+
+/**
+ * Check an If-Match or If-None-Match header value against an ETag.
+ * If-Match uses strong comparison, so weak (W/) tags never match it;
+ * If-None-Match uses weak comparison (RFC 9110 §13.1).
+ * @param {string} header - Header value: `*` or a comma-separated list of ETags
+ * @param {string} etag - Current ETag
+ * @param {{ weak?: boolean }} [options] - Use weak comparison
+ * @returns {boolean}
+ */
+export function etagMatches(header, etag, { weak = false } = {}) {
+  if (header.trim() === '*') return true;
+  return header.split(',').some(value => {
+    let tag = value.trim();
+    if (tag.startsWith('W/')) {
+      if (!weak) return false;
+      tag = tag.slice(2);
+    }
+    return tag === etag;
+  });
+}
+
+/**
+ * Evaluate If-Match for a write. Returns the 412 error body when the
+ * precondition fails, or null when the write may proceed (including when
+ * the header is absent).
+ * @param {Object} req - Express request
+ * @param {string} etag - Current ETag of the resource
+ * @returns {{ code: string, message: string }|null}
+ */
+export function checkIfMatch(req, etag) {
+  const header = req.headers['if-match'];
+  if (header === undefined || etagMatches(header, etag)) return null;
+  return {
+    code: 'PRECONDITION_FAILED',
+    message: 'Resource has been modified by another request'
+  };
+}
+
+/**
+ * Whether a GET can be answered with 304 Not Modified.
+ * @param {Object} req - Express request
+ * @param {string} etag - Current ETag of the resource
+ * @returns {boolean}
+ */
+export function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  return header !== undefined && etagMatches(header, etag, { weak: true });
+}
@@ -0,0 +1,62 @@
+/**
+ * Domain event filters, shared by the SSE stream and webhook subscriptions.
+ *
+ *   domain=workflow&action=claimed,completed    # GET /events/stream
+ *   { "domain": ["workflow"], "q": "resource:task" }   # Subscription filter
+ *
+ * `domain`, `resource`, `action`, and `resourceId` each match any of their
+ * values (comma-separated in a query string); `q` takes the search syntax.
+ * Filters compile to SQL on the events collection, so an event matches a
+ * filter exactly when GET /events would return it for the same query.
+ */
+
+import { getDatabase } from './database-manager.js';
+import { buildSearchConditions } from './search-engine.js';
+import { parseFilterParams, validateFilterFields } from './filter.js';
+
+export const EVENTS_COLLECTION = 'events';
+
+/**
+ * Filter parameters, each matching the DomainEvent field of the same name.
+ */
+const EVENT_FILTER_PARAMS = new Map(
+  ['domain', 'resource', 'action', 'resourceId'].map(name => [name, { field: name, op: 'in', type: 'string' }])
+);
+
+/**
+ * Parse an event filter into SQL conditions on the events collection.
+ * @param {Object} params - Query parameters or a subscription filter
+ * @param {Map|null} knownFields - DomainEvent field paths (from collectFieldInfo());
+ *   null checks only the path syntax
+ * @returns {{ conditions: { whereClauses: Array, params: Array }|null, error: Object|null }}
+ *   400 INVALID_FILTER, INVALID_QUERY, or INVALID_FILTER_FIELD error
+ */
+export function parseEventFilter(params, knownFields = null) {
+  const { filter, error } = parseFilterParams(params, EVENT_FILTER_PARAMS);
+  if (error) return { conditions: null, error };
+
+  const fieldError = validateFilterFields(params, knownFields, { filter, ignore: EVENT_FILTER_PARAMS.keys() });
+  if (fieldError) return { conditions: null, error: fieldError };
+
+  return { conditions: buildSearchConditions({ q: params.q }, [], filter), error: null };
+}
+
+/**
+ * Create a function that checks whether a stored event matches the conditions.
+ * @param {{ whereClauses: Array, params: Array }} conditions - From parseEventFilter()
+ * @returns {Function} (event) => boolean
+ */
+export function createEventMatcher({ whereClauses, params }) {
+  if (whereClauses.length === 0) return () => true;
+
+  const stmt = getDatabase(EVENTS_COLLECTION)
+    .prepare(`SELECT 1 FROM resources WHERE id = ? AND ${whereClauses.join(' AND ')}`);
+  return (event) => !!stmt.get(event.id, ...params);
+}
+
+/**
+ * The type of an event: `{resource}.{action}` (e.g., task.claimed).
+ */
+export function eventType(event) {
+  return `${event.resource}.${event.action}`;
+}
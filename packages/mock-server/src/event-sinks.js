@@ -0,0 +1,75 @@
+/**
+ * Event sinks — where the outbox relay publishes domain events.
+ *
+ *   sse      Publishes on the in-process event bus, feeding GET /events/stream
+ *   webhook  Queues deliveries to matching webhook subscriptions
+ *   stdout   Writes one JSON event per line to standard output
+ *   file     Appends one JSON event per line (NDJSON) to a file
+ *   nats     Publishes to the NATS-compatible broker, on the event's
+ *            CloudEvents type as the subject
+ *
+ * Each sink is `{ name, publish(event) }`; `publish` throws when the event
+ * was not published, so the relay keeps it pending and tries again.
+ */
+
+import { appendFileSync } from 'fs';
+import { toCloudEvent, cloudEventType } from '@codeforamerica/safety-net-blueprint-contracts/cloudevents';
+import { eventBus } from './event-bus.js';
+import { queueWebhookDeliveries } from './webhook-delivery.js';
+
+export const EVENT_SINK_NAMES = ['sse', 'webhook', 'stdout', 'file', 'nats'];
+export const DEFAULT_EVENT_SINKS = ['sse', 'webhook'];
+
+const FORMATS = {
+  'domain-event': event => event,
+  cloudevents: toCloudEvent
+};
+
+/**
+ * Create an event sink.
+ * @param {string} name - One of EVENT_SINK_NAMES
+ * @param {Object} [options]
+ * @param {string} [options.format='domain-event'] - Body of stdout, file, and nats
+ *   messages: `domain-event` or `cloudevents`
+ * @param {string} [options.file] - NDJSON file path (file sink)
+ * @param {Object} [options.broker] - Broker from startNatsBroker() (nats sink)
+ * @returns {{ name: string, publish: Function }}
+ * @throws {Error} When the name, format, or the sink's required option is missing or unknown
+ */
+export function createEventSink(name, { format = 'domain-event', file, broker } = {}) {
+  const represent = FORMATS[format];
+  if (!represent) {
+    throw new Error(`Unknown event format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const serialize = event => JSON.stringify(represent(event));
+
+  switch (name) {
+    case 'sse':
+      return { name, publish: event => { eventBus.emit('domain-event', event); } };
+    case 'webhook':
+      return { name, publish: event => { queueWebhookDeliveries(event); } };
+    case 'stdout':
+      return { name, publish: event => { process.stdout.write(`${serialize(event)}\n`); } };
+    case 'file':
+      if (!file) throw new Error('The file event sink needs a file path');
+      return { name, publish: event => appendFileSync(file, `${serialize(event)}\n`) };
+    case 'nats':
+      if (!broker) throw new Error('The nats event sink needs a running broker');
+      return {
+        name,
+        publish: event => broker.publish(cloudEventType(event.domain, event.resource, event.action), serialize(event))
+      };
+    default:
+      throw new Error(`Unknown event sink "${name}" (expected one of: ${EVENT_SINK_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Parse a comma-separated sink list (e.g., MOCK_EVENT_SINKS).
+ * @param {string|undefined} value - Sink names, or empty for the defaults
+ * @returns {string[]} Unique sink names, in the order given
+ */
+export function parseEventSinkNames(value) {
+  const names = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+  return names.length > 0 ? [...new Set(names)] : [...DEFAULT_EVENT_SINKS];
+}
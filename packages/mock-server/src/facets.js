@@ -0,0 +1,176 @@
+/**
+ * Field facets: grouped counts of the items matching a list or search
+ * request (the `facets` query parameter).
+ *
+ *   facets=status,priority      # Count per value
+ *   facets=programs             # Array fields count each element
+ *   facets=createdAt:month      # Date histogram by day, week, month, or year
+ *
+ * Counts are GROUP BY queries over the request's WHERE clause, so they cover
+ * every match rather than the current page.
+ */
+
+import { FIELD_PATTERN, fieldToJsonPath } from './query-parser.js';
+
+/**
+ * Maximum number of fields in a `facets` parameter.
+ */
+export const MAX_FACETS = 10;
+
+const DATE_FORMATS = ['date', 'date-time'];
+
+// SQLite date() modifiers that move a date to the first day of its interval
+const INTERVALS = {
+  day: [],
+  week: ['-6 days', 'weekday 1'],
+  month: ['start of month'],
+  year: ['start of year']
+};
+const DEFAULT_INTERVAL = 'day';
+
+/**
+ * Parse and validate a `facets` parameter: comma-separated fields, with an
+ * optional `:interval` on date and date-time fields (e.g., `status,createdAt:month`).
+ * Date fields without an interval are bucketed by day.
+ * @param {string|undefined} value - Raw `facets` query value
+ * @param {Map|null} fields - Result of collectFieldInfo(); null skips the schema check
+ * @returns {{ facets: Array<{ field: string, array?: boolean, interval?: string }>, error: Object|null }}
+ */
+export function parseFacets(value, fields = null) {
+  if (value === undefined || value === '') {
+    return { facets: [], error: null };
+  }
+
+  const badRequest = (code, message, field) => ({
+    facets: [],
+    error: { code, message, details: [{ field: 'facets', message: field }] }
+  });
+
+  if (typeof value !== 'string') {
+    return badRequest('BAD_REQUEST', 'facets must be a single comma-separated value', 'must be string');
+  }
+
+  const terms = value.split(',').map(term => term.trim());
+  if (terms.length > MAX_FACETS) {
+    return badRequest('BAD_REQUEST', `facets accepts at most ${MAX_FACETS} fields`, value);
+  }
+
+  const facets = [];
+  for (const term of terms) {
+    const [field, interval, ...rest] = term.split(':');
+
+    // Only plain dot paths are accepted as JSON paths
+    if (!FIELD_PATTERN.test(field) || (fields && !fields.has(field))) {
+      return badRequest('INVALID_FACET_FIELD', `Unknown facet field: ${field}`, field);
+    }
+    const info = fields?.get(field);
+    if (info && !info.scalar && !info.scalarItems) {
+      return badRequest('FIELD_NOT_FACETABLE', `Field '${field}' does not support facets`, field);
+    }
+    if (facets.some(facet => facet.field === field)) {
+      return badRequest('BAD_REQUEST', `Facet field ${field} is listed more than once`, field);
+    }
+
+    const isDate = DATE_FORMATS.includes(info?.format);
+    if (rest.length > 0 || (interval !== undefined && !INTERVALS[interval])) {
+      return badRequest('BAD_REQUEST', `Unknown facet interval in ${term}`, `use one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+    if (interval !== undefined && info && !isDate) {
+      return badRequest('BAD_REQUEST', `Field '${field}' is not a date; intervals apply to date and date-time fields`, field);
+    }
+
+    facets.push({
+      field,
+      ...(info?.scalarItems && { array: true }),
+      ...((isDate || interval) && { interval: interval || DEFAULT_INTERVAL })
+    });
+  }
+
+  return { facets, error: null };
+}
+
+/**
+ * Order buckets: histograms by date, other facets most frequent first.
+ * Either way ties go by value and the null bucket comes last.
+ */
+function sortBuckets(buckets, facet) {
+  const byValue = (a, b) => {
+    if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+    return String(a.value).localeCompare(String(b.value));
+  };
+  return buckets.sort(facet.interval ? byValue : (a, b) => b.count - a.count || byValue(a, b));
+}
+
+/**
+ * Count the matching items of a collection per value of each facet field.
+ * @param {Database} db - SQLite database of the collection
+ * @param {Array} facets - Parsed facets from parseFacets()
+ * @param {Object} query - The request's conditions (e.g., from buildSearchConditions())
+ * @param {string} [query.from='resources'] - FROM clause the conditions apply to
+ * @param {string[]} [query.whereClauses] - WHERE conditions, ANDed
+ * @param {Array} [query.params] - Parameters of the conditions
+ * @returns {Object} Field path → [{ value, count }]
+ */
+export function countFacets(db, facets, { from = 'resources', whereClauses = [], params = [] } = {}) {
+  const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+  const result = {};
+
+  for (const facet of facets) {
+    const jsonPath = fieldToJsonPath(facet.field);
+    let rows;
+    if (facet.array) {
+      // One row per element; an item counts once per distinct element
+      rows = db.prepare(`
+        SELECT element.value AS value, element.type AS type, COUNT(DISTINCT resources.id) AS count
+        FROM ${from}, json_each(resources.data, ?) AS element
+        ${where}
+        GROUP BY element.value, element.type
+      `).all(jsonPath, ...params);
+    } else if (facet.interval) {
+      const modifiers = INTERVALS[facet.interval];
+      rows = db.prepare(`
+        SELECT date(json_extract(resources.data, ?)${modifiers.map(() => ', ?').join('')}) AS value, COUNT(*) AS count
+        FROM ${from}
+        ${where}
+        GROUP BY 1
+      `).all(jsonPath, ...modifiers, ...params);
+    } else {
+      // json_extract returns booleans as 1/0; json_type tells them apart from numbers
+      rows = db.prepare(`
+        SELECT json_extract(resources.data, ?) AS value, json_type(resources.data, ?) AS type, COUNT(*) AS count
+        FROM ${from}
+        ${where}
+        GROUP BY 1, 2
+      `).all(jsonPath, jsonPath, ...params);
+    }
+
+    const buckets = rows.map(({ value, type, count }) => ({
+      value: type === 'true' ? true : type === 'false' ? false : value,
+      count
+    }));
+    result[facet.field] = sortBuckets(buckets, facet);
+  }
+
+  return result;
+}
+
+/**
+ * Sum the facet counts of several collections (for /search).
+ * @param {Object[]} counts - Results of countFacets(), one per collection
+ * @param {Array} facets - Parsed facets from parseFacets()
+ * @returns {Object} Field path → [{ value, count }], with every requested field
+ */
+export function mergeFacets(counts, facets) {
+  const result = {};
+  for (const facet of facets) {
+    const totals = new Map();
+    for (const buckets of counts.map(count => count[facet.field] || [])) {
+      for (const { value, count } of buckets) {
+        const key = JSON.stringify(value);
+        totals.set(key, { value, count: (totals.get(key)?.count || 0) + count });
+      }
+    }
+    result[facet.field] = sortBuckets([...totals.values()], facet);
+  }
+  return result;
+}
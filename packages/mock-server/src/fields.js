@@ -0,0 +1,153 @@
+/**
+ * Sparse fieldsets: the `fields` query parameter on get and list endpoints
+ * returns only the listed fields of each resource.
+ *
+ *   fields=id,status                   # Top-level fields
+ *   fields=household.members.name      # Paths through arrays apply to each element
+ *
+ * `id` is always returned. Paths are checked against the resource schema.
+ *
+ * Top-level properties the schema marks `writeOnly` (e.g., a webhook secret)
+ * are stored but never returned.
+ */
+
+import { FIELD_PATTERN } from './query-parser.js';
+
+/**
+ * Collect the properties a schema declares, looking through array items and
+ * allOf/oneOf/anyOf branches. The first declaration of a name wins.
+ * @param {Object} schema - Dereferenced JSON schema
+ * @returns {Map<string, Object>} Property name → property schema
+ */
+function collectProperties(schema, properties = new Map(), depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 10) return properties;
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (!properties.has(name)) properties.set(name, property);
+  }
+  if (schema.items) collectProperties(schema.items, properties, depth + 1);
+  for (const branch of [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || [])]) {
+    collectProperties(branch, properties, depth + 1);
+  }
+  return properties;
+}
+
+/**
+ * Check that every segment of a dot path names a property of the schema.
+ */
+function schemaHasPath(schema, segments) {
+  let current = schema;
+  for (const segment of segments) {
+    current = collectProperties(current).get(segment);
+    if (!current) return false;
+  }
+  return true;
+}
+
+/**
+ * Add a path to a field tree. A shorter path selects the whole subtree, so
+ * `household` wins over `household.members.name`.
+ */
+function addPath(tree, [head, ...rest]) {
+  if (tree[head] === true) return;
+  if (rest.length === 0) {
+    tree[head] = true;
+    return;
+  }
+  if (!Object.hasOwn(tree, head)) tree[head] = {};
+  addPath(tree[head], rest);
+}
+
+/**
+ * Parse and validate a `fields` parameter into a field tree
+ * (e.g., `status,household.members.name` → `{ id: true, status: true, household: { members: { name: true } } }`).
+ * @param {string|undefined} value - Raw `fields` query value
+ * @param {Object|null} schema - Resource schema; null skips the schema check
+ * @returns {{ fields: Object|null, error: Object|null }} fields is null when the parameter is absent
+ */
+export function parseFields(value, schema = null) {
+  if (value === undefined || value === '') {
+    return { fields: null, error: null };
+  }
+
+  const invalid = (message, field) => ({
+    fields: null,
+    error: { code: 'INVALID_FIELD', message, details: [{ field: 'fields', message: field }] }
+  });
+
+  if (typeof value !== 'string') {
+    return invalid('fields must be a single comma-separated value', 'must be string');
+  }
+
+  const fields = { id: true };
+  for (const path of value.split(',').map(term => term.trim())) {
+    // Only plain dot paths are accepted
+    if (!FIELD_PATTERN.test(path) || (schema && !schemaHasPath(schema, path.split('.')))) {
+      return invalid(`Unknown field: ${path}`, path);
+    }
+    addPath(fields, path.split('.'));
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Normalized form of a field tree: its paths, sorted and comma-separated
+ * (e.g., `household.members.name,id,status`). Equivalent `fields` values
+ * (reordered, repeated, or covered by a shorter path) give the same key.
+ * @param {Object} fields - Field tree from parseFields()
+ * @returns {string}
+ */
+export function fieldsKey(fields) {
+  const paths = [];
+  const walk = (tree, prefix) => {
+    for (const [name, nested] of Object.entries(tree)) {
+      if (nested === true) paths.push(prefix + name);
+      else walk(nested, `${prefix}${name}.`);
+    }
+  };
+  walk(fields, '');
+  return paths.sort().join(',');
+}
+
+/**
+ * Keep only the fields of a field tree. Arrays are projected element by
+ * element; fields missing from the value stay missing.
+ * @param {*} value - Resource (or part of one)
+ * @param {Object|true|null} fields - Field tree from parseFields(); true or null keeps the value
+ * @returns {*} The projected value
+ */
+export function projectFields(value, fields) {
+  if (!fields || fields === true || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(element => projectFields(element, fields));
+
+  const result = {};
+  for (const [key, nested] of Object.entries(value)) {
+    if (Object.hasOwn(fields, key)) result[key] = projectFields(nested, fields[key]);
+  }
+  return result;
+}
+
+/**
+ * List the top-level properties a resource schema marks `writeOnly`.
+ * @param {Object|null} schema - Dereferenced resource schema
+ * @returns {string[]} Property names
+ */
+export function collectWriteOnlyFields(schema) {
+  if (!schema) return [];
+  return [...collectProperties(schema)]
+    .filter(([, property]) => property?.writeOnly === true)
+    .map(([name]) => name);
+}
+
+/**
+ * Remove writeOnly properties from a resource before it is returned.
+ * @param {Object} resource - Stored resource
+ * @param {string[]} writeOnly - Result of collectWriteOnlyFields()
+ * @returns {Object} The resource without those properties
+ */
+export function omitWriteOnly(resource, writeOnly) {
+  if (writeOnly.length === 0 || !resource || typeof resource !== 'object') return resource;
+  const result = { ...resource };
+  for (const name of writeOnly) delete result[name];
+  return result;
+}
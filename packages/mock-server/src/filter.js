@@ -0,0 +1,272 @@
+/**
+ * Structured filters for the `x-search` styles `filtered` and `post-search`.
+ *
+ * Both styles produce the same filter tree, which compiles to the same
+ * parameterized SQL as the `q` syntax:
+ *
+ *   { field: 'status', op: 'in', value: ['pending', 'in_progress'] }
+ *   { and: [...] } | { or: [...] } | { not: {...} }
+ *
+ * `filtered` builds the tree from the typed query parameters the resolver
+ * declared on the list endpoint (`status=pending,in_progress`,
+ * `createdAt[gte]=2026-01-01`). `post-search` reads it from the body of
+ * `POST /{resources}/search` (components/search.yaml#/SearchRequest).
+ */
+
+import { TokenType, FIELD_PATTERN, parseQuery, queryToSqlCondition } from './query-parser.js';
+
+/**
+ * Filter operators and the `q` token type each compiles to.
+ */
+export const FILTER_OPERATORS = {
+  eq: TokenType.EXACT,
+  ne: TokenType.NOT_EQUAL,
+  gt: TokenType.GREATER_THAN,
+  gte: TokenType.GREATER_THAN_OR_EQUAL,
+  lt: TokenType.LESS_THAN,
+  lte: TokenType.LESS_THAN_OR_EQUAL,
+  in: TokenType.IN,
+  notIn: TokenType.NOT_IN,
+  contains: TokenType.CONTAINS,
+  startsWith: TokenType.STARTS_WITH,
+  endsWith: TokenType.ENDS_WITH,
+  exists: TokenType.EXISTS
+};
+
+/**
+ * Query parameters that are never field filters.
+ */
+export const RESERVED_PARAMS = ['q', 'search', 'sort', 'facets', 'fields', 'limit', 'offset', 'cursor', 'page', 'pageSize'];
+
+const MAX_DEPTH = 10;
+const RANGE_PARAM = /^(.+)\[(gt|gte|lt|lte)\]$/;
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Build an INVALID_FILTER error.
+ */
+function invalidFilter(field, message) {
+  return {
+    code: 'INVALID_FILTER',
+    message: `Invalid filter: ${message}`,
+    details: [{ field, message }]
+  };
+}
+
+/**
+ * Validate a filter expression from a request body.
+ * @param {*} expression - FilterExpression (components/search.yaml)
+ * @param {string} [path='filter'] - Location of the expression, for error details
+ * @returns {{ filter: Object|null, error: Object|null }}
+ */
+export function parseFilter(expression, path = 'filter') {
+  const error = validateExpression(expression, path, 0);
+  return error ? { filter: null, error } : { filter: expression, error: null };
+}
+
+/**
+ * Return an INVALID_FILTER error for the first problem in an expression, or null.
+ */
+function validateExpression(node, path, depth) {
+  if (depth > MAX_DEPTH) {
+    return invalidFilter(path, `groups nest at most ${MAX_DEPTH} levels deep`);
+  }
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return invalidFilter(path, 'must be an object');
+  }
+
+  const keys = Object.keys(node);
+  for (const group of ['and', 'or']) {
+    if (!(group in node)) continue;
+    if (keys.length !== 1) return invalidFilter(path, `${group} must be the only property of its object`);
+    if (!Array.isArray(node[group]) || node[group].length === 0) {
+      return invalidFilter(`${path}.${group}`, 'must be a non-empty array');
+    }
+    for (const [i, child] of node[group].entries()) {
+      const error = validateExpression(child, `${path}.${group}[${i}]`, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+  if ('not' in node) {
+    if (keys.length !== 1) return invalidFilter(path, 'not must be the only property of its object');
+    return validateExpression(node.not, `${path}.not`, depth + 1);
+  }
+
+  const unknown = keys.find(key => !['field', 'op', 'value'].includes(key));
+  if (unknown) return invalidFilter(path, `unknown property ${unknown}`);
+  if (typeof node.field !== 'string' || !FIELD_PATTERN.test(node.field)) {
+    return invalidFilter(`${path}.field`, 'must be a field path such as status or name.lastName');
+  }
+  if (!(node.op in FILTER_OPERATORS)) {
+    return invalidFilter(`${path}.op`, `must be one of ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+  }
+
+  const { op, value } = node;
+  if (op === 'exists') {
+    return value === undefined || typeof value === 'boolean' ? null : invalidFilter(`${path}.value`, 'must be a boolean for exists');
+  }
+  if (op === 'in' || op === 'notIn') {
+    const valid = Array.isArray(value) && value.length > 0 && value.every(v => SCALAR_TYPES.includes(typeof v));
+    return valid ? null : invalidFilter(`${path}.value`, `must be a non-empty array for ${op}`);
+  }
+  if (['contains', 'startsWith', 'endsWith'].includes(op) && typeof value !== 'string') {
+    return invalidFilter(`${path}.value`, `must be a string for ${op}`);
+  }
+  return SCALAR_TYPES.includes(typeof value) ? null : invalidFilter(`${path}.value`, 'must be a string, number, or boolean');
+}
+
+/**
+ * Map the filter query parameters declared on a list endpoint (by the
+ * resolver's `filtered` style) to the field and operator they filter on.
+ * @param {Array} parameters - Endpoint parameters (dereferenced)
+ * @returns {Map<string, { field: string, op: string, type: string }>} Parameter name → filter
+ */
+export function collectFilterParams(parameters = []) {
+  const filters = new Map();
+  for (const param of parameters) {
+    if (param?.in !== 'query' || !param.name || RESERVED_PARAMS.includes(param.name)) continue;
+
+    const range = param.name.match(RANGE_PARAM);
+    const field = range ? range[1] : param.name;
+    if (!FIELD_PATTERN.test(field)) continue;
+
+    const schema = param.schema?.type === 'array' ? param.schema.items : param.schema;
+    filters.set(param.name, { field, op: range ? range[2] : 'in', type: schema?.type || 'string' });
+  }
+  return filters;
+}
+
+/**
+ * Convert a query string value to the type its parameter declares.
+ * @returns {{ value: *, valid: boolean }}
+ */
+function coerceValue(raw, type) {
+  if (type === 'integer' || type === 'number') {
+    const value = Number(raw);
+    return { value, valid: raw !== '' && Number.isFinite(value) && (type === 'number' || Number.isInteger(value)) };
+  }
+  if (type === 'boolean') {
+    return { value: raw === 'true', valid: raw === 'true' || raw === 'false' };
+  }
+  return { value: raw, valid: true };
+}
+
+/**
+ * Build a filter from the declared filter query parameters of a request.
+ * Plain parameters match any of their comma-separated values; `field[op]`
+ * parameters compare with gt, gte, lt, or lte.
+ * @param {Object} queryParams - Request query parameters
+ * @param {Map} filterParams - Result of collectFilterParams()
+ * @returns {{ filter: Object|null, error: Object|null }} filter is null when no filter parameters are present
+ */
+export function parseFilterParams(queryParams = {}, filterParams = new Map()) {
+  const conditions = [];
+
+  for (const [name, raw] of Object.entries(queryParams)) {
+    const declared = filterParams.get(name);
+    if (!declared || raw === undefined || raw === '') continue;
+
+    const { field, op, type } = declared;
+    const rawValues = [].concat(raw).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(v => v !== '');
+    if (op !== 'in' && rawValues.length !== 1) {
+      return { filter: null, error: invalidFilter(name, 'takes a single value') };
+    }
+
+    const values = [];
+    for (const rawValue of rawValues) {
+      const { value, valid } = coerceValue(rawValue, type);
+      if (!valid) return { filter: null, error: invalidFilter(name, `must be ${type === 'integer' ? 'an' : 'a'} ${type}`) };
+      values.push(value);
+    }
+    if (values.length === 0) continue;
+
+    conditions.push(op === 'in' ? { field, op, value: values } : { field, op, value: values[0] });
+  }
+
+  if (conditions.length === 0) return { filter: null, error: null };
+  return { filter: conditions.length === 1 ? conditions[0] : { and: conditions }, error: null };
+}
+
+/**
+ * List the field paths a filter tree (or `q` query tree) compares.
+ */
+function filterFields(filter) {
+  if (filter.and || filter.or) return (filter.and || filter.or).flatMap(filterFields);
+  if (filter.not) return filterFields(filter.not);
+  return [filter.field];
+}
+
+/**
+ * Check the fields a request filters on against the resource schema: `q`
+ * field terms, plain `field=value` parameters, and structured filter
+ * conditions. Unknown fields would otherwise match nothing. Malformed `q`
+ * syntax (e.g., an unclosed parenthesis) is reported first.
+ * @param {Object} queryParams - Request query parameters
+ * @param {Map|Set|null} knownFields - Field paths of the item schema (e.g., from
+ *   collectFieldInfo()); null checks only that each field is a plain dot path
+ * @param {Object} [options]
+ * @param {Object|null} [options.filter] - Structured filter from parseFilter() or parseFilterParams()
+ * @param {Iterable<string>} [options.ignore] - Other query parameters that are not
+ *   field filters (e.g., declared filtered-style parameters)
+ * @returns {Object|null} 400 INVALID_QUERY or INVALID_FILTER_FIELD error, or null when every field is valid
+ */
+export function validateFilterFields(queryParams = {}, knownFields = null, { filter = null, ignore = [] } = {}) {
+  const { query, error } = parseQuery(queryParams.q);
+  if (error) return error;
+
+  const ignored = new Set([...RESERVED_PARAMS, ...ignore]);
+  const fields = [
+    ...(query ? filterFields(query).filter(field => field !== null) : []),
+    ...Object.keys(queryParams).filter(key => !ignored.has(key)),
+    ...(filter ? filterFields(filter) : [])
+  ];
+
+  for (const field of fields) {
+    if (FIELD_PATTERN.test(field) && (!knownFields || knownFields.has(field))) continue;
+    return {
+      code: 'INVALID_FILTER_FIELD',
+      message: `Unknown filter field: ${field}`,
+      details: [{
+        field,
+        message: knownFields
+          ? `valid fields: ${[...knownFields.keys()].join(', ')}`
+          : 'must be a field path such as status or name.lastName'
+      }]
+    };
+  }
+  return null;
+}
+
+/**
+ * json_extract returns booleans as 1/0, so compare with those.
+ */
+function sqlValue(value) {
+  return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
+
+/**
+ * Convert a filter tree to the equivalent `q` query tree: groups keep their
+ * shape and conditions become parsed terms.
+ */
+function toQueryNode(filter) {
+  if (filter.and) return { and: filter.and.map(toQueryNode) };
+  if (filter.or) return { or: filter.or.map(toQueryNode) };
+  if (filter.not) return { not: toQueryNode(filter.not) };
+
+  const { field, op, value } = filter;
+  return {
+    type: op === 'exists' && value === false ? TokenType.NOT_EXISTS : FILTER_OPERATORS[op],
+    field,
+    value: Array.isArray(value) ? value.map(sqlValue) : sqlValue(value)
+  };
+}
+
+/**
+ * Compile a validated filter to a parameterized SQL condition.
+ * @param {Object} filter - Filter tree from parseFilter() or parseFilterParams()
+ * @returns {{ clause: string, params: Array }}
+ */
+export function filterToSql(filter) {
+  return queryToSqlCondition(toQueryNode(filter));
+}
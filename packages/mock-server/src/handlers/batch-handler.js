@@ -0,0 +1,129 @@
+/**
+ * Handler for POST /resources/batch
+ *
+ * Runs each operation through the collection's own create, update, and
+ * delete handlers, so a batched operation is validated exactly like the
+ * single request. Operations run sequentially and succeed or fail
+ * independently (no rollback of earlier operations).
+ */
+
+const MAX_OPERATIONS = 100;
+// Batch action → HTTP method of the single-resource request it stands for
+const ACTION_METHODS = { create: 'POST', update: 'PATCH', delete: 'DELETE' };
+const ACTIONS = Object.keys(ACTION_METHODS);
+
+// Caller headers forwarded to each operation (actors, onCreate effects)
+const FORWARDED_HEADERS = ['x-caller-id', 'x-caller-role'];
+
+/**
+ * Minimal response object that records what a handler sends.
+ */
+function captureResponse() {
+  const captured = { statusCode: 200, body: undefined };
+  const res = {
+    status(code) {
+      captured.statusCode = code;
+      return res;
+    },
+    header() {
+      return res;
+    },
+    set() {
+      return res;
+    },
+    json(body) {
+      captured.body = body;
+      return res;
+    },
+    send(body) {
+      captured.body = body;
+      return res;
+    }
+  };
+  return { res, captured };
+}
+
+/**
+ * Validate one operation before dispatching it.
+ * @returns {{ code: string, message: string }|null} Error body, or null if valid
+ */
+function checkOperation(operation, handlers, collectionName) {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    return { code: 'BAD_REQUEST', message: 'Operation must be a JSON object' };
+  }
+  if (!ACTIONS.includes(operation.action)) {
+    return { code: 'BAD_REQUEST', message: `action must be one of: ${ACTIONS.join(', ')}` };
+  }
+  if (!handlers[operation.action]) {
+    return { code: 'BAD_REQUEST', message: `${operation.action} is not supported for ${collectionName}` };
+  }
+  if (operation.action === 'create' && operation.id !== undefined) {
+    return { code: 'BAD_REQUEST', message: 'id must be omitted for create' };
+  }
+  if (operation.action !== 'create' && (typeof operation.id !== 'string' || operation.id.length === 0)) {
+    return { code: 'BAD_REQUEST', message: `id is required for ${operation.action}` };
+  }
+  return null;
+}
+
+/**
+ * Create batch handler for a collection
+ * @param {string} collectionName - Collection the batch applies to (e.g., 'tasks')
+ * @param {{ create?: Function, update?: Function, delete?: Function }} handlers - The collection's Express handlers
+ * @returns {Function} Express handler
+ */
+export function createBatchHandler(collectionName, handlers) {
+  return (req, res) => {
+    try {
+      const operations = req.body?.operations;
+      if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+        return res.status(400).json({
+          code: 'BAD_REQUEST',
+          message: `operations must be an array of 1 to ${MAX_OPERATIONS} operations`,
+          details: [{ field: 'operations', message: Array.isArray(operations) ? `${operations.length} items` : 'must be array' }]
+        });
+      }
+
+      const headers = {};
+      for (const name of FORWARDED_HEADERS) {
+        if (req.headers[name] !== undefined) headers[name] = req.headers[name];
+      }
+
+      const results = operations.map((operation, index) => {
+        const action = typeof operation?.action === 'string' ? operation.action : undefined;
+        const operationError = checkOperation(operation, handlers, collectionName);
+        if (operationError) {
+          return { index, action, status: 'failed', error: operationError };
+        }
+
+        const { res: captureRes, captured } = captureResponse();
+        handlers[action]({
+          method: ACTION_METHODS[action],
+          params: action === 'create' ? {} : { id: operation.id },
+          headers,
+          body: operation.data
+        }, captureRes);
+
+        if (captured.statusCode >= 400) {
+          return { index, action, status: 'failed', ...(operation.id && { id: operation.id }), error: captured.body };
+        }
+        return { index, action, status: 'succeeded', id: action === 'create' ? captured.body.id : operation.id };
+      });
+
+      const succeeded = results.filter(r => r.status === 'succeeded').length;
+      res.json({
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      });
+    } catch (error) {
+      console.error('Batch handler error:', error);
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
+      });
+    }
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Handlers for the mock clock admin endpoints:
+ *   GET  /_mock/clock          - Current mock time
+ *   POST /_mock/clock/advance  - Advance the clock, run SLA checks, and fire due timers
+ *   POST /_mock/clock/reset    - Reset the clock to system time
+ *   POST /_mock/timers/run     - Run SLA checks and fire due timers without moving the clock
+ */
+
+import { now, advanceClock, setClock, resetClock, getClockOffset } from '../clock.js';
+import { parseDuration } from '../duration.js';
+import { runScheduledChecks } from '../timer-scheduler.js';
+
+/**
+ * Build the clock state response body.
+ */
+function clockState() {
+  return {
+    now: now().toISOString(),
+    offsetMs: getClockOffset()
+  };
+}
+
+/**
+ * Create handler for GET /_mock/clock.
+ * @returns {Function} Express handler
+ */
+export function createGetClockHandler() {
+  return (req, res) => {
+    res.json(clockState());
+  };
+}
+
+/**
+ * Create handler for POST /_mock/clock/advance.
+ * Body: { "by": "72h" } to move forward by a duration, or
+ *       { "to": "2025-01-15T10:00:00Z" } to jump to an absolute time.
+ * SLA checks and due timers run before the response is sent.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @returns {Function} Express handler
+ */
+export function createAdvanceClockHandler(stateMachines, rules, calendars) {
+  return (req, res) => {
+    const { by, to } = req.body || {};
+
+    if ((by === undefined) === (to === undefined)) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        message: 'Request body must contain exactly one of "by" (duration) or "to" (date-time)'
+      });
+    }
+
+    try {
+      if (by !== undefined) {
+        advanceClock(parseDuration(by));
+      } else {
+        setClock(to);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        message: error.message
+      });
+    }
+
+    try {
+      res.json({ ...clockState(), ...runScheduledChecks(stateMachines, rules, calendars) });
+    } catch (error) {
+      console.error('Clock advance error:', error);
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
+      });
+    }
+  };
+}
+
+/**
+ * Create handler for POST /_mock/clock/reset.
+ * @returns {Function} Express handler
+ */
+export function createResetClockHandler() {
+  return (req, res) => {
+    resetClock();
+    res.json(clockState());
+  };
+}
+
+/**
+ * Create handler for POST /_mock/timers/run.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @returns {Function} Express handler
+ */
+export function createRunTimersHandler(stateMachines, rules, calendars) {
+  return (req, res) => {
+    try {
+      res.json({ ...clockState(), ...runScheduledChecks(stateMachines, rules, calendars) });
+    } catch (error) {
+      console.error('Timer run error:', error);
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
+      });
+    }
+  };
+}
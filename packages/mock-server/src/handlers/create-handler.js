@@ -2,11 +2,14 @@
  * Handler for POST /resources (create)
  */
 
-import { create, update } from '../database-manager.js';
+import { create, update, transaction } from '../database-manager.js';
 import { validate, createErrorResponse } from '../validator.js';
-import { applyEffects } from '../state-machine-engine.js';
-import { processRuleEvaluations } from './rule-evaluation.js';
-import { eventBus } from '../event-bus.js';
+import { applyEffects, checkActors } from '../state-machine-engine.js';
+import { processRuleEvaluations, buildDependencies, createPendingRecords } from './rule-evaluation.js';
+import { emitDomainEvent } from '../domain-events.js';
+import { startSlaClock, getSlaClock } from '../sla-clock.js';
+import { nowISO } from '../clock.js';
+import { collectWriteOnlyFields, omitWriteOnly } from '../fields.js';
 
 /**
  * Create create handler for a resource
@@ -15,9 +18,11 @@ import { eventBus } from '../event-bus.js';
  * @param {string} baseUrl - Base URL for Location header
  * @param {Object|null} stateMachine - State machine contract (null for APIs without one)
  * @param {Array|null} rules - Rules from discoverRules() (null for APIs without rules)
+ * @param {Object} [calendar] - Business calendar for the state machine's domain
  * @returns {Function} Express handler
  */
-export function createCreateHandler(apiMetadata, endpoint, baseUrl, stateMachine, rules) {
+export function createCreateHandler(apiMetadata, endpoint, baseUrl, stateMachine, rules, calendar) {
+  const writeOnly = collectWriteOnlyFields(endpoint.responseSchema);
   return (req, res) => {
     try {
       // Check if request body is an object (400 for malformed request)
@@ -29,6 +34,19 @@ export function createCreateHandler(apiMetadata, endpoint, baseUrl, stateMachine
         });
       }
 
+      // Enforce the roles allowed to create objects governed by a state machine
+      const actorResult = checkActors(
+        stateMachine?.onCreate?.actors,
+        { role: req.headers['x-caller-role'] || null },
+        `create ${endpoint.collectionName}`
+      );
+      if (!actorResult.allowed) {
+        return res.status(403).json({
+          code: 'FORBIDDEN',
+          message: actorResult.reason
+        });
+      }
+
       // Validate request body (422 for validation errors)
       if (endpoint.requestSchema) {
         const { valid, errors } = validate(
@@ -42,84 +60,91 @@ export function createCreateHandler(apiMetadata, endpoint, baseUrl, stateMachine
         }
       }
 
-      // Create resource in database
-      const resource = create(endpoint.collectionName, req.body);
-
-      // Execute onCreate effects if this resource has a state machine
-      if (stateMachine?.onCreate?.effects) {
-        const callerId = req.headers['x-caller-id'] || 'system';
-        const now = new Date().toISOString();
-        const context = {
-          caller: {
-            id: callerId,
-            role: req.headers['x-caller-role'] || null
-          },
-          object: { ...resource },
-          request: req.body || {},
-          now
-        };
-
-        const { pendingCreates, pendingRuleEvaluations, pendingEvents } = applyEffects(
-          stateMachine.onCreate.effects,
-          resource,
-          context
-        );
-
-        // Process rule evaluations (sets queueId, priority, etc.)
-        processRuleEvaluations(pendingRuleEvaluations, resource, rules, stateMachine.domain);
+      // Create the resource and run onCreate effects as one unit of work:
+      // if a pending create or event fails, the resource is not kept either
+      let resource;
+      transaction(() => {
+        resource = create(endpoint.collectionName, req.body);
 
-        // Persist rule-driven mutations back to DB
-        const diff = {};
-        const original = { ...resource };
-        for (const [key, value] of Object.entries(resource)) {
-          if (original[key] !== value && key !== 'id' && key !== 'createdAt' && key !== 'updatedAt') {
-            diff[key] = value;
-          }
+        // Start the SLA clock if the resource is created in a running state
+        if (stateMachine?.sla && getSlaClock(stateMachine, resource.status) === 'running') {
+          const sla = startSlaClock(stateMachine, resource, new Date(resource.createdAt), calendar);
+          Object.assign(resource, update(endpoint.collectionName, resource.id, sla));
         }
 
-        if (Object.keys(diff).length > 0) {
-          update(endpoint.collectionName, resource.id, diff);
-          // Refresh resource with updated timestamps
-          Object.assign(resource, diff);
-        }
+        // Execute onCreate effects if this resource has a state machine
+        if (stateMachine?.onCreate?.effects) {
+          const callerId = req.headers['x-caller-id'] || 'system';
+          const now = nowISO();
+          const context = {
+            caller: {
+              id: callerId,
+              role: req.headers['x-caller-role'] || null
+            },
+            object: { ...resource },
+            request: req.body || {},
+            now
+          };
+
+          const { pendingCreates, pendingRuleEvaluations, pendingEvents } = applyEffects(
+            stateMachine.onCreate.effects,
+            resource,
+            context,
+            buildDependencies()
+          );
+
+          // Process rule evaluations (sets queueId, priority, etc.)
+          processRuleEvaluations(pendingRuleEvaluations, resource, rules, stateMachine.domain);
+
+          // Persist rule-driven mutations back to DB
+          const diff = {};
+          const original = { ...resource };
+          for (const [key, value] of Object.entries(resource)) {
+            if (original[key] !== value && key !== 'id' && key !== 'createdAt' && key !== 'updatedAt') {
+              diff[key] = value;
+            }
+          }
 
-        // Execute pending creates
-        for (const { entity, data } of pendingCreates) {
-          try {
-            create(entity, data);
-          } catch (createError) {
-            console.error(`Failed to create ${entity}:`, createError.message);
+          if (Object.keys(diff).length > 0) {
+            update(endpoint.collectionName, resource.id, diff);
+            // Refresh resource with updated timestamps
+            Object.assign(resource, diff);
           }
-        }
 
-        // Emit pending domain events
-        for (const event of pendingEvents) {
-          try {
-            const stored = create('events', {
-              domain: stateMachine.domain,
-              resource: stateMachine.object.toLowerCase(),
+          // Execute pending creates
+          createPendingRecords(pendingCreates);
+
+          // Emit pending domain events
+          for (const event of pendingEvents) {
+            emitDomainEvent(stateMachine, {
               action: event.action,
               resourceId: resource.id,
               performedById: callerId,
               occurredAt: now,
               data: event.data
             });
-            eventBus.emit('domain-event', stored);
-          } catch (eventError) {
-            console.error(`Failed to emit event "${event.action}":`, eventError.message);
           }
         }
-      }
+      });
 
       // Build Location header
       const location = `${baseUrl}${endpoint.path}/${resource.id}`;
 
       res.status(201)
         .header('Location', location)
-        .json(resource);
+        .json(omitWriteOnly(resource, writeOnly));
     } catch (error) {
       console.error('Create handler error:', error);
 
+      // Invalid effect-created records or event data (strict events)
+      if (error.status) {
+        return res.status(error.status).json({
+          code: error.code,
+          message: error.message,
+          details: error.details
+        });
+      }
+
       // Handle unique constraint violations
       if (error.message?.includes('UNIQUE constraint')) {
         return res.status(409).json({
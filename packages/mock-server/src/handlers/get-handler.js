@@ -3,6 +3,8 @@
  */
 
 import { findById } from '../database-manager.js';
+import { getETag, isNotModified } from '../etag.js';
+import { parseFields, fieldsKey, projectFields, collectWriteOnlyFields, omitWriteOnly } from '../fields.js';
 
 /**
  * Create get-by-id handler for a resource
@@ -12,10 +14,17 @@ import { findById } from '../database-manager.js';
  */
 export function createGetHandler(apiMetadata, endpoint) {
   const paramName = extractPathParam(endpoint.path);
+  const writeOnly = collectWriteOnlyFields(endpoint.responseSchema);
   return (req, res) => {
     try {
       const resourceId = req.params[paramName] || req.params.id;
 
+      // Validate sparse fieldset paths against the resource schema (400 for unknown fields)
+      const { fields, error: fieldsError } = parseFields(req.query?.fields, endpoint.responseSchema || null);
+      if (fieldsError) {
+        return res.status(400).json(fieldsError);
+      }
+
       const resource = findById(endpoint.collectionName, resourceId);
 
       if (!resource) {
@@ -24,8 +33,15 @@ export function createGetHandler(apiMetadata, endpoint) {
           message: `${capitalize(paramName.replace(/Id$/, ''))} not found`
         });
       }
-      
-      res.json(resource);
+
+      // A sparse fieldset is its own representation, with its own ETag
+      const etag = getETag(endpoint.collectionName, resourceId, fields && fieldsKey(fields));
+      res.set('ETag', etag);
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+
+      res.json(projectFields(omitWriteOnly(resource, writeOnly), fields));
     } catch (error) {
       console.error('Get handler error:', error);
       res.status(500).json({
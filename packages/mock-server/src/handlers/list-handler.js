@@ -1,9 +1,14 @@
 /**
- * Handler for GET /resources (list/search)
+ * Handler for GET /resources (list/search) and, with the post-search
+ * style, POST /resources/search
  */
 
 import { getDatabase } from '../database-manager.js';
-import { executeSearch } from '../search-engine.js';
+import { executeSearch, buildSearchConditions, collectFieldInfo, parseSort } from '../search-engine.js';
+import { parsePageRequest, buildPageFields } from '../pagination.js';
+import { collectFilterParams, parseFilterParams, parseFilter, validateFilterFields } from '../filter.js';
+import { parseFacets, countFacets } from '../facets.js';
+import { parseFields, projectFields, collectWriteOnlyFields, omitWriteOnly } from '../fields.js';
 
 /**
  * Extract all string-typed field paths from an OpenAPI schema.
@@ -29,15 +34,74 @@ function extractStringFields(schemas) {
   return [...new Set(fields)];
 }
 
+/**
+ * Find the item schema of a list response schema (`items.items`),
+ * looking through allOf branches.
+ */
+function findItemSchema(listSchema) {
+  if (!listSchema || typeof listSchema !== 'object') return null;
+  if (listSchema.properties?.items?.items) return listSchema.properties.items.items;
+  for (const branch of listSchema.allOf || []) {
+    const found = findItemSchema(branch);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Read the structured filter of a POST /resources/search body.
+ * @param {*} body - Request body (components/search.yaml#/SearchRequest)
+ * @returns {{ filter: Object|null, q: string|undefined, error: Object|null }}
+ */
+function parseSearchBody(body) {
+  if (body === undefined || body === null) {
+    return { filter: null, q: undefined, error: null };
+  }
+  const invalid = (field, message) => ({
+    filter: null,
+    q: undefined,
+    error: { code: 'INVALID_FILTER', message: `Invalid filter: ${message}`, details: [{ field, message }] }
+  });
+
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return invalid('body', 'must be an object');
+  }
+  const unknown = Object.keys(body).find(key => key !== 'filter' && key !== 'q');
+  if (unknown) {
+    return invalid(unknown, `unknown property ${unknown}`);
+  }
+  if (body.q !== undefined && typeof body.q !== 'string') {
+    return invalid('q', 'must be a string');
+  }
+  if (body.filter === undefined) {
+    return { filter: null, q: body.q, error: null };
+  }
+
+  const { filter, error } = parseFilter(body.filter);
+  return { filter, q: body.q, error };
+}
+
 /**
  * Create list handler for a resource
  * @param {Object} apiMetadata - API metadata from OpenAPI spec
- * @param {Object} endpoint - Endpoint metadata
+ * @param {Object} endpoint - Endpoint metadata (the GET list endpoint)
+ * @param {Object} [options]
+ * @param {'query'|'body'} [options.filterFrom='query'] - Read the filter from the request
+ *   body (POST /resources/search) instead of the query string
  * @returns {Function} Express handler
  */
-export function createListHandler(apiMetadata, endpoint) {
+export function createListHandler(apiMetadata, endpoint, { filterFrom = 'query' } = {}) {
   // Derive searchable fields from schema string properties
   const schemaFields = extractStringFields(apiMetadata.schemas || {});
+  // Sort, filter, and facet fields come from the item schema of the list response
+  const itemSchema = findItemSchema(endpoint.responseSchema);
+  const fieldInfo = itemSchema ? collectFieldInfo(itemSchema) : null;
+  const writeOnly = collectWriteOnlyFields(itemSchema);
+  // Declared query parameters (paging, filtered-style filters) are not field filters
+  const declaredParams = (endpoint.parameters || []).filter(param => param.in === 'query').map(param => param.name);
+  const style = apiMetadata.pagination?.style || 'offset';
+  // Typed filter parameters the resolver declared for the filtered search style
+  const filterParams = apiMetadata.search?.style === 'filtered' ? collectFilterParams(endpoint.parameters) : null;
 
   return (req, res) => {
     try {
@@ -45,7 +109,48 @@ export function createListHandler(apiMetadata, endpoint) {
       const db = getDatabase(endpoint.collectionName);
 
       // Ensure req.query exists
-      const queryParams = req.query || {};
+      let queryParams = req.query || {};
+
+      // Structured filter from the search body or the filtered-style query parameters
+      let filter = null;
+      if (filterFrom === 'body') {
+        const { filter: bodyFilter, q, error } = parseSearchBody(req.body);
+        if (error) {
+          return res.status(400).json(error);
+        }
+        filter = bodyFilter;
+        queryParams = { ...queryParams, q };
+      } else if (filterParams) {
+        const { filter: paramFilter, error } = parseFilterParams(queryParams, filterParams);
+        if (error) {
+          return res.status(400).json(error);
+        }
+        filter = paramFilter;
+      }
+
+      // Reject malformed q syntax and fields the item schema does not declare (400 listing the valid ones)
+      const fieldError = validateFilterFields(queryParams, fieldInfo, { filter, ignore: declaredParams });
+      if (fieldError) {
+        return res.status(400).json(fieldError);
+      }
+
+      // Validate sort fields against the schema (400 for unknown or unsortable fields)
+      const { sort, error: sortError } = parseSort(queryParams.sort, fieldInfo);
+      if (sortError) {
+        return res.status(400).json(sortError);
+      }
+
+      // Validate facet fields the same way (400 for unknown or unfacetable fields)
+      const { facets, error: facetsError } = parseFacets(queryParams.facets, fieldInfo);
+      if (facetsError) {
+        return res.status(400).json(facetsError);
+      }
+
+      // Validate sparse fieldset paths against the item schema (400 for unknown fields)
+      const { fields, error: fieldsError } = parseFields(queryParams.fields, itemSchema);
+      if (fieldsError) {
+        return res.status(400).json(fieldsError);
+      }
 
       // Enable full-text search when the endpoint has a `q` or `search` parameter
       let searchableFields = [];
@@ -63,37 +168,43 @@ export function createListHandler(apiMetadata, endpoint) {
         offsetDefault: 0
       };
 
+      // Parse paging parameters for the contract's pagination style (400 for a bad cursor)
+      const { page, error: pageError } = parsePageRequest(queryParams, style, paginationDefaults, sort);
+      if (pageError) {
+        return res.status(400).json(pageError);
+      }
+
       // Execute search with filters and pagination
       const result = executeSearch(
         db,
         queryParams,
         searchableFields,
-        paginationDefaults
+        paginationDefaults,
+        sort,
+        page,
+        filter
       );
 
-      // Ensure result has all required fields
-      const safeResult = {
-        items: result.items || [],
-        total: result.total || 0,
-        limit: result.limit || paginationDefaults.limitDefault || 25,
-        offset: result.offset || 0,
-        hasNext: result.hasNext || false
-      };
+      // Facet counts cover the whole filtered set, not just the page
+      const fieldFacets = facets.length > 0
+        ? countFacets(db, facets, buildSearchConditions(queryParams, searchableFields, filter))
+        : null;
 
-      res.json(safeResult);
+      res.json({
+        items: result.items.map(item => projectFields(omitWriteOnly(item, writeOnly), fields)),
+        ...buildPageFields(style, result, { page, sort, url: req.originalUrl }),
+        ...(fieldFacets && { fieldFacets })
+      });
     } catch (error) {
       console.error('List handler error:', error);
       console.error('Error stack:', error.stack);
       console.error('API:', apiMetadata.name);
       console.error('Query params:', req.query);
 
-      // Return empty list instead of error for better UX
-      res.json({
-        items: [],
-        total: 0,
-        limit: 25,
-        offset: 0,
-        hasNext: false
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
       });
     }
   };
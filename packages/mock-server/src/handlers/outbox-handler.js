@@ -0,0 +1,38 @@
+/**
+ * Handlers for the event outbox admin endpoints:
+ *   GET  /_mock/outbox        - Configured sinks and pending/published entry counts
+ *   POST /_mock/outbox/relay  - Publish pending entries now
+ */
+
+import { getOutboxStatus, relayOutbox } from '../outbox.js';
+
+/**
+ * Create handler for GET /_mock/outbox.
+ * @returns {Function} Express handler
+ */
+export function createGetOutboxHandler() {
+  return (req, res) => {
+    res.json(getOutboxStatus());
+  };
+}
+
+/**
+ * Create handler for POST /_mock/outbox/relay.
+ * Responds with the number of entries published and the outbox status afterwards.
+ * @returns {Function} Express handler
+ */
+export function createRelayOutboxHandler() {
+  return (req, res) => {
+    try {
+      const { published } = relayOutbox();
+      res.json({ ...getOutboxStatus(), relayed: published });
+    } catch (error) {
+      console.error('Outbox relay error:', error);
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
+      });
+    }
+  };
+}
@@ -1,19 +1,20 @@
 /**
- * Shared helper for processing pending rule evaluations.
- * Used by both the transition handler and create handler.
+ * Shared helpers for processing pending rule evaluations and giving
+ * effects database access. Used by the transition, create, and update handlers.
  */
 
-import { findAll } from '../database-manager.js';
+import { findAll, create } from '../database-manager.js';
+import { validateCreate } from '../validator.js';
 import { findRuleSet } from '../rules-loader.js';
 import { buildRuleContext, evaluateRuleSet } from '../rules-engine.js';
 import { executeActions } from '../action-handlers.js';
 
 /**
- * Build the dependencies object for action handlers.
+ * Build the dependencies object for action handlers and lookup effects.
  * Provides database lookup functions without exposing the DB layer directly.
  * @returns {Object} Dependencies object
  */
-function buildDependencies() {
+export function buildDependencies() {
   return {
     findByField(collection, field, value) {
       const { items } = findAll(collection, { [field]: value }, { limit: 1 });
@@ -22,6 +23,31 @@ function buildDependencies() {
   };
 }
 
+/**
+ * Create the records pending from `create` effects, each validated against its
+ * collection's create schema. Fields that resolved to null (e.g., an unset
+ * `$object.*` reference) are left out, as a client would omit them from a POST.
+ * Call inside a transaction: an invalid record throws before it is written,
+ * rolling back the whole unit of work.
+ * @param {Array<{ entity: string, data: Object }>} pendingCreates - From applyEffects()
+ * @throws {Error} With status 422 and code VALIDATION_ERROR when a record is invalid
+ */
+export function createPendingRecords(pendingCreates) {
+  for (const pending of pendingCreates) {
+    const { entity } = pending;
+    const data = Object.fromEntries(Object.entries(pending.data).filter(([, value]) => value !== null && value !== undefined));
+    const { valid, errors } = validateCreate(entity, data);
+    if (!valid) {
+      const error = new Error(`A record created in ${entity} by an effect is invalid`);
+      error.status = 422;
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors.map(e => ({ ...e, field: `${entity}.${e.field}` }));
+      throw error;
+    }
+    create(entity, data);
+  }
+}
+
 /**
  * Process pending rule evaluations against a resource.
  * Mutates the resource with action results (e.g., sets queueId, priority).
@@ -2,117 +2,209 @@
  * Handler for GET /search (cross-resource search)
  *
  * Queries across multiple resource databases and returns a unified
- * SearchResult shape with facet counts per resource type.
+ * SearchResult shape with facet counts per resource type. The result types
+ * come from the `x-search` extensions of the resource schemas
+ * (search-types.js). Full-text terms go through each collection's FTS5
+ * index (search-index.js), which ranks hits by BM25 and tolerates misspelled
+ * and phonetically similar names.
  */
 
-import { getDatabase } from '../database-manager.js';
-import { buildSearchConditions, buildWhereClause, parsePagination } from '../search-engine.js';
+import { getDatabase, enableSearchIndex } from '../database-manager.js';
+import {
+  buildSearchConditions,
+  buildWhereClause,
+  buildOrderByClause,
+  buildKeysetCondition,
+  collectFieldInfo,
+  parseSort,
+  compareBySort
+} from '../search-engine.js';
+import { TokenType, parseQuery, queryToSqlCondition } from '../query-parser.js';
+import { buildMatchExpression, scoreExpression, highlight } from '../search-index.js';
+import { parsePageRequest, paginateSorted, buildPageFields } from '../pagination.js';
+import { validateFilterFields } from '../filter.js';
+import { parseFacets, countFacets, mergeFacets } from '../facets.js';
+
+// Order when the query has full-text terms and no sort is given
+const RELEVANCE_SORT = [
+  { field: 'score', descending: true },
+  { field: 'createdAt', descending: true },
+];
+
+// SearchResult fields computed in JS; sorting by them loads every match
+const DERIVED_SORT_FIELDS = ['type', 'title', 'url'];
+
+// Resource fields every result type can be faceted on, besides its x-search facetFields
+const COMMON_FACET_FIELDS = ['createdAt', 'updatedAt'];
 
 /**
- * Resource mapping configuration.
- * Maps each SearchResultType to its database, searchable fields,
- * and functions that produce the uniform SearchResult shape.
+ * Split a parsed query into the full-text terms (`john`, `john*`) that must
+ * all match, which go to the search index, and the rest of the query, which
+ * compiles to SQL. Terms under OR or NOT stay in the SQL part.
+ * @param {Object|null} query - Result of parseQuery()
+ * @returns {{ terms: string[], rest: Object|null }}
  */
-const RESOURCE_MAP = {
-  person: {
-    dbName: 'persons',
-    searchableFields: ['name.firstName', 'name.lastName', 'email', 'phoneNumber'],
-    title: (r) => {
-      const first = r.name?.firstName || '';
-      const last = r.name?.lastName || '';
-      return `${first} ${last}`.trim() || r.id;
-    },
-    url: (r) => `/persons/${r.id}`,
-    attributes: (r) => [
-      r.email && { field: 'email', label: 'Email', value: r.email, type: 'string' },
-      r.dateOfBirth && { field: 'dateOfBirth', label: 'Date of Birth', value: r.dateOfBirth, type: 'date' },
-      r.phoneNumber && { field: 'phoneNumber', label: 'Phone', value: r.phoneNumber, type: 'string' },
-    ].filter(Boolean),
-  },
-
-  case: {
-    dbName: 'cases',
-    searchableFields: ['status'],
-    title: (r) => r.id,
-    url: (r) => `/cases/${r.id}`,
-    attributes: (r) => [
-      r.status && { field: 'status', label: 'Status', value: r.status, type: 'string' },
-      r.effectiveStartDate && { field: 'effectiveStartDate', label: 'Start Date', value: r.effectiveStartDate, type: 'date' },
-    ].filter(Boolean),
-  },
-
-  application: {
-    dbName: 'applications',
-    searchableFields: ['status', 'state'],
-    title: (r) => {
-      const member = r.household?.members?.[0];
-      if (member?.name) {
-        const first = member.name.firstName || '';
-        const last = member.name.lastName || '';
-        return `${first} ${last}`.trim();
-      }
-      return r.id;
-    },
-    url: (r) => `/applications/${r.id}`,
-    attributes: (r) => [
-      r.status && { field: 'status', label: 'Status', value: r.status, type: 'string' },
-      r.state && { field: 'state', label: 'State', value: r.state, type: 'string' },
-    ].filter(Boolean),
-  },
-
-  task: {
-    dbName: 'tasks',
-    searchableFields: ['name', 'description', 'status'],
-    title: (r) => r.name || r.id,
-    url: (r) => `/tasks/${r.id}`,
-    attributes: (r) => [
-      r.status && { field: 'status', label: 'Status', value: r.status, type: 'string' },
-      r.description && { field: 'description', label: 'Description', value: r.description, type: 'string' },
-    ].filter(Boolean),
-  },
-
-  appointment: {
-    dbName: 'appointments',
-    searchableFields: ['appointmentType', 'status', 'notes'],
-    title: (r) => {
-      const type = r.appointmentType || 'Appointment';
-      const date = r.startAt ? r.startAt.split('T')[0] : '';
-      return date ? `${type} — ${date}` : type;
-    },
-    url: (r) => `/appointments/${r.id}`,
-    attributes: (r) => [
-      r.status && { field: 'status', label: 'Status', value: r.status, type: 'string' },
-      r.appointmentType && { field: 'appointmentType', label: 'Type', value: r.appointmentType, type: 'string' },
-      r.startAt && { field: 'startAt', label: 'Start', value: r.startAt, type: 'date' },
-    ].filter(Boolean),
-  },
-};
-
-const ALL_TYPES = Object.keys(RESOURCE_MAP);
+function splitFullTextTerms(query) {
+  const conjuncts = !query ? [] : query.and || [query];
+  const isTerm = (node) =>
+    (node.type === TokenType.FULL_TEXT || node.type === TokenType.FULL_TEXT_STARTS_WITH) &&
+    !String(node.value).startsWith('-');
+
+  const terms = conjuncts.filter(isTerm).map(node => String(node.value));
+  const rest = conjuncts.filter(node => !isTerm(node));
+  return { terms, rest: rest.length === 0 ? null : rest.length === 1 ? rest[0] : { and: rest } };
+}
+
+/**
+ * Collect the fields the requested result types can be faceted on: their
+ * x-search facetFields, plus the common SearchResult date fields.
+ * @returns {Map<string, Object>} Field path → field info (as from collectFieldInfo())
+ */
+function collectFacetFields(types, resultFields) {
+  const fields = new Map();
+  for (const field of COMMON_FACET_FIELDS) {
+    fields.set(field, resultFields?.get(field) || { scalar: true, format: 'date-time' });
+  }
+  for (const config of types) {
+    for (const field of config.facetFields) {
+      if (!fields.has(field)) fields.set(field, config.fields.get(field) || { scalar: true });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Count and fetch the matches of one collection. When the sort can be
+ * evaluated in SQL, only the rows that can land on the requested page are
+ * fetched: the first offset + limit + 1, or limit + 1 past the cursor.
+ * Facets the type declares are counted over every match.
+ * @returns {{ count: number, resources: Array, fieldFacets: Object }} Resources carry their relevance in `score`
+ */
+function searchCollection(db, config, { searchParams, terms, rest, sort, page, pushdown, facets }) {
+  const fields = config.searchableFields;
+
+  // Without q, buildSearchConditions() also applies the legacy field=value filters
+  const { whereClauses, params } = buildSearchConditions(
+    searchParams.q ? { search: searchParams.search } : searchParams,
+    fields,
+  );
+  const restCondition = queryToSqlCondition(rest, fields);
+  if (restCondition.clause) {
+    whereClauses.push(restCondition.clause);
+    params.push(...restCondition.params);
+  }
+
+  const match = buildMatchExpression(terms, fields.length);
+  const from = match ? 'resources JOIN search_index ON search_index.id = resources.id' : 'resources';
+  if (match) {
+    whereClauses.unshift('search_index MATCH ?');
+    params.unshift(match);
+  }
+  const whereClause = buildWhereClause(whereClauses);
+
+  const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${from} ${whereClause}`).get(...params);
+  if (count === 0) {
+    return { count, resources: [], fieldFacets: {} };
+  }
+
+  const typeFacets = facets.filter(({ field }) =>
+    COMMON_FACET_FIELDS.includes(field) || config.facetFields.includes(field));
+  const fieldFacets = countFacets(db, typeFacets, { from, whereClauses, params });
+
+  // The score is set on the data so the shared sort and keyset helpers can order by it
+  const score = match ? scoreExpression(fields.length) : '1.0';
+  let query = `SELECT data FROM (
+    SELECT resources.id AS id, json_set(resources.data, '$.score', ${score}) AS data
+    FROM ${from} ${whereClause}
+  )`;
+  const queryParams = [...params];
+
+  if (pushdown) {
+    const { limit, offset = 0, cursor } = page;
+    if (cursor) {
+      const keyset = buildKeysetCondition(sort, cursor);
+      query += ` WHERE ${keyset.clause}`;
+      queryParams.push(...keyset.params);
+    }
+    const { orderBy, params: orderParams } = buildOrderByClause(sort, { reverse: cursor?.direction === 'prev' });
+    query += ` ${orderBy} LIMIT ?`;
+    queryParams.push(...orderParams, (cursor ? limit : offset + limit) + 1);
+  }
+
+  const resources = [];
+  for (const row of db.prepare(query).all(...queryParams)) {
+    try {
+      resources.push(JSON.parse(row.data));
+    } catch {
+      // skip unparseable rows
+    }
+  }
+  return { count, resources, fieldFacets };
+}
+
+/**
+ * Map a resource to the SearchResult shape. Searchable fields that match a
+ * full-text term get a `highlight`: on their attribute when the type lists
+ * one, otherwise on an attribute added for the field.
+ */
+function toSearchResult(config, resource, terms) {
+  const attributes = config.attributes(resource);
+
+  for (const field of terms.length > 0 ? config.searchableFields : []) {
+    const value = field.split('.').reduce((obj, key) => obj?.[key], resource);
+    if (typeof value !== 'string' && typeof value !== 'number') continue;
+
+    const marked = highlight(String(value), terms);
+    if (!marked) continue;
+    const attribute = attributes.find(a => a.field === field);
+    if (attribute) {
+      attribute.highlight = marked;
+    } else {
+      attributes.push({ field, value: String(value), type: 'string', highlight: marked });
+    }
+  }
+
+  return {
+    id: resource.id,
+    type: config.type,
+    title: config.title(resource),
+    url: config.url(resource),
+    score: resource.score,
+    attributes,
+    createdAt: resource.createdAt,
+    updatedAt: resource.updatedAt,
+  };
+}
 
 /**
  * Create the cross-resource search handler.
  * @param {Object} apiMetadata - API metadata from the search OpenAPI spec
+ * @param {Map<string, Object>} [searchTypes] - Result types from loadSearchTypes()
  * @returns {Function} Express handler
  */
-export function createSearchHandler(apiMetadata) {
+export function createSearchHandler(apiMetadata, searchTypes = new Map()) {
+  // Results can be sorted by the fields of the SearchResult schema
+  const endpoint = apiMetadata.endpoints?.find(e => e.operationId === 'search');
+  const resultSchema = endpoint?.responseSchema?.properties?.items?.items;
+  const fieldInfo = resultSchema ? collectFieldInfo(resultSchema) : null;
+  const style = apiMetadata.pagination?.style || 'offset';
+
+  const allTypes = [...searchTypes.keys()];
+  for (const { collection, searchableFields } of searchTypes.values()) {
+    enableSearchIndex(collection, searchableFields);
+  }
+
   return (req, res) => {
     try {
       const queryParams = req.query || {};
-      const paginationDefaults = apiMetadata.pagination || {
-        limitDefault: 25,
-        limitMax: 100,
-        offsetDefault: 0,
-      };
-      const { limit, offset } = parsePagination(queryParams, paginationDefaults);
 
       // Determine which types to search
-      let requestedTypes = ALL_TYPES;
+      let requestedTypes = allTypes;
       if (queryParams.types) {
         const raw = Array.isArray(queryParams.types)
           ? queryParams.types
           : queryParams.types.split(',');
-        const filtered = raw.map(t => t.trim()).filter(t => ALL_TYPES.includes(t));
+        const filtered = raw.map(t => t.trim()).filter(t => searchTypes.has(t));
         if (filtered.length > 0) {
           requestedTypes = filtered;
         }
@@ -122,82 +214,67 @@ export function createSearchHandler(apiMetadata) {
       // it's handled above and would otherwise be treated as a field filter.
       const { types: _types, ...searchParams } = queryParams;
 
+      // Check q syntax; result types have different schemas, so only field path syntax is checked
+      const fieldError = validateFilterFields(searchParams, null);
+      if (fieldError) {
+        return res.status(400).json(fieldError);
+      }
+      const { terms, rest } = splitFullTextTerms(parseQuery(searchParams.q).query);
+
+      const { sort: requestedSort, error: sortError } = parseSort(queryParams.sort, fieldInfo);
+      if (sortError) {
+        return res.status(400).json(sortError);
+      }
+      const sort = !queryParams.sort && terms.length > 0 ? RELEVANCE_SORT : requestedSort;
+
+      const paginationDefaults = apiMetadata.pagination || {
+        limitDefault: 25,
+        limitMax: 100,
+        offsetDefault: 0,
+      };
+      const { page, error: pageError } = parsePageRequest(queryParams, style, paginationDefaults, sort);
+      if (pageError) {
+        return res.status(400).json(pageError);
+      }
+
+      // Facet fields are those of the requested types (400 for anything else)
+      const facetFields = collectFacetFields(requestedTypes.map(type => searchTypes.get(type)), fieldInfo);
+      const { facets: requestedFacets, error: facetsError } = parseFacets(queryParams.facets, facetFields);
+      if (facetsError) {
+        return res.status(400).json(facetsError);
+      }
+      const pushdown = !sort.some(({ field }) => DERIVED_SORT_FIELDS.includes(field));
+
       // Query each resource database
-      const allResults = [];
+      const results = [];
       const facetCounts = {};
+      const fieldFacetCounts = [];
 
       for (const type of requestedTypes) {
-        const config = RESOURCE_MAP[type];
-
+        const config = searchTypes.get(type);
         let db;
         try {
-          db = getDatabase(config.dbName);
+          db = getDatabase(config.collection);
         } catch {
           // Database may not exist if the corresponding spec wasn't loaded
           facetCounts[type] = 0;
           continue;
         }
 
-        // Build search conditions using the existing search engine
-        const { whereClauses, params } = buildSearchConditions(
-          searchParams,
-          config.searchableFields,
-        );
-        const whereClause = buildWhereClause(whereClauses);
-
-        // Count matching rows for facets
-        const countQuery = `SELECT COUNT(*) as count FROM resources ${whereClause}`.trim();
-        const countResult = db.prepare(countQuery).get(...params);
-        const matchCount = countResult?.count || 0;
-        facetCounts[type] = matchCount;
-
-        if (matchCount === 0) continue;
-
-        // Fetch all matching rows (no per-DB pagination — pagination applied to merged set)
-        const selectQuery = `
-          SELECT data FROM resources
-          ${whereClause}
-          ORDER BY COALESCE(json_extract(data, '$.createdAt'), '1970-01-01T00:00:00Z') DESC
-        `.trim();
-        const rows = db.prepare(selectQuery).all(...params);
-
-        for (const row of rows) {
-          try {
-            const resource = JSON.parse(row.data);
-            allResults.push({ type, resource });
-          } catch {
-            // skip unparseable rows
-          }
-        }
+        const { count, resources, fieldFacets } = searchCollection(db, config, {
+          searchParams, terms, rest, sort, page, pushdown, facets: requestedFacets,
+        });
+        facetCounts[type] = count;
+        fieldFacetCounts.push(fieldFacets);
+        results.push(...resources.map(resource => toSearchResult(config, resource, terms)));
       }
 
-      // Sort merged results by createdAt descending
-      allResults.sort((a, b) => {
-        const aDate = a.resource.createdAt || '1970-01-01T00:00:00Z';
-        const bDate = b.resource.createdAt || '1970-01-01T00:00:00Z';
-        return bDate.localeCompare(aDate);
-      });
-
       // Total across all types
       const total = Object.values(facetCounts).reduce((sum, c) => sum + c, 0);
 
-      // Apply pagination to the merged set
-      const page = allResults.slice(offset, offset + limit);
-
-      // Map to SearchResult shape
-      const items = page.map(({ type, resource }) => {
-        const config = RESOURCE_MAP[type];
-        return {
-          id: resource.id,
-          type,
-          title: config.title(resource),
-          url: config.url(resource),
-          score: 1.0,
-          attributes: config.attributes(resource),
-          createdAt: resource.createdAt,
-          updatedAt: resource.updatedAt,
-        };
-      });
+      // Sort the merged candidates, then paginate
+      results.sort(compareBySort(sort));
+      const result = paginateSorted(results, page, sort);
 
       // Build facets array (include all requested types, even those with 0 count)
       const facets = requestedTypes.map(type => ({
@@ -206,22 +283,17 @@ export function createSearchHandler(apiMetadata) {
       }));
 
       res.json({
-        items,
-        total,
-        limit,
-        offset,
-        hasNext: offset + limit < total,
+        items: result.items,
+        ...buildPageFields(style, { ...result, total }, { page, sort, url: req.originalUrl }),
         facets,
+        ...(requestedFacets.length > 0 && { fieldFacets: mergeFacets(fieldFacetCounts, requestedFacets) }),
       });
     } catch (error) {
       console.error('Search handler error:', error);
-      res.json({
-        items: [],
-        total: 0,
-        limit: 25,
-        offset: 0,
-        hasNext: false,
-        facets: [],
+      res.status(500).json({
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+        details: [{ message: error.message }]
       });
     }
   };
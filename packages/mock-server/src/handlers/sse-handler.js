@@ -1,16 +1,81 @@
 /**
  * Handler for GET /events/stream (Server-Sent Events)
  * Streams domain events to connected clients in real time.
+ *
+ * Clients narrow the stream with the `domain`, `resource`, `action`, and
+ * `resourceId` parameters (each takes comma-separated values) or a `q`
+ * expression, matched against the stored event the same way GET /events
+ * matches it. Each frame carries the event ID and a `resource.action` event
+ * name, so a client that reconnects with `Last-Event-ID` first receives the
+ * matching events it missed, replayed from the events collection in the
+ * order they were stored.
+ *
+ * With `format=cloudevents`, `data` is the event in the CloudEvents 1.0
+ * structured format instead of the DomainEvent envelope.
  */
 
+import { toCloudEvent } from '@codeforamerica/safety-net-blueprint-contracts/cloudevents';
 import { eventBus } from '../event-bus.js';
+import { getDatabase } from '../database-manager.js';
+import { collectFieldInfo } from '../search-engine.js';
+import { EVENTS_COLLECTION, parseEventFilter, createEventMatcher, eventType } from '../event-filter.js';
+
+const FORMATS = {
+  'domain-event': event => event,
+  cloudevents: toCloudEvent
+};
+
+/**
+ * Format a domain event as an SSE frame.
+ * @param {Object} event - Stored domain event
+ * @param {Function} represent - Converts the event to the streamed representation
+ */
+function formatFrame(event, represent) {
+  return `id: ${event.id}\nevent: ${eventType(event)}\ndata: ${JSON.stringify(represent(event))}\n\n`;
+}
+
+/**
+ * Find the stored events after `lastEventId` that match the stream filters.
+ * @returns {Array|null} Events in the order they were stored, or null when
+ *   `lastEventId` is not in the events collection
+ */
+function findMissedEvents(db, lastEventId, { whereClauses, params }) {
+  const last = db.prepare('SELECT rowid AS position FROM resources WHERE id = ?').get(lastEventId);
+  if (!last) return null;
+
+  const where = ['rowid > ?', ...whereClauses].join(' AND ');
+  return db.prepare(`SELECT data FROM resources WHERE ${where} ORDER BY rowid`)
+    .all(last.position, ...params)
+    .map(row => JSON.parse(row.data));
+}
 
 /**
  * Create SSE handler for the /events/stream endpoint.
+ * @param {Object|null} [eventSchema] - Dereferenced DomainEvent schema, to
+ *   reject filters on unknown fields
  * @returns {Function} Express handler
  */
-export function createSseHandler() {
+export function createSseHandler(eventSchema = null) {
+  const knownFields = eventSchema ? collectFieldInfo(eventSchema) : null;
+
   return (req, res) => {
+    // Reject bad parameters while a JSON error response is still possible
+    const { format = 'domain-event', ...filterParams } = req.query || {};
+    const represent = FORMATS[format];
+    if (!represent) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        message: `Unknown event format: ${format}`,
+        details: [{ field: 'format', message: `must be one of: ${Object.keys(FORMATS).join(', ')}` }]
+      });
+    }
+
+    const { conditions, error } = parseEventFilter(filterParams, knownFields);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    const matches = createEventMatcher(conditions);
+
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
@@ -19,13 +84,24 @@ export function createSseHandler() {
     // Initial comment to confirm connection
     res.write(': connected\n\n');
 
+    // Replay and subscribe in the same tick, so no event falls in between
+    const lastEventId = req.headers['last-event-id'];
+    if (lastEventId) {
+      const missed = findMissedEvents(getDatabase(EVENTS_COLLECTION), lastEventId, conditions);
+      if (missed) {
+        for (const event of missed) res.write(formatFrame(event, represent));
+      } else {
+        res.write(': Last-Event-ID not found, nothing to replay\n\n');
+      }
+    }
+
     // Heartbeat every 30s to prevent proxy timeouts
     const heartbeat = setInterval(() => {
       res.write(': heartbeat\n\n');
     }, 30000);
 
     const listener = (event) => {
-      res.write(`data: ${JSON.stringify(event)}\n\n`);
+      if (matches(event)) res.write(formatFrame(event, represent));
     };
 
     eventBus.on('domain-event', listener);
@@ -2,10 +2,139 @@
  * Handler for POST /resources/{id}/{trigger} (state machine transitions)
  */
 
-import { findById, findAll, update, create } from '../database-manager.js';
-import { findTransition, evaluateGuards, applyEffects } from '../state-machine-engine.js';
-import { processRuleEvaluations } from './rule-evaluation.js';
-import { eventBus } from '../event-bus.js';
+import { findById, update, transaction } from '../database-manager.js';
+import { findTransition, checkActors, evaluateGuards, applyEffects } from '../state-machine-engine.js';
+import { processRuleEvaluations, buildDependencies, createPendingRecords } from './rule-evaluation.js';
+import { emitDomainEvent } from '../domain-events.js';
+import { updateSlaClock } from '../sla-clock.js';
+import { nowISO } from '../clock.js';
+import { getETag, checkIfMatch } from '../etag.js';
+
+/**
+ * Whether unknown guard operators and guard names fail closed.
+ * Enabled per state machine with `strictGuards: true`, or for every
+ * state machine with MOCK_STRICT_GUARDS=true.
+ * @param {Object} stateMachine - The state machine contract
+ * @returns {boolean}
+ */
+function isStrictGuards(stateMachine) {
+  return stateMachine.strictGuards ?? process.env.MOCK_STRICT_GUARDS === 'true';
+}
+
+/**
+ * Apply a transition to a resource: check actors, evaluate guards, apply effects, move the
+ * SLA clock, then persist the update, pending creates, and domain events in a single
+ * transaction — if any write fails, none of them are kept.
+ * Shared by the RPC handler and the timer scheduler so both go through the
+ * same pipeline.
+ * @param {Object} options
+ * @param {string} options.resourceName - Database resource name (e.g., "tasks")
+ * @param {Object} options.stateMachine - The state machine contract
+ * @param {Object} options.transition - The transition to apply (from findTransition)
+ * @param {Object} options.resource - The current resource
+ * @param {{ id: string, role: string|null }} options.caller - Caller identity
+ * @param {Object} [options.request] - Request body
+ * @param {Array} [options.rules] - Array from discoverRules()
+ * @param {Object} [options.calendar] - Business calendar for the state machine's domain
+ * @returns {{ result: Object|null, error: { status: number, code: string, message: string, details?: Array }|null }}
+ */
+export function executeTransition({ resourceName, stateMachine, transition, resource, caller, request = {}, rules, calendar }) {
+  const now = nowISO();
+  const context = {
+    caller,
+    object: { ...resource },  // Pre-transition snapshot
+    request,
+    now
+  };
+
+  const actorResult = checkActors(transition.actors, caller, transition.trigger);
+  if (!actorResult.allowed) {
+    return {
+      result: null,
+      error: {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: actorResult.reason
+      }
+    };
+  }
+
+  const guardResult = evaluateGuards(
+    transition.guards,
+    stateMachine.guards || {},
+    resource,
+    context,
+    { strict: isStrictGuards(stateMachine) }
+  );
+
+  if (!guardResult.pass) {
+    return {
+      result: null,
+      error: {
+        status: 409,
+        code: 'CONFLICT',
+        message: `Guard "${guardResult.failedGuard}" failed: ${guardResult.reason}`
+      }
+    };
+  }
+
+  // Clone resource, apply effects, update status
+  const updated = { ...resource };
+  const { pendingCreates, pendingRuleEvaluations, pendingEvents } = applyEffects(transition.effects, updated, context, buildDependencies());
+  updated.status = transition.to;
+
+  // Move the SLA clock into the target state's slaClock
+  const slaUpdate = updateSlaClock(stateMachine, resource, transition.to, new Date(now), calendar);
+  Object.assign(updated, slaUpdate.changes);
+  pendingEvents.push(...slaUpdate.events);
+
+  // Process pending rule evaluations
+  processRuleEvaluations(pendingRuleEvaluations, updated, rules, stateMachine.domain);
+
+  // Compute diff (only changed fields)
+  const diff = {};
+  for (const [key, value] of Object.entries(updated)) {
+    if (resource[key] !== value) {
+      diff[key] = value;
+    }
+  }
+
+  // Persist the update, pending creates, and events as one unit of work
+  let result;
+  try {
+    result = transaction(() => {
+      const persisted = update(resourceName, resource.id, diff);
+
+      createPendingRecords(pendingCreates);
+
+      for (const event of pendingEvents) {
+        emitDomainEvent(stateMachine, {
+          action: event.action,
+          resourceId: resource.id,
+          performedById: caller.id,
+          occurredAt: now,
+          data: event.data
+        });
+      }
+
+      return persisted;
+    });
+  } catch (persistError) {
+    console.error(`Transition "${transition.trigger}" rolled back:`, persistError.message);
+    return {
+      result: null,
+      error: {
+        // Errors raised by the pipeline itself carry their status; anything else is unexpected
+        status: persistError.status || 500,
+        code: persistError.status ? persistError.code : 'INTERNAL_ERROR',
+        message: `Transition "${transition.trigger}" was rolled back: ${persistError.message}`,
+        ...(persistError.details && { details: persistError.details })
+      }
+    };
+  }
+
+  return { result, error: null };
+}
 
 /**
  * Create a transition handler for an RPC endpoint.
@@ -14,9 +143,10 @@ import { eventBus } from '../event-bus.js';
  * @param {string} trigger - Transition trigger name (e.g., "claim")
  * @param {string} paramName - URL parameter name for the resource ID
  * @param {Array} rules - Array from discoverRules()
+ * @param {Object} [calendar] - Business calendar for the state machine's domain
  * @returns {Function} Express handler
  */
-export function createTransitionHandler(resourceName, stateMachine, trigger, paramName, rules) {
+export function createTransitionHandler(resourceName, stateMachine, trigger, paramName, rules, calendar) {
   return (req, res) => {
     try {
       const resourceId = req.params[paramName];
@@ -39,6 +169,12 @@ export function createTransitionHandler(resourceName, stateMachine, trigger, par
         });
       }
 
+      // Reject transitions based on a stale copy (412 when If-Match doesn't match)
+      const preconditionError = checkIfMatch(req, getETag(resourceName, resourceId));
+      if (preconditionError) {
+        return res.status(412).json(preconditionError);
+      }
+
       // Find a valid transition
       const { transition, error } = findTransition(stateMachine, trigger, resource);
       if (!transition) {
@@ -48,78 +184,29 @@ export function createTransitionHandler(resourceName, stateMachine, trigger, par
         });
       }
 
-      // Evaluate guards
-      const now = new Date().toISOString();
-      const context = {
+      const { result, error: transitionError } = executeTransition({
+        resourceName,
+        stateMachine,
+        transition,
+        resource,
         caller: {
           id: callerId,
           role: req.headers['x-caller-role'] || null
         },
-        object: { ...resource },  // Pre-transition snapshot
         request: req.body || {},
-        now
-      };
-
-      const guardResult = evaluateGuards(
-        transition.guards,
-        stateMachine.guards || {},
-        resource,
-        context
-      );
+        rules,
+        calendar
+      });
 
-      if (!guardResult.pass) {
-        return res.status(409).json({
-          code: 'CONFLICT',
-          message: `Guard "${guardResult.failedGuard}" failed: ${guardResult.reason}`
+      if (transitionError) {
+        return res.status(transitionError.status).json({
+          code: transitionError.code,
+          message: transitionError.message,
+          ...(transitionError.details && { details: transitionError.details })
         });
       }
 
-      // Clone resource, apply effects, update status
-      const updated = { ...resource };
-      const { pendingCreates, pendingRuleEvaluations, pendingEvents } = applyEffects(transition.effects, updated, context);
-      updated.status = transition.to;
-
-      // Process pending rule evaluations
-      processRuleEvaluations(pendingRuleEvaluations, updated, rules, stateMachine.domain);
-
-      // Compute diff (only changed fields)
-      const diff = {};
-      for (const [key, value] of Object.entries(updated)) {
-        if (resource[key] !== value) {
-          diff[key] = value;
-        }
-      }
-
-      // Persist changes
-      const result = update(resourceName, resourceId, diff);
-
-      // Execute pending creates
-      for (const { entity, data } of pendingCreates) {
-        try {
-          create(entity, data);
-        } catch (createError) {
-          console.error(`Failed to create ${entity}:`, createError.message);
-        }
-      }
-
-      // Emit pending domain events
-      for (const event of pendingEvents) {
-        try {
-          const stored = create('events', {
-            domain: stateMachine.domain,
-            resource: stateMachine.object.toLowerCase(),
-            action: event.action,
-            resourceId: resource.id,
-            performedById: callerId,
-            occurredAt: now,
-            data: event.data
-          });
-          eventBus.emit('domain-event', stored);
-        } catch (eventError) {
-          console.error(`Failed to emit event "${event.action}":`, eventError.message);
-        }
-      }
-
+      res.set('ETag', getETag(resourceName, resourceId));
       res.json(result);
     } catch (error) {
       console.error('Transition handler error:', error);
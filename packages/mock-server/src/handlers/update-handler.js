@@ -3,9 +3,12 @@
  */
 
 import { findById, update } from '../database-manager.js';
+import { getETag, checkIfMatch } from '../etag.js';
 import { validate, createErrorResponse } from '../validator.js';
 import { applyEffects } from '../state-machine-engine.js';
-import { processRuleEvaluations } from './rule-evaluation.js';
+import { processRuleEvaluations, buildDependencies } from './rule-evaluation.js';
+import { nowISO } from '../clock.js';
+import { collectWriteOnlyFields, omitWriteOnly } from '../fields.js';
 
 /**
  * Create update handler for a resource
@@ -17,6 +20,7 @@ import { processRuleEvaluations } from './rule-evaluation.js';
  */
 export function createUpdateHandler(apiMetadata, endpoint, stateMachine = null, rules = []) {
   const paramName = extractPathParam(endpoint.path);
+  const writeOnly = collectWriteOnlyFields(endpoint.responseSchema);
   return (req, res) => {
     try {
       const resourceId = req.params[paramName] || req.params.id;
@@ -30,6 +34,12 @@ export function createUpdateHandler(apiMetadata, endpoint, stateMachine = null,
         });
       }
 
+      // Reject writes based on a stale copy (412 when If-Match doesn't match)
+      const preconditionError = checkIfMatch(req, getETag(endpoint.collectionName, resourceId));
+      if (preconditionError) {
+        return res.status(412).json(preconditionError);
+      }
+
       // Check if request body is an object (400 for malformed request)
       if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
         return res.status(400).json({
@@ -83,14 +93,15 @@ export function createUpdateHandler(apiMetadata, endpoint, stateMachine = null,
             },
             object: { ...existing },
             request: req.body,
-            now: new Date().toISOString(),
+            now: nowISO(),
           };
-          const { pendingRuleEvaluations } = applyEffects(stateMachine.onUpdate.effects, updated, context);
+          const { pendingRuleEvaluations } = applyEffects(stateMachine.onUpdate.effects, updated, context, buildDependencies());
           processRuleEvaluations(pendingRuleEvaluations, updated, rules, stateMachine.domain);
         }
       }
 
-      res.json(updated);
+      res.set('ETag', getETag(endpoint.collectionName, resourceId));
+      res.json(omitWriteOnly(updated, writeOnly));
     } catch (error) {
       console.error('Update handler error:', error);
       res.status(500).json({
@@ -0,0 +1,153 @@
+/**
+ * Idempotency-Key middleware — replays the stored response when a client
+ * retries a POST with the same key, so retries never repeat side effects.
+ *
+ * Keys are scoped per caller (X-Caller-Id) and kept for 24 hours of mock
+ * time. Each stored entry carries a hash of the method, path, and body;
+ * reusing a key for a different request returns 422 IDEMPOTENCY_KEY_REUSED.
+ * Responses are stored unless they are 5xx, so a retry after a server
+ * error runs the operation again.
+ */
+
+import { createHash } from 'crypto';
+import { findById, insertResource, deleteResource, clearAll } from './database-manager.js';
+import { now, nowISO } from './clock.js';
+
+const COLLECTION = 'idempotency-keys';
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Response headers replayed along with the status and body
+const REPLAYED_HEADERS = ['Location', 'ETag'];
+
+/**
+ * JSON with object keys sorted, so equivalent bodies hash the same.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash the parts of a request that a replay must match.
+ * @param {Object} req - Express request
+ * @returns {string} Hex digest
+ */
+export function fingerprintRequest(req) {
+  return createHash('sha256')
+    .update(`${req.method} ${req.originalUrl.split('?')[0]}\n${canonicalJson(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Storage id for a key: keys are scoped per caller.
+ */
+function entryId(callerId, key) {
+  return createHash('sha256').update(`${callerId}\n${key}`).digest('hex');
+}
+
+/**
+ * Look up an unexpired idempotency entry. Expired entries are removed.
+ * @param {string} callerId - Caller scope
+ * @param {string} key - Idempotency-Key header value
+ * @returns {Object|null} Stored entry
+ */
+export function findIdempotencyEntry(callerId, key) {
+  const id = entryId(callerId, key);
+  const entry = findById(COLLECTION, id);
+  if (!entry) return null;
+
+  if (now().getTime() - new Date(entry.createdAt).getTime() >= RETENTION_MS) {
+    deleteResource(COLLECTION, id);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Remove all stored idempotency keys (e.g., when databases are reseeded).
+ */
+export function clearIdempotencyKeys() {
+  clearAll(COLLECTION);
+}
+
+/**
+ * Create Idempotency-Key middleware for a POST route.
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Reject requests without a key (400 IDEMPOTENCY_KEY_MISSING)
+ * @returns {Function} Express middleware
+ */
+export function createIdempotencyMiddleware({ required = false } = {}) {
+  return (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+
+    if (key === undefined) {
+      if (required) {
+        return res.status(400).json({
+          code: 'IDEMPOTENCY_KEY_MISSING',
+          message: 'Idempotency-Key header is required for this operation'
+        });
+      }
+      return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        code: 'BAD_REQUEST',
+        message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        details: [{ field: 'Idempotency-Key', message: `length ${key.length}` }]
+      });
+    }
+
+    const callerId = req.headers['x-caller-id'] || 'anonymous';
+    const fingerprint = fingerprintRequest(req);
+    const entry = findIdempotencyEntry(callerId, key);
+
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: 'Idempotency-Key was already used with a different request',
+          details: [{ field: 'Idempotency-Key', message: `first used for ${entry.method} ${entry.path}` }]
+        });
+      }
+
+      res.set(entry.headers);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(entry.status).json(entry.body);
+    }
+
+    // Record the response when the handler sends it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 500) {
+        const headers = {};
+        for (const name of REPLAYED_HEADERS) {
+          const value = res.get(name);
+          if (value !== undefined) headers[name] = value;
+        }
+        insertResource(COLLECTION, {
+          id: entryId(callerId, key),
+          callerId,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          fingerprint,
+          status: res.statusCode,
+          headers,
+          body,
+          createdAt: nowISO()
+        });
+      }
+      res.set('Idempotent-Replayed', 'false');
+      return json(body);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Expression indexes on the JSON resource data, derived from each
+ * collection's OpenAPI schema. A field is indexed when it is
+ *
+ * - a foreign key (`x-relationship`)
+ * - an enum
+ * - createdAt or updatedAt (the default sort)
+ * - marked `x-index: true` (`x-index: false` opts a field out)
+ *
+ * A schema-level `x-index` list adds more: each entry is a field path, or a
+ * list of paths for a composite index (e.g., `[queueId, status]`).
+ * Only scalar fields outside arrays can be indexed.
+ */
+
+import { collectFieldInfo } from './search-engine.js';
+import { FIELD_PATTERN } from './query-parser.js';
+import { syncIndexes } from './database-manager.js';
+
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Derive the indexes of a collection from its item schema.
+ * @param {Object} schema - Dereferenced item schema
+ * @returns {{ indexes: string[][], problems: string[] }} Field paths per index
+ *   (more than one for a composite index), and invalid `x-index` entries
+ */
+export function collectIndexes(schema) {
+  const fields = collectFieldInfo(schema);
+  const indexes = [];
+  const problems = [];
+  const add = (paths) => {
+    if (!indexes.some(index => index.join() === paths.join())) indexes.push(paths);
+  };
+  const indexable = (path) => typeof path === 'string' && FIELD_PATTERN.test(path) && !!fields.get(path)?.scalar;
+
+  for (const [path, info] of fields) {
+    if (!indexable(path) || info.index === false) continue;
+    if (info.index || info.relationship || info.enum || TIMESTAMP_FIELDS.includes(path)) {
+      add([path]);
+    }
+  }
+
+  // Schema-level lists, on the schema or its allOf branches
+  const declared = [schema, ...(schema?.allOf || [])]
+    .filter(node => Array.isArray(node?.['x-index']))
+    .flatMap(node => node['x-index']);
+  for (const entry of declared) {
+    const paths = [].concat(entry);
+    const invalid = paths.find(path => !indexable(path));
+    if (paths.length === 0 || invalid !== undefined) {
+      problems.push(`x-index entry ${JSON.stringify(entry)} must name scalar fields outside arrays`);
+      continue;
+    }
+    add(paths);
+  }
+
+  return { indexes, problems };
+}
+
+/**
+ * Find the item schema of each collection of an API: the response of its
+ * GET /{collection}/{id} endpoint.
+ * @param {Object} api - API metadata from the OpenAPI loader
+ * @returns {Map<string, Object>} Collection name → item schema
+ */
+export function collectCollectionSchemas(api) {
+  const schemas = new Map();
+  for (const endpoint of api.endpoints || []) {
+    const match = endpoint.path.match(/^\/([^/{}]+)\/\{[^}]+\}$/);
+    if (match && endpoint.method === 'GET' && endpoint.responseSchema && !schemas.has(match[1])) {
+      schemas.set(match[1], endpoint.responseSchema);
+    }
+  }
+  return schemas;
+}
+
+/**
+ * Create the schema-derived indexes of every collection, dropping indexes
+ * the schemas no longer call for.
+ * @param {Array} apiSpecs - Loaded API specifications
+ * @returns {Object} Collection name → indexed fields (composite indexes as `a+b`)
+ */
+export function createSchemaIndexes(apiSpecs) {
+  const summary = {};
+  for (const api of apiSpecs) {
+    for (const [collection, schema] of collectCollectionSchemas(api)) {
+      const { indexes, problems } = collectIndexes(schema);
+      for (const problem of problems) {
+        console.warn(`  Warning: ${collection}: ${problem}`);
+      }
+      syncIndexes(collection, indexes);
+      summary[collection] = indexes.map(paths => paths.join('+'));
+    }
+  }
+  return summary;
+}
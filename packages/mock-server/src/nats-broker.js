@@ -0,0 +1,240 @@
+/**
+ * NATS-compatible broker — a local stand-in for a NATS server, so event
+ * consumers written against a NATS client (or the `nats` CLI) can subscribe to
+ * the mock server's domain events without running real infrastructure.
+ *
+ * Speaks the core NATS client protocol: INFO, CONNECT, PING/PONG, SUB (with
+ * `*` and `>` wildcards and queue groups), UNSUB (with a message limit), PUB,
+ * MSG, +OK, and -ERR. Headers (HPUB), authentication, TLS, JetStream, and
+ * clustering are not supported. Messages are delivered at most once to the
+ * subscribers connected when they are published.
+ */
+
+import net from 'net';
+
+export const DEFAULT_NATS_PORT = 4222;
+
+const MAX_PAYLOAD = 1024 * 1024;
+const CRLF = '\r\n';
+
+/**
+ * Whether a subject matches a subscription pattern.
+ * `*` matches exactly one token; `>` as the last token matches one or more.
+ * @param {string} pattern - Subscription subject (e.g., "org.example.*.task.>")
+ * @param {string} subject - Published subject
+ * @returns {boolean}
+ */
+export function subjectMatches(pattern, subject) {
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    const token = patternTokens[i];
+    if (token === '>' && i === patternTokens.length - 1) {
+      return subjectTokens.length > i;
+    }
+    if (i >= subjectTokens.length) return false;
+    if (token !== '*' && token !== subjectTokens[i]) return false;
+  }
+  return patternTokens.length === subjectTokens.length;
+}
+
+/**
+ * Whether a subject is valid for publishing: non-empty tokens, no wildcards or whitespace.
+ */
+function isValidPublishSubject(subject) {
+  return !!subject && subject.split('.').every(token => token && token !== '*' && token !== '>' && !/\s/.test(token));
+}
+
+/**
+ * Start a NATS-compatible broker.
+ * @param {Object} [options]
+ * @param {string} [options.host='localhost'] - Host to bind to
+ * @param {number} [options.port=4222] - Port to listen on (0 picks a free port)
+ * @returns {Promise<{ port: number, publish: Function, close: Function, connectionCount: Function }>}
+ */
+export function startNatsBroker({ host = 'localhost', port = DEFAULT_NATS_PORT } = {}) {
+  const clients = new Set();
+  // Round-robin position per queue group, keyed by "subject|group"
+  const queueCursors = new Map();
+
+  /**
+   * Deliver a message to every matching subscription; one member per queue group.
+   */
+  function route(subject, payload, replyTo = null) {
+    const groups = new Map();
+    for (const client of clients) {
+      for (const subscription of client.subscriptions.values()) {
+        if (!subjectMatches(subscription.subject, subject)) continue;
+        if (subscription.queue) {
+          const key = `${subscription.subject}|${subscription.queue}`;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push({ client, subscription });
+        } else {
+          deliver(client, subscription, subject, payload, replyTo);
+        }
+      }
+    }
+    for (const [key, members] of groups) {
+      const cursor = (queueCursors.get(key) ?? -1) + 1;
+      queueCursors.set(key, cursor);
+      const { client, subscription } = members[cursor % members.length];
+      deliver(client, subscription, subject, payload, replyTo);
+    }
+  }
+
+  function deliver(client, subscription, subject, payload, replyTo) {
+    const reply = replyTo ? ` ${replyTo}` : '';
+    client.socket.write(`MSG ${subject} ${subscription.sid}${reply} ${payload.length}${CRLF}`);
+    client.socket.write(payload);
+    client.socket.write(CRLF);
+
+    subscription.received++;
+    if (subscription.max !== null && subscription.received >= subscription.max) {
+      client.subscriptions.delete(subscription.sid);
+    }
+  }
+
+  /**
+   * Handle one protocol line. Returns the number of payload bytes to read
+   * next (for PUB), or 0.
+   */
+  function handleLine(client, line) {
+    const [op = '', ...args] = line.trim().split(/\s+/);
+    const ok = () => client.verbose && client.socket.write(`+OK${CRLF}`);
+    const fail = (message) => client.socket.write(`-ERR '${message}'${CRLF}`);
+
+    switch (op.toUpperCase()) {
+      case 'CONNECT': {
+        try {
+          const options = JSON.parse(line.trim().slice(op.length).trim() || '{}');
+          client.verbose = options.verbose === true;
+          ok();
+        } catch {
+          fail('Invalid CONNECT options');
+        }
+        return 0;
+      }
+      case 'PING':
+        client.socket.write(`PONG${CRLF}`);
+        return 0;
+      case 'PONG':
+        return 0;
+      case 'SUB': {
+        // SUB <subject> [queue group] <sid>
+        if (args.length < 2 || args.length > 3) {
+          fail('Invalid Subject');
+          return 0;
+        }
+        const [subject, queue, sid] = args.length === 3 ? args : [args[0], null, args[1]];
+        client.subscriptions.set(sid, { subject, queue, sid, max: null, received: 0 });
+        ok();
+        return 0;
+      }
+      case 'UNSUB': {
+        // UNSUB <sid> [max_msgs]
+        const [sid, max] = args;
+        const subscription = client.subscriptions.get(sid);
+        if (subscription && max !== undefined && subscription.received < Number(max)) {
+          subscription.max = Number(max);
+        } else {
+          client.subscriptions.delete(sid);
+        }
+        ok();
+        return 0;
+      }
+      case 'PUB': {
+        // PUB <subject> [reply-to] <#bytes>
+        const size = Number(args[args.length - 1]);
+        if (args.length < 2 || args.length > 3 || !Number.isInteger(size) || size < 0) {
+          fail('Unknown Protocol Operation');
+          return 0;
+        }
+        if (size > MAX_PAYLOAD) {
+          fail('Maximum Payload Violation');
+          client.socket.end();
+          return 0;
+        }
+        client.pending = { subject: args[0], replyTo: args.length === 3 ? args[1] : null, size };
+        return size + CRLF.length;
+      }
+      default:
+        fail('Unknown Protocol Operation');
+        return 0;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const client = { socket, subscriptions: new Map(), verbose: false, buffer: Buffer.alloc(0), pending: null, need: 0 };
+    clients.add(client);
+
+    const address = server.address();
+    socket.write(`INFO ${JSON.stringify({
+      server_id: 'safety-net-mock',
+      server_name: 'safety-net-mock',
+      version: '2.10.0',
+      proto: 1,
+      host: address.address,
+      port: address.port,
+      headers: false,
+      max_payload: MAX_PAYLOAD
+    })}${CRLF}`);
+
+    socket.on('data', (chunk) => {
+      client.buffer = Buffer.concat([client.buffer, chunk]);
+      while (client.buffer.length > 0) {
+        if (client.pending) {
+          if (client.buffer.length < client.need) return;
+          const { subject, replyTo, size } = client.pending;
+          const payload = client.buffer.subarray(0, size);
+          client.buffer = client.buffer.subarray(client.need);
+          client.pending = null;
+          if (isValidPublishSubject(subject)) {
+            route(subject, Buffer.from(payload), replyTo);
+            if (client.verbose) socket.write(`+OK${CRLF}`);
+          } else {
+            socket.write(`-ERR 'Invalid Publish Subject'${CRLF}`);
+          }
+          continue;
+        }
+
+        const end = client.buffer.indexOf(CRLF);
+        if (end === -1) return;
+        const line = client.buffer.subarray(0, end).toString('utf8');
+        client.buffer = client.buffer.subarray(end + CRLF.length);
+        client.need = handleLine(client, line);
+      }
+    });
+
+    const drop = () => clients.delete(client);
+    socket.on('close', drop);
+    socket.on('error', drop);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve({
+        port: server.address().port,
+        /**
+         * Publish a message to the matching subscribers.
+         * @param {string} subject - Subject (no wildcards)
+         * @param {string|Buffer} payload - Message body
+         */
+        publish(subject, payload) {
+          if (!isValidPublishSubject(subject)) {
+            throw new Error(`Invalid NATS subject: ${subject}`);
+          }
+          route(subject, Buffer.isBuffer(payload) ? payload : Buffer.from(payload));
+        },
+        connectionCount: () => clients.size,
+        close() {
+          for (const client of clients) client.socket.destroy();
+          clients.clear();
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Transactional outbox — domain events are recorded in the outbox collection
+ * in the same unit of work as the change that raised them, and a relay
+ * publishes them to the configured event sinks (see event-sinks.js) only
+ * after that unit of work commits. A rolled-back change publishes nothing, and
+ * an event whose publication fails stays pending until the relay succeeds.
+ *
+ * The relay runs after every commit that records events, on an interval (to
+ * retry failed sinks), and on startup. Each outbox entry tracks the sinks it
+ * was published to, so a retry only goes to the sinks that failed, and a sink
+ * that fails stops receiving later events in the same pass to keep its order.
+ * Delivery is at least once: a sink that fails after handing an event on may
+ * see it again.
+ */
+
+import { create, update, getDatabase, afterCommit, clearAll } from './database-manager.js';
+import { nowISO } from './clock.js';
+import { createEventSink, DEFAULT_EVENT_SINKS } from './event-sinks.js';
+
+export const OUTBOX_COLLECTION = 'outbox';
+
+let sinks = DEFAULT_EVENT_SINKS.map(name => createEventSink(name));
+let intervalHandle = null;
+let relaying = false;
+let relayRequested = false;
+
+/**
+ * Replace the sinks the relay publishes to.
+ * @param {Array<{ name: string, publish: Function }>} eventSinks - From createEventSink()
+ */
+export function setEventSinks(eventSinks) {
+  sinks = eventSinks;
+}
+
+/**
+ * The sinks the relay publishes to.
+ * @returns {Array<{ name: string, publish: Function }>}
+ */
+export function getEventSinks() {
+  return sinks;
+}
+
+/**
+ * Record a stored domain event in the outbox. Inside a unit of work, the entry
+ * commits or rolls back with it, and the relay runs once it commits.
+ * @param {Object} event - Stored domain event
+ * @returns {Object} The outbox entry
+ */
+export function enqueueEvent(event) {
+  const entry = create(OUTBOX_COLLECTION, {
+    eventId: event.id,
+    event,
+    status: 'pending',
+    publishedTo: [],
+    attemptCount: 0,
+    lastError: null,
+    publishedAt: null
+  });
+  afterCommit(relayOutbox);
+  return entry;
+}
+
+/**
+ * Pending outbox entries, oldest first.
+ */
+function findPendingEntries() {
+  return getDatabase(OUTBOX_COLLECTION)
+    .prepare("SELECT data FROM resources WHERE json_extract(data, '$.status') = 'pending' ORDER BY rowid")
+    .all()
+    .map(row => JSON.parse(row.data));
+}
+
+/**
+ * Publish each pending entry to the sinks it has not reached yet.
+ */
+function relayPending() {
+  const result = { published: 0, pending: 0 };
+  // Sinks that failed in this pass get no later events, so they stay in order
+  const failedSinks = new Set();
+
+  for (const entry of findPendingEntries()) {
+    const publishedTo = [...(entry.publishedTo || [])];
+    let lastError = entry.lastError;
+    let attempted = false;
+
+    for (const sink of sinks) {
+      if (publishedTo.includes(sink.name) || failedSinks.has(sink.name)) continue;
+      attempted = true;
+      try {
+        sink.publish(entry.event);
+        publishedTo.push(sink.name);
+      } catch (error) {
+        failedSinks.add(sink.name);
+        lastError = `${sink.name}: ${error.message}`;
+        console.error(`Outbox relay: ${sink.name} sink failed for event ${entry.eventId}:`, error.message);
+      }
+    }
+
+    if (!attempted) {
+      result.pending++;
+      continue;
+    }
+
+    const done = sinks.every(sink => publishedTo.includes(sink.name));
+    const attemptCount = (entry.attemptCount || 0) + 1;
+    if (done) {
+      update(OUTBOX_COLLECTION, entry.id, { status: 'published', publishedTo, attemptCount, lastError: null, publishedAt: nowISO() });
+      result.published++;
+    } else {
+      update(OUTBOX_COLLECTION, entry.id, { publishedTo, attemptCount, lastError });
+      result.pending++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Publish pending outbox entries to the event sinks, oldest first.
+ * A call made while a relay pass is running (e.g., by a sink whose work
+ * records new events) makes that pass run again instead.
+ * @returns {{ published: number, pending: number }} Entries published, and
+ *   entries still pending afterwards
+ */
+export function relayOutbox() {
+  if (relaying) {
+    relayRequested = true;
+    return { published: 0, pending: 0 };
+  }
+
+  relaying = true;
+  const result = { published: 0, pending: 0 };
+  try {
+    do {
+      relayRequested = false;
+      const pass = relayPending();
+      result.published += pass.published;
+      result.pending = pass.pending;
+    } while (relayRequested);
+  } finally {
+    relaying = false;
+  }
+  return result;
+}
+
+/**
+ * Summarize the outbox: configured sinks, entry counts, and the oldest pending entry.
+ * @returns {{ sinks: string[], pending: number, published: number, oldestPendingAt: string|null }}
+ */
+export function getOutboxStatus() {
+  const db = getDatabase(OUTBOX_COLLECTION);
+  const counts = db.prepare(
+    "SELECT json_extract(data, '$.status') AS status, COUNT(*) AS total, MIN(json_extract(data, '$.createdAt')) AS oldest FROM resources GROUP BY status"
+  ).all();
+  const byStatus = Object.fromEntries(counts.map(row => [row.status, row]));
+  return {
+    sinks: sinks.map(sink => sink.name),
+    pending: byStatus.pending?.total || 0,
+    published: byStatus.published?.total || 0,
+    oldestPendingAt: byStatus.pending?.oldest || null
+  };
+}
+
+/**
+ * Remove all outbox entries (e.g., when databases are reseeded).
+ */
+export function clearOutbox() {
+  clearAll(OUTBOX_COLLECTION);
+}
+
+/**
+ * Publish entries left pending by a previous run, then retry pending entries on an interval.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=5000] - Retry interval; 0 disables polling
+ * @returns {boolean} True if polling was started
+ */
+export function startOutboxRelay({ intervalMs = 5000 } = {}) {
+  stopOutboxRelay();
+  relayOutbox();
+  if (!intervalMs) return false;
+
+  intervalHandle = setInterval(() => {
+    try {
+      relayOutbox();
+    } catch (error) {
+      console.error('Outbox relay error:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for retries
+  intervalHandle.unref();
+  return true;
+}
+
+/**
+ * Stop retrying on an interval, if running. Events are still relayed after each commit.
+ */
+export function stopOutboxRelay() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Pagination styles for list endpoints: offset, cursor, page, and links.
+ *
+ * The style comes from the contract's root `x-pagination` extension, which
+ * the resolver stamps from the state's `x-pagination.style` config
+ * (apiMetadata.pagination.style). Cursors are opaque base64url tokens that
+ * hold the sort field values and id of the boundary item, so a page starts
+ * after that item even when records are added or removed in between. A
+ * cursor is only valid with the sort it was issued for.
+ */
+
+import { parsePagination, compareBySort } from './search-engine.js';
+
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Read a dot-path field from an object.
+ */
+function getField(obj, field) {
+  return field.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Canonical text of a parsed sort, e.g. "priority,-createdAt".
+ */
+function sortSignature(sort) {
+  return sort.map(({ field, descending }) => `${descending ? '-' : ''}${field}`).join(',');
+}
+
+/**
+ * Encode a cursor positioned at an item.
+ * @param {Object} item - Boundary item (last item for next, first item for prev)
+ * @param {Array} sort - Parsed sort from parseSort()
+ * @param {'next'|'prev'} [direction='next'] - Page after or before the item
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(item, sort, direction = 'next') {
+  const payload = {
+    s: sortSignature(sort),
+    v: sort.map(({ field }) => getField(item, field) ?? null),
+    id: item.id,
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor() for the same sort.
+ * @param {string} token - Cursor from the request
+ * @param {Array} sort - Parsed sort of the current request
+ * @returns {{ values: Array, id: string, direction: 'next'|'prev' }|null} Null if invalid or issued for another sort
+ */
+export function decodeCursor(token, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const valid = payload?.s === sortSignature(sort) &&
+    Array.isArray(payload.v) && payload.v.length === sort.length &&
+    payload.v.every(value => value === null || SCALAR_TYPES.includes(typeof value)) &&
+    typeof payload.id === 'string' &&
+    (payload.d === 'next' || payload.d === 'prev');
+
+  return valid ? { values: payload.v, id: payload.id, direction: payload.d } : null;
+}
+
+/**
+ * Parse the paging query parameters of a request for a pagination style.
+ * @param {Object} queryParams - Request query parameters
+ * @param {string} style - offset, cursor, page, or links
+ * @param {Object} defaults - Pagination defaults (limitDefault, limitMax)
+ * @param {Array} sort - Parsed sort of the request (cursors are tied to it)
+ * @returns {{ page: { limit: number, offset: number, page?: number, cursor?: Object }, error: Object|null }}
+ */
+export function parsePageRequest(queryParams = {}, style, defaults, sort) {
+  if (style === 'page') {
+    const { limit } = parsePagination({ limit: queryParams.pageSize }, defaults);
+    const page = Math.max(1, parseInt(queryParams.page) || 1);
+    return { page: { limit, offset: (page - 1) * limit, page }, error: null };
+  }
+
+  if (style === 'cursor' || style === 'links') {
+    const { limit } = parsePagination({ limit: queryParams.limit }, defaults);
+    if (queryParams.cursor === undefined || queryParams.cursor === '') {
+      return { page: { limit, offset: 0 }, error: null };
+    }
+
+    const cursor = typeof queryParams.cursor === 'string' ? decodeCursor(queryParams.cursor, sort) : null;
+    if (!cursor) {
+      return {
+        page: { limit, offset: 0 },
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Cursor is invalid or was issued for a different sort',
+          details: [{ field: 'cursor', message: 'request the first page again without a cursor' }]
+        }
+      };
+    }
+    return { page: { limit, offset: 0, cursor }, error: null };
+  }
+
+  return { page: parsePagination(queryParams, defaults), error: null };
+}
+
+/**
+ * Page through items that are already loaded and sorted (e.g., merged
+ * results from several collections), with the same semantics as the SQL
+ * paging in executeSearch().
+ * @param {Array} sorted - Items sorted with compareBySort(sort)
+ * @param {Object} page - Parsed page from parsePageRequest()
+ * @param {Array} sort - Parsed sort
+ * @returns {{ items: Array, limit: number, offset: number, hasNext: boolean, hasPrev: boolean }}
+ */
+export function paginateSorted(sorted, page, sort) {
+  const { limit, offset = 0, cursor } = page;
+  if (!cursor) {
+    return {
+      items: sorted.slice(offset, offset + limit),
+      limit,
+      offset,
+      hasNext: offset + limit < sorted.length,
+      hasPrev: offset > 0
+    };
+  }
+
+  // Rebuild the boundary item from the cursor so the comparator can place it
+  const boundary = { id: cursor.id };
+  sort.forEach(({ field }, i) => {
+    const keys = field.split('.');
+    let target = boundary;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[keys.at(-1)] = cursor.values[i];
+  });
+
+  const compare = compareBySort(sort);
+  if (cursor.direction === 'prev') {
+    const before = sorted.filter(item => compare(item, boundary) < 0);
+    return { items: before.slice(-limit), limit, offset: 0, hasNext: true, hasPrev: before.length > limit };
+  }
+  const after = sorted.filter(item => compare(item, boundary) > 0);
+  return { items: after.slice(0, limit), limit, offset: 0, hasNext: after.length > limit, hasPrev: true };
+}
+
+/**
+ * Replace the cursor query parameter of a request URL.
+ */
+function withCursor(url, cursor) {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.set('cursor', cursor);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Build the pagination fields of a list response for a style.
+ * @param {string} style - offset, cursor, page, or links
+ * @param {Object} result - Page of results: items, total, limit, offset, hasNext, hasPrev
+ * @param {Object} context
+ * @param {Object} context.page - Parsed page from parsePageRequest()
+ * @param {Array} context.sort - Parsed sort (cursors are issued for it)
+ * @param {string} context.url - Request URL (path and query) for links
+ * @returns {Object} Fields to merge into the response next to `items`
+ */
+export function buildPageFields(style, result, { page, sort, url }) {
+  const { items, total, limit, offset, hasNext, hasPrev } = result;
+
+  if (style === 'page') {
+    return { total, page: page.page, pageSize: limit, hasNext };
+  }
+  if (style !== 'cursor' && style !== 'links') {
+    return { total, limit, offset, hasNext };
+  }
+
+  const nextCursor = hasNext && items.length > 0 ? encodeCursor(items.at(-1), sort, 'next') : null;
+  const prevCursor = hasPrev && items.length > 0 ? encodeCursor(items[0], sort, 'prev') : null;
+
+  if (style === 'cursor') {
+    return { total, cursor: nextCursor, hasNext: nextCursor !== null };
+  }
+  return {
+    total,
+    limit,
+    hasNext: nextCursor !== null,
+    links: {
+      self: url,
+      next: nextCursor && withCursor(url, nextCursor),
+      prev: prevCursor && withCursor(url, prevCursor)
+    }
+  };
+}
+
@@ -19,7 +19,16 @@
  *   q=field:*                   # Field exists
  *   q=-field:*                  # Field does not exist
  *   q=term1 term2               # Multiple conditions (AND)
+ *   q=term1 AND term2           # Explicit AND
+ *   q=term1 OR term2            # Either condition
+ *   q=(term1 OR term2) term3    # Grouping with parentheses
+ *   q=NOT term, q=-(term1 term2) # Negated term or group
+ *   q=field:"two words"         # Quoted phrase (keywords and parentheses inside are literal)
  *   q=field.nested:value        # Nested field (dot notation)
+ *
+ * NOT binds tighter than AND, and AND tighter than OR, so
+ * `a OR b c` means `a OR (b AND c)`. Keywords are uppercase only;
+ * lowercase `and`/`or`/`not` are search terms.
  */
 
 /**
@@ -202,86 +211,215 @@ function parseNumericValue(value) {
 }
 
 /**
- * Parse the full query string into an array of tokens
- * @param {string} queryString - The full q parameter value
- * @returns {Array} Array of parsed tokens
+ * Maximum nesting of groups and NOT in a query.
  */
-export function parseQueryString(queryString) {
-  if (!queryString || typeof queryString !== 'string') {
-    return [];
-  }
+const MAX_QUERY_DEPTH = 10;
 
-  const tokens = [];
+const KEYWORDS = { AND: 'and', OR: 'or', NOT: 'not' };
 
-  // Split by whitespace, but preserve quoted strings
-  const terms = splitQueryTerms(queryString);
-
-  for (const term of terms) {
-    const token = parseTerm(term);
-    if (token) {
-      tokens.push(token);
-    }
-  }
-
-  return tokens;
+/**
+ * Build an INVALID_QUERY error for the `q` parameter.
+ */
+function invalidQuery(message) {
+  return {
+    code: 'INVALID_QUERY',
+    message: `Invalid search query: ${message}`,
+    details: [{ field: 'q', message }]
+  };
 }
 
 /**
- * Split query string into terms, respecting quoted strings
- * @param {string} queryString - The query string to split
- * @returns {Array<string>} Array of terms
+ * Split a query string into lexemes: parentheses, the AND/OR/NOT keywords,
+ * and terms. Quoted sections are literal, so `"OR"` and `"(x)"` are terms.
+ * @param {string} queryString - The full q parameter value
+ * @returns {{ lexemes: Array<{ kind: string, text?: string }>, error: Object|null }}
  */
-function splitQueryTerms(queryString) {
-  const terms = [];
+function tokenizeQuery(queryString) {
+  const lexemes = [];
   let current = '';
-  let inQuotes = false;
+  let quoted = false;
   let quoteChar = null;
+  let inQuotes = false;
 
-  for (let i = 0; i < queryString.length; i++) {
-    const char = queryString[i];
+  const flush = () => {
+    const text = current.trim();
+    if (text && !quoted && KEYWORDS[text]) {
+      lexemes.push({ kind: KEYWORDS[text] });
+    } else if (text) {
+      lexemes.push({ kind: 'term', text });
+    }
+    current = '';
+    quoted = false;
+  };
 
-    if ((char === '"' || char === "'") && !inQuotes) {
+  for (const char of queryString) {
+    if (inQuotes) {
+      if (char === quoteChar) {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
       inQuotes = true;
       quoteChar = char;
-    } else if (char === quoteChar && inQuotes) {
-      inQuotes = false;
-      quoteChar = null;
-    } else if (char === ' ' && !inQuotes) {
-      if (current.trim()) {
-        terms.push(current.trim());
+      quoted = true;
+    } else if (/\s/.test(char)) {
+      flush();
+    } else if (char === '(') {
+      // -( negates the group that follows
+      if (current === '-' && !quoted) {
+        current = '';
+        lexemes.push({ kind: 'not' });
+      } else {
+        flush();
       }
-      current = '';
+      lexemes.push({ kind: 'open' });
+    } else if (char === ')') {
+      flush();
+      lexemes.push({ kind: 'close' });
     } else {
       current += char;
     }
   }
 
-  if (current.trim()) {
-    terms.push(current.trim());
+  if (inQuotes) {
+    return { lexemes: [], error: invalidQuery(`missing closing ${quoteChar}`) };
   }
+  flush();
+  return { lexemes, error: null };
+}
 
-  return terms;
+/**
+ * Parse a `q` query with boolean grouping into a condition tree. Leaves are
+ * parsed terms (see parseTerm()); groups have the same shape as structured
+ * filters: `{ and: [...] }`, `{ or: [...] }`, `{ not: node }`.
+ *
+ * @example
+ * parseQuery('(status:pending OR status:escalated) -queueId:*').query
+ * // => { and: [
+ * //      { or: [{ type: 'exact', field: 'status', value: 'pending' }, { type: 'exact', field: 'status', value: 'escalated' }] },
+ * //      { type: 'notExists', field: 'queueId', value: null }
+ * //    ] }
+ *
+ * @param {string} queryString - The full q parameter value
+ * @returns {{ query: Object|null, error: Object|null }} query is null for an empty query;
+ *   error is a 400 INVALID_QUERY body for malformed syntax
+ */
+export function parseQuery(queryString) {
+  if (!queryString || typeof queryString !== 'string') {
+    return { query: null, error: null };
+  }
+
+  const { lexemes, error: lexError } = tokenizeQuery(queryString);
+  if (lexError) {
+    return { query: null, error: lexError };
+  }
+
+  let pos = 0;
+  let error = null;
+  const fail = (message) => {
+    error = error || invalidQuery(message);
+    return null;
+  };
+
+  // or := and (OR and)*
+  const parseOr = (depth) => {
+    const nodes = [parseAnd(depth)];
+    while (!error && lexemes[pos]?.kind === 'or') {
+      if (!nodes[0]) return fail('OR must follow a term or group');
+      pos++;
+      const next = parseAnd(depth);
+      if (!next) return fail('OR must be followed by a term or group');
+      nodes.push(next);
+    }
+    if (error) return null;
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  };
+
+  // and := unary ((AND)? unary)*
+  const parseAnd = (depth) => {
+    const nodes = [];
+    while (!error && pos < lexemes.length && !['or', 'close'].includes(lexemes[pos].kind)) {
+      if (lexemes[pos].kind === 'and') {
+        if (nodes.length === 0) return fail('AND must follow a term or group');
+        pos++;
+        if (pos >= lexemes.length || ['or', 'and', 'close'].includes(lexemes[pos].kind)) {
+          return fail('AND must be followed by a term or group');
+        }
+      }
+      const node = parseUnary(depth);
+      if (node) nodes.push(node);
+    }
+    if (error || nodes.length === 0) return null;
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  };
+
+  // unary := NOT unary | ( or ) | term
+  const parseUnary = (depth) => {
+    if (depth > MAX_QUERY_DEPTH) return fail(`groups nest at most ${MAX_QUERY_DEPTH} levels deep`);
+    const lexeme = lexemes[pos++];
+    if (lexeme.kind === 'not') {
+      if (pos >= lexemes.length || ['or', 'and', 'close'].includes(lexemes[pos].kind)) {
+        return fail('NOT must be followed by a term or group');
+      }
+      const inner = parseUnary(depth + 1);
+      return inner && { not: inner };
+    }
+    if (lexeme.kind === 'open') {
+      const inner = parseOr(depth + 1);
+      if (error) return null;
+      if (lexemes[pos]?.kind !== 'close') return fail('missing closing parenthesis');
+      pos++;
+      return inner || fail('empty group');
+    }
+    return parseTerm(lexeme.text);
+  };
+
+  const query = parseOr(0);
+  if (!error && pos < lexemes.length) {
+    fail('unexpected closing parenthesis');
+  }
+  return error ? { query: null, error } : { query, error: null };
 }
 
 /**
- * Convert parsed tokens to SQL WHERE clauses for SQLite with JSON
- * @param {Array} tokens - Parsed query tokens
+ * Compile a query tree from parseQuery() to one parameterized SQL condition.
+ * Full-text terms with no searchable fields add no condition, so they match
+ * everything (as a lone term always has).
+ * @param {Object|null} node - Query tree
  * @param {Array} searchableFields - Fields to search for full-text queries
- * @returns {Object} { whereClauses: Array<string>, params: Array }
+ * @returns {{ clause: string|null, params: Array }} clause is null when there is no condition
  */
-export function tokensToSqlConditions(tokens, searchableFields = []) {
-  const whereClauses = [];
-  const params = [];
-
-  for (const token of tokens) {
-    const { clause, tokenParams } = tokenToSqlCondition(token, searchableFields);
-    if (clause) {
-      whereClauses.push(clause);
-      params.push(...tokenParams);
+export function queryToSqlCondition(node, searchableFields = []) {
+  if (!node) {
+    return { clause: null, params: [] };
+  }
+
+  for (const group of ['and', 'or']) {
+    if (!node[group]) continue;
+    const parts = node[group].map(child => queryToSqlCondition(child, searchableFields));
+    const conditions = parts.filter(part => part.clause !== null);
+    // An OR with an unconstrained branch matches everything
+    if (conditions.length === 0 || (group === 'or' && conditions.length < parts.length)) {
+      return { clause: null, params: [] };
+    }
+    return {
+      clause: `(${conditions.map(part => part.clause).join(` ${group.toUpperCase()} `)})`,
+      params: conditions.flatMap(part => part.params)
+    };
+  }
+
+  if (node.not) {
+    const inner = queryToSqlCondition(node.not, searchableFields);
+    if (inner.clause === null) {
+      return inner;
     }
+    // NULL comparisons are neither true nor false; treat them as no match
+    return { clause: `(NOT COALESCE(${inner.clause}, 0))`, params: inner.params };
   }
 
-  return { whereClauses, params };
+  const { clause, tokenParams } = tokenToSqlCondition(node, searchableFields);
+  return { clause, params: tokenParams };
 }
 
 /**
@@ -290,7 +428,7 @@ export function tokensToSqlConditions(tokens, searchableFields = []) {
  * @param {Array} searchableFields - Fields to search for full-text queries
  * @returns {Object} { clause: string, tokenParams: Array }
  */
-function tokenToSqlCondition(token, searchableFields) {
+export function tokenToSqlCondition(token, searchableFields = []) {
   const { type, field, value } = token;
 
   switch (type) {
@@ -300,12 +438,12 @@ function tokenToSqlCondition(token, searchableFields) {
         return { clause: null, tokenParams: [] };
       }
       // Exact match across searchable fields
-      const clauses = searchableFields.map(f =>
-        `LOWER(COALESCE(json_extract(data, '$.${f}'), '')) = LOWER(?)`
+      const clauses = searchableFields.map(() =>
+        `LOWER(COALESCE(json_extract(data, ?), '')) = LOWER(?)`
       );
       return {
         clause: `(${clauses.join(' OR ')})`,
-        tokenParams: searchableFields.map(() => value)
+        tokenParams: searchableFields.flatMap(f => [fieldToJsonPath(f), value])
       };
     }
 
@@ -313,13 +451,13 @@ function tokenToSqlCondition(token, searchableFields) {
       if (searchableFields.length === 0) {
         return { clause: null, tokenParams: [] };
       }
-      const clauses = searchableFields.map(f =>
-        `LOWER(COALESCE(json_extract(data, '$.${f}'), '')) LIKE LOWER(?)`
+      const clauses = searchableFields.map(() =>
+        `LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)`
       );
       const pattern = `%${value}%`;
       return {
         clause: `(${clauses.join(' OR ')})`,
-        tokenParams: searchableFields.map(() => pattern)
+        tokenParams: searchableFields.flatMap(f => [fieldToJsonPath(f), pattern])
       };
     }
 
@@ -327,13 +465,13 @@ function tokenToSqlCondition(token, searchableFields) {
       if (searchableFields.length === 0) {
         return { clause: null, tokenParams: [] };
       }
-      const clauses = searchableFields.map(f =>
-        `LOWER(COALESCE(json_extract(data, '$.${f}'), '')) LIKE LOWER(?)`
+      const clauses = searchableFields.map(() =>
+        `LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)`
       );
       const pattern = `${value}%`;
       return {
         clause: `(${clauses.join(' OR ')})`,
-        tokenParams: searchableFields.map(() => pattern)
+        tokenParams: searchableFields.flatMap(f => [fieldToJsonPath(f), pattern])
       };
     }
 
@@ -341,127 +479,108 @@ function tokenToSqlCondition(token, searchableFields) {
       if (searchableFields.length === 0) {
         return { clause: null, tokenParams: [] };
       }
-      const clauses = searchableFields.map(f =>
-        `LOWER(COALESCE(json_extract(data, '$.${f}'), '')) LIKE LOWER(?)`
+      const clauses = searchableFields.map(() =>
+        `LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)`
       );
       const pattern = `%${value}`;
       return {
         clause: `(${clauses.join(' OR ')})`,
-        tokenParams: searchableFields.map(() => pattern)
+        tokenParams: searchableFields.flatMap(f => [fieldToJsonPath(f), pattern])
       };
     }
 
-    // Field-specific types
+    // Field-specific types (the JSON path comes first; see jsonExtract())
     case TokenType.EXACT: {
-      const jsonPath = fieldToJsonPath(field);
+      const { sql, params } = equals(field, value);
       return {
-        clause: `json_extract(data, '${jsonPath}') = ?`,
-        tokenParams: [value]
+        clause: sql,
+        tokenParams: params
       };
     }
 
     case TokenType.CONTAINS: {
-      const jsonPath = fieldToJsonPath(field);
       return {
-        clause: `LOWER(COALESCE(json_extract(data, '${jsonPath}'), '')) LIKE LOWER(?)`,
-        tokenParams: [`%${value}%`]
+        clause: "LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)",
+        tokenParams: [fieldToJsonPath(field), `%${value}%`]
       };
     }
 
     case TokenType.STARTS_WITH: {
-      const jsonPath = fieldToJsonPath(field);
       return {
-        clause: `LOWER(COALESCE(json_extract(data, '${jsonPath}'), '')) LIKE LOWER(?)`,
-        tokenParams: [`${value}%`]
+        clause: "LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)",
+        tokenParams: [fieldToJsonPath(field), `${value}%`]
       };
     }
 
     case TokenType.ENDS_WITH: {
-      const jsonPath = fieldToJsonPath(field);
       return {
-        clause: `LOWER(COALESCE(json_extract(data, '${jsonPath}'), '')) LIKE LOWER(?)`,
-        tokenParams: [`%${value}`]
+        clause: "LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)",
+        tokenParams: [fieldToJsonPath(field), `%${value}`]
       };
     }
 
     case TokenType.NOT_EQUAL: {
-      const jsonPath = fieldToJsonPath(field);
+      const extract = jsonExtract(field);
+      const { sql, params } = equals(field, value);
       return {
-        clause: `(json_extract(data, '${jsonPath}') IS NULL OR json_extract(data, '${jsonPath}') != ?)`,
-        tokenParams: [value]
+        clause: `(${extract.sql} IS NULL OR NOT ${sql})`,
+        tokenParams: [...extract.params, ...params]
       };
     }
 
-    case TokenType.GREATER_THAN: {
-      const jsonPath = fieldToJsonPath(field);
-      return {
-        clause: `CAST(json_extract(data, '${jsonPath}') AS REAL) > ?`,
-        tokenParams: [value]
-      };
-    }
+    case TokenType.GREATER_THAN:
+      return compare(field, '>', value);
 
-    case TokenType.GREATER_THAN_OR_EQUAL: {
-      const jsonPath = fieldToJsonPath(field);
-      return {
-        clause: `CAST(json_extract(data, '${jsonPath}') AS REAL) >= ?`,
-        tokenParams: [value]
-      };
-    }
+    case TokenType.GREATER_THAN_OR_EQUAL:
+      return compare(field, '>=', value);
 
-    case TokenType.LESS_THAN: {
-      const jsonPath = fieldToJsonPath(field);
-      return {
-        clause: `CAST(json_extract(data, '${jsonPath}') AS REAL) < ?`,
-        tokenParams: [value]
-      };
-    }
+    case TokenType.LESS_THAN:
+      return compare(field, '<', value);
 
-    case TokenType.LESS_THAN_OR_EQUAL: {
-      const jsonPath = fieldToJsonPath(field);
-      return {
-        clause: `CAST(json_extract(data, '${jsonPath}') AS REAL) <= ?`,
-        tokenParams: [value]
-      };
-    }
+    case TokenType.LESS_THAN_OR_EQUAL:
+      return compare(field, '<=', value);
 
     case TokenType.IN: {
       const jsonPath = fieldToJsonPath(field);
+      const extract = jsonExtract(field);
       // Check if the field value matches any of the provided values
       // OR if the field is an array, check if any array element matches
+      // (json_each with a path yields no rows for a missing field and one row
+      // for a scalar, where json_each of the extracted text would fail to parse)
       const placeholders = value.map(() => '?').join(', ');
-      const directMatch = `json_extract(data, '${jsonPath}') IN (${placeholders})`;
+      const directMatch = `${extract.sql} IN (${placeholders})`;
       const arrayMatch = value.map(() =>
-        `EXISTS (SELECT 1 FROM json_each(json_extract(data, '${jsonPath}')) WHERE value = ?)`
+        'EXISTS (SELECT 1 FROM json_each(data, ?) WHERE value = ?)'
       ).join(' OR ');
 
       return {
         clause: `(${directMatch} OR ${arrayMatch})`,
-        tokenParams: [...value, ...value]
+        tokenParams: [...extract.params, ...value, ...value.flatMap(v => [jsonPath, v])]
       };
     }
 
     case TokenType.NOT_IN: {
-      const jsonPath = fieldToJsonPath(field);
+      const extract = jsonExtract(field);
       const placeholders = value.map(() => '?').join(', ');
       return {
-        clause: `(json_extract(data, '${jsonPath}') IS NULL OR json_extract(data, '${jsonPath}') NOT IN (${placeholders}))`,
-        tokenParams: value
+        clause: `(${extract.sql} IS NULL OR ${extract.sql} NOT IN (${placeholders}))`,
+        tokenParams: [...extract.params, ...extract.params, ...value]
       };
     }
 
     case TokenType.EXISTS: {
-      const jsonPath = fieldToJsonPath(field);
+      const extract = jsonExtract(field);
       return {
-        clause: `json_extract(data, '${jsonPath}') IS NOT NULL`,
-        tokenParams: []
+        clause: `${extract.sql} IS NOT NULL`,
+        tokenParams: extract.params
       };
     }
 
     case TokenType.NOT_EXISTS: {
-      const jsonPath = fieldToJsonPath(field);
+      const extract = jsonExtract(field);
       return {
-        clause: `json_extract(data, '${jsonPath}') IS NULL`,
-        tokenParams: []
+        clause: `${extract.sql} IS NULL`,
+        tokenParams: extract.params
       };
     }
 
@@ -471,14 +590,87 @@ function tokenToSqlCondition(token, searchableFields) {
 }
 
 /**
- * Convert a field name (potentially with dot notation) to a JSON path
+ * SQL condition for an exact match on a field. JSON booleans extract as 1/0,
+ * so `true`/`false` also match them by JSON type.
+ * @param {string} field - Field name
+ * @param {*} value - Value to match
+ * @returns {{ sql: string, params: Array }}
+ */
+function equals(field, value) {
+  const extract = jsonExtract(field);
+  if (value === 'true' || value === 'false') {
+    return {
+      sql: `(${extract.sql} = ? OR json_type(data, ?) = ?)`,
+      params: [...extract.params, value, fieldToJsonPath(field), value]
+    };
+  }
+  return { sql: `${extract.sql} = ?`, params: [...extract.params, value] };
+}
+
+/**
+ * SQL condition for a range comparison on a field: numeric values compare
+ * numerically, anything else (e.g., ISO dates) compares as text.
+ * @param {string} field - Field name
+ * @param {string} operator - One of >, >=, <, <=
+ * @param {*} value - Value being compared with
+ * @returns {{ clause: string, tokenParams: Array }}
+ */
+function compare(field, operator, value) {
+  const { sql, params } = jsonExtract(field);
+  return {
+    clause: `${typeof value === 'number' ? `CAST(${sql} AS REAL)` : sql} ${operator} ?`,
+    tokenParams: [...params, value]
+  };
+}
+
+/**
+ * Field paths accepted in filters: identifiers joined by dots (status,
+ * name.lastName). Anything else could change the meaning of a JSON path.
+ */
+export const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/**
+ * Convert a field name (potentially with dot notation) to a JSON path.
+ * Paths are bound as SQL parameters, never interpolated.
  * @param {string} field - Field name like "name.firstName" or "status"
  * @returns {string} JSON path like "$.name.firstName" or "$.status"
+ * @throws {Error} If the field is not a plain dot path
  */
-function fieldToJsonPath(field) {
-  // Already has $ prefix
-  if (field.startsWith('$')) {
-    return field;
+export function fieldToJsonPath(field) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field path: ${field}`);
   }
   return `$.${field}`;
 }
+
+// Fields with an expression index (see indexes.js), across all collections
+const indexedFields = new Set();
+
+/**
+ * Record fields that have an expression index, so jsonExtract() writes
+ * their paths into the SQL.
+ * @param {string[]} fields - Field paths taken from the OpenAPI schema
+ */
+export function registerIndexedFields(fields) {
+  for (const field of fields) {
+    fieldToJsonPath(field);
+    indexedFields.add(field);
+  }
+}
+
+/**
+ * SQL expression for the value of a field. The JSON path is bound as a
+ * parameter, except for indexed fields: SQLite only uses an expression index
+ * when the query repeats the indexed expression, so their paths are written
+ * out. Those paths come from the schema, never from a request, and are plain
+ * dot paths (FIELD_PATTERN).
+ * @param {string} field - Field name like "status" or "name.lastName"
+ * @returns {{ sql: string, params: Array }}
+ * @throws {Error} If the field is not a plain dot path
+ */
+export function jsonExtract(field) {
+  const jsonPath = fieldToJsonPath(field);
+  return indexedFields.has(field)
+    ? { sql: `json_extract(data, '${jsonPath}')`, params: [] }
+    : { sql: 'json_extract(data, ?)', params: [jsonPath] };
+}
@@ -10,6 +10,11 @@ import { createUpdateHandler } from './handlers/update-handler.js';
 import { createDeleteHandler } from './handlers/delete-handler.js';
 import { createTransitionHandler } from './handlers/transition-handler.js';
 import { createSearchHandler } from './handlers/search-handler.js';
+import { loadSearchTypes } from './search-types.js';
+import { createBatchHandler } from './handlers/batch-handler.js';
+import { findCalendar } from './calendar-loader.js';
+import { createIdempotencyMiddleware } from './idempotency.js';
+import { registerCreateSchema } from './validator.js';
 
 /**
  * Determine if a path is a collection endpoint (no {id} parameter)
@@ -25,6 +30,29 @@ function isItemEndpoint(path) {
   return path.includes('{') && path.includes('}');
 }
 
+/**
+ * Determine if a path is a batch endpoint (e.g., /tasks/batch)
+ */
+function isBatchEndpoint(path) {
+  return /^\/[^/]+\/batch$/.test(path);
+}
+
+/**
+ * Determine if a path is a structured search endpoint (e.g., /tasks/search)
+ */
+function isSearchBodyEndpoint(path) {
+  return /^\/[^/]+\/search$/.test(path);
+}
+
+/**
+ * Whether RPC transitions reject requests without an Idempotency-Key.
+ * Enabled with MOCK_REQUIRE_IDEMPOTENCY_KEY=true. Batches always require one.
+ * @returns {boolean}
+ */
+function isIdempotencyKeyRequired() {
+  return process.env.MOCK_REQUIRE_IDEMPOTENCY_KEY === 'true';
+}
+
 /**
  * Convert OpenAPI path format to Express path format
  * Example: /persons/{personId} => /persons/:personId
@@ -50,31 +78,43 @@ function deriveCollectionName(path) {
  * @param {string} baseUrl - Base URL for Location headers
  * @param {Object|null} stateMachine - State machine contract for this API's domain (null if none)
  * @param {Array|null} rules - Rules for this API's domain (null if none)
+ * @param {Object} [calendar] - Business calendar for this API's domain
+ * @param {Map<string, Object>} [searchTypes] - Cross-resource search types from loadSearchTypes()
  * @returns {Array} Array of registered endpoint info
  */
-export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules) {
+export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules, calendar, searchTypes = new Map()) {
   const registeredEndpoints = [];
+  // Collection → { create, update, delete } handlers, reused by the batch route
+  const crudHandlers = new Map();
+  // GET list endpoints, reused by the structured search routes
+  const listEndpoints = [];
 
   console.log(`  Registering routes for ${apiMetadata.title}...`);
 
   for (const endpoint of apiMetadata.endpoints) {
+    // Batch and structured search routes are mounted below
+    if (isBatchEndpoint(endpoint.path)) continue;
+
     const expressPath = convertPathFormat(endpoint.path);
     const method = endpoint.method.toLowerCase();
+    if (method === 'post' && isSearchBodyEndpoint(endpoint.path)) continue;
     const collectionName = deriveCollectionName(endpoint.path);
     const endpointWithCollection = { ...endpoint, collectionName };
 
     let handler = null;
     let description = '';
+    const middleware = [];
 
     // Determine handler based on method and path type
     if (endpoint.operationId === 'search') {
       // Cross-resource search endpoint — custom handler
-      handler = createSearchHandler(apiMetadata);
+      handler = createSearchHandler(apiMetadata, searchTypes);
       description = 'Cross-resource search';
     } else if (method === 'get' && isCollectionEndpoint(endpoint.path)) {
       // GET /resources - List/search
       handler = createListHandler(apiMetadata, endpointWithCollection);
       description = 'List/search resources';
+      listEndpoints.push(endpointWithCollection);
     } else if (method === 'get' && isItemEndpoint(endpoint.path)) {
       // GET /resources/{id} - Get by ID
       handler = createGetHandler(apiMetadata, endpointWithCollection);
@@ -84,7 +124,10 @@ export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules) {
       // Only pass state machine to the collection that matches the governed object
       const smForEndpoint = stateMachine?.object?.toLowerCase() + 's' === collectionName
         ? stateMachine : null;
-      handler = createCreateHandler(apiMetadata, endpointWithCollection, baseUrl, smForEndpoint, rules);
+      handler = createCreateHandler(apiMetadata, endpointWithCollection, baseUrl, smForEndpoint, rules, calendar);
+      middleware.push(createIdempotencyMiddleware());
+      // Records created by state machine effects are checked against the same schema
+      if (endpoint.requestSchema) registerCreateSchema(collectionName, endpoint.requestSchema);
       description = 'Create resource';
     } else if (method === 'patch' && isItemEndpoint(endpoint.path)) {
       // PATCH /resources/{id} - Update
@@ -102,7 +145,13 @@ export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules) {
     }
 
     // Register the route
-    app[method](expressPath, handler);
+    app[method](expressPath, ...middleware, handler);
+
+    const crudAction = { post: 'create', patch: 'update', delete: 'delete' }[method];
+    if (crudAction && endpoint.path.split('/').length <= 3) {
+      if (!crudHandlers.has(collectionName)) crudHandlers.set(collectionName, {});
+      crudHandlers.get(collectionName)[crudAction] = handler;
+    }
 
     registeredEndpoints.push({
       method: method.toUpperCase(),
@@ -115,6 +164,40 @@ export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules) {
     console.log(`    ${method.toUpperCase().padEnd(6)} ${expressPath} - ${description}`);
   }
 
+  // POST /resources/batch — dispatches each operation to the handlers above.
+  // The batch_operations pattern requires an Idempotency-Key for every batch.
+  const idempotency = createIdempotencyMiddleware({ required: true });
+  for (const [collectionName, handlers] of crudHandlers) {
+    const path = `/${collectionName}/batch`;
+    app.post(path, idempotency, createBatchHandler(collectionName, handlers));
+
+    registeredEndpoints.push({
+      method: 'POST',
+      path,
+      expressPath: path,
+      description: 'Batch create/update/delete'
+    });
+
+    console.log(`    POST   ${path} - Batch create/update/delete`);
+  }
+
+  // POST /resources/search — list with a structured filter body (x-search post-search)
+  if (apiMetadata.search?.style === 'post-search') {
+    for (const endpoint of listEndpoints) {
+      const path = `${endpoint.path}/search`;
+      app.post(path, createListHandler(apiMetadata, endpoint, { filterFrom: 'body' }));
+
+      registeredEndpoints.push({
+        method: 'POST',
+        path,
+        expressPath: path,
+        description: 'Search resources with a filter body'
+      });
+
+      console.log(`    POST   ${path} - Search resources with a filter body`);
+    }
+  }
+
   return registeredEndpoints;
 }
 
@@ -125,18 +208,21 @@ export function registerRoutes(app, apiMetadata, baseUrl, stateMachine, rules) {
  * @param {string} baseUrl - Base URL for Location headers
  * @param {Array} stateMachines - Array from discoverStateMachines()
  * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
  * @returns {Array} Array of all registered endpoints grouped by API
  */
-export function registerAllRoutes(app, apiSpecs, baseUrl, stateMachines = [], rules = []) {
+export function registerAllRoutes(app, apiSpecs, baseUrl, stateMachines = [], rules = [], calendars = []) {
   console.log('\nRegistering API routes...');
 
   const allEndpoints = [];
+  const searchTypes = loadSearchTypes(apiSpecs);
 
   for (const apiSpec of apiSpecs) {
     // Match state machine and rules by domain name
     const sm = stateMachines.find(s => s.domain === apiSpec.name);
     const matchedStateMachine = sm ? sm.stateMachine : null;
-    const endpoints = registerRoutes(app, apiSpec, baseUrl, matchedStateMachine, rules);
+    const calendar = findCalendar(calendars, apiSpec.name);
+    const endpoints = registerRoutes(app, apiSpec, baseUrl, matchedStateMachine, rules, calendar, searchTypes);
     allEndpoints.push({
       apiName: apiSpec.name,
       title: apiSpec.title,
@@ -154,10 +240,12 @@ export function registerAllRoutes(app, apiSpecs, baseUrl, stateMachines = [], ru
  * @param {Array} stateMachines - Array from discoverStateMachines()
  * @param {Array} apiSpecs - Array of API metadata objects
  * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
  * @returns {Array} Array of registered RPC endpoint info
  */
-export function registerStateMachineRoutes(app, stateMachines, apiSpecs, rules = []) {
+export function registerStateMachineRoutes(app, stateMachines, apiSpecs, rules = [], calendars = []) {
   const registeredEndpoints = [];
+  const idempotency = createIdempotencyMiddleware({ required: isIdempotencyKeyRequired() });
 
   for (const sm of stateMachines) {
     // Match state machine to its API spec by domain
@@ -189,6 +277,9 @@ export function registerStateMachineRoutes(app, stateMachines, apiSpecs, rules =
     console.log(`  Registering state machine routes for ${sm.domain}/${sm.object}...`);
 
     for (const transition of sm.stateMachine.transitions) {
+      // Timer transitions fire automatically (see timer-scheduler.js), not via RPC
+      if (transition.on === 'timer') continue;
+
       const rpcPath = `${basePath}/${transition.trigger}`;
       const expressPath = convertPathFormat(rpcPath);
 
@@ -197,10 +288,11 @@ export function registerStateMachineRoutes(app, stateMachines, apiSpecs, rules =
         sm.stateMachine,
         transition.trigger,
         paramName,
-        rules
+        rules,
+        findCalendar(calendars, sm.domain)
       );
 
-      app.post(expressPath, handler);
+      app.post(expressPath, idempotency, handler);
 
       registeredEndpoints.push({
         method: 'POST',
@@ -13,18 +13,21 @@
  *   q=-field:value              # Exclude/negate
  *   q=field:*                   # Field exists
  *   q=term1 term2               # Multiple conditions (AND)
+ *   q=(a OR b) -(c d)           # OR, parentheses, and negated groups
  *   q=field.nested:value        # Nested field (dot notation)
  */
 
-import { parseQueryString, tokensToSqlConditions } from './query-parser.js';
+import { parseQuery, queryToSqlCondition, fieldToJsonPath, jsonExtract, FIELD_PATTERN } from './query-parser.js';
+import { filterToSql, RESERVED_PARAMS } from './filter.js';
 
 /**
  * Build search conditions for SQLite JSON queries
  * @param {Object} queryParams - Request query parameters
  * @param {Array} searchableFields - List of fields that support search
+ * @param {Object|null} [filter] - Structured filter from filter.js; replaces the legacy field filters
  * @returns {Object} {whereClauses: Array, params: Array}
  */
-export function buildSearchConditions(queryParams = {}, searchableFields = []) {
+export function buildSearchConditions(queryParams = {}, searchableFields = [], filter = null) {
   const whereClauses = [];
   const params = [];
 
@@ -33,51 +36,63 @@ export function buildSearchConditions(queryParams = {}, searchableFields = []) {
     return { whereClauses, params };
   }
 
-  // Handle the `q` parameter with search syntax
+  // Handle the `q` parameter with search syntax (handlers reject malformed
+  // queries with validateFilterFields() before searching)
   if (queryParams.q) {
-    const tokens = parseQueryString(queryParams.q);
-    const { whereClauses: qClauses, params: qParams } = tokensToSqlConditions(tokens, searchableFields);
-    whereClauses.push(...qClauses);
-    params.push(...qParams);
+    const { query, error } = parseQuery(queryParams.q);
+    if (error) {
+      throw new Error(error.message);
+    }
+    const { clause, params: qParams } = queryToSqlCondition(query, searchableFields);
+    if (clause) {
+      whereClauses.push(clause);
+      params.push(...qParams);
+    }
   }
 
   // Handle legacy 'search' parameter (searches across multiple fields)
   // This provides backward compatibility
   if (queryParams.search && searchableFields.length > 0) {
-    const searchClauses = searchableFields.map(field =>
-      `LOWER(COALESCE(json_extract(data, '$.${field}'), '')) LIKE LOWER(?)`
+    const searchClauses = searchableFields.map(() =>
+      "LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)"
     );
     whereClauses.push(`(${searchClauses.join(' OR ')})`);
 
-    // Add search pattern for each field
+    // Add the JSON path and search pattern for each field
     const searchPattern = `%${queryParams.search}%`;
-    searchableFields.forEach(() => params.push(searchPattern));
+    searchableFields.forEach(field => params.push(fieldToJsonPath(field), searchPattern));
+  }
+
+  // Structured filter (x-search filtered or post-search)
+  if (filter) {
+    const { clause, params: filterParams } = filterToSql(filter);
+    whereClauses.push(clause);
+    params.push(...filterParams);
   }
 
   // Handle specific field filters (exact match) - legacy support
-  // Skip if using `q` parameter to avoid double-filtering
-  if (!queryParams.q) {
+  // Skip if using `q` parameter or a structured filter to avoid double-filtering
+  if (!queryParams.q && !filter) {
     for (const [key, value] of Object.entries(queryParams)) {
       // Skip special parameters
-      if (['search', 'q', 'limit', 'offset', 'page'].includes(key)) {
+      if (RESERVED_PARAMS.includes(key)) {
         continue;
       }
 
-      // Handle array parameters (e.g., programs[])
+      // Handle array parameters (e.g., programs=snap&programs=tanf)
       if (Array.isArray(value)) {
         // For array fields, check if the JSON array contains the value
+        const jsonPath = fieldToJsonPath(key);
         const arrayClauses = value.map(() =>
-          `EXISTS (
-            SELECT 1 FROM json_each(json_extract(data, '$.${key}'))
-            WHERE value = ?
-          )`
+          'EXISTS (SELECT 1 FROM json_each(data, ?) WHERE value = ?)'
         );
         whereClauses.push(`(${arrayClauses.join(' OR ')})`);
-        params.push(...value);
+        value.forEach(v => params.push(jsonPath, v));
       } else if (value !== undefined && value !== null && value !== '') {
         // Exact match for single values
-        whereClauses.push(`json_extract(data, '$.${key}') = ?`);
-        params.push(value);
+        const extract = jsonExtract(key);
+        whereClauses.push(`${extract.sql} = ?`);
+        params.push(...extract.params, value);
       }
     }
   }
@@ -119,64 +134,293 @@ export function parsePagination(queryParams = {}, defaults = { limit: 25, offset
   return { limit, offset };
 }
 
+/**
+ * Default sort order when no `sort` parameter is given: newest first.
+ */
+export const DEFAULT_SORT = [{ field: 'createdAt', descending: true }];
+
+/**
+ * Maximum number of fields in a `sort` parameter.
+ */
+export const MAX_SORT_FIELDS = 3;
+
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+/**
+ * Collect the field paths of a schema with what sort, filter, facet, index,
+ * and event filter validation need to know about each one. Nested object
+ * properties become dot paths (e.g., name.lastName) and allOf branches are
+ * merged. Each field records whether it is a scalar (sortable, indexable),
+ * its enum and format, for arrays whether the items are scalars (for facets),
+ * and its x-relationship and x-index markers (for indexes).
+ * @param {Object} schema - Dereferenced item schema
+ * @returns {Map<string, { scalar: boolean, enum?: Array, format?: string, scalarItems?: boolean,
+ *   relationship?: boolean, index?: boolean }>}
+ *   Field path → field info
+ */
+export function collectFieldInfo(schema) {
+  const fields = new Map();
+
+  const walk = (node, prefix, depth) => {
+    if (!node || typeof node !== 'object' || depth > 5) return;
+    for (const branch of node.allOf || []) walk(branch, prefix, depth);
+
+    for (const [name, prop] of Object.entries(node.properties || {})) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const types = [].concat(prop.type || []).filter(t => t !== 'null');
+      const isObject = types.includes('object') || !!prop.properties || !!prop.allOf;
+      const isArray = types.includes('array');
+
+      fields.set(path, {
+        scalar: !isObject && !isArray && (types.length === 0 || types.some(t => SCALAR_TYPES.includes(t))),
+        ...(Array.isArray(prop.enum) && { enum: prop.enum.filter(v => v !== null) }),
+        ...(prop.format && { format: prop.format }),
+        ...(isArray && { scalarItems: [].concat(prop.items?.type || []).some(t => SCALAR_TYPES.includes(t)) }),
+        ...(prop['x-relationship'] && { relationship: true }),
+        ...(typeof prop['x-index'] === 'boolean' && { index: prop['x-index'] })
+      });
+      if (isObject) walk(prop, path, depth + 1);
+    }
+  };
+
+  walk(schema, '', 0);
+  return fields;
+}
+
+/**
+ * Parse and validate a `sort` parameter: comma-separated fields, `-` prefix
+ * for descending (e.g., `priority,-createdAt`).
+ * @param {string|undefined} value - Raw `sort` query value
+ * @param {Map|null} fields - Result of collectFieldInfo(); null skips the schema check
+ * @returns {{ sort: Array<{ field: string, descending: boolean, enum?: Array }>, error: Object|null }}
+ */
+export function parseSort(value, fields = null) {
+  if (value === undefined || value === '') {
+    return { sort: DEFAULT_SORT, error: null };
+  }
+
+  const badRequest = (code, message, field) => ({
+    sort: DEFAULT_SORT,
+    error: { code, message, details: [{ field: 'sort', message: field }] }
+  });
+
+  if (typeof value !== 'string') {
+    return badRequest('BAD_REQUEST', 'sort must be a single comma-separated value', 'must be string');
+  }
+
+  const terms = value.split(',').map(term => term.trim());
+  if (terms.length > MAX_SORT_FIELDS) {
+    return badRequest('BAD_REQUEST', `sort accepts at most ${MAX_SORT_FIELDS} fields`, value);
+  }
+
+  const sort = [];
+  for (const term of terms) {
+    const descending = term.startsWith('-');
+    const field = descending ? term.slice(1) : term;
+
+    // Only plain dot paths are accepted as JSON paths
+    if (!FIELD_PATTERN.test(field) || (fields && !fields.has(field))) {
+      return badRequest('INVALID_SORT_FIELD', `Unknown sort field: ${field}`, field);
+    }
+    const info = fields?.get(field);
+    if (info && !info.scalar) {
+      return badRequest('FIELD_NOT_SORTABLE', `Field '${field}' does not support sorting`, field);
+    }
+
+    sort.push({ field, descending, ...(info?.enum && { enum: info.enum }) });
+  }
+
+  return { sort, error: null };
+}
+
+/**
+ * Expand a parsed sort into the SQL sort keys it orders by: per field a
+ * null flag (missing values last) and the value itself (enum fields by
+ * declared position), then the id as a tiebreaker so the order is total.
+ * @param {Array} sort - Parsed sort from parseSort()
+ * @returns {Array<{ sql: string, params: Array, descending: boolean }>}
+ */
+function sortKeys(sort) {
+  const keys = [];
+  for (const { field, descending, enum: values } of sort) {
+    const extract = jsonExtract(field);
+    keys.push({ sql: `(${extract.sql} IS NULL)`, params: extract.params, descending: false });
+    if (values?.length) {
+      keys.push({
+        sql: `(CASE ${extract.sql} ${values.map((_, i) => `WHEN ? THEN ${i}`).join(' ')} ELSE ${values.length} END)`,
+        params: [...extract.params, ...values],
+        descending
+      });
+    } else {
+      keys.push({ sql: extract.sql, params: extract.params, descending });
+    }
+  }
+  keys.push({ sql: 'id', params: [], descending: false });
+  return keys;
+}
+
+/**
+ * Convert a field value to what its sort key compares in SQL: enum values
+ * become their declared position and booleans become 0/1 (as json_extract
+ * returns them).
+ */
+function sortKeyValue(value, values) {
+  if (value === undefined || value === null) return null;
+  if (values?.length) return values.includes(value) ? values.indexOf(value) : values.length;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Build an ORDER BY clause for a parsed sort. Missing values sort last in
+ * either direction; enum fields sort in the order the schema declares them;
+ * ties are broken by id so paging is stable.
+ * @param {Array} sort - Parsed sort from parseSort()
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse=false] - Invert the whole order (for paging backwards)
+ * @returns {{ orderBy: string, params: Array }}
+ */
+export function buildOrderByClause(sort, { reverse = false } = {}) {
+  const terms = [];
+  const params = [];
+
+  for (const key of sortKeys(sort)) {
+    terms.push(`${key.sql} ${key.descending !== reverse ? 'DESC' : 'ASC'}`);
+    params.push(...key.params);
+  }
+
+  return { orderBy: `ORDER BY ${terms.join(', ')}`, params };
+}
+
+/**
+ * Build a keyset condition selecting the rows after (or before) a cursor
+ * position in the order of buildOrderByClause().
+ * @param {Array} sort - Parsed sort from parseSort()
+ * @param {{ values: Array, id: string, direction: 'next'|'prev' }} cursor - Decoded cursor:
+ *   the sort field values and id of the boundary item
+ * @returns {{ clause: string, params: Array }}
+ */
+export function buildKeysetCondition(sort, cursor) {
+  const keys = sortKeys(sort);
+  const boundary = [];
+  sort.forEach(({ enum: values }, i) => {
+    const value = cursor.values[i];
+    boundary.push(value === undefined || value === null ? 1 : 0, sortKeyValue(value, values));
+  });
+  boundary.push(cursor.id);
+
+  // (k1 > v1) OR (k1 IS v1 AND k2 > v2) OR ... with > flipped for descending keys
+  const alternatives = [];
+  const params = [];
+  keys.forEach((key, i) => {
+    const greater = key.descending === (cursor.direction === 'prev');
+    const terms = [];
+    for (let j = 0; j < i; j++) {
+      terms.push(`${keys[j].sql} IS ?`);
+      params.push(...keys[j].params, boundary[j]);
+    }
+    terms.push(`${key.sql} ${greater ? '>' : '<'} ?`);
+    params.push(...key.params, boundary[i]);
+    alternatives.push(`(${terms.join(' AND ')})`);
+  });
+
+  return { clause: `(${alternatives.join(' OR ')})`, params };
+}
+
+/**
+ * Build a comparator for sorting already-loaded objects by a parsed sort,
+ * with the same ordering as buildOrderByClause() (including the id tiebreaker).
+ * @param {Array} sort - Parsed sort from parseSort()
+ * @returns {Function} Comparator (a, b) => number
+ */
+export function compareBySort(sort) {
+  const get = (obj, field) => field.split('.').reduce((value, key) => value?.[key], obj);
+
+  return (a, b) => {
+    for (const { field, descending, enum: values } of sort) {
+      let x = get(a, field);
+      let y = get(b, field);
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return x == null ? 1 : -1;
+      }
+      if (values?.length) {
+        x = values.includes(x) ? values.indexOf(x) : values.length;
+        y = values.includes(y) ? values.indexOf(y) : values.length;
+      }
+      const order = x < y ? -1 : x > y ? 1 : 0;
+      if (order !== 0) return descending ? -order : order;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+}
+
 /**
  * Execute search query with filters and pagination
  * @param {Object} db - SQLite database instance
  * @param {Object} queryParams - Request query parameters
  * @param {Array} searchableFields - Fields that support search
  * @param {Object} paginationDefaults - Default pagination values
- * @returns {Object} {items: Array, total: number, limit: number, offset: number, hasNext: boolean}
+ * @param {Array} [sort] - Parsed sort from parseSort() (default: newest first)
+ * @param {Object} [page] - Parsed page from parsePageRequest() (default: limit/offset from queryParams)
+ * @param {Object|null} [filter] - Structured filter from filter.js
+ * @returns {Object} {items: Array, total: number, limit: number, offset: number, hasNext: boolean, hasPrev: boolean}
  */
-export function executeSearch(db, queryParams = {}, searchableFields = [], paginationDefaults = {}) {
-  const { whereClauses, params } = buildSearchConditions(queryParams, searchableFields);
+export function executeSearch(db, queryParams = {}, searchableFields = [], paginationDefaults = {}, sort = DEFAULT_SORT, page = null, filter = null) {
+  const { whereClauses, params } = buildSearchConditions(queryParams, searchableFields, filter);
   const whereClause = buildWhereClause(whereClauses);
-  const { limit, offset } = parsePagination(queryParams, paginationDefaults);
+  const { limit, offset, cursor } = page || parsePagination(queryParams, paginationDefaults);
+
+  // Get total count
+  const countQuery = `SELECT COUNT(*) as count FROM resources ${whereClause}`.trim();
+  const countStmt = db.prepare(countQuery);
+  const countResult = countStmt.get(...params);
+  const total = countResult?.count || 0;
   
-  try {
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as count FROM resources ${whereClause}`.trim();
-    const countStmt = db.prepare(countQuery);
-    const countResult = countStmt.get(...params);
-    const total = countResult?.count || 0;
-    
+  let rows;
+  let hasNext;
+  let hasPrev;
+  if (cursor) {
+    // Keyset page: rows after (or before) the cursor, one extra to detect more
+    const keyset = buildKeysetCondition(sort, cursor);
+    const backward = cursor.direction === 'prev';
+    const { orderBy, params: orderParams } = buildOrderByClause(sort, { reverse: backward });
+    const selectQuery = `
+      SELECT data FROM resources
+      ${buildWhereClause([...whereClauses, keyset.clause])}
+      ${orderBy}
+      LIMIT ?
+    `.trim();
+    rows = db.prepare(selectQuery).all(...params, ...keyset.params, ...orderParams, limit + 1);
+    const more = rows.length > limit;
+    rows = rows.slice(0, limit);
+    if (backward) rows.reverse();
+    hasNext = backward || more;
+    hasPrev = !backward || more;
+  } else {
     // Get paginated items
-    // Use COALESCE to handle NULL createdAt values (sorts them last)
+    const { orderBy, params: orderParams } = buildOrderByClause(sort);
     const selectQuery = `
       SELECT data FROM resources 
       ${whereClause}
-      ORDER BY COALESCE(json_extract(data, '$.createdAt'), '1970-01-01T00:00:00Z') DESC
+      ${orderBy}
       LIMIT ? OFFSET ?
     `.trim();
     const selectStmt = db.prepare(selectQuery);
-    const rows = selectStmt.all(...params, limit, offset);
-    
-    // Safely parse JSON, handle any parse errors
-    const items = rows.map(row => {
-      try {
-        return JSON.parse(row.data);
-      } catch (parseError) {
-        console.error('Failed to parse row data:', parseError);
-        return null;
-      }
-    }).filter(item => item !== null);
-    
-    // Calculate hasNext
-    const hasNext = offset + limit < total;
-    
-    return { items, total, limit, offset, hasNext };
-  } catch (error) {
-    console.error('Execute search error:', error);
-    console.error('Query params:', queryParams);
-    console.error('Where clause:', whereClause);
-    console.error('Params:', params);
-    
-    // Return empty result instead of throwing
-    return { 
-      items: [], 
-      total: 0, 
-      limit, 
-      offset, 
-      hasNext: false 
-    };
+    rows = selectStmt.all(...params, ...orderParams, limit, offset);
+    hasNext = offset + limit < total;
+    hasPrev = offset > 0;
   }
+  
+  // Safely parse JSON, handle any parse errors
+  const items = rows.map(row => {
+    try {
+      return JSON.parse(row.data);
+    } catch (parseError) {
+      console.error('Failed to parse row data:', parseError);
+      return null;
+    }
+  }).filter(item => item !== null);
+  
+  return { items, total, limit, offset, hasNext, hasPrev };
 }
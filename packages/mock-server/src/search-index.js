@@ -0,0 +1,245 @@
+/**
+ * Full-text index behind cross-resource search (GET /search).
+ *
+ * A collection with an index gets an FTS5 table, `search_index`, holding one
+ * row per resource: a column per searchable field (`f0`, `f1`, ...) and a
+ * `phonetic` column with the Soundex code of every word in those fields.
+ * The database manager keeps it in step with `resources` on every write.
+ *
+ * A search word matches indexed words that start with it or sound like it,
+ * so "Jon Smyth" finds John Smith. BM25 ranks the hits, with spelling
+ * matches weighted above phonetic ones.
+ */
+
+// Words shorter than this are too ambiguous to match by sound
+const MIN_PHONETIC_LENGTH = 3;
+
+// BM25 weight of the phonetic column relative to the field columns
+const PHONETIC_WEIGHT = 0.5;
+
+// Highlights of longer values are cut to a window around the first match
+const SNIPPET_WORDS = 12;
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * Lowercase text and strip diacritics, as the FTS5 tokenizer does.
+ */
+function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into the words the FTS5 `unicode61` tokenizer indexes.
+ * @param {string} text - Text to split
+ * @returns {string[]} Normalized words
+ */
+export function tokenize(text) {
+  return normalize(String(text)).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * American Soundex code of a word: its first letter and three digits for the
+ * consonant sounds that follow (`Smith` and `Smyth` are both S530).
+ * @param {string} word - Word to encode
+ * @returns {string|null} Code, or null for words that are not plain Latin letters
+ */
+export function soundex(word) {
+  const letters = normalize(word);
+  if (!/^[a-z]+$/.test(letters)) {
+    return null;
+  }
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+    if (digit && digit !== previous) {
+      code += digit;
+      if (code.length === 4) break;
+    }
+    // h and w do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = digit;
+    }
+  }
+  return code.padEnd(4, '0');
+}
+
+/**
+ * Soundex code of a search word, when it is long enough to match by sound.
+ */
+function phoneticCode(word) {
+  return word.length >= MIN_PHONETIC_LENGTH ? soundex(word) : null;
+}
+
+/**
+ * Read a dot-path field of a resource as indexable text.
+ */
+function fieldText(resource, field) {
+  const value = field.split('.').reduce((obj, key) => obj?.[key], resource);
+  if (value === undefined || value === null || typeof value === 'object') {
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Create (or recreate) the search index of a database and index every
+ * existing resource. Recreating keeps the columns in step with `fields`.
+ * @param {Database} db - SQLite database of the collection
+ * @param {string[]} fields - Searchable field paths
+ */
+export function createSearchIndex(db, fields) {
+  const columns = fields.map((_, i) => `f${i}`);
+  db.exec('DROP TABLE IF EXISTS search_index');
+  db.exec(`
+    CREATE VIRTUAL TABLE search_index USING fts5(
+      id UNINDEXED, ${columns.join(', ')}, phonetic,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  for (const row of db.prepare('SELECT data FROM resources').all()) {
+    try {
+      indexResource(db, fields, JSON.parse(row.data));
+    } catch {
+      // skip unparseable rows
+    }
+  }
+}
+
+/**
+ * Add or replace the index entry of a resource.
+ * @param {Database} db - SQLite database of the collection
+ * @param {string[]} fields - Searchable field paths
+ * @param {Object} resource - Resource with an id
+ */
+export function indexResource(db, fields, resource) {
+  const values = fields.map(field => fieldText(resource, field));
+  const phonetic = values.flatMap(tokenize).map(soundex).filter(Boolean);
+
+  removeFromIndex(db, resource.id);
+  db.prepare(`
+    INSERT INTO search_index (id, ${fields.map((_, i) => `f${i}`).join(', ')}, phonetic)
+    VALUES (?, ${fields.map(() => '?').join(', ')}, ?)
+  `).run(resource.id, ...values, phonetic.join(' '));
+}
+
+/**
+ * Remove the index entry of a resource.
+ * @param {Database} db - SQLite database of the collection
+ * @param {string} id - Resource ID
+ */
+export function removeFromIndex(db, id) {
+  db.prepare('DELETE FROM search_index WHERE id = ?').run(id);
+}
+
+/**
+ * Remove every index entry of a database.
+ * @param {Database} db - SQLite database of the collection
+ */
+export function clearIndex(db) {
+  db.prepare('DELETE FROM search_index').run();
+}
+
+/**
+ * Build the FTS5 MATCH expression for search terms: every word must match a
+ * searchable field by prefix, or the phonetic column by Soundex code. A term
+ * with several words (quoted in `q`) must match them as a phrase.
+ * @param {string[]} terms - Full-text terms of the query
+ * @param {number} fieldCount - Number of searchable fields in the index
+ * @returns {string|null} MATCH expression, or null when the terms contain no words
+ */
+export function buildMatchExpression(terms, fieldCount) {
+  const columns = `{${Array.from({ length: fieldCount }, (_, i) => `f${i}`).join(' ')}}`;
+  const parts = [];
+
+  for (const term of terms) {
+    const words = tokenize(term);
+    if (words.length > 1) {
+      parts.push(`${columns} : "${words.join(' ')}"`);
+    } else if (words.length === 1) {
+      const code = phoneticCode(words[0]);
+      const prefix = `${columns} : "${words[0]}"*`;
+      parts.push(code ? `(${prefix} OR phonetic : "${code}")` : prefix);
+    }
+  }
+  return parts.length > 0 ? parts.join(' AND ') : null;
+}
+
+/**
+ * SQL for the relevance of an FTS5 hit between 0 and 1: BM25 (negative,
+ * lower is better) mapped through r / (1 + r) and rounded to 4 places.
+ * BM25 is computed per collection and gives next to no weight to words in
+ * more than half of its records, so such hits tie at 0.
+ * @param {number} fieldCount - Number of searchable fields in the index
+ * @returns {string} SQL expression
+ */
+export function scoreExpression(fieldCount) {
+  const weights = [0, ...Array(fieldCount).fill(1), PHONETIC_WEIGHT].join(', ');
+  const bm25 = `bm25(search_index, ${weights})`;
+  return `ROUND(-${bm25} / (1 - ${bm25}), 4)`;
+}
+
+/**
+ * Escape text for inclusion in HTML.
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Highlight the words of a value that match search terms (by prefix or by
+ * sound, as in buildMatchExpression()) with `<mark>` tags. Long values are
+ * cut to a window of words around the first match.
+ * @param {string} text - Field value
+ * @param {string[]} terms - Full-text terms of the query
+ * @returns {string|null} HTML-escaped snippet, or null when nothing matches
+ */
+export function highlight(text, terms) {
+  const words = terms.flatMap(tokenize);
+  const codes = words.map(phoneticCode).filter(Boolean);
+  const matches = (word) => {
+    const normalized = normalize(word);
+    return words.some(w => normalized.startsWith(w)) || codes.includes(soundex(word));
+  };
+
+  // Alternating separators and words: ['', 'John', ' ', 'Smith', '']
+  const segments = String(text).split(/([\p{L}\p{N}\p{M}]+)/u);
+  const wordIndexes = segments.map((_, i) => i).filter(i => i % 2 === 1);
+  const first = wordIndexes.findIndex(i => matches(segments[i]));
+  if (first === -1) {
+    return null;
+  }
+
+  let from = 0;
+  let to = segments.length;
+  let before = '';
+  let after = '';
+  if (wordIndexes.length > SNIPPET_WORDS) {
+    const start = Math.max(0, Math.min(first - 2, wordIndexes.length - SNIPPET_WORDS));
+    const end = start + SNIPPET_WORDS - 1;
+    if (start > 0) {
+      from = wordIndexes[start];
+      before = '…';
+    }
+    if (end < wordIndexes.length - 1) {
+      to = wordIndexes[end] + 1;
+      after = '…';
+    }
+  }
+
+  const snippet = segments.slice(from, to).map((segment, i) => {
+    const escaped = escapeHtml(segment);
+    return (from + i) % 2 === 1 && matches(segment) ? `<mark>${escaped}</mark>` : escaped;
+  }).join('');
+  return `${before}${snippet}${after}`;
+}
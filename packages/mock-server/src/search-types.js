@@ -0,0 +1,107 @@
+/**
+ * Cross-resource search types, read from the contracts.
+ *
+ * Resource schemas opt into GET /search with a schema-level `x-search`
+ * extension, which the contracts resolver validates:
+ *
+ *   x-search:
+ *     type: person
+ *     url: /persons/{id}
+ *     title: "{name.firstName} {name.lastName}"
+ *     searchableFields: [name.firstName, name.lastName, email]
+ *     facetFields: [status]
+ *     attributes:
+ *       - { field: dateOfBirth, label: Date of Birth, type: date }
+ *
+ * Templates fill `{field.path}` placeholders from the resource (numeric
+ * segments index arrays); `{startAt|date}` keeps the date part of a
+ * date-time. A type's collection is the first segment of its url.
+ */
+
+import { collectFieldInfo } from './search-engine.js';
+
+const PLACEHOLDER = /\{([^}|]*)(?:\|([^}]*))?\}/g;
+
+// Separators left at either end of a title by empty placeholders
+const DANGLING_SEPARATORS = /^[\s,:;|—–-]+|[\s,:;|—–-]+$/g;
+
+/**
+ * Read a dot-path field of a resource.
+ */
+function getField(resource, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], resource);
+}
+
+/**
+ * Fill the placeholders of a template from a resource. Missing, null, and
+ * object values render as empty.
+ * @param {string} template - Template such as "{name.firstName} {name.lastName}"
+ * @param {Object} resource - Resource data
+ * @returns {{ text: string, filled: boolean }} filled is false when every placeholder was empty
+ */
+export function renderTemplate(template, resource) {
+  let filled = false;
+  const text = template.replace(PLACEHOLDER, (_, path, format) => {
+    const value = getField(resource, path);
+    if (value === undefined || value === null || typeof value === 'object') return '';
+    const rendered = format === 'date' ? String(value).split('T')[0] : String(value);
+    if (rendered !== '') filled = true;
+    return rendered;
+  });
+  return { text, filled };
+}
+
+/**
+ * Build the search type for one `x-search` extension on a schema.
+ */
+function toSearchType(config, schema) {
+  const attributes = config.attributes || [];
+  return {
+    type: config.type,
+    collection: config.url.split('/')[1],
+    searchableFields: config.searchableFields,
+    facetFields: config.facetFields || [],
+    fields: collectFieldInfo(schema),
+    title: (resource) => {
+      const { text, filled } = renderTemplate(config.title, resource);
+      const title = text.replace(/\s+/g, ' ').replace(DANGLING_SEPARATORS, '');
+      return filled && title ? title : resource.id;
+    },
+    url: (resource) => renderTemplate(config.url, resource).text,
+    attributes: (resource) => attributes.flatMap(({ field, label, type = 'string' }) => {
+      const value = getField(resource, field);
+      if (value === undefined || value === null || value === '' || typeof value === 'object') return [];
+      return [{ field, ...(label && { label }), value: String(value), type }];
+    })
+  };
+}
+
+/**
+ * Collect the search types declared by the loaded API specs. Extensions
+ * missing a type, url, title, or searchable fields, and repeated types, are
+ * skipped with a warning (the resolver reports the details).
+ * @param {Array} apiSpecs - API metadata objects from loadAllSpecs()
+ * @returns {Map<string, Object>} Search type name → { type, collection, searchableFields,
+ *   facetFields, fields (from collectFieldInfo()), title(resource), url(resource), attributes(resource) }
+ */
+export function loadSearchTypes(apiSpecs = []) {
+  const types = new Map();
+
+  for (const api of apiSpecs) {
+    for (const [schemaName, schema] of Object.entries(api.schemas || {})) {
+      const config = schema?.['x-search'];
+      if (!config) continue;
+
+      const valid = typeof config.type === 'string' && typeof config.url === 'string' &&
+        typeof config.title === 'string' && Array.isArray(config.searchableFields) &&
+        config.searchableFields.length > 0;
+      if (!valid || types.has(config.type)) {
+        console.warn(`  Skipping x-search on ${api.name} ${schemaName}: ${valid ? `type ${config.type} is already declared` : 'type, url, title, and searchableFields are required'}`);
+        continue;
+      }
+      types.set(config.type, toSearchType(config, schema));
+    }
+  }
+
+  return types;
+}
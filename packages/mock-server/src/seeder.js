@@ -5,6 +5,8 @@
 import { readFileSync, existsSync } from 'fs';
 import yaml from 'js-yaml';
 import { insertResource, clearAll } from './database-manager.js';
+import { clearIdempotencyKeys } from './idempotency.js';
+import { clearOutbox } from './outbox.js';
 import { collectionToSchemaPrefix, extractIndividualResources } from '@codeforamerica/safety-net-blueprint-contracts/loader';
 import { join } from 'path';
 
@@ -183,6 +185,10 @@ export function seedAllDatabases(apiSpecs, specsDir, seedDir) {
     }
   }
 
+  // Stored responses and unpublished events may refer to resources that were just cleared
+  clearIdempotencyKeys();
+  clearOutbox();
+
   console.log('✓ Database seeding complete\n');
   return summary;
 }
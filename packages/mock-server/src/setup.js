@@ -5,10 +5,12 @@
 
 import { loadAllSpecs, discoverApiSpecs } from '@codeforamerica/safety-net-blueprint-contracts/loader';
 import { seedAllDatabases } from './seeder.js';
+import { createSchemaIndexes } from './indexes.js';
 import { validateSeedData } from './seed-validator.js';
 import { validateAll, getValidationStatus } from '@codeforamerica/safety-net-blueprint-contracts/validation';
-import { discoverStateMachines } from './state-machine-loader.js';
+import { discoverStateMachines, resolveEventPayloads } from './state-machine-loader.js';
 import { discoverRules } from './rules-loader.js';
+import { discoverCalendars } from './calendar-loader.js';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -21,7 +23,7 @@ const __dirname = dirname(__filename);
  * @param {string} options.specsDir - Path to specs directory (required)
  * @param {boolean} options.verbose - Show detailed output
  * @param {boolean} options.skipValidation - Skip validation step
- * @returns {Promise<Object>} Setup result with apiSpecs and summary
+ * @returns {Promise<Object>} Setup result with apiSpecs, summary, and indexes
  */
 export async function performSetup({ specsDir, seedDir, verbose = true, skipValidation = false } = {}) {
   if (!specsDir) {
@@ -80,6 +82,7 @@ export async function performSetup({ specsDir, seedDir, verbose = true, skipVali
 
   // Discover state machine contracts
   const stateMachines = discoverStateMachines(specsDir);
+  await resolveEventPayloads(stateMachines);
   if (verbose && stateMachines.length > 0) {
     console.log(`\n✓ Discovered ${stateMachines.length} state machine(s):`);
     stateMachines.forEach(sm => console.log(`  - ${sm.domain}/${sm.object}`));
@@ -92,9 +95,23 @@ export async function performSetup({ specsDir, seedDir, verbose = true, skipVali
     rules.forEach(r => console.log(`  - ${r.domain} (${r.ruleSets.length} ruleSet(s))`));
   }
 
+  // Discover business calendar contracts
+  const calendars = discoverCalendars(specsDir);
+  if (verbose && calendars.length > 0) {
+    console.log(`\n✓ Discovered ${calendars.length} calendar(s):`);
+    calendars.forEach(c => console.log(`  - ${c.domain} (${c.calendar.timeZone}, ${Object.keys(c.calendar.holidays || {}).length} holiday(s))`));
+  }
+
   // Seed databases from example files
   const summary = seedAllDatabases(apiSpecs, specsDir, seedDir);
 
+  // Index the fields the schemas call for (after seeding, so rows are indexed in bulk)
+  const indexes = createSchemaIndexes(apiSpecs);
+  if (verbose) {
+    const count = Object.values(indexes).reduce((total, fields) => total + fields.length, 0);
+    console.log(`✓ Created ${count} index(es) on ${Object.keys(indexes).length} collection(s)`);
+  }
+
   // Validate seed data against schemas
   if (!skipValidation) {
     const seedErrors = validateSeedData(seedDir, apiSpecs);
@@ -109,20 +126,23 @@ export async function performSetup({ specsDir, seedDir, verbose = true, skipVali
     }
   }
 
-  return { apiSpecs, stateMachines, rules, summary };
+  return { apiSpecs, stateMachines, rules, calendars, summary, indexes };
 }
 
 /**
  * Display setup summary
  * @param {Object} summary - Seeding summary
+ * @param {Object} [indexes] - Indexed fields per collection, from createSchemaIndexes()
  */
-export function displaySetupSummary(summary) {
+export function displaySetupSummary(summary, indexes = {}) {
   console.log('='.repeat(70));
   console.log('Setup Summary:');
   console.log('='.repeat(70));
 
   for (const [apiName, count] of Object.entries(summary)) {
-    console.log(`  ${apiName}: ${count} resources`);
+    const fields = indexes[apiName] || [];
+    const indexed = fields.length > 0 ? `, indexes on ${fields.join(', ')}` : '';
+    console.log(`  ${apiName}: ${count} resources${indexed}`);
   }
 }
 
@@ -0,0 +1,272 @@
+/**
+ * SLA clock — per-resource SLA accounting driven by each state's `slaClock`.
+ *
+ * The clock starts when a resource is created in a running state, and every
+ * transition moves it between running, paused, and stopped. Accounting is
+ * persisted on the resource as `slaDeadline` plus an `slaInfo` object. Pausing
+ * freezes the time remaining; resuming pushes the deadline out by the time
+ * spent paused. Scheduled checks emit `sla_warning` and `sla_breached` events.
+ */
+
+import jsonLogic from 'json-logic-js';
+import { getDatabase, update, transaction } from './database-manager.js';
+import { addDuration, addElapsed, elapsedDuration } from './duration.js';
+import { emitDomainEvent } from './domain-events.js';
+import { findCalendar } from './calendar-loader.js';
+import { now } from './clock.js';
+
+/**
+ * Get the SLA clock behavior of a state.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {string} status - State name
+ * @returns {'running'|'paused'|'stopped'|null}
+ */
+export function getSlaClock(stateMachine, status) {
+  return stateMachine.states?.[status]?.slaClock || null;
+}
+
+/**
+ * Pick the SLA duration for a resource: the first matching conditional
+ * duration, or the default.
+ * @param {Object} sla - The state machine's sla block
+ * @param {Object} resource - The resource
+ * @returns {string} Duration string
+ */
+export function resolveSlaDuration(sla, resource) {
+  for (const entry of sla.durations || []) {
+    if (jsonLogic.apply(entry.when, { object: resource })) {
+      return entry.duration;
+    }
+  }
+  return sla.duration;
+}
+
+function durationOptions(sla, calendar) {
+  return { calendarType: sla.calendarType || 'calendar', calendar };
+}
+
+/**
+ * Start a fresh SLA clock.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {Object} resource - The resource (used to pick the duration)
+ * @param {Date} at - Start time
+ * @param {Object} [calendar] - Business calendar
+ * @returns {{ slaDeadline: string, slaInfo: Object }}
+ */
+export function startSlaClock(stateMachine, resource, at, calendar) {
+  const { sla } = stateMachine;
+  const options = durationOptions(sla, calendar);
+  const duration = resolveSlaDuration(sla, resource);
+  const deadline = addDuration(at, duration, options);
+  const atISO = at.toISOString();
+
+  return {
+    slaDeadline: deadline.toISOString(),
+    slaInfo: {
+      clockStatus: 'running',
+      duration,
+      calendarType: options.calendarType,
+      clockStartedAt: atISO,
+      elapsedMs: 0,
+      pausedMs: 0,
+      remainingMs: elapsedDuration(at, deadline, options),
+      pausedAt: null,
+      pauses: [],
+      stoppedAt: null,
+      warnedAt: null,
+      breached: false,
+      breachedAt: null,
+      updatedAt: atISO
+    }
+  };
+}
+
+/**
+ * Move a resource's SLA clock into the clock state of a new status.
+ * Resources without SLA accounting start a clock when entering a running state.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {Object} resource - The resource before the transition
+ * @param {string} toStatus - The status being entered
+ * @param {Date} at - Transition time
+ * @param {Object} [calendar] - Business calendar
+ * @returns {{ changes: Object, events: Array<{ action: string, data: Object }> }}
+ */
+export function updateSlaClock(stateMachine, resource, toStatus, at, calendar) {
+  const none = { changes: {}, events: [] };
+  const { sla } = stateMachine;
+  if (!sla) return none;
+
+  const toClock = getSlaClock(stateMachine, toStatus);
+  const info = resource.slaInfo;
+
+  if (!info) {
+    return toClock === 'running'
+      ? { changes: startSlaClock(stateMachine, resource, at, calendar), events: [] }
+      : none;
+  }
+
+  const fromClock = info.clockStatus;
+  if (!toClock || fromClock === toClock) return none;
+
+  // Stopping resets the clock: a stopped SLA that runs again gets a fresh deadline
+  if (fromClock === 'stopped') {
+    return toClock === 'running'
+      ? { changes: startSlaClock(stateMachine, resource, at, calendar), events: [] }
+      : none;
+  }
+
+  const options = durationOptions(sla, calendar);
+  const atISO = at.toISOString();
+  const next = { ...info, pauses: (info.pauses || []).map(p => ({ ...p })) };
+  let deadline = resource.slaDeadline;
+  const events = [];
+
+  // Close out the interval spent in the previous clock state
+  if (fromClock === 'running') {
+    next.elapsedMs += elapsedDuration(info.updatedAt, at, options);
+    next.remainingMs = elapsedDuration(at, deadline, options);
+    if (next.remainingMs <= 0 && !next.breached) {
+      next.breached = true;
+      next.breachedAt = deadline;
+      events.push({ action: 'sla_breached', data: { slaDeadline: deadline, breachedAt: deadline } });
+    }
+  } else if (fromClock === 'paused') {
+    next.pausedMs += elapsedDuration(info.pausedAt, at, options);
+    const openPause = next.pauses[next.pauses.length - 1];
+    if (openPause && !openPause.endedAt) openPause.endedAt = atISO;
+    next.pausedAt = null;
+  }
+
+  // Enter the new clock state
+  if (toClock === 'running') {
+    deadline = addElapsed(at, next.remainingMs, options).toISOString();
+  } else if (toClock === 'paused') {
+    next.pausedAt = atISO;
+    next.pauses.push({ startedAt: atISO });
+  } else if (toClock === 'stopped') {
+    next.stoppedAt = atISO;
+  }
+
+  next.clockStatus = toClock;
+  next.updatedAt = atISO;
+
+  return { changes: { slaDeadline: deadline, slaInfo: next }, events };
+}
+
+/**
+ * Check a running SLA clock against its warning threshold and deadline.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {Object} resource - The resource
+ * @param {Date} at - Point in time to check
+ * @param {Object} [calendar] - Business calendar
+ * @returns {{ changes: Object, events: Array<{ action: string, data: Object }> }}
+ */
+export function checkSlaThresholds(stateMachine, resource, at, calendar) {
+  const none = { changes: {}, events: [] };
+  const { sla } = stateMachine;
+  const info = resource.slaInfo;
+  if (!sla || !info || info.clockStatus !== 'running' || info.breached || !resource.slaDeadline) {
+    return none;
+  }
+
+  const options = durationOptions(sla, calendar);
+  const deadline = resource.slaDeadline;
+  const atISO = at.toISOString();
+
+  // Jumping straight past the deadline reports only the breach
+  if (at >= new Date(deadline)) {
+    return {
+      changes: {
+        slaInfo: {
+          ...info,
+          elapsedMs: info.elapsedMs + elapsedDuration(info.updatedAt, at, options),
+          remainingMs: elapsedDuration(at, deadline, options),
+          breached: true,
+          breachedAt: deadline,
+          updatedAt: atISO
+        }
+      },
+      events: [{ action: 'sla_breached', data: { slaDeadline: deadline, breachedAt: deadline } }]
+    };
+  }
+
+  if (sla.warningBefore && !info.warnedAt) {
+    const warnAt = addDuration(deadline, `-${sla.warningBefore}`, options);
+    if (at >= warnAt) {
+      const remainingMs = elapsedDuration(at, deadline, options);
+      return {
+        changes: {
+          slaInfo: {
+            ...info,
+            elapsedMs: info.elapsedMs + elapsedDuration(info.updatedAt, at, options),
+            remainingMs,
+            warnedAt: atISO,
+            updatedAt: atISO
+          }
+        },
+        events: [{ action: 'sla_warning', data: { slaDeadline: deadline, remainingMs } }]
+      };
+    }
+  }
+
+  return none;
+}
+
+/**
+ * Check every running SLA clock, persist threshold crossings, and emit events.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @returns {Array<{ resourceId: string, action: string, slaDeadline: string }>} Emitted SLA events
+ */
+export function runSlaChecks(stateMachines, calendars = []) {
+  const emitted = [];
+  const at = now();
+
+  for (const { stateMachine } of stateMachines) {
+    if (!stateMachine.sla) continue;
+
+    const collectionName = stateMachine.object.toLowerCase() + 's';
+    const calendar = findCalendar(calendars, stateMachine.domain);
+
+    let resources;
+    try {
+      resources = getDatabase(collectionName).prepare(
+        `SELECT data FROM resources WHERE json_extract(data, '$.slaInfo.clockStatus') = 'running'`
+      ).all().map(row => JSON.parse(row.data));
+    } catch (error) {
+      console.error(`SLA scan failed for ${collectionName}:`, error.message);
+      continue;
+    }
+
+    for (const resource of resources) {
+      const { changes, events } = checkSlaThresholds(stateMachine, resource, at, calendar);
+      if (events.length === 0) continue;
+
+      // Persist the threshold crossing and its events together so a failed
+      // event leaves the clock unchanged and the next scan retries it
+      try {
+        transaction(() => {
+          update(collectionName, resource.id, changes);
+          for (const event of events) {
+            emitDomainEvent(stateMachine, {
+              action: event.action,
+              resourceId: resource.id,
+              performedById: 'system',
+              occurredAt: at.toISOString(),
+              data: event.data
+            });
+          }
+        });
+      } catch (error) {
+        console.error(`SLA check for ${collectionName}/${resource.id} rolled back:`, error.message);
+        continue;
+      }
+
+      for (const event of events) {
+        emitted.push({ resourceId: resource.id, action: event.action, slaDeadline: resource.slaDeadline });
+      }
+    }
+  }
+
+  return emitted;
+}
@@ -6,11 +6,27 @@
 
 import jsonLogic from 'json-logic-js';
 
+/**
+ * Read a dot-separated path (e.g., "address.city") from an object.
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value at the path, or null if any segment is missing
+ */
+export function getPath(obj, path) {
+  let current = obj;
+  for (const segment of path.split('.')) {
+    if (current === null || current === undefined) return null;
+    current = current[segment];
+  }
+  return current ?? null;
+}
+
 /**
  * Resolve a value expression against a context.
- * Supports $caller.*, $object.*, $now, null, and literal values.
+ * Supports $caller.*, $object.*, $request.*, $lookup.*, $now, null, and literal values.
+ * Paths after the prefix may be nested (e.g., $object.address.city).
  * @param {*} value - The value or expression to resolve
- * @param {Object} context - Context with caller, object, and now info
+ * @param {Object} context - Context with caller, object, request, and now info
  * @returns {*} Resolved value
  */
 export function resolveValue(value, context) {
@@ -23,44 +39,87 @@ export function resolveValue(value, context) {
       return context.now ?? new Date().toISOString();
     }
 
-    if (value.startsWith('$caller.')) {
-      const field = value.slice('$caller.'.length);
-      return context.caller?.[field] ?? null;
-    }
-
-    if (value.startsWith('$object.')) {
-      const field = value.slice('$object.'.length);
-      return context.object?.[field] ?? null;
-    }
-
-    if (value.startsWith('$request.')) {
-      const field = value.slice('$request.'.length);
-      return context.request?.[field] ?? null;
+    for (const source of ['caller', 'object', 'request', 'lookup']) {
+      const prefix = `$${source}.`;
+      if (value.startsWith(prefix)) {
+        return getPath(context[source], value.slice(prefix.length));
+      }
     }
   }
 
   return value;
 }
 
+/**
+ * Build the data a JSON Logic guard condition is evaluated against.
+ * Mirrors the `when` clause on effects, plus the caller.
+ */
+function guardLogicData(resource, context) {
+  return {
+    object: resource || {},
+    request: context.request || {},
+    caller: context.caller || {},
+    now: context.now ?? null
+  };
+}
+
+/**
+ * Result for a guard the engine cannot evaluate: pass with a warning
+ * (forward-compatible), or fail closed in strict mode. A skipped guard is
+ * marked so `any` compositions don't count it as passing.
+ */
+function unevaluable(message, options) {
+  if (options.strict) {
+    return { pass: false, reason: message, unevaluable: true };
+  }
+  console.warn(`${message} — skipping`);
+  return { pass: true, reason: null, skipped: true };
+}
+
 /**
  * Evaluate a single guard condition against a resource.
- * @param {Object} guard - Guard definition with field, operator, value
+ *
+ * Field guards compare `field` using `operator` and `value`. The field is a
+ * (possibly nested) path on the resource, or a $caller.*, $object.*, or
+ * $request.* reference. Condition guards evaluate a JSON Logic `condition`
+ * against { object, request, caller, now }.
+ * @param {Object} guard - Guard definition with field, operator, value — or condition
  * @param {Object} resource - The resource being checked
- * @param {Object} context - Context with caller info
+ * @param {Object} context - Context with caller and request info
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Fail unknown operators instead of skipping them
  * @returns {{ pass: boolean, reason: string }}
  */
-export function evaluateGuard(guard, resource, context) {
+export function evaluateGuard(guard, resource, context, options = {}) {
+  if (guard.condition !== undefined) {
+    let result;
+    try {
+      result = jsonLogic.apply(guard.condition, guardLogicData(resource, context));
+    } catch (error) {
+      return unevaluable(`Invalid guard condition: ${error.message}`, options);
+    }
+    return jsonLogic.truthy(result)
+      ? { pass: true, reason: null }
+      : { pass: false, reason: guard.description || 'condition is not met' };
+  }
+
   const fieldValue = guard.field.startsWith('$')
     ? resolveValue(guard.field, context)
-    : resource[guard.field];
+    : getPath(resource, guard.field);
 
   switch (guard.operator) {
     case 'is_null':
-      if (fieldValue === null || fieldValue === undefined) {
+      if (fieldValue === null) {
         return { pass: true, reason: null };
       }
       return { pass: false, reason: `${guard.field} is not null` };
 
+    case 'is_not_null':
+      if (fieldValue !== null) {
+        return { pass: true, reason: null };
+      }
+      return { pass: false, reason: `${guard.field} is null` };
+
     case 'equals': {
       const expected = resolveValue(guard.value, context);
       if (fieldValue === expected) {
@@ -69,10 +128,32 @@ export function evaluateGuard(guard, resource, context) {
       return { pass: false, reason: `${guard.field} does not match expected value` };
     }
 
+    case 'not_equals': {
+      const expected = resolveValue(guard.value, context);
+      if (fieldValue !== expected) {
+        return { pass: true, reason: null };
+      }
+      return { pass: false, reason: `${guard.field} must not equal ${JSON.stringify(expected)}` };
+    }
+
+    case 'contains_all':
+    case 'contains_any': {
+      const resolved = resolveValue(guard.value, context);
+      const expected = Array.isArray(resolved) ? resolved.map(v => resolveValue(v, context)) : [resolved];
+      const actual = Array.isArray(fieldValue) ? fieldValue : [];
+      const matches = guard.operator === 'contains_all'
+        ? expected.every(v => actual.includes(v))
+        : expected.some(v => actual.includes(v));
+      if (matches) {
+        return { pass: true, reason: null };
+      }
+      const quantifier = guard.operator === 'contains_all' ? 'all of' : 'any of';
+      return { pass: false, reason: `${guard.field} does not contain ${quantifier} ${JSON.stringify(expected)}` };
+    }
+
     default:
-      // Forward-compatible: unknown operators pass with a warning
-      console.warn(`Unknown guard operator: ${guard.operator} — skipping`);
-      return { pass: true, reason: null };
+      // Forward-compatible: unknown operators pass with a warning unless strict
+      return unevaluable(`Unknown guard operator: ${guard.operator}`, options);
   }
 }
 
@@ -82,21 +163,35 @@ export function evaluateGuard(guard, resource, context) {
  * @param {Object} guardsMap - Map of guard name to guard definition
  * @param {Object} resource - The resource being checked
  * @param {Object} context - Context with caller info
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Fail unknown operators and guard names instead of skipping them
  * @returns {{ pass: boolean, failedGuard: string|null, reason: string|null }}
  */
-export function evaluateGuards(guardNames, guardsMap, resource, context) {
+export function evaluateGuards(guardNames, guardsMap, resource, context, options = {}) {
   if (!guardNames || guardNames.length === 0) {
     return { pass: true, failedGuard: null, reason: null };
   }
 
+  // Look up and evaluate one named guard; missing names are unevaluable
+  const evaluateNamed = (name) => {
+    const guard = guardsMap[name];
+    if (!guard) return unevaluable(`Guard "${name}" not found in guards map`, options);
+    return evaluateGuard(guard, resource, context, options);
+  };
+
   for (const item of guardNames) {
-    // Composition: { any: [...] } — at least one must pass (OR)
+    // Composition: { any: [...] } — at least one must pass (OR).
+    // A skipped guard does not count as passing, so a misspelled name cannot
+    // open the group; in strict mode it fails the whole composition.
     if (item && typeof item === 'object' && item.any) {
-      const passed = item.any.some(name => {
-        const guard = guardsMap[name];
-        if (!guard) { console.warn(`Guard "${name}" not found in guards map — skipping`); return false; }
-        return evaluateGuard(guard, resource, context).pass;
-      });
+      let passed = false;
+      for (const name of item.any) {
+        const result = evaluateNamed(name);
+        if (result.unevaluable) {
+          return { pass: false, failedGuard: name, reason: result.reason };
+        }
+        passed = passed || (result.pass && !result.skipped);
+      }
       if (!passed) {
         return { pass: false, failedGuard: `any(${item.any.join(', ')})`, reason: 'None of the required guards passed' };
       }
@@ -106,9 +201,7 @@ export function evaluateGuards(guardNames, guardsMap, resource, context) {
     // Composition: { all: [...] } — all must pass (AND)
     if (item && typeof item === 'object' && item.all) {
       for (const name of item.all) {
-        const guard = guardsMap[name];
-        if (!guard) { console.warn(`Guard "${name}" not found in guards map — skipping`); continue; }
-        const result = evaluateGuard(guard, resource, context);
+        const result = evaluateNamed(name);
         if (!result.pass) {
           return { pass: false, failedGuard: name, reason: result.reason };
         }
@@ -117,12 +210,7 @@ export function evaluateGuards(guardNames, guardsMap, resource, context) {
     }
 
     // Plain named guard
-    const guard = guardsMap[item];
-    if (!guard) {
-      console.warn(`Guard "${item}" not found in guards map — skipping`);
-      continue;
-    }
-    const result = evaluateGuard(guard, resource, context);
+    const result = evaluateNamed(item);
     if (!result.pass) {
       return { pass: false, failedGuard: item, reason: result.reason };
     }
@@ -131,6 +219,42 @@ export function evaluateGuards(guardNames, guardsMap, resource, context) {
   return { pass: true, failedGuard: null, reason: null };
 }
 
+/**
+ * Get the roles a caller acts under: `caller.roles` when present (e.g., from a
+ * token), otherwise the single `caller.role` from X-Caller-Role.
+ * @param {Object} caller - Caller identity
+ * @returns {string[]}
+ */
+export function getCallerRoles(caller) {
+  if (Array.isArray(caller?.roles)) return caller.roles;
+  return caller?.role ? [caller.role] : [];
+}
+
+/**
+ * Check a caller against the roles allowed to trigger a transition or create
+ * an object. An empty or missing actors list allows any caller.
+ * @param {string[]|undefined} actors - Allowed roles
+ * @param {Object} caller - Caller identity
+ * @param {string} action - What the caller is attempting, for the reason (e.g., "claim")
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+export function checkActors(actors, caller, action) {
+  if (!actors || actors.length === 0) {
+    return { allowed: true, reason: null };
+  }
+
+  const roles = getCallerRoles(caller);
+  if (roles.some(role => actors.includes(role))) {
+    return { allowed: true, reason: null };
+  }
+
+  const callerDescription = roles.length > 0 ? `Role "${roles.join(', ')}"` : 'A caller with no role';
+  return {
+    allowed: false,
+    reason: `${callerDescription} cannot ${action}: allowed roles are ${actors.join(', ')}`
+  };
+}
+
 /**
  * Find a valid transition for a trigger given the resource's current status.
  * @param {Object} stateMachine - The state machine contract
@@ -203,16 +327,45 @@ export function applyEventEffect(effect, context) {
   return { action: effect.action, data };
 }
 
+/**
+ * Apply a single lookup effect — finds a related record by a resolved key.
+ * Engine stays pure: the record is fetched through deps.findByField.
+ * @param {Object} effect - Effect definition with entity, value, and optional lookupField and bindTo
+ * @param {Object} context - Context with caller, object, request, lookup, and now info
+ * @param {Object} deps - Dependencies with findByField(collection, field, value)
+ * @returns {{ bindTo: string, record: Object|null }}
+ */
+export function applyLookupEffect(effect, context, deps) {
+  const bindTo = effect.bindTo || effect.entity;
+  const lookupField = effect.lookupField || 'id';
+  const key = resolveValue(effect.value, context);
+
+  if (key === null || !deps?.findByField) {
+    return { bindTo, record: null };
+  }
+
+  const record = deps.findByField(effect.entity, lookupField, key);
+  if (!record) {
+    console.warn(`Lookup found no ${effect.entity} with ${lookupField} = ${key}`);
+  }
+  return { bindTo, record: record ?? null };
+}
+
 /**
  * Apply all effects of supported types. Skips unimplemented types silently.
  * Evaluates any `when` clause (JSON Logic) before executing each effect —
  * effects whose condition is false are skipped.
+ *
+ * Lookup effects bind their record into `context.lookup`, so later effects in
+ * the same list can read it as `$lookup.<bindTo>.*` or `lookup.<bindTo>` in
+ * `when` clauses.
  * @param {Array} effects - Array of effect definitions
  * @param {Object} resource - The resource to modify (mutated in place)
  * @param {Object} context - Context with caller, object, request, and now info
+ * @param {Object} [deps] - Dependencies for lookup effects (findByField)
  * @returns {{ pendingCreates: Array, pendingRuleEvaluations: Array, pendingEvents: Array }}
  */
-export function applyEffects(effects, resource, context) {
+export function applyEffects(effects, resource, context, deps) {
   const pendingCreates = [];
   const pendingRuleEvaluations = [];
   const pendingEvents = [];
@@ -222,7 +375,11 @@ export function applyEffects(effects, resource, context) {
   for (const effect of effects) {
     // Evaluate `when` clause before executing the effect
     if (effect.when !== undefined) {
-      const logicData = { request: context.request || {}, object: context.object || {} };
+      const logicData = {
+        request: context.request || {},
+        object: context.object || {},
+        lookup: context.lookup || {}
+      };
       if (!jsonLogic.apply(effect.when, logicData)) {
         continue;
       }
@@ -241,6 +398,11 @@ export function applyEffects(effects, resource, context) {
       case 'evaluate-rules':
         pendingRuleEvaluations.push({ ruleType: effect.ruleType });
         break;
+      case 'lookup': {
+        const { bindTo, record } = applyLookupEffect(effect, context, deps);
+        context.lookup = { ...context.lookup, [bindTo]: record };
+        break;
+      }
       default:
         // Silently skip unimplemented effect types (forward-compatible)
         break;
@@ -5,6 +5,7 @@
 import { readdirSync, readFileSync } from 'fs';
 import { join } from 'path';
 import yaml from 'js-yaml';
+import $RefParser from '@apidevtools/json-schema-ref-parser';
 
 /**
  * Discover and load all state machine contracts from a directory.
@@ -49,3 +50,54 @@ export function discoverStateMachines(specsDir) {
 
   return results;
 }
+
+/**
+ * Inline the `$ref`s in each state machine's `eventPayloads`, resolved
+ * relative to the state machine file, so payload schemas can be compiled.
+ * Replaces `stateMachine.eventPayloads` in place; a payload map that cannot
+ * be resolved is dropped with a warning.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @returns {Promise<void>}
+ */
+export async function resolveEventPayloads(stateMachines) {
+  for (const { stateMachine, filePath } of stateMachines) {
+    if (!stateMachine.eventPayloads) continue;
+    try {
+      const resolved = await $RefParser.dereference(filePath, { eventPayloads: stateMachine.eventPayloads }, {
+        dereference: { circular: 'ignore' }
+      });
+      stateMachine.eventPayloads = resolved.eventPayloads;
+    } catch (err) {
+      console.warn(`Failed to resolve eventPayloads in ${filePath}: ${err.message}`);
+      delete stateMachine.eventPayloads;
+    }
+  }
+}
+
+/**
+ * Find lookup effects whose `entity` is not a collection of the loaded APIs.
+ * Looking up an unknown collection would create an empty database for it and
+ * bind null on every run, so a misspelled entity fails setup instead.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Set<string>} collections - Collection names served by the loaded APIs
+ * @returns {string[]} One message per unknown entity
+ */
+export function findUnknownLookupEntities(stateMachines, collections) {
+  const problems = [];
+  for (const { domain, object, stateMachine } of stateMachines) {
+    const check = (effects, where) => {
+      for (const effect of effects || []) {
+        if (effect?.type === 'lookup' && !collections.has(effect.entity)) {
+          problems.push(`${domain}/${object} ${where}: lookup entity "${effect.entity}" is not a loaded collection`);
+        }
+      }
+    };
+
+    check(stateMachine.onCreate?.effects, 'onCreate');
+    for (const transition of stateMachine.transitions || []) {
+      check(transition.effects, `transition "${transition.trigger}"`);
+    }
+    check(stateMachine.onUpdate?.effects, 'onUpdate');
+  }
+  return problems;
+}
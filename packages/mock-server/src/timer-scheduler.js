@@ -0,0 +1,224 @@
+/**
+ * Timer scheduler — fires state machine transitions declared with `on: timer`
+ * and runs SLA clock checks.
+ *
+ * Scans governed resources, computes each timer's due time from its
+ * `after` duration and `relativeTo` field (in business time when the
+ * transition has calendarType: business), and fires due transitions through
+ * the same pipeline as RPC transitions with a system caller.
+ */
+
+import { getDatabase } from './database-manager.js';
+import { executeTransition } from './handlers/transition-handler.js';
+import { addDuration } from './duration.js';
+import { now } from './clock.js';
+import { findCalendar } from './calendar-loader.js';
+import { runSlaChecks } from './sla-clock.js';
+
+/**
+ * Caller identity used for timer-fired transitions.
+ */
+export const SYSTEM_CALLER = { id: 'system', role: 'system' };
+
+// Maximum timer transitions fired per resource in a single scan (guards against cycles)
+const MAX_FIRES_PER_RESOURCE = 10;
+
+let intervalHandle = null;
+
+/**
+ * Get the timer transitions of a state machine.
+ * @param {Object} stateMachine - The state machine contract
+ * @returns {Array} Transitions with on=timer
+ */
+export function getTimerTransitions(stateMachine) {
+  return (stateMachine.transitions || []).filter(t => t.on === 'timer');
+}
+
+/**
+ * Compute when a timer transition becomes due for a resource.
+ * @param {Object} transition - Timer transition with after and relativeTo
+ * @param {Object} resource - The resource being checked
+ * @param {Object} [calendar] - Business calendar for calendarType: business
+ * @returns {Date|null} Due time, or null if the reference field is not set
+ */
+export function computeTimerDueAt(transition, resource, calendar) {
+  const reference = resource[transition.relativeTo];
+  if (!reference) return null;
+  return addDuration(reference, transition.after, {
+    calendarType: transition.calendarType,
+    calendar
+  });
+}
+
+/**
+ * Find the earliest due timer transition for a resource in its current state.
+ * @param {Object} stateMachine - The state machine contract
+ * @param {Object} resource - The resource being checked
+ * @param {Date} at - Point in time to check against
+ * @param {Object} [calendar] - Business calendar for calendarType: business
+ * @returns {{ transition: Object, dueAt: Date }|null}
+ */
+export function findDueTimerTransition(stateMachine, resource, at, calendar) {
+  let earliest = null;
+
+  for (const transition of getTimerTransitions(stateMachine)) {
+    const from = Array.isArray(transition.from) ? transition.from : [transition.from];
+    if (!from.includes(resource.status)) continue;
+
+    const dueAt = computeTimerDueAt(transition, resource, calendar);
+    if (!dueAt || dueAt > at) continue;
+
+    if (!earliest || dueAt < earliest.dueAt) {
+      earliest = { transition, dueAt };
+    }
+  }
+
+  return earliest;
+}
+
+/**
+ * Derive the collection governed by a state machine (e.g., "Task" → "tasks").
+ * @param {Object} stateMachine - The state machine contract
+ * @returns {string}
+ */
+function governedCollection(stateMachine) {
+  return stateMachine.object.toLowerCase() + 's';
+}
+
+/**
+ * Load resources in any of the given states.
+ * @param {string} collectionName - Database collection name
+ * @param {string[]} statuses - States to match
+ * @returns {Array<Object>}
+ */
+function findResourcesInStates(collectionName, statuses) {
+  const db = getDatabase(collectionName);
+  const placeholders = statuses.map(() => '?').join(', ');
+  const rows = db.prepare(
+    `SELECT data FROM resources WHERE json_extract(data, '$.status') IN (${placeholders})`
+  ).all(...statuses);
+  return rows.map(row => JSON.parse(row.data));
+}
+
+/**
+ * Fire every timer transition that is due at the current mock time.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @returns {Array<{ resourceId: string, trigger: string, from: string, to: string, dueAt: string }>} Fired transitions
+ */
+export function runDueTimers(stateMachines, rules = [], calendars = []) {
+  const fired = [];
+  const at = now();
+
+  for (const { stateMachine } of stateMachines) {
+    const timerTransitions = getTimerTransitions(stateMachine);
+    if (timerTransitions.length === 0) continue;
+
+    const collectionName = governedCollection(stateMachine);
+    const calendar = findCalendar(calendars, stateMachine.domain);
+    const fromStates = [...new Set(timerTransitions.flatMap(t => Array.isArray(t.from) ? t.from : [t.from]))];
+
+    let resources;
+    try {
+      resources = findResourcesInStates(collectionName, fromStates);
+    } catch (error) {
+      console.error(`Timer scan failed for ${collectionName}:`, error.message);
+      continue;
+    }
+
+    for (let resource of resources) {
+      for (let i = 0; i < MAX_FIRES_PER_RESOURCE; i++) {
+        const due = findDueTimerTransition(stateMachine, resource, at, calendar);
+        if (!due) break;
+
+        const { result, error } = executeTransition({
+          resourceName: collectionName,
+          stateMachine,
+          transition: due.transition,
+          resource,
+          caller: SYSTEM_CALLER,
+          rules,
+          calendar
+        });
+
+        if (error) {
+          // Guard rejected the timer — leave the resource where it is
+          break;
+        }
+
+        fired.push({
+          resourceId: resource.id,
+          trigger: due.transition.trigger,
+          from: resource.status,
+          to: result.status,
+          dueAt: due.dueAt.toISOString()
+        });
+        resource = result;
+      }
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Run SLA checks, then fire due timers, at the current mock time.
+ * SLA checks go first so warning and breach events precede any transitions
+ * the same deadline triggers.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @returns {{ sla: Array, fired: Array }} SLA events emitted and transitions fired
+ */
+export function runScheduledChecks(stateMachines, rules = [], calendars = []) {
+  const sla = runSlaChecks(stateMachines, calendars);
+  const fired = runDueTimers(stateMachines, rules, calendars);
+  return { sla, fired };
+}
+
+/**
+ * Start scanning for due timers and SLA thresholds on an interval.
+ * @param {Array} stateMachines - Array from discoverStateMachines()
+ * @param {Array} rules - Array from discoverRules()
+ * @param {Array} calendars - Array from discoverCalendars()
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Scan interval; 0 disables polling
+ * @returns {boolean} True if polling was started
+ */
+export function startTimerScheduler(stateMachines, rules = [], calendars = [], { intervalMs = 60000 } = {}) {
+  stopTimerScheduler();
+
+  const hasWork = stateMachines.some(sm =>
+    sm.stateMachine.sla || getTimerTransitions(sm.stateMachine).length > 0
+  );
+  if (!hasWork || !intervalMs) return false;
+
+  intervalHandle = setInterval(() => {
+    try {
+      const { sla, fired } = runScheduledChecks(stateMachines, rules, calendars);
+      for (const s of sla) {
+        console.log(`  ⏱  ${s.action}: ${s.resourceId} (deadline ${s.slaDeadline})`);
+      }
+      for (const f of fired) {
+        console.log(`  ⏱  ${f.trigger}: ${f.resourceId} ${f.from} → ${f.to}`);
+      }
+    } catch (error) {
+      console.error('Timer scheduler error:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for timers
+  intervalHandle.unref();
+  return true;
+}
+
+/**
+ * Stop the interval scan, if running.
+ */
+export function stopTimerScheduler() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
@@ -19,6 +19,9 @@ addFormats(ajv);
 // Store compiled validators
 const validators = new Map();
 
+// Create request schema per collection, for records created by effects
+const createSchemas = new Map();
+
 /**
  * Get or compile a validator for a schema
  * @param {string} key - Unique key for this validator
@@ -203,6 +206,27 @@ export function validate(data, schema, schemaKey) {
   return { valid: false, errors: uniqueErrors };
 }
 
+/**
+ * Register the create request schema of a collection, so records created by
+ * state machine effects are validated like POST bodies.
+ * @param {string} collectionName - Collection name (e.g., "tasks")
+ * @param {Object} schema - Create request schema
+ */
+export function registerCreateSchema(collectionName, schema) {
+  createSchemas.set(collectionName, schema);
+}
+
+/**
+ * Validate a record against its collection's create schema.
+ * Collections without a registered schema pass.
+ * @param {string} collectionName - Collection name
+ * @param {Object} data - Record to create
+ * @returns {Object} {valid: boolean, errors: Array}
+ */
+export function validateCreate(collectionName, data) {
+  return validate(data, createSchemas.get(collectionName), `${collectionName}-create`);
+}
+
 /**
  * Create error response for validation failures
  * @param {Array} errors - Array of validation errors
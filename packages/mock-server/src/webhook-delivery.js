@@ -0,0 +1,252 @@
+/**
+ * Webhook delivery — POSTs each domain event to the URL of every active
+ * subscription whose filter matches it. Events arrive from the outbox relay's
+ * `webhook` sink (see event-sinks.js).
+ *
+ * Requests follow the Standard Webhooks header scheme: `Webhook-Id` (the
+ * delivery ID, stable across retries), `Webhook-Timestamp` (Unix seconds),
+ * and `Webhook-Signature` (`v1,<base64 HMAC-SHA256>` of
+ * `{id}.{timestamp}.{body}` keyed with the subscription's secret). Any
+ * non-2xx response, network error, or timeout fails the attempt; failed
+ * deliveries are retried with exponential backoff and dead-lettered after the
+ * last attempt. Deliveries and their attempts are kept in the deliveries
+ * collection for inspection.
+ *
+ * A subscription's `format` picks the body: the DomainEvent JSON (default), or
+ * a CloudEvents 1.0 HTTP message in structured or binary content mode.
+ */
+
+import { createHmac } from 'crypto';
+import { toCloudEventHttp } from '@codeforamerica/safety-net-blueprint-contracts/cloudevents';
+import { getDatabase, findById, create, update } from './database-manager.js';
+import { now, nowISO } from './clock.js';
+import { collectFieldInfo } from './search-engine.js';
+import { EVENTS_COLLECTION, parseEventFilter, createEventMatcher, eventType } from './event-filter.js';
+
+export const SUBSCRIPTIONS_COLLECTION = 'subscriptions';
+export const DELIVERIES_COLLECTION = 'deliveries';
+
+export const DEFAULT_DELIVERY_OPTIONS = {
+  maxAttempts: 5,
+  retryBaseMs: 1000,
+  timeoutMs: 5000
+};
+
+// Running worker: { knownFields, timers, options }
+let worker = null;
+
+/**
+ * Sign a webhook payload.
+ * @param {string} secret - Subscription secret
+ * @param {string} deliveryId - Webhook-Id header value
+ * @param {number} timestamp - Webhook-Timestamp header value (Unix seconds)
+ * @param {string} body - Raw request body
+ * @returns {string} Webhook-Signature header value
+ */
+export function signPayload(secret, deliveryId, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${deliveryId}.${timestamp}.${body}`).digest('base64');
+  return `v1,${digest}`;
+}
+
+/**
+ * Delay before the next attempt: retryBaseMs doubled after each failure.
+ * @param {number} attemptCount - Attempts made so far (1 or more)
+ * @param {number} retryBaseMs - Delay after the first failure
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attemptCount, retryBaseMs) {
+  return retryBaseMs * 2 ** (attemptCount - 1);
+}
+
+/**
+ * Encode an event as the HTTP message a subscription receives.
+ * @param {Object} event - Stored domain event
+ * @param {string} [format='domain-event'] - Subscription format
+ * @returns {{ headers: Object, body: string }}
+ */
+export function encodeEvent(event, format = 'domain-event') {
+  if (format === 'cloudevents-structured') return toCloudEventHttp(event, 'structured');
+  if (format === 'cloudevents-binary') return toCloudEventHttp(event, 'binary');
+  return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(event) };
+}
+
+/**
+ * Find the active subscriptions whose filter matches a stored event. A
+ * subscription with an invalid filter matches nothing.
+ */
+function findMatchingSubscriptions(event, knownFields) {
+  const subscriptions = getDatabase(SUBSCRIPTIONS_COLLECTION)
+    .prepare('SELECT data FROM resources ORDER BY rowid')
+    .all()
+    .map(row => JSON.parse(row.data))
+    .filter(subscription => (subscription.status || 'active') === 'active');
+
+  return subscriptions.filter(subscription => {
+    const { conditions, error } = parseEventFilter(subscription.filter || {}, knownFields);
+    if (error) {
+      console.warn(`  Warning: subscription ${subscription.id} filter: ${error.message}`);
+      return false;
+    }
+    return createEventMatcher(conditions)(event);
+  });
+}
+
+/**
+ * Record a pending delivery of an event to each matching subscription.
+ * @param {Object} event - Stored domain event
+ * @param {Map|null} [knownFields] - DomainEvent field paths for filter validation
+ * @returns {Array} Created deliveries
+ */
+export function createDeliveries(event, knownFields = null) {
+  return findMatchingSubscriptions(event, knownFields).map(subscription => create(DELIVERIES_COLLECTION, {
+    subscriptionId: subscription.id,
+    eventId: event.id,
+    eventType: eventType(event),
+    url: subscription.url,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: nowISO()
+  }));
+}
+
+/**
+ * Make one delivery attempt and record its outcome: succeeded, pending with
+ * the next attempt time, or dead_lettered.
+ * @param {string} deliveryId - Delivery to attempt
+ * @param {Object} [options] - See DEFAULT_DELIVERY_OPTIONS
+ * @returns {Promise<{ delivery: Object|null, retryInMs: number|null }>} The
+ *   updated delivery, and the delay before the next attempt when one is due
+ */
+export async function attemptDelivery(deliveryId, options = {}) {
+  const { maxAttempts, timeoutMs, retryBaseMs } = { ...DEFAULT_DELIVERY_OPTIONS, ...options };
+  const delivery = findById(DELIVERIES_COLLECTION, deliveryId);
+  if (!delivery || delivery.status !== 'pending') return { delivery, retryInMs: null };
+
+  const subscription = findById(SUBSCRIPTIONS_COLLECTION, delivery.subscriptionId);
+  const event = findById(EVENTS_COLLECTION, delivery.eventId);
+  if (!subscription || !event) {
+    const lastError = subscription ? 'Event no longer exists' : 'Subscription no longer exists';
+    return { delivery: update(DELIVERIES_COLLECTION, deliveryId, { status: 'dead_lettered', lastError, nextAttemptAt: null }), retryInMs: null };
+  }
+
+  const { headers, body } = encodeEvent(event, subscription.format);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: nowISO(), statusCode: null, error: null, durationMs: 0 };
+  const started = Date.now();
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Webhook-Id': delivery.id,
+        'Webhook-Timestamp': String(timestamp),
+        'Webhook-Signature': signPayload(subscription.secret || '', delivery.id, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    await response.arrayBuffer();
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `Receiver responded ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (error.cause?.message || error.message);
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = [...(delivery.attempts || []), attempt];
+  const progress = { attempts, attemptCount: attempts.length };
+
+  if (!attempt.error) {
+    return {
+      delivery: update(DELIVERIES_COLLECTION, deliveryId, { ...progress, status: 'succeeded', deliveredAt: attempt.attemptedAt, nextAttemptAt: null }),
+      retryInMs: null
+    };
+  }
+  if (attempts.length >= maxAttempts) {
+    return {
+      delivery: update(DELIVERIES_COLLECTION, deliveryId, { ...progress, status: 'dead_lettered', lastError: attempt.error, nextAttemptAt: null }),
+      retryInMs: null
+    };
+  }
+
+  const retryInMs = retryDelay(attempts.length, retryBaseMs);
+  const nextAttemptAt = new Date(now().getTime() + retryInMs).toISOString();
+  return {
+    delivery: update(DELIVERIES_COLLECTION, deliveryId, { ...progress, lastError: attempt.error, nextAttemptAt }),
+    retryInMs
+  };
+}
+
+/**
+ * Schedule an attempt of a delivery, and its retries, on the running worker.
+ */
+function scheduleDelivery(deliveryId, delayMs) {
+  const timer = setTimeout(async () => {
+    worker?.timers.delete(timer);
+    if (!worker) return;
+    try {
+      const { options } = worker;
+      const { retryInMs } = await attemptDelivery(deliveryId, options);
+      // The worker may have stopped (and the databases closed) during the request
+      if (worker && retryInMs !== null) scheduleDelivery(deliveryId, retryInMs);
+    } catch (error) {
+      console.error(`Webhook delivery ${deliveryId} failed:`, error.message);
+    }
+  }, delayMs);
+
+  // Don't keep the process alive just for retries
+  timer.unref();
+  worker.timers.add(timer);
+}
+
+/**
+ * Queue a published event for delivery to each matching subscription, while
+ * the worker runs. Called by the outbox relay's `webhook` sink.
+ * @param {Object} event - Stored domain event
+ * @returns {Array} Created deliveries (none when the worker is stopped)
+ */
+export function queueWebhookDeliveries(event) {
+  if (!worker) return [];
+  const deliveries = createDeliveries(event, worker.knownFields);
+  for (const delivery of deliveries) {
+    scheduleDelivery(delivery.id, 0);
+  }
+  return deliveries;
+}
+
+/**
+ * Deliver domain events to webhook subscriptions as the outbox relay
+ * publishes them, and resume deliveries left pending by a previous run.
+ * @param {Object|null} eventSchema - Dereferenced DomainEvent schema, to
+ *   validate subscription filters
+ * @param {Object} [options] - See DEFAULT_DELIVERY_OPTIONS
+ * @param {number} [options.maxAttempts=5] - Attempts before a delivery is dead-lettered
+ * @param {number} [options.retryBaseMs=1000] - Delay after the first failure; doubles after each
+ * @param {number} [options.timeoutMs=5000] - Per-attempt request timeout
+ */
+export function startWebhookDelivery(eventSchema = null, options = {}) {
+  stopWebhookDelivery();
+
+  const knownFields = eventSchema ? collectFieldInfo(eventSchema) : null;
+  worker = { knownFields, timers: new Set(), options: { ...DEFAULT_DELIVERY_OPTIONS, ...options } };
+
+  const pending = getDatabase(DELIVERIES_COLLECTION)
+    .prepare("SELECT data FROM resources WHERE json_extract(data, '$.status') = 'pending' ORDER BY rowid")
+    .all()
+    .map(row => JSON.parse(row.data));
+  for (const delivery of pending) {
+    const dueInMs = Date.parse(delivery.nextAttemptAt) - now().getTime();
+    scheduleDelivery(delivery.id, Number.isFinite(dueInMs) ? Math.max(0, dueInMs) : 0);
+  }
+}
+
+/**
+ * Stop delivering events and cancel scheduled retries. Pending deliveries
+ * stay pending until the worker starts again.
+ */
+export function stopWebhookDelivery() {
+  if (!worker) return;
+  for (const timer of worker.timers) clearTimeout(timer);
+  worker = null;
+}
@@ -17,12 +17,20 @@
  *   00000007-*  appointments
  *   00000008-*  queues
  *   00000009-*  tasks
+ *   0000000a-*  domain events
+ *   0000000b-*  subscriptions
+ *   0000000c-*  deliveries
+ *
+ * The contracts have no `lookup` effects yet, so the fixture workflow state
+ * machine gets one: `de-escalate` looks up the task's queue and copies its
+ * description onto the task (see addFixtureLookup).
  */
 
-import { mkdtempSync, rmSync, cpSync, readdirSync } from 'fs';
+import { mkdtempSync, rmSync, cpSync, readdirSync, readFileSync, writeFileSync } from 'fs';
 import { tmpdir } from 'os';
 import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -46,9 +54,26 @@ export function setupFixtureDir() {
     cpSync(join(__dirname, file), join(tempDir, file));
   }
 
+  addFixtureLookup(tempDir);
   return tempDir;
 }
 
+/**
+ * Prepend a lookup of the task's queue, and a `set` reading from it, to the
+ * `de-escalate` transition of the copied workflow state machine.
+ * @param {string} dir - Fixture directory
+ */
+function addFixtureLookup(dir) {
+  const filePath = join(dir, 'workflow-state-machine.yaml');
+  const stateMachine = yaml.load(readFileSync(filePath, 'utf8'));
+  const transition = stateMachine.transitions.find(t => t.trigger === 'de-escalate');
+  transition.effects.unshift(
+    { type: 'lookup', entity: 'queues', value: '$object.queueId', bindTo: 'queue' },
+    { type: 'set', field: 'description', value: '$lookup.queue.description' }
+  );
+  writeFileSync(filePath, yaml.dump(stateMachine, { lineWidth: -1 }));
+}
+
 /**
  * Remove the temp directory created by setupFixtureDir.
  * @param {string} dir
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the batch handler
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createBatchHandler } from '../../src/handlers/batch-handler.js';
+import { createCreateHandler } from '../../src/handlers/create-handler.js';
+import { createUpdateHandler } from '../../src/handlers/update-handler.js';
+import { createDeleteHandler } from '../../src/handlers/delete-handler.js';
+import { insertResource, findById, clearAll } from '../../src/database-manager.js';
+
+const COLLECTION = 'batchtests';
+
+const schema = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', minLength: 1 } }
+};
+
+function createHandlers({ withDelete = true } = {}) {
+  const collection = { path: `/${COLLECTION}`, collectionName: COLLECTION, requestSchema: schema };
+  const item = { path: `/${COLLECTION}/{batchtestId}`, collectionName: COLLECTION, requestSchema: schema };
+  return {
+    create: createCreateHandler({}, collection, 'http://localhost:1080', null, null),
+    update: createUpdateHandler({}, item),
+    ...(withDelete && { delete: createDeleteHandler({}, item) })
+  };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+}
+
+function runBatch(operations, handlers = createHandlers()) {
+  const res = createResponse();
+  createBatchHandler(COLLECTION, handlers)({ headers: {}, body: { operations } }, res);
+  return res;
+}
+
+test('batch — runs create, update, and delete in order', () => {
+  clearAll(COLLECTION);
+  insertResource(COLLECTION, { id: 'bt-1', name: 'First' });
+  insertResource(COLLECTION, { id: 'bt-2', name: 'Second' });
+
+  const res = runBatch([
+    { action: 'create', data: { name: 'Created' } },
+    { action: 'update', id: 'bt-1', data: { name: 'Renamed' } },
+    { action: 'delete', id: 'bt-2' }
+  ]);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(
+    { total: res.body.total, succeeded: res.body.succeeded, failed: res.body.failed },
+    { total: 3, succeeded: 3, failed: 0 }
+  );
+  const [created, updated, deleted] = res.body.results;
+  assert.strictEqual(findById(COLLECTION, created.id).name, 'Created');
+  assert.deepStrictEqual(updated, { index: 1, action: 'update', status: 'succeeded', id: 'bt-1' });
+  assert.strictEqual(findById(COLLECTION, 'bt-1').name, 'Renamed');
+  assert.deepStrictEqual(deleted, { index: 2, action: 'delete', status: 'succeeded', id: 'bt-2' });
+  assert.strictEqual(findById(COLLECTION, 'bt-2'), null);
+
+  clearAll(COLLECTION);
+});
+
+test('batch — failures do not stop or roll back other operations', () => {
+  clearAll(COLLECTION);
+
+  const res = runBatch([
+    { action: 'create', data: { name: 'Kept' } },
+    { action: 'create', data: { name: '' } },
+    { action: 'update', id: 'missing', data: { name: 'Nobody' } },
+    { action: 'create', data: { name: 'Also kept' } }
+  ]);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.succeeded, 2);
+  assert.strictEqual(res.body.failed, 2);
+  assert.strictEqual(res.body.results[1].error.code, 'VALIDATION_ERROR');
+  assert.strictEqual(res.body.results[2].id, 'missing');
+  assert.strictEqual(res.body.results[2].error.code, 'NOT_FOUND');
+  assert.ok(findById(COLLECTION, res.body.results[0].id));
+  assert.ok(findById(COLLECTION, res.body.results[3].id));
+
+  clearAll(COLLECTION);
+});
+
+test('batch — malformed operations fail individually', () => {
+  const res = runBatch([
+    'not-an-object',
+    { action: 'upsert', id: 'bt-1' },
+    { action: 'update', data: { name: 'No id' } },
+    { action: 'create', id: 'bt-9', data: { name: 'Client id' } },
+    { action: 'delete', id: 'bt-1' }
+  ], createHandlers({ withDelete: false }));
+
+  assert.strictEqual(res.body.failed, 5);
+  assert.strictEqual(res.body.results[0].action, undefined);
+  assert.deepStrictEqual(res.body.results.map(r => r.error.message), [
+    'Operation must be a JSON object',
+    'action must be one of: create, update, delete',
+    'id is required for update',
+    'id must be omitted for create',
+    `delete is not supported for ${COLLECTION}`
+  ]);
+});
+
+test('batch — rejects a missing, empty, or oversized operations array', () => {
+  for (const operations of [undefined, [], Array.from({ length: 101 }, () => ({ action: 'delete', id: 'x' }))]) {
+    const res = runBatch(operations);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.code, 'BAD_REQUEST');
+  }
+});
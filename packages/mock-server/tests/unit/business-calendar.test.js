@@ -0,0 +1,180 @@
+/**
+ * Unit tests for business calendars and business-time duration arithmetic
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_CALENDAR,
+  getHolidays,
+  isWorkingDay,
+  isWorkingTime,
+  addBusinessTime,
+  addBusinessDays,
+  businessTimeBetween
+} from '../../src/business-calendar.js';
+import { addDuration, elapsedDuration } from '../../src/duration.js';
+import { discoverCalendars, findCalendar } from '../../src/calendar-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const contractsDir = join(__dirname, '..', '..', '..', 'contracts');
+
+const HOUR = 60 * 60 * 1000;
+
+const calendar = {
+  domain: 'workflow',
+  timeZone: 'America/New_York',
+  workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  workingHours: { start: '08:00', end: '17:00' },
+  holidays: {
+    new_years_day: { name: "New Year's Day", month: 1, day: 1, observed: 'nearest_weekday' },
+    memorial_day: { name: 'Memorial Day', month: 5, weekday: 'monday', week: -1 },
+    independence_day: { name: 'Independence Day', month: 7, day: 4, observed: 'nearest_weekday' },
+    thanksgiving_day: { name: 'Thanksgiving Day', month: 11, weekday: 'thursday', week: 4 },
+    day_after_thanksgiving: { name: 'Day after Thanksgiving', month: 11, weekday: 'thursday', week: 4, offsetDays: 1 },
+    office_closure: { name: 'Office closure', date: '2026-02-17' }
+  }
+};
+
+// =============================================================================
+// Holidays
+// =============================================================================
+
+test('getHolidays — fixed, floating, offset, and dated holidays', () => {
+  const holidays = getHolidays(calendar, 2026);
+  assert.strictEqual(holidays.get('2026-05-25'), 'Memorial Day');
+  assert.strictEqual(holidays.get('2026-11-26'), 'Thanksgiving Day');
+  assert.strictEqual(holidays.get('2026-11-27'), 'Day after Thanksgiving');
+  assert.strictEqual(holidays.get('2026-02-17'), 'Office closure');
+  assert.strictEqual(getHolidays(calendar, 2027).has('2027-02-17'), false);
+});
+
+test('getHolidays — nearest_weekday observance', () => {
+  // July 4, 2026 is a Saturday → observed Friday July 3
+  const holidays = getHolidays(calendar, 2026);
+  assert.ok(holidays.has('2026-07-03'));
+  assert.ok(!holidays.has('2026-07-04'));
+});
+
+test('getHolidays — observance can fall in the previous year', () => {
+  // January 1, 2022 is a Saturday → observed Friday December 31, 2021
+  assert.ok(getHolidays(calendar, 2021).has('2021-12-31'));
+  assert.ok(!getHolidays(calendar, 2022).has('2022-01-01'));
+});
+
+test('isWorkingDay — weekends and holidays are not working days', () => {
+  assert.strictEqual(isWorkingDay(calendar, { year: 2026, month: 7, day: 2 }), true);
+  assert.strictEqual(isWorkingDay(calendar, { year: 2026, month: 7, day: 3 }), false);
+  assert.strictEqual(isWorkingDay(calendar, { year: 2026, month: 7, day: 5 }), false);
+});
+
+test('isWorkingTime — respects working hours in the calendar time zone', () => {
+  assert.strictEqual(isWorkingTime(calendar, '2026-07-02T14:00:00Z'), true);   // 10:00 EDT
+  assert.strictEqual(isWorkingTime(calendar, '2026-07-02T22:00:00Z'), false);  // 18:00 EDT
+  assert.strictEqual(isWorkingTime(calendar, '2026-07-03T14:00:00Z'), false);  // observed holiday
+});
+
+// =============================================================================
+// Business time arithmetic
+// =============================================================================
+
+test('addBusinessTime — skips evenings, weekends, and holidays', () => {
+  // Thursday 16:00 EDT + 2h → 1h Thursday, Friday holiday, weekend, 1h Monday
+  const result = addBusinessTime(calendar, '2026-07-02T20:00:00Z', 2 * HOUR);
+  assert.strictEqual(result.toISOString(), '2026-07-06T13:00:00.000Z');
+});
+
+test('addBusinessTime — negative amounts count backward', () => {
+  const result = addBusinessTime(calendar, '2026-07-06T13:00:00Z', -2 * HOUR);
+  assert.strictEqual(result.toISOString(), '2026-07-02T20:00:00.000Z');
+});
+
+test('addBusinessTime — starts at the next opening across a DST change', () => {
+  // Saturday before DST starts (EST) → Monday 09:00 EDT
+  const result = addBusinessTime(calendar, '2026-03-07T15:00:00Z', HOUR);
+  assert.strictEqual(result.toISOString(), '2026-03-09T13:00:00.000Z');
+});
+
+test('addBusinessDays — keeps the time of day and skips holidays', () => {
+  // Wednesday before Thanksgiving 10:00 EST + 2 working days → Tuesday 10:00 EST
+  const result = addBusinessDays(calendar, '2026-11-25T15:00:00Z', 2);
+  assert.strictEqual(result.toISOString(), '2026-12-01T15:00:00.000Z');
+});
+
+test('businessTimeBetween — counts only working time', () => {
+  assert.strictEqual(businessTimeBetween(calendar, '2026-07-02T20:00:00Z', '2026-07-06T13:00:00Z'), 2 * HOUR);
+  assert.strictEqual(businessTimeBetween(calendar, '2026-07-06T13:00:00Z', '2026-07-02T20:00:00Z'), -2 * HOUR);
+  assert.strictEqual(businessTimeBetween(calendar, '2026-07-04T00:00:00Z', '2026-07-05T23:00:00Z'), 0);
+});
+
+// =============================================================================
+// Duration engine
+// =============================================================================
+
+test('addDuration — business hours use the calendar', () => {
+  const result = addDuration('2026-07-02T20:00:00Z', '2h', { calendarType: 'business', calendar });
+  assert.strictEqual(result.toISOString(), '2026-07-06T13:00:00.000Z');
+});
+
+test('addDuration — a business week is five working days', () => {
+  const result = addDuration('2026-11-23T15:00:00Z', '1w', { calendarType: 'business', calendar });
+  assert.strictEqual(result.toISOString(), '2026-12-02T15:00:00.000Z');
+});
+
+test('addDuration — business time falls back to the default calendar', () => {
+  // Friday 16:00 UTC + 2h → Monday 10:00 UTC
+  const result = addDuration('2026-01-09T16:00:00Z', '2h', { calendarType: 'business' });
+  assert.strictEqual(result.toISOString(), '2026-01-12T10:00:00.000Z');
+});
+
+test('addDuration — calendarType calendar ignores the calendar', () => {
+  const result = addDuration('2026-07-02T20:00:00Z', '2h', { calendarType: 'calendar', calendar });
+  assert.strictEqual(result.toISOString(), '2026-07-02T22:00:00.000Z');
+});
+
+test('elapsedDuration — calendar and business time', () => {
+  const start = '2026-07-02T20:00:00Z';
+  const end = '2026-07-06T13:00:00Z';
+  assert.strictEqual(elapsedDuration(start, end), 89 * HOUR);
+  assert.strictEqual(elapsedDuration(start, end, { calendarType: 'business', calendar }), 2 * HOUR);
+});
+
+// =============================================================================
+// Calendar loader
+// =============================================================================
+
+test('discoverCalendars — loads the workflow calendar contract', () => {
+  const calendars = discoverCalendars(contractsDir);
+  const workflow = findCalendar(calendars, 'workflow');
+  assert.strictEqual(workflow.timeZone, 'America/New_York');
+
+  const holidays = getHolidays(workflow, 2026);
+  assert.ok(holidays.has('2026-01-19'));  // Martin Luther King, Jr. Day
+  assert.ok(holidays.has('2026-07-03'));  // Independence Day (observed)
+  assert.ok(holidays.has('2026-11-26'));  // Thanksgiving Day
+});
+
+test('discoverCalendars — skips calendars with an unknown time zone', () => {
+  const tmpDir = join(__dirname, `tmp-calendar-loader-${Date.now()}`);
+  mkdirSync(tmpDir, { recursive: true });
+  try {
+    writeFileSync(join(tmpDir, 'workflow-calendar.yaml'), `
+domain: workflow
+timeZone: Mars/Olympus_Mons
+workingDays: [monday]
+workingHours: { start: "08:00", end: "17:00" }
+`, 'utf8');
+    assert.deepStrictEqual(discoverCalendars(tmpDir), []);
+  } finally {
+    rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('findCalendar — falls back to the default calendar', () => {
+  assert.strictEqual(findCalendar([], 'workflow'), DEFAULT_CALENDAR);
+  assert.strictEqual(findCalendar([{ domain: 'workflow', calendar }], 'scheduling'), DEFAULT_CALENDAR);
+});
@@ -14,7 +14,10 @@ import {
   update,
   deleteResource,
   count,
-  closeAll
+  getVersion,
+  closeAll,
+  transaction,
+  afterCommit
 } from '../../src/database-manager.js';
 import { unlinkSync, existsSync } from 'fs';
 import { join } from 'path';
@@ -25,16 +28,19 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const testDbName = 'test-db';
+const otherDbName = 'test-db-other';
 
 const cleanup = () => {
   closeAll();
-  const testDbPath = join(__dirname, `../../../generated/mock-data/${testDbName}.db`);
-  try {
-    if (existsSync(testDbPath)) {
-      unlinkSync(testDbPath);
+  for (const name of [testDbName, otherDbName]) {
+    const testDbPath = join(__dirname, `../../../generated/mock-data/${name}.db`);
+    try {
+      if (existsSync(testDbPath)) {
+        unlinkSync(testDbPath);
+      }
+    } catch (e) {
+      // Ignore
     }
-  } catch (e) {
-    // Ignore
   }
 };
 
@@ -154,6 +160,17 @@ test('Database Manager Tests', async (t) => {
     console.log(`  ✓ Filter found matching record`);
   });
   
+  await t.test('findAll - rejects filter keys that are not field paths', () => {
+    cleanup();
+    
+    insertResource(testDbName, { id: '1', name: 'Alice Smith', createdAt: '2024-01-01', updatedAt: '2024-01-01' });
+    
+    assert.throws(() => findAll(testDbName, { "name') IS NOT NULL OR ('1": 'x' }), /Invalid field path/);
+    assert.throws(() => findAll(testDbName, { '$': 'x' }), /Invalid field path/);
+    
+    console.log(`  ✓ Unsafe filter keys rejected`);
+  });
+  
   await t.test('updateResource - merges changes', () => {
     cleanup();
     
@@ -173,6 +190,33 @@ test('Database Manager Tests', async (t) => {
     
     console.log(`  ✓ Merged changes correctly`);
   });
+
+  await t.test('getVersion - starts at 1 and increments on update', () => {
+    cleanup();
+
+    const resource = create(testDbName, { field1: 'original' });
+    assert.strictEqual(getVersion(testDbName, resource.id), 1);
+
+    update(testDbName, resource.id, { field1: 'updated' });
+    update(testDbName, resource.id, { field1: 'again' });
+    assert.strictEqual(getVersion(testDbName, resource.id), 3);
+    assert.strictEqual(getVersion(testDbName, 'missing'), null);
+
+    console.log(`  ✓ Version tracks updates`);
+  });
+
+  await t.test('getVersion - rolled back updates keep the version', () => {
+    cleanup();
+
+    const resource = create(testDbName, { field1: 'original' });
+    assert.throws(() => transaction(() => {
+      update(testDbName, resource.id, { field1: 'updated' });
+      throw new Error('boom');
+    }));
+    assert.strictEqual(getVersion(testDbName, resource.id), 1);
+
+    console.log(`  ✓ Rollback restores the version`);
+  });
   
   await t.test('count - returns total records', () => {
     cleanup();
@@ -186,6 +230,111 @@ test('Database Manager Tests', async (t) => {
     console.log(`  ✓ Count: ${total}`);
   });
   
+  await t.test('transaction - commits writes across collections together', () => {
+    cleanup();
+    insertResource(testDbName, { id: 'task-1', status: 'in_progress' });
+
+    transaction(() => {
+      update(testDbName, 'task-1', { status: 'completed' });
+      create(otherDbName, { taskId: 'task-1' });
+    });
+
+    assert.strictEqual(findById(testDbName, 'task-1').status, 'completed');
+    assert.strictEqual(count(otherDbName), 1);
+    console.log(`  ✓ Committed both collections`);
+  });
+
+  await t.test('transaction - rolls back every collection when one write fails', () => {
+    cleanup();
+    insertResource(testDbName, { id: 'task-1', status: 'in_progress' });
+    count(otherDbName);
+
+    assert.throws(() => transaction(() => {
+      update(testDbName, 'task-1', { status: 'completed' });
+      create(otherDbName, { taskId: 'task-1' });
+      throw new Error('follow-up failed');
+    }), /follow-up failed/);
+
+    assert.strictEqual(findById(testDbName, 'task-1').status, 'in_progress');
+    assert.strictEqual(count(otherDbName), 0);
+    console.log(`  ✓ Rolled back both collections`);
+  });
+
+  await t.test('transaction - nested calls join the outer unit of work', () => {
+    cleanup();
+    insertResource(testDbName, { id: 'task-1', status: 'pending' });
+
+    assert.throws(() => transaction(() => {
+      transaction(() => update(testDbName, 'task-1', { status: 'in_progress' }));
+      throw new Error('outer failed');
+    }));
+
+    assert.strictEqual(findById(testDbName, 'task-1').status, 'pending');
+    console.log(`  ✓ Inner work rolled back with the outer unit`);
+  });
+
+  await t.test('transaction - a closed connection fails before anything commits', () => {
+    cleanup();
+    insertResource(testDbName, { id: 'task-1', status: 'in_progress' });
+
+    assert.throws(() => transaction(() => {
+      update(testDbName, 'task-1', { status: 'completed' });
+      create(otherDbName, { taskId: 'task-1' });
+      getDatabase(otherDbName).close();
+    }), /Cannot commit: connection closed for test-db-other/);
+
+    assert.strictEqual(findById(testDbName, 'task-1').status, 'in_progress');
+    console.log(`  ✓ Nothing committed`);
+  });
+
+  await t.test('transaction - a failed commit reports what was committed', () => {
+    cleanup();
+    insertResource(testDbName, { id: 'task-1', status: 'in_progress' });
+    const other = getDatabase(otherDbName);
+    const exec = other.exec;
+    other.exec = (sql) => {
+      if (sql === 'COMMIT') throw new Error('disk I/O error');
+      return exec.call(other, sql);
+    };
+
+    let error;
+    try {
+      transaction(() => {
+        update(testDbName, 'task-1', { status: 'completed' });
+        create(otherDbName, { taskId: 'task-1' });
+      });
+    } catch (e) {
+      error = e;
+    } finally {
+      other.exec = exec;
+    }
+
+    assert.match(error.message, /Commit failed for test-db-other: disk I\/O error/);
+    assert.deepStrictEqual(error.committed, [testDbName]);
+    assert.deepStrictEqual(error.rolledBack, [otherDbName]);
+    assert.strictEqual(findById(testDbName, 'task-1').status, 'completed', 'Earlier commits stand');
+    assert.strictEqual(count(otherDbName), 0);
+    console.log(`  ✓ Partial commit reported`);
+  });
+
+  await t.test('afterCommit - runs only after a successful commit', () => {
+    cleanup();
+    const calls = [];
+
+    transaction(() => {
+      afterCommit(() => calls.push('committed'));
+      assert.deepStrictEqual(calls, [], 'Should wait for the commit');
+    });
+    assert.throws(() => transaction(() => {
+      afterCommit(() => calls.push('rolled back'));
+      throw new Error('fail');
+    }));
+    afterCommit(() => calls.push('immediate'));
+
+    assert.deepStrictEqual(calls, ['committed', 'immediate']);
+    console.log(`  ✓ Callbacks deferred until commit`);
+  });
+
   await t.test('closeAll - closes all database connections', () => {
     cleanup();
     getDatabase(testDbName);
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for ETags and conditional requests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { computeETag, getETag, etagMatches, checkIfMatch, isNotModified } from '../../src/etag.js';
+import { create, update, clearAll } from '../../src/database-manager.js';
+
+const etag = computeETag('etagtests', 'abc', 1);
+
+test('computeETag — quoted, opaque, and different per version', () => {
+  assert.match(etag, /^"[0-9a-f]{16}"$/);
+  assert.ok(!etag.includes('abc'));
+  assert.strictEqual(computeETag('etagtests', 'abc', 1), etag);
+  assert.notStrictEqual(computeETag('etagtests', 'abc', 2), etag);
+  assert.notStrictEqual(computeETag('others', 'abc', 1), etag);
+});
+
+test('computeETag — partial representations differ from the full resource', () => {
+  const projected = computeETag('etagtests', 'abc', 1, 'id,status');
+  assert.notStrictEqual(projected, etag);
+  assert.notStrictEqual(computeETag('etagtests', 'abc', 1, 'id'), projected);
+  assert.strictEqual(computeETag('etagtests', 'abc', 1, 'id,status'), projected);
+  assert.strictEqual(computeETag('etagtests', 'abc', 1, null), etag);
+});
+
+test('getETag — changes when the resource is updated', () => {
+  clearAll('etagtests');
+  const resource = create('etagtests', { name: 'first' });
+  const before = getETag('etagtests', resource.id);
+
+  update('etagtests', resource.id, { name: 'second' });
+
+  assert.notStrictEqual(getETag('etagtests', resource.id), before);
+  assert.strictEqual(getETag('etagtests', 'missing'), null);
+  clearAll('etagtests');
+});
+
+test('etagMatches — wildcard and lists', () => {
+  assert.strictEqual(etagMatches('*', etag), true);
+  assert.strictEqual(etagMatches(`"other", ${etag}`, etag), true);
+  assert.strictEqual(etagMatches('"other"', etag), false);
+});
+
+test('etagMatches — weak tags only match with weak comparison', () => {
+  assert.strictEqual(etagMatches(`W/${etag}`, etag), false);
+  assert.strictEqual(etagMatches(`W/${etag}`, etag, { weak: true }), true);
+});
+
+test('checkIfMatch — passes without the header or with a matching tag', () => {
+  assert.strictEqual(checkIfMatch({ headers: {} }, etag), null);
+  assert.strictEqual(checkIfMatch({ headers: { 'if-match': etag } }, etag), null);
+});
+
+test('checkIfMatch — stale tags fail with PRECONDITION_FAILED', () => {
+  const error = checkIfMatch({ headers: { 'if-match': '"stale"' } }, etag);
+  assert.strictEqual(error.code, 'PRECONDITION_FAILED');
+  assert.strictEqual(error.message, 'Resource has been modified by another request');
+});
+
+test('isNotModified — matches the current tag only', () => {
+  assert.strictEqual(isNotModified({ headers: {} }, etag), false);
+  assert.strictEqual(isNotModified({ headers: { 'if-none-match': etag } }, etag), true);
+  assert.strictEqual(isNotModified({ headers: { 'if-none-match': '"stale"' } }, etag), false);
+});
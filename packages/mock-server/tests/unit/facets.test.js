@@ -0,0 +1,114 @@
+/**
+ * Unit tests for field facets (the `facets` parameter)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseFacets, countFacets, mergeFacets, MAX_FACETS } from '../../src/facets.js';
+import { collectFieldInfo, buildSearchConditions } from '../../src/search-engine.js';
+import { getDatabase, insertResource, clearAll } from '../../src/database-manager.js';
+
+const COLLECTION = 'facettests';
+
+const taskSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'in_progress', 'completed'] },
+    isExpedited: { type: 'boolean' },
+    programs: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'array', items: { type: 'object' } },
+    assignee: { type: 'object', properties: { name: { type: 'string' } } },
+    dueDate: { type: 'string', format: 'date' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+const fields = collectFieldInfo(taskSchema);
+
+test('parseFacets - fields, array fields, and date intervals', () => {
+  assert.deepStrictEqual(parseFacets(undefined, fields), { facets: [], error: null });
+
+  const { facets, error } = parseFacets('status, programs,createdAt:month,dueDate,assignee.name', fields);
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(facets, [
+    { field: 'status' },
+    { field: 'programs', array: true },
+    { field: 'createdAt', interval: 'month' },
+    { field: 'dueDate', interval: 'day' },
+    { field: 'assignee.name' }
+  ]);
+});
+
+test('parseFacets - rejects unknown, unfacetable, and malformed facets', () => {
+  const code = (value) => parseFacets(value, fields).error?.code;
+
+  assert.strictEqual(code('priority'), 'INVALID_FACET_FIELD');
+  assert.strictEqual(code('data[0]'), 'INVALID_FACET_FIELD');
+  assert.strictEqual(code('assignee'), 'FIELD_NOT_FACETABLE');
+  assert.strictEqual(code('notes'), 'FIELD_NOT_FACETABLE');
+  assert.strictEqual(code('createdAt:hour'), 'BAD_REQUEST');
+  assert.strictEqual(code('status:month'), 'BAD_REQUEST');
+  assert.strictEqual(code('status,status'), 'BAD_REQUEST');
+  assert.strictEqual(code(Array(MAX_FACETS + 1).fill('status').join(',')), 'BAD_REQUEST');
+  assert.strictEqual(code(['status', 'programs']), 'BAD_REQUEST');
+
+  const { error } = parseFacets('priority', fields);
+  assert.deepStrictEqual(error.details, [{ field: 'facets', message: 'priority' }]);
+});
+
+test('countFacets - grouped counts over the filtered set', () => {
+  clearAll(COLLECTION);
+  const tasks = [
+    { id: 't1', status: 'pending', isExpedited: true, programs: ['snap', 'tanf'], createdAt: '2026-01-05T10:00:00Z' },
+    { id: 't2', status: 'pending', isExpedited: false, programs: ['snap', 'snap'], createdAt: '2026-01-20T10:00:00Z' },
+    { id: 't3', status: 'completed', isExpedited: false, programs: [], createdAt: '2026-02-03T10:00:00Z' },
+    { id: 't4', isExpedited: true, createdAt: '2026-02-04T10:00:00Z' }
+  ];
+  tasks.forEach(task => insertResource(COLLECTION, task));
+  const db = getDatabase(COLLECTION);
+
+  const all = countFacets(db, parseFacets('status,isExpedited,programs,createdAt:month', fields).facets);
+  assert.deepStrictEqual(all.status, [
+    { value: 'pending', count: 2 },
+    { value: 'completed', count: 1 },
+    { value: null, count: 1 }
+  ], 'most frequent first, missing values counted under null');
+  assert.deepStrictEqual(all.isExpedited, [
+    { value: false, count: 2 },
+    { value: true, count: 2 }
+  ], 'booleans stay booleans');
+  assert.deepStrictEqual(all.programs, [
+    { value: 'snap', count: 2 },
+    { value: 'tanf', count: 1 }
+  ], 'array elements count once per item');
+  assert.deepStrictEqual(all.createdAt, [
+    { value: '2026-01-01', count: 2 },
+    { value: '2026-02-01', count: 2 }
+  ], 'histograms in date order, keyed by the first day of the interval');
+
+  const weekly = countFacets(db, parseFacets('createdAt:week', fields).facets);
+  assert.deepStrictEqual(weekly.createdAt.map(b => b.value), ['2026-01-05', '2026-01-19', '2026-02-02'], 'weeks start on Monday');
+
+  const filtered = countFacets(db, parseFacets('status', fields).facets,
+    buildSearchConditions({ q: 'isExpedited:true' }, []));
+  assert.deepStrictEqual(filtered.status, [
+    { value: 'pending', count: 1 },
+    { value: null, count: 1 }
+  ]);
+
+  clearAll(COLLECTION);
+});
+
+test('mergeFacets - sums counts across collections', () => {
+  const facets = [{ field: 'status' }, { field: 'createdAt', interval: 'month' }, { field: 'queueId' }];
+  const merged = mergeFacets([
+    { status: [{ value: 'pending', count: 2 }, { value: 'closed', count: 1 }], createdAt: [{ value: '2026-02-01', count: 3 }] },
+    { status: [{ value: 'closed', count: 4 }], createdAt: [{ value: '2026-01-01', count: 1 }, { value: '2026-02-01', count: 1 }] }
+  ], facets);
+
+  assert.deepStrictEqual(merged, {
+    status: [{ value: 'closed', count: 5 }, { value: 'pending', count: 2 }],
+    createdAt: [{ value: '2026-01-01', count: 1 }, { value: '2026-02-01', count: 4 }],
+    queueId: []
+  });
+});
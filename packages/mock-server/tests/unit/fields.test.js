@@ -0,0 +1,115 @@
+/**
+ * Unit tests for sparse fieldsets (the `fields` parameter)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseFields, fieldsKey, projectFields, collectWriteOnlyFields, omitWriteOnly } from '../../src/fields.js';
+
+const applicationSchema = {
+  allOf: [
+    { type: 'object', properties: { id: { type: 'string' }, createdAt: { type: 'string' } } },
+    {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        household: {
+          type: 'object',
+          properties: {
+            size: { type: 'integer' },
+            members: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'object', properties: { firstName: { type: 'string' }, lastName: { type: 'string' } } },
+                  dateOfBirth: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+const application = {
+  id: 'app-1',
+  status: 'submitted',
+  createdAt: '2026-01-05T10:00:00Z',
+  household: {
+    size: 2,
+    members: [
+      { name: { firstName: 'Avery', lastName: 'Johnson' }, dateOfBirth: '1990-04-01' },
+      { name: { firstName: 'Sam', lastName: 'Johnson' }, dateOfBirth: '2015-09-12' }
+    ]
+  }
+};
+
+test('parseFields - builds a field tree with id always included', () => {
+  assert.deepStrictEqual(parseFields(undefined, applicationSchema), { fields: null, error: null });
+
+  const { fields, error } = parseFields('status, household.members.name.firstName,household.size', applicationSchema);
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(fields, {
+    id: true,
+    status: true,
+    household: { members: { name: { firstName: true } }, size: true }
+  });
+
+  assert.deepStrictEqual(parseFields('household.members.name,household', applicationSchema).fields,
+    { id: true, household: true }, 'a shorter path selects the whole subtree');
+});
+
+test('parseFields - rejects unknown and malformed paths', () => {
+  const code = (value) => parseFields(value, applicationSchema).error?.code;
+
+  assert.strictEqual(code('priority'), 'INVALID_FIELD');
+  assert.strictEqual(code('household.members.ssn'), 'INVALID_FIELD');
+  assert.strictEqual(code('status.value'), 'INVALID_FIELD');
+  assert.strictEqual(code('members[0]'), 'INVALID_FIELD');
+  assert.strictEqual(code('status,'), 'INVALID_FIELD');
+  assert.strictEqual(code(['status', 'id']), 'INVALID_FIELD');
+
+  const { error } = parseFields('household.members.ssn', applicationSchema);
+  assert.deepStrictEqual(error.details, [{ field: 'fields', message: 'household.members.ssn' }]);
+  assert.strictEqual(parseFields('anything.goes').error, null, 'no schema, no check');
+});
+
+test('fieldsKey - equivalent field lists give the same key', () => {
+  const key = fieldsKey(parseFields('status,household.members.name', applicationSchema).fields);
+  assert.strictEqual(key, 'household.members.name,id,status');
+  assert.strictEqual(fieldsKey(parseFields('household.members.name, id,status,status', applicationSchema).fields), key);
+  assert.strictEqual(fieldsKey(parseFields('household,household.size', applicationSchema).fields), 'household,id');
+  assert.notStrictEqual(fieldsKey(parseFields('status', applicationSchema).fields), key);
+});
+
+test('projectFields - keeps the listed fields, element by element through arrays', () => {
+  const { fields } = parseFields('status,household.members.name.firstName', applicationSchema);
+
+  assert.deepStrictEqual(projectFields(application, fields), {
+    id: 'app-1',
+    status: 'submitted',
+    household: { members: [{ name: { firstName: 'Avery' } }, { name: { firstName: 'Sam' } }] }
+  });
+  assert.deepStrictEqual(projectFields({ id: 'app-2', household: null }, fields), { id: 'app-2', household: null },
+    'missing fields stay missing and nulls stay null');
+  assert.strictEqual(projectFields(application, null), application);
+});
+
+test('omitWriteOnly - removes the writeOnly properties of the schema', () => {
+  const schema = {
+    allOf: [
+      { type: 'object', properties: { id: { type: 'string' }, url: { type: 'string' } } },
+      { type: 'object', properties: { secret: { type: 'string', writeOnly: true } } }
+    ]
+  };
+  const writeOnly = collectWriteOnlyFields(schema);
+
+  assert.deepStrictEqual(writeOnly, ['secret']);
+  assert.deepStrictEqual(omitWriteOnly({ id: 's-1', url: 'http://localhost/hooks', secret: 'shh' }, writeOnly),
+    { id: 's-1', url: 'http://localhost/hooks' });
+  assert.deepStrictEqual(collectWriteOnlyFields(applicationSchema), []);
+  assert.deepStrictEqual(collectWriteOnlyFields(null), []);
+});
@@ -0,0 +1,260 @@
+/**
+ * Unit tests for structured filters (x-search filtered and post-search)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import {
+  parseFilter,
+  collectFilterParams,
+  parseFilterParams,
+  filterToSql,
+  validateFilterFields
+} from '../../src/filter.js';
+import { executeSearch } from '../../src/search-engine.js';
+import { createListHandler } from '../../src/handlers/list-handler.js';
+import { insertResource, clearAll, getDatabase } from '../../src/database-manager.js';
+
+const COLLECTION = 'filtertests';
+
+const tasks = [
+  { id: 't1', status: 'pending', priority: 'high', isExpedited: true, programs: ['snap'], createdAt: '2026-01-01T09:00:00Z' },
+  { id: 't2', status: 'in_progress', priority: 'low', isExpedited: false, programs: ['tanf'], queueId: 'q1', createdAt: '2026-01-05T09:00:00Z' },
+  { id: 't3', status: 'escalated', priority: 'high', isExpedited: false, programs: ['snap', 'tanf'], createdAt: '2026-01-10T09:00:00Z' },
+  { id: 't4', status: 'completed', priority: 'normal', isExpedited: true, programs: [], queueId: 'q2', createdAt: '2026-01-15T09:00:00Z' }
+];
+
+const taskSchema = {
+  type: 'object',
+  properties: Object.fromEntries(
+    ['id', 'status', 'priority', 'isExpedited', 'queueId', 'createdAt'].map(name => [name, { type: 'string' }])
+      .concat([['programs', { type: 'array', items: { type: 'string' } }]])
+  )
+};
+
+// Parameters as the resolver declares them for the filtered style
+const filteredParameters = [
+  { name: 'q', in: 'query', schema: { type: 'string' } },
+  { name: 'limit', in: 'query', schema: { type: 'integer' } },
+  { name: 'status', in: 'query', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+  { name: 'isExpedited', in: 'query', explode: false, schema: { type: 'array', items: { type: 'boolean' } } },
+  { name: 'programs', in: 'query', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+  { name: 'createdAt', in: 'query', explode: false, schema: { type: 'array', items: { type: 'string', format: 'date-time' } } },
+  { name: 'createdAt[gte]', in: 'query', schema: { type: 'string', format: 'date-time' } },
+  { name: 'createdAt[lt]', in: 'query', schema: { type: 'string', format: 'date-time' } }
+];
+
+function createTaskDatabase() {
+  const db = new Database(':memory:');
+  db.exec('CREATE TABLE resources (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+  const insert = db.prepare('INSERT INTO resources (id, data) VALUES (?, ?)');
+  for (const task of tasks) insert.run(task.id, JSON.stringify(task));
+  return db;
+}
+
+function search(db, filter) {
+  return executeSearch(db, {}, [], {}, [{ field: 'createdAt', descending: false }], null, filter).items.map(t => t.id);
+}
+
+function list(search, { filterFrom, query = {}, body } = {}) {
+  const endpoint = {
+    path: `/${COLLECTION}`,
+    collectionName: COLLECTION,
+    parameters: filteredParameters,
+    responseSchema: { type: 'object', properties: { items: { type: 'array', items: taskSchema } } }
+  };
+  const handler = createListHandler({ schemas: {}, search: { style: search } }, endpoint, { filterFrom });
+  const res = {
+    statusCode: 200,
+    status(code) { res.statusCode = code; return res; },
+    json(payload) { res.body = payload; return res; }
+  };
+  handler({ query, body, originalUrl: `/${COLLECTION}` }, res);
+  return res;
+}
+
+test('parseFilter — accepts nested and/or/not groups', () => {
+  const expression = {
+    and: [
+      { or: [{ field: 'status', op: 'eq', value: 'pending' }, { field: 'status', op: 'eq', value: 'escalated' }] },
+      { not: { field: 'queueId', op: 'exists' } }
+    ]
+  };
+  assert.deepStrictEqual(parseFilter(expression), { filter: expression, error: null });
+});
+
+test('parseFilter — rejects malformed expressions with the failing location', () => {
+  const cases = [
+    [[], 'filter', 'must be an object'],
+    [{ and: [] }, 'filter.and', 'must be a non-empty array'],
+    [{ and: [{ field: 'status' }], or: [] }, 'filter', 'and must be the only property of its object'],
+    [{ or: [{ field: 'status', op: 'like', value: 'x' }] }, 'filter.or[0].op', undefined],
+    [{ not: { field: "status') --", op: 'eq', value: 'x' } }, 'filter.not.field', undefined],
+    [{ field: 'status', op: 'in', value: 'pending' }, 'filter.value', 'must be a non-empty array for in'],
+    [{ field: 'status', op: 'eq', value: { $gt: '' } }, 'filter.value', 'must be a string, number, or boolean'],
+    [{ field: 'status', op: 'eq', value: 'x', extra: 1 }, 'filter', 'unknown property extra']
+  ];
+
+  for (const [expression, field, message] of cases) {
+    const { filter, error } = parseFilter(expression);
+    assert.strictEqual(filter, null);
+    assert.strictEqual(error.code, 'INVALID_FILTER');
+    assert.strictEqual(error.details[0].field, field, JSON.stringify(expression));
+    if (message) assert.strictEqual(error.details[0].message, message);
+  }
+});
+
+test('filterToSql — compiles to parameterized SQL', () => {
+  const { clause, params } = filterToSql({
+    or: [{ field: 'status', op: 'eq', value: "x' OR 1=1 --" }, { field: 'isExpedited', op: 'eq', value: true }]
+  });
+
+  assert.strictEqual(clause, '(json_extract(data, ?) = ? OR json_extract(data, ?) = ?)');
+  assert.deepStrictEqual(params, ['$.status', "x' OR 1=1 --", '$.isExpedited', 1]);
+});
+
+test('executeSearch — applies filter trees', () => {
+  const db = createTaskDatabase();
+
+  assert.deepStrictEqual(search(db, {
+    and: [
+      { or: [{ field: 'status', op: 'eq', value: 'pending' }, { field: 'status', op: 'eq', value: 'escalated' }] },
+      { not: { field: 'queueId', op: 'exists' } }
+    ]
+  }), ['t1', 't3']);
+  assert.deepStrictEqual(search(db, { field: 'createdAt', op: 'gte', value: '2026-01-05' }), ['t2', 't3', 't4']);
+  assert.deepStrictEqual(search(db, { field: 'programs', op: 'in', value: ['tanf'] }), ['t2', 't3']);
+  assert.deepStrictEqual(search(db, { field: 'isExpedited', op: 'eq', value: false }), ['t2', 't3']);
+  assert.deepStrictEqual(search(db, { not: { field: 'priority', op: 'in', value: ['high'] } }), ['t2', 't4']);
+  assert.deepStrictEqual(search(db, { field: 'queueId', op: 'exists', value: false }), ['t1', 't3']);
+
+  db.close();
+});
+
+test('collectFilterParams — maps declared parameters to fields and operators', () => {
+  const params = collectFilterParams(filteredParameters);
+
+  assert.deepStrictEqual([...params.keys()], ['status', 'isExpedited', 'programs', 'createdAt', 'createdAt[gte]', 'createdAt[lt]']);
+  assert.deepStrictEqual(params.get('createdAt[gte]'), { field: 'createdAt', op: 'gte', type: 'string' });
+  assert.deepStrictEqual(params.get('isExpedited'), { field: 'isExpedited', op: 'in', type: 'boolean' });
+});
+
+test('parseFilterParams — builds typed conditions from query parameters', () => {
+  const params = collectFilterParams(filteredParameters);
+
+  assert.deepStrictEqual(parseFilterParams({ limit: '5', unknown: 'x' }, params), { filter: null, error: null });
+  assert.deepStrictEqual(
+    parseFilterParams({ status: 'pending,escalated', 'createdAt[gte]': '2026-01-01', isExpedited: 'true' }, params).filter,
+    {
+      and: [
+        { field: 'status', op: 'in', value: ['pending', 'escalated'] },
+        { field: 'createdAt', op: 'gte', value: '2026-01-01' },
+        { field: 'isExpedited', op: 'in', value: [true] }
+      ]
+    }
+  );
+
+  const { error } = parseFilterParams({ isExpedited: 'yes' }, params);
+  assert.strictEqual(error.code, 'INVALID_FILTER');
+  assert.strictEqual(error.details[0].field, 'isExpedited');
+  assert.strictEqual(parseFilterParams({ 'createdAt[lt]': 'a,b' }, params).error.details[0].message, 'takes a single value');
+});
+
+test('validateFilterFields — checks q terms, field parameters, and filter conditions against the schema', () => {
+  const known = new Set(['status', 'priority', 'name.lastName']);
+
+  assert.strictEqual(validateFilterFields({ q: 'smith status:pending -name.lastName:*', status: 'x', limit: '5' }, known), null);
+  assert.strictEqual(validateFilterFields({ 'createdAt[gte]': '2026-01-01' }, known, { ignore: ['createdAt[gte]'] }), null);
+
+  const error = validateFilterFields({ q: 'statsu:pending' }, known);
+  assert.strictEqual(error.code, 'INVALID_FILTER_FIELD');
+  assert.strictEqual(error.message, 'Unknown filter field: statsu');
+  assert.deepStrictEqual(error.details, [{ field: 'statsu', message: 'valid fields: status, priority, name.lastName' }]);
+
+  assert.strictEqual(validateFilterFields({ color: 'red' }, known).details[0].field, 'color');
+  assert.strictEqual(
+    validateFilterFields({}, known, { filter: { not: { field: 'queueId', op: 'exists' } } }).details[0].field,
+    'queueId'
+  );
+
+  // Without a schema, only the path syntax is checked
+  assert.strictEqual(validateFilterFields({ color: 'red' }, null), null);
+  assert.strictEqual(validateFilterFields({ "status') OR 1=1 --": 'x' }, null).code, 'INVALID_FILTER_FIELD');
+  assert.strictEqual(validateFilterFields({ q: '$.status:x' }, null).code, 'INVALID_FILTER_FIELD');
+
+  // Fields inside q groups are checked too, after the syntax
+  assert.strictEqual(validateFilterFields({ q: '(status:x OR colour:red)' }, known).details[0].field, 'colour');
+  assert.strictEqual(validateFilterFields({ q: '(status:x OR colour:red' }, known).code, 'INVALID_QUERY');
+});
+
+test('list handler — unknown fields return 400 instead of an empty list', () => {
+  clearAll(COLLECTION);
+  for (const task of tasks) insertResource(COLLECTION, task);
+
+  for (const query of [{ q: 'colour:red' }, { colour: 'red' }, { "status') OR ('1'='1": 'x' }]) {
+    const res = list('simple', { query });
+    assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+    assert.strictEqual(res.body.code, 'INVALID_FILTER_FIELD');
+    assert.match(res.body.details[0].message, /^valid fields: id, status, priority/);
+  }
+
+  const body = list('post-search', { filterFrom: 'body', body: { filter: { field: 'colour', op: 'eq', value: 'red' } } });
+  assert.strictEqual(body.statusCode, 400);
+  assert.strictEqual(body.body.details[0].field, 'colour');
+
+  assert.deepStrictEqual(list('simple', { query: { status: 'pending' } }).body.items.map(t => t.id), ['t1']);
+  clearAll(COLLECTION);
+});
+
+test('list handler — a failing query returns 500 instead of an empty list', () => {
+  clearAll(COLLECTION);
+  const db = getDatabase(COLLECTION);
+  db.exec('ALTER TABLE resources RENAME TO resources_hidden');
+
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    const res = list('simple', { query: { status: 'pending' } });
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.code, 'INTERNAL_ERROR');
+    assert.match(res.body.details[0].message, /no such table: resources/);
+  } finally {
+    console.error = errors;
+    db.exec('ALTER TABLE resources_hidden RENAME TO resources');
+  }
+});
+
+test('list handler — filtered style applies typed query parameters', () => {
+  clearAll(COLLECTION);
+  for (const task of tasks) insertResource(COLLECTION, task);
+
+  const res = list('filtered', { query: { status: 'pending,escalated,completed', 'createdAt[lt]': '2026-01-12' } });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.items.map(t => t.id).sort(), ['t1', 't3']);
+
+  assert.strictEqual(list('filtered', { query: { isExpedited: 'maybe' } }).statusCode, 400);
+  clearAll(COLLECTION);
+});
+
+test('list handler — post-search reads the filter and q from the body', () => {
+  clearAll(COLLECTION);
+  for (const task of tasks) insertResource(COLLECTION, task);
+
+  const res = list('post-search', {
+    filterFrom: 'body',
+    query: { limit: '10' },
+    body: { filter: { or: [{ field: 'priority', op: 'eq', value: 'high' }, { field: 'queueId', op: 'eq', value: 'q2' }] }, q: '-status:escalated' }
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.items.map(t => t.id).sort(), ['t1', 't4']);
+  assert.strictEqual(res.body.total, 2);
+
+  const bad = list('post-search', { filterFrom: 'body', body: { filter: { field: 'status', op: 'regex', value: '.*' } } });
+  assert.strictEqual(bad.statusCode, 400);
+  assert.strictEqual(bad.body.details[0].field, 'filter.op');
+
+  const all = list('post-search', { filterFrom: 'body', body: {} });
+  assert.strictEqual(all.body.total, 4);
+  clearAll(COLLECTION);
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the Idempotency-Key middleware
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  createIdempotencyMiddleware,
+  findIdempotencyEntry,
+  fingerprintRequest,
+  clearIdempotencyKeys
+} from '../../src/idempotency.js';
+import { setClock, resetClock } from '../../src/clock.js';
+
+function createRequest({ key, callerId = 'worker-1', body = { name: 'Test' }, url = '/applications' } = {}) {
+  const headers = { 'x-caller-id': callerId };
+  if (key !== undefined) headers['idempotency-key'] = key;
+  return { method: 'POST', originalUrl: url, headers, body };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(res.headers, name);
+      else res.headers[name] = value;
+      return res;
+    },
+    get(name) { return res.headers[name]; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+}
+
+/**
+ * Run a request through the middleware and a handler that counts its calls.
+ */
+function run(middleware, req, calls) {
+  const res = createResponse();
+  middleware(req, res, () => {
+    calls.count++;
+    res.status(201).set('Location', `/applications/app-${calls.count}`).json({ id: `app-${calls.count}` });
+  });
+  return res;
+}
+
+test('fingerprintRequest — ignores key order but not values', () => {
+  const a = fingerprintRequest(createRequest({ body: { a: 1, b: { c: 2, d: 3 } } }));
+  const b = fingerprintRequest(createRequest({ body: { b: { d: 3, c: 2 }, a: 1 } }));
+  const c = fingerprintRequest(createRequest({ body: { a: 2, b: { c: 2, d: 3 } } }));
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(a, c);
+});
+
+test('middleware — passes through without a key', () => {
+  clearIdempotencyKeys();
+  const calls = { count: 0 };
+  const res = run(createIdempotencyMiddleware(), createRequest(), calls);
+  assert.strictEqual(calls.count, 1);
+  assert.strictEqual(res.headers['Idempotent-Replayed'], undefined);
+});
+
+test('middleware — replays the stored response for a retry', () => {
+  clearIdempotencyKeys();
+  const middleware = createIdempotencyMiddleware();
+  const calls = { count: 0 };
+
+  const first = run(middleware, createRequest({ key: 'key-1' }), calls);
+  const retry = run(middleware, createRequest({ key: 'key-1' }), calls);
+
+  assert.strictEqual(calls.count, 1);
+  assert.strictEqual(first.headers['Idempotent-Replayed'], 'false');
+  assert.strictEqual(retry.headers['Idempotent-Replayed'], 'true');
+  assert.strictEqual(retry.statusCode, 201);
+  assert.strictEqual(retry.headers.Location, '/applications/app-1');
+  assert.deepStrictEqual(retry.body, { id: 'app-1' });
+});
+
+test('middleware — reusing a key with a different body returns 422', () => {
+  clearIdempotencyKeys();
+  const middleware = createIdempotencyMiddleware();
+  const calls = { count: 0 };
+
+  run(middleware, createRequest({ key: 'key-2' }), calls);
+  const reused = run(middleware, createRequest({ key: 'key-2', body: { name: 'Other' } }), calls);
+
+  assert.strictEqual(calls.count, 1);
+  assert.strictEqual(reused.statusCode, 422);
+  assert.strictEqual(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('middleware — keys are scoped per caller', () => {
+  clearIdempotencyKeys();
+  const middleware = createIdempotencyMiddleware();
+  const calls = { count: 0 };
+
+  run(middleware, createRequest({ key: 'key-3', callerId: 'worker-1' }), calls);
+  const other = run(middleware, createRequest({ key: 'key-3', callerId: 'worker-2' }), calls);
+
+  assert.strictEqual(calls.count, 2);
+  assert.strictEqual(other.headers['Idempotent-Replayed'], 'false');
+});
+
+test('middleware — server errors are not stored', () => {
+  clearIdempotencyKeys();
+  const middleware = createIdempotencyMiddleware();
+  const res = createResponse();
+  middleware(createRequest({ key: 'key-4' }), res, () => res.status(500).json({ code: 'INTERNAL_ERROR' }));
+
+  assert.strictEqual(findIdempotencyEntry('worker-1', 'key-4'), null);
+});
+
+test('middleware — keys expire after 24 hours', () => {
+  clearIdempotencyKeys();
+  const middleware = createIdempotencyMiddleware();
+  const calls = { count: 0 };
+  const start = new Date('2026-06-01T12:00:00Z');
+
+  setClock(start);
+  run(middleware, createRequest({ key: 'key-5' }), calls);
+  setClock(new Date(start.getTime() + 25 * 60 * 60 * 1000));
+  const later = run(middleware, createRequest({ key: 'key-5' }), calls);
+  resetClock();
+
+  assert.strictEqual(calls.count, 2);
+  assert.strictEqual(later.headers['Idempotent-Replayed'], 'false');
+});
+
+test('middleware — required keys reject requests without one', () => {
+  const calls = { count: 0 };
+  const res = run(createIdempotencyMiddleware({ required: true }), createRequest(), calls);
+
+  assert.strictEqual(calls.count, 0);
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'IDEMPOTENCY_KEY_MISSING');
+  clearIdempotencyKeys();
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for schema-derived SQLite indexes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { collectIndexes, collectCollectionSchemas } from '../../src/indexes.js';
+import { getDatabase, syncIndexes, insertResource, clearAll } from '../../src/database-manager.js';
+import { buildSearchConditions } from '../../src/search-engine.js';
+import { jsonExtract } from '../../src/query-parser.js';
+
+const COLLECTION = 'indextests';
+
+const taskSchema = {
+  type: 'object',
+  'x-index': [['queueId', 'status'], 'dueDate'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'completed'] },
+    priority: { type: 'string', enum: ['low', 'high'], 'x-index': false },
+    queueId: { type: 'string', format: 'uuid', 'x-relationship': { resource: 'Queue' } },
+    dueDate: { type: 'string', format: 'date' },
+    slaDeadline: { type: 'string', format: 'date-time', 'x-index': true },
+    assignee: { type: 'object', properties: { role: { type: 'string', enum: ['worker', 'supervisor'] } } },
+    notes: { type: 'array', items: { type: 'object', properties: { kind: { type: 'string', enum: ['a', 'b'] } } } },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+test('collectIndexes - derives indexes from the schema and x-index', () => {
+  const { indexes, problems } = collectIndexes(taskSchema);
+
+  assert.deepStrictEqual(indexes, [
+    ['status'],
+    ['queueId'],
+    ['slaDeadline'],
+    ['assignee.role'],
+    ['createdAt'],
+    ['queueId', 'status'],
+    ['dueDate']
+  ], 'enums, foreign keys, x-index: true, and timestamps, then the schema-level list');
+  assert.deepStrictEqual(problems, []);
+});
+
+test('collectIndexes - reports x-index entries that are not scalar fields', () => {
+  const { indexes, problems } = collectIndexes({
+    'x-index': ['missing', ['status', 'notes'], []],
+    properties: { status: { type: 'string' }, notes: { type: 'array', items: { type: 'string' } } }
+  });
+
+  assert.deepStrictEqual(indexes, []);
+  assert.strictEqual(problems.length, 3);
+});
+
+test('collectCollectionSchemas - uses the item GET response of each collection', () => {
+  const schemas = collectCollectionSchemas({
+    endpoints: [
+      { path: '/tasks', method: 'GET', responseSchema: { type: 'object' } },
+      { path: '/tasks/{taskId}', method: 'GET', responseSchema: taskSchema },
+      { path: '/tasks/{taskId}/claim', method: 'POST', responseSchema: { type: 'object' } },
+      { path: '/queues/{queueId}', method: 'PATCH', responseSchema: { type: 'object' } }
+    ]
+  });
+
+  assert.deepStrictEqual([...schemas.keys()], ['tasks']);
+  assert.strictEqual(schemas.get('tasks'), taskSchema);
+});
+
+test('syncIndexes - creates and drops indexes, and queries use them', () => {
+  clearAll(COLLECTION);
+  const db = getDatabase(COLLECTION);
+  const indexNames = () => db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'resources' AND name LIKE 'idx%' ORDER BY name"
+  ).all().map(row => row.name);
+
+  assert.deepStrictEqual(syncIndexes(COLLECTION, [['email'], ['name.lastName']]), ['idx_email', 'idx_name_lastName']);
+  assert.deepStrictEqual(syncIndexes(COLLECTION, [['queueId'], ['queueId', 'status']]), ['idx_queueId', 'idx_queueId__status']);
+  assert.deepStrictEqual(indexNames(), ['idx_queueId', 'idx_queueId__status'], 'indexes no longer wanted are dropped');
+
+  assert.deepStrictEqual(jsonExtract('queueId'), { sql: "json_extract(data, '$.queueId')", params: [] }, 'indexed paths are written out');
+  assert.deepStrictEqual(jsonExtract('priority'), { sql: 'json_extract(data, ?)', params: ['$.priority'] }, 'other paths stay bound');
+
+  insertResource(COLLECTION, { id: 't1', queueId: 'q1', status: 'pending' });
+  const { whereClauses, params } = buildSearchConditions({ q: 'queueId:q1 status:pending' }, []);
+  const sql = `SELECT id FROM resources WHERE ${whereClauses.join(' AND ')}`;
+  const plan = db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params).map(row => row.detail).join(' ');
+  assert.match(plan, /USING INDEX idx_queueId/);
+  assert.deepStrictEqual(db.prepare(sql).all(...params), [{ id: 't1' }]);
+
+  syncIndexes(COLLECTION, []);
+  assert.deepStrictEqual(indexNames(), []);
+  clearAll(COLLECTION);
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the NATS-compatible broker
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import net from 'net';
+import { startNatsBroker, subjectMatches } from '../../src/nats-broker.js';
+
+/**
+ * Connect a raw protocol client that collects everything the broker sends.
+ */
+async function connect(port) {
+  const socket = net.connect(port, '127.0.0.1');
+  let received = '';
+  socket.on('data', chunk => { received += chunk.toString('utf8'); });
+  await new Promise(resolve => socket.once('connect', resolve));
+
+  return {
+    send: text => socket.write(text),
+    received: () => received,
+    /** Wait until the broker has sent text matching `pattern`. */
+    async waitFor(pattern) {
+      for (let i = 0; i < 100; i++) {
+        if (pattern.test(received)) return received;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error(`Timed out waiting for ${pattern}; received: ${JSON.stringify(received)}`);
+    },
+    close: () => socket.destroy()
+  };
+}
+
+test('subjectMatches — literal tokens, * for one token, > for the rest', () => {
+  assert.strictEqual(subjectMatches('a.b.c', 'a.b.c'), true);
+  assert.strictEqual(subjectMatches('a.*.c', 'a.b.c'), true);
+  assert.strictEqual(subjectMatches('a.*', 'a.b.c'), false);
+  assert.strictEqual(subjectMatches('a.>', 'a.b.c'), true);
+  assert.strictEqual(subjectMatches('a.>', 'a'), false);
+  assert.strictEqual(subjectMatches('a.b.c.d', 'a.b.c'), false);
+});
+
+test('startNatsBroker — delivers published events to matching subscriptions', async () => {
+  const broker = await startNatsBroker({ host: '127.0.0.1', port: 0 });
+  const client = await connect(broker.port);
+  try {
+    await client.waitFor(/^INFO \{.*"headers":false.*\}\r\n/);
+    client.send('CONNECT {"verbose":true}\r\nSUB org.codeforamerica.safetynet.workflow.> 7\r\nSUB other.subject 8\r\nPING\r\n');
+    await client.waitFor(/PONG\r\n/);
+    assert.match(client.received(), /\+OK\r\n\+OK\r\n\+OK\r\nPONG/);
+
+    broker.publish('org.codeforamerica.safetynet.workflow.task.claimed', '{"action":"claimed"}');
+    const received = await client.waitFor(/MSG .* 7 20\r\n\{"action":"claimed"\}\r\n/);
+    assert.ok(!received.includes(' 8 '), 'non-matching subscriptions receive nothing');
+
+    assert.throws(() => broker.publish('workflow.*', 'x'), /Invalid NATS subject/);
+  } finally {
+    client.close();
+    await broker.close();
+  }
+});
+
+test('startNatsBroker — routes client PUBs, balances queue groups, and honors UNSUB limits', async () => {
+  const broker = await startNatsBroker({ host: '127.0.0.1', port: 0 });
+  const first = await connect(broker.port);
+  const second = await connect(broker.port);
+  const publisher = await connect(broker.port);
+  try {
+    first.send('CONNECT {}\r\nSUB jobs workers 1\r\nSUB once 2\r\nUNSUB 2 1\r\nPING\r\n');
+    second.send('CONNECT {}\r\nSUB jobs workers 1\r\nPING\r\n');
+    await first.waitFor(/PONG/);
+    await second.waitFor(/PONG/);
+
+    publisher.send('CONNECT {}\r\nPUB jobs 3\r\none\r\nPUB jobs 3\r\ntwo\r\nPUB once 1\r\na\r\nPUB once 1\r\nb\r\nPING\r\n');
+    await publisher.waitFor(/PONG/);
+    // Everything routed before the publisher's PONG reaches the subscribers before their next PONG
+    first.send('PING\r\n');
+    second.send('PING\r\n');
+    await first.waitFor(/PONG[\s\S]*PONG/);
+    await second.waitFor(/PONG[\s\S]*PONG/);
+    assert.match(first.received(), /MSG once 2 1\r\na\r\n/);
+
+    const jobs = [first, second].map(client => [...client.received().matchAll(/MSG jobs 1 3\r\n(\w+)\r\n/g)].map(m => m[1]));
+    assert.deepStrictEqual(jobs.flat().sort(), ['one', 'two'], 'each queued message goes to one member');
+    assert.strictEqual(jobs[0].length, 1, 'queue members take turns');
+    assert.ok(!first.received().includes('MSG once 2 1\r\nb'), 'UNSUB with a limit stops after that many messages');
+
+    publisher.send('FOO\r\n');
+    await publisher.waitFor(/-ERR 'Unknown Protocol Operation'/);
+  } finally {
+    first.close();
+    second.close();
+    publisher.close();
+    await broker.close();
+  }
+});
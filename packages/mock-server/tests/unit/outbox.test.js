@@ -0,0 +1,185 @@
+/**
+ * Unit tests for the transactional outbox, its relay, and event sinks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  OUTBOX_COLLECTION,
+  setEventSinks,
+  getEventSinks,
+  relayOutbox,
+  getOutboxStatus,
+  clearOutbox
+} from '../../src/outbox.js';
+import { createEventSink, parseEventSinkNames } from '../../src/event-sinks.js';
+import { emitDomainEvent } from '../../src/domain-events.js';
+import { transaction, findAll, findById } from '../../src/database-manager.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const taskMachine = { domain: 'workflow', object: 'Task' };
+
+function emit(action, resourceId = 'outbox-task-1') {
+  return emitDomainEvent(taskMachine, {
+    action,
+    resourceId,
+    performedById: 'worker-1',
+    occurredAt: '2026-03-02T10:00:00Z',
+    data: { note: action }
+  });
+}
+
+/**
+ * Sink that records published actions, and throws while `failing` is set.
+ */
+function recordingSink(name) {
+  const sink = {
+    name,
+    actions: [],
+    failing: false,
+    publish(event) {
+      if (sink.failing) throw new Error(`${name} unavailable`);
+      sink.actions.push(event.action);
+    }
+  };
+  return sink;
+}
+
+/**
+ * Run a test body with the given sinks, restoring the defaults afterwards.
+ */
+function withSinks(sinks, fn) {
+  const original = getEventSinks();
+  clearOutbox();
+  setEventSinks(sinks);
+  try {
+    fn();
+  } finally {
+    setEventSinks(original);
+    clearOutbox();
+  }
+}
+
+test('outbox — events are published to every sink after the unit of work commits', () => {
+  const a = recordingSink('a');
+  const b = recordingSink('b');
+  withSinks([a, b], () => {
+    let seenInside;
+    const event = transaction(() => {
+      const stored = emit('claimed');
+      seenInside = [...a.actions];
+      return stored;
+    });
+
+    assert.deepStrictEqual(seenInside, [], 'nothing is published before commit');
+    assert.deepStrictEqual(a.actions, ['claimed']);
+    assert.deepStrictEqual(b.actions, ['claimed']);
+
+    const [entry] = findAll(OUTBOX_COLLECTION, { eventId: event.id }).items;
+    assert.strictEqual(entry.status, 'published');
+    assert.deepStrictEqual(entry.publishedTo, ['a', 'b']);
+    assert.ok(entry.publishedAt);
+    assert.deepStrictEqual(getOutboxStatus(), { sinks: ['a', 'b'], pending: 0, published: 1, oldestPendingAt: null });
+  });
+});
+
+test('outbox — a rolled-back unit of work records and publishes nothing', () => {
+  const a = recordingSink('a');
+  withSinks([a], () => {
+    assert.throws(() => transaction(() => {
+      emit('claimed');
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.deepStrictEqual(a.actions, []);
+    assert.strictEqual(getOutboxStatus().pending + getOutboxStatus().published, 0);
+  });
+});
+
+test('outbox — a failing sink keeps events pending, in order, and is retried alone', () => {
+  const healthy = recordingSink('healthy');
+  const flaky = recordingSink('flaky');
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    withSinks([healthy, flaky], () => {
+      flaky.failing = true;
+      const first = emit('claimed');
+      const second = emit('completed');
+
+      assert.deepStrictEqual(healthy.actions, ['claimed', 'completed']);
+      assert.deepStrictEqual(flaky.actions, []);
+      const entry = findAll(OUTBOX_COLLECTION, { eventId: first.id }).items[0];
+      assert.strictEqual(entry.status, 'pending');
+      assert.deepStrictEqual(entry.publishedTo, ['healthy']);
+      assert.strictEqual(entry.lastError, 'flaky: flaky unavailable');
+      assert.strictEqual(getOutboxStatus().pending, 2);
+
+      // A sink that fails gets no later events in the same pass: "completed"
+      // reached the healthy sink but was never tried on the flaky one
+      const held = findAll(OUTBOX_COLLECTION, { eventId: second.id }).items[0];
+      assert.deepStrictEqual(held.publishedTo, ['healthy']);
+      assert.strictEqual(held.lastError, null);
+
+      flaky.failing = false;
+      assert.deepStrictEqual(relayOutbox(), { published: 2, pending: 0 });
+      assert.deepStrictEqual(flaky.actions, ['claimed', 'completed']);
+      assert.deepStrictEqual(healthy.actions, ['claimed', 'completed'], 'sinks that succeeded are not repeated');
+      assert.strictEqual(findById(OUTBOX_COLLECTION, entry.id).lastError, null);
+    });
+  } finally {
+    console.error = errors;
+  }
+});
+
+test('outbox — events recorded while relaying are published in the same pass', () => {
+  const chained = recordingSink('chained');
+  const publish = chained.publish;
+  chained.publish = (event) => {
+    publish(event);
+    if (event.action === 'claimed') emit('escalated');
+  };
+  withSinks([chained], () => {
+    emit('claimed');
+    assert.deepStrictEqual(chained.actions, ['claimed', 'escalated']);
+    assert.strictEqual(getOutboxStatus().pending, 0);
+  });
+});
+
+test('event sinks — the file sink appends NDJSON, optionally as CloudEvents', () => {
+  const file = join(__dirname, `tmp-events-${Date.now()}.ndjson`);
+  try {
+    let claimed;
+    let completed;
+    withSinks([createEventSink('file', { file })], () => { claimed = emit('claimed'); });
+    withSinks([createEventSink('file', { file, format: 'cloudevents' })], () => { completed = emit('completed'); });
+
+    const [plain, cloudEvent] = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(plain, claimed);
+    assert.strictEqual(cloudEvent.type, 'org.codeforamerica.safetynet.workflow.task.completed');
+    assert.strictEqual(cloudEvent.id, completed.id);
+  } finally {
+    rmSync(file, { force: true });
+  }
+});
+
+test('event sinks — names are parsed, validated, and need their options', () => {
+  assert.deepStrictEqual(parseEventSinkNames(undefined), ['sse', 'webhook']);
+  assert.deepStrictEqual(parseEventSinkNames(' stdout, nats ,stdout'), ['stdout', 'nats']);
+  assert.throws(() => createEventSink('kafka'), /Unknown event sink "kafka"/);
+  assert.throws(() => createEventSink('file'), /needs a file path/);
+  assert.throws(() => createEventSink('nats'), /needs a running broker/);
+  assert.throws(() => createEventSink('stdout', { format: 'xml' }), /Unknown event format "xml"/);
+});
+
+test('event sinks — the nats sink publishes on the CloudEvents type', () => {
+  const published = [];
+  const broker = { publish: (subject, payload) => published.push({ subject, payload: JSON.parse(payload) }) };
+  withSinks([createEventSink('nats', { broker })], () => {
+    const event = emit('completed');
+    assert.deepStrictEqual(published, [{ subject: 'org.codeforamerica.safetynet.workflow.task.completed', payload: event }]);
+  });
+});
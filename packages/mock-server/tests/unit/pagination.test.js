@@ -0,0 +1,174 @@
+/**
+ * Unit tests for pagination styles (offset, cursor, page, links)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  encodeCursor,
+  decodeCursor,
+  parsePageRequest,
+  paginateSorted,
+  buildPageFields
+} from '../../src/pagination.js';
+import { parseSort, compareBySort, collectFieldInfo } from '../../src/search-engine.js';
+import { createListHandler } from '../../src/handlers/list-handler.js';
+import { insertResource, clearAll } from '../../src/database-manager.js';
+
+const COLLECTION = 'paginationtests';
+
+const itemSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    priority: { type: 'string', enum: ['high', 'normal', 'low'] },
+    dueDate: { type: 'string' },
+    createdAt: { type: 'string' }
+  }
+};
+const sortFields = collectFieldInfo(itemSchema);
+
+// Ten records; priorities and due dates repeat so the id tiebreaker matters
+const records = Array.from({ length: 10 }, (_, i) => ({
+  id: `p-${String(i).padStart(2, '0')}`,
+  priority: ['high', 'normal', 'low'][i % 3],
+  ...(i % 4 !== 0 && { dueDate: `2026-02-0${(i % 3) + 1}` }),
+  createdAt: `2026-01-${String(i + 1).padStart(2, '0')}T00:00:00Z`
+}));
+
+const defaults = { limitDefault: 4, limitMax: 100 };
+
+function seed() {
+  clearAll(COLLECTION);
+  for (const record of records) insertResource(COLLECTION, record);
+}
+
+function list(style, query) {
+  const endpoint = {
+    path: `/${COLLECTION}`,
+    collectionName: COLLECTION,
+    parameters: [],
+    responseSchema: { type: 'object', properties: { items: { type: 'array', items: itemSchema } } }
+  };
+  const handler = createListHandler({ schemas: {}, pagination: { ...defaults, style } }, endpoint);
+  const search = new URLSearchParams(query).toString();
+  const res = {
+    statusCode: 200,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  handler({ query, originalUrl: `/${COLLECTION}${search ? `?${search}` : ''}` }, res);
+  return res;
+}
+
+function expectedOrder(sortParam) {
+  const { sort } = parseSort(sortParam, sortFields);
+  return [...records].sort(compareBySort(sort)).map(r => r.id);
+}
+
+test('cursor — encodes opaque tokens that decode only for the same sort', () => {
+  const { sort } = parseSort('priority,-dueDate', sortFields);
+  const token = encodeCursor(records[1], sort);
+
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(decodeCursor(token, sort), {
+    values: ['normal', '2026-02-02'],
+    id: 'p-01',
+    direction: 'next'
+  });
+  assert.strictEqual(decodeCursor(token, parseSort('priority', sortFields).sort), null);
+  assert.strictEqual(decodeCursor('not-a-cursor', sort), null);
+});
+
+test('offset — keeps limit/offset fields', () => {
+  seed();
+  const res = list('offset', { limit: '3', offset: '3' });
+
+  assert.deepStrictEqual(Object.keys(res.body), ['items', 'total', 'limit', 'offset', 'hasNext']);
+  assert.deepStrictEqual(res.body.items.map(r => r.id), expectedOrder(undefined).slice(3, 6));
+  clearAll(COLLECTION);
+});
+
+test('cursor — walks every record once in sort order, with nulls and ties', () => {
+  seed();
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const res = list('cursor', { sort: 'priority,-dueDate', ...(cursor && { cursor }) });
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(Object.keys(res.body), ['items', 'total', 'cursor', 'hasNext']);
+    assert.strictEqual(res.body.total, 10);
+    seen.push(...res.body.items.map(r => r.id));
+    cursor = res.body.cursor;
+    pages++;
+  } while (cursor && pages < 10);
+
+  assert.strictEqual(pages, 3);
+  assert.deepStrictEqual(seen, expectedOrder('priority,-dueDate'));
+  clearAll(COLLECTION);
+});
+
+test('cursor — next page is stable when records are inserted before it', () => {
+  seed();
+  const first = list('cursor', { sort: 'createdAt' });
+  insertResource(COLLECTION, { id: 'p-early', priority: 'low', createdAt: '2025-12-31T00:00:00Z' });
+
+  const second = list('cursor', { sort: 'createdAt', cursor: first.body.cursor });
+  assert.deepStrictEqual(second.body.items.map(r => r.id), ['p-04', 'p-05', 'p-06', 'p-07']);
+  clearAll(COLLECTION);
+});
+
+test('cursor — rejects a cursor issued for a different sort', () => {
+  seed();
+  const first = list('cursor', { sort: 'createdAt' });
+  const res = list('cursor', { sort: '-createdAt', cursor: first.body.cursor });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'INVALID_CURSOR');
+  clearAll(COLLECTION);
+});
+
+test('page — page/pageSize select the page', () => {
+  seed();
+  const res = list('page', { page: '3', pageSize: '4' });
+
+  assert.deepStrictEqual(Object.keys(res.body), ['items', 'total', 'page', 'pageSize', 'hasNext']);
+  assert.deepStrictEqual(res.body.items.map(r => r.id), expectedOrder(undefined).slice(8, 10));
+  assert.strictEqual(res.body.page, 3);
+  assert.strictEqual(res.body.hasNext, false);
+  clearAll(COLLECTION);
+});
+
+test('links — next and prev links page forwards and back', () => {
+  seed();
+  const linkQuery = link => Object.fromEntries(new URL(link, 'http://localhost').searchParams);
+
+  const first = list('links', { sort: 'priority', limit: '4' });
+  assert.strictEqual(first.body.links.self, `/${COLLECTION}?sort=priority&limit=4`);
+  assert.strictEqual(first.body.links.prev, null);
+
+  const second = list('links', linkQuery(first.body.links.next));
+  const back = list('links', linkQuery(second.body.links.prev));
+
+  const order = expectedOrder('priority');
+  assert.deepStrictEqual(second.body.items.map(r => r.id), order.slice(4, 8));
+  assert.deepStrictEqual(back.body.items.map(r => r.id), order.slice(0, 4));
+  assert.strictEqual(back.body.links.prev, null);
+  assert.ok(back.body.links.next);
+  clearAll(COLLECTION);
+});
+
+test('paginateSorted — in-memory cursor paging matches SQL ordering', () => {
+  const { sort } = parseSort('priority,-dueDate', sortFields);
+  const sorted = [...records].sort(compareBySort(sort));
+  const { page } = parsePageRequest({ limit: '4' }, 'links', defaults, sort);
+
+  const first = paginateSorted(sorted, page, sort);
+  const fields = buildPageFields('links', { ...first, total: sorted.length }, { page, sort, url: '/search?limit=4' });
+  const next = parsePageRequest(Object.fromEntries(new URL(fields.links.next, 'http://localhost').searchParams), 'links', defaults, sort);
+  const second = paginateSorted(sorted, next.page, sort);
+
+  assert.deepStrictEqual(second.items.map(r => r.id), sorted.slice(4, 8).map(r => r.id));
+  assert.strictEqual(second.hasPrev, true);
+});
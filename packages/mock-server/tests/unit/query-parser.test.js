@@ -3,10 +3,12 @@
  * Run with: node tests/mock-server/unit/query-parser.test.js
  */
 
+import Database from 'better-sqlite3';
 import {
   parseTerm,
-  parseQueryString,
-  tokensToSqlConditions,
+  parseQuery,
+  queryToSqlCondition,
+  fieldToJsonPath,
   TokenType
 } from '../../src/query-parser.js';
 
@@ -195,189 +197,290 @@ function runTests() {
   });
 
   // ============================================================
-  // parseQueryString tests
+  // parseQuery tests - Terms
   // ============================================================
-  console.log('\n--- parseQueryString ---\n');
+  console.log('\n--- parseQuery: Terms ---\n');
 
-  test('returns empty array for empty input', () => {
-    assertEqual(parseQueryString(''), []);
-    assertEqual(parseQueryString(null), []);
-    assertEqual(parseQueryString(undefined), []);
+  test('returns no query for empty input', () => {
+    assertEqual(parseQuery(''), { query: null, error: null });
+    assertEqual(parseQuery(null), { query: null, error: null });
+    assertEqual(parseQuery(undefined), { query: null, error: null });
   });
 
   test('parses single term', () => {
-    const result = parseQueryString('status:approved');
-    assertEqual(result.length, 1);
-    assertEqual(result[0].type, TokenType.EXACT);
-    assertEqual(result[0].field, 'status');
-    assertEqual(result[0].value, 'approved');
+    const { query } = parseQuery('status:approved');
+    assertEqual(query.type, TokenType.EXACT);
+    assertEqual(query.field, 'status');
+    assertEqual(query.value, 'approved');
   });
 
   test('parses multiple space-separated terms', () => {
-    const result = parseQueryString('status:approved income:>=1000');
-    assertEqual(result.length, 2);
-    assertEqual(result[0].field, 'status');
-    assertEqual(result[1].field, 'income');
-    assertEqual(result[1].type, TokenType.GREATER_THAN_OR_EQUAL);
+    const { and } = parseQuery('status:approved income:>=1000').query;
+    assertEqual(and.length, 2);
+    assertEqual(and[0].field, 'status');
+    assertEqual(and[1].field, 'income');
+    assertEqual(and[1].type, TokenType.GREATER_THAN_OR_EQUAL);
   });
 
   test('parses complex query with multiple operators', () => {
-    const result = parseQueryString('status:approved,pending income:>1000 -state:TX');
-    assertEqual(result.length, 3);
-    assertEqual(result[0].type, TokenType.IN);
-    assertEqual(result[0].value, ['approved', 'pending']);
-    assertEqual(result[1].type, TokenType.GREATER_THAN);
-    assertEqual(result[2].type, TokenType.NOT_EQUAL);
+    const { and } = parseQuery('status:approved,pending income:>1000 -state:TX').query;
+    assertEqual(and.length, 3);
+    assertEqual(and[0].type, TokenType.IN);
+    assertEqual(and[0].value, ['approved', 'pending']);
+    assertEqual(and[1].type, TokenType.GREATER_THAN);
+    assertEqual(and[2].type, TokenType.NOT_EQUAL);
   });
 
   test('handles mixed full-text and field searches', () => {
-    const result = parseQueryString('john status:active');
-    assertEqual(result.length, 2);
-    assertEqual(result[0].type, TokenType.FULL_TEXT);
-    assertEqual(result[0].value, 'john');
-    assertEqual(result[1].type, TokenType.EXACT);
+    const { and } = parseQuery('john status:active').query;
+    assertEqual(and.length, 2);
+    assertEqual(and[0].type, TokenType.FULL_TEXT);
+    assertEqual(and[0].value, 'john');
+    assertEqual(and[1].type, TokenType.EXACT);
   });
 
   // ============================================================
-  // tokensToSqlConditions tests
+  // queryToSqlCondition tests - Terms
   // ============================================================
-  console.log('\n--- tokensToSqlConditions ---\n');
+  console.log('\n--- queryToSqlCondition: Terms ---\n');
 
   test('generates full-text exact match SQL', () => {
-    const tokens = [{ type: TokenType.FULL_TEXT, field: null, value: 'john' }];
+    const token = { type: TokenType.FULL_TEXT, field: null, value: 'john' };
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { clause, params } = queryToSqlCondition(token, searchableFields);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params.length, 2);
-    assertEqual(params[0], 'john');
-    assertEqual(params[1], 'john');
+    assertEqual(clause, "(LOWER(COALESCE(json_extract(data, ?), '')) = LOWER(?) OR LOWER(COALESCE(json_extract(data, ?), '')) = LOWER(?))");
+    assertEqual(params, ['$.name', 'john', '$.email', 'john']);
   });
 
   test('generates full-text contains SQL (*value*)', () => {
-    const tokens = [{ type: TokenType.FULL_TEXT_CONTAINS, field: null, value: 'john' }];
+    const token = { type: TokenType.FULL_TEXT_CONTAINS, field: null, value: 'john' };
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { clause, params } = queryToSqlCondition(token, searchableFields);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params.length, 2);
-    assertEqual(params[0], '%john%');
-    assertEqual(params[1], '%john%');
+    assertEqual(clause !== null, true);
+    assertEqual(params, ['$.name', '%john%', '$.email', '%john%']);
   });
 
   test('generates full-text starts with SQL (value*)', () => {
-    const tokens = [{ type: TokenType.FULL_TEXT_STARTS_WITH, field: null, value: 'john' }];
+    const token = { type: TokenType.FULL_TEXT_STARTS_WITH, field: null, value: 'john' };
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { clause, params } = queryToSqlCondition(token, searchableFields);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params[0], 'john%');
+    assertEqual(clause !== null, true);
+    assertEqual(params[1], 'john%');
   });
 
   test('generates full-text ends with SQL (*value)', () => {
-    const tokens = [{ type: TokenType.FULL_TEXT_ENDS_WITH, field: null, value: 'smith' }];
+    const token = { type: TokenType.FULL_TEXT_ENDS_WITH, field: null, value: 'smith' };
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { clause, params } = queryToSqlCondition(token, searchableFields);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params[0], '%smith');
+    assertEqual(clause !== null, true);
+    assertEqual(params[1], '%smith');
+  });
+
+  test('adds no condition for full-text terms without searchable fields', () => {
+    const token = { type: TokenType.FULL_TEXT, field: null, value: 'john' };
+    assertEqual(queryToSqlCondition(token, []), { clause: null, params: [] });
   });
 
   test('generates exact match SQL', () => {
-    const tokens = [{ type: TokenType.EXACT, field: 'status', value: 'approved' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.EXACT, field: 'status', value: 'approved' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(whereClauses[0], "json_extract(data, '$.status') = ?");
-    assertEqual(params, ['approved']);
+    assertEqual(clause, 'json_extract(data, ?) = ?');
+    assertEqual(params, ['$.status', 'approved']);
   });
 
   test('generates contains SQL (field:*value*)', () => {
-    const tokens = [{ type: TokenType.CONTAINS, field: 'name', value: 'john' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.CONTAINS, field: 'name', value: 'john' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params, ['%john%']);
+    assertEqual(clause, "LOWER(COALESCE(json_extract(data, ?), '')) LIKE LOWER(?)");
+    assertEqual(params, ['$.name', '%john%']);
   });
 
   test('generates starts with SQL (field:value*)', () => {
-    const tokens = [{ type: TokenType.STARTS_WITH, field: 'name', value: 'john' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.STARTS_WITH, field: 'name', value: 'john' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params, ['john%']);
+    assertEqual(clause !== null, true);
+    assertEqual(params, ['$.name', 'john%']);
   });
 
   test('generates ends with SQL (field:*value)', () => {
-    const tokens = [{ type: TokenType.ENDS_WITH, field: 'email', value: '@example.com' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.ENDS_WITH, field: 'email', value: '@example.com' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params, ['%@example.com']);
+    assertEqual(clause !== null, true);
+    assertEqual(params, ['$.email', '%@example.com']);
   });
 
   test('generates not equal SQL', () => {
-    const tokens = [{ type: TokenType.NOT_EQUAL, field: 'status', value: 'rejected' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.NOT_EQUAL, field: 'status', value: 'rejected' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(params, ['rejected']);
+    assertEqual(clause, '(json_extract(data, ?) IS NULL OR NOT json_extract(data, ?) = ?)');
+    assertEqual(params, ['$.status', '$.status', 'rejected']);
   });
 
   test('generates greater than SQL', () => {
-    const tokens = [{ type: TokenType.GREATER_THAN, field: 'income', value: 1000 }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.GREATER_THAN, field: 'income', value: 1000 };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(whereClauses[0], "CAST(json_extract(data, '$.income') AS REAL) > ?");
-    assertEqual(params, [1000]);
+    assertEqual(clause, 'CAST(json_extract(data, ?) AS REAL) > ?');
+    assertEqual(params, ['$.income', 1000]);
   });
 
   test('generates IN clause SQL', () => {
-    const tokens = [{ type: TokenType.IN, field: 'status', value: ['a', 'b'] }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.IN, field: 'status', value: ['a', 'b'] };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
+    assertEqual(clause !== null, true);
     // Params should have values for both direct match and array match
-    assertEqual(params, ['a', 'b', 'a', 'b']);
+    assertEqual(params, ['$.status', 'a', 'b', '$.status', 'a', '$.status', 'b']);
   });
 
   test('generates EXISTS SQL', () => {
-    const tokens = [{ type: TokenType.EXISTS, field: 'email', value: null }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.EXISTS, field: 'email', value: null };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(whereClauses[0], "json_extract(data, '$.email') IS NOT NULL");
-    assertEqual(params, []);
+    assertEqual(clause, 'json_extract(data, ?) IS NOT NULL');
+    assertEqual(params, ['$.email']);
   });
 
   test('generates NOT EXISTS SQL', () => {
-    const tokens = [{ type: TokenType.NOT_EXISTS, field: 'deletedAt', value: null }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.NOT_EXISTS, field: 'deletedAt', value: null };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(whereClauses[0], "json_extract(data, '$.deletedAt') IS NULL");
-    assertEqual(params, []);
+    assertEqual(clause, 'json_extract(data, ?) IS NULL');
+    assertEqual(params, ['$.deletedAt']);
   });
 
   test('handles nested field paths', () => {
-    const tokens = [{ type: TokenType.EXACT, field: 'address.city', value: 'Austin' }];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const token = { type: TokenType.EXACT, field: 'address.city', value: 'Austin' };
+    const { clause, params } = queryToSqlCondition(token, []);
 
-    assertEqual(whereClauses.length, 1);
-    assertEqual(whereClauses[0], "json_extract(data, '$.address.city') = ?");
-    assertEqual(params, ['Austin']);
+    assertEqual(clause, 'json_extract(data, ?) = ?');
+    assertEqual(params, ['$.address.city', 'Austin']);
   });
 
   test('combines multiple conditions', () => {
-    const tokens = [
-      { type: TokenType.EXACT, field: 'status', value: 'approved' },
-      { type: TokenType.GREATER_THAN, field: 'income', value: 1000 }
+    const query = {
+      and: [
+        { type: TokenType.EXACT, field: 'status', value: 'approved' },
+        { type: TokenType.GREATER_THAN, field: 'income', value: 1000 }
+      ]
+    };
+    const { clause, params } = queryToSqlCondition(query, []);
+
+    assertEqual(clause, '(json_extract(data, ?) = ? AND CAST(json_extract(data, ?) AS REAL) > ?)');
+    assertEqual(params, ['$.status', 'approved', '$.income', 1000]);
+  });
+
+  test('binds only plain dot paths as JSON paths', () => {
+    assertEqual(fieldToJsonPath('name.lastName'), '$.name.lastName');
+    for (const field of ["status') OR 1=1 --", '$.status', 'items[0]', 'a..b', '']) {
+      let threw = false;
+      try {
+        queryToSqlCondition({ type: TokenType.EXACT, field, value: 'x' }, []);
+      } catch (error) {
+        threw = /Invalid field path/.test(error.message);
+      }
+      assertEqual(threw, true, field);
+    }
+  });
+
+  // ============================================================
+  // parseQuery tests - Boolean grouping
+  // ============================================================
+  console.log('\n--- parseQuery: Boolean grouping ---\n');
+
+  const exact = (field, value) => ({ type: TokenType.EXACT, field, value });
+
+  test('keeps space-separated terms as AND', () => {
+    assertEqual(parseQuery('status:approved income:>=1000').query, {
+      and: [exact('status', 'approved'), { type: TokenType.GREATER_THAN_OR_EQUAL, field: 'income', value: 1000 }]
+    });
+    assertEqual(parseQuery('status:approved AND income:>=1000').query, parseQuery('status:approved income:>=1000').query);
+    assertEqual(parseQuery('').query, null);
+  });
+
+  test('parses OR with lower precedence than AND', () => {
+    assertEqual(parseQuery('a:1 OR b:2 c:3').query, {
+      or: [exact('a', 1), { and: [exact('b', 2), exact('c', 3)] }]
+    });
+  });
+
+  test('parses parentheses and negated groups', () => {
+    assertEqual(parseQuery('(status:pending OR status:escalated) AND -queueId:*').query, {
+      and: [
+        { or: [exact('status', 'pending'), exact('status', 'escalated')] },
+        { type: TokenType.NOT_EXISTS, field: 'queueId', value: null }
+      ]
+    });
+    const negated = { not: { or: [exact('a', 'x'), exact('b', 'y')] } };
+    assertEqual(parseQuery('-(a:x OR b:y)').query, negated);
+    assertEqual(parseQuery('NOT (a:x OR b:y)').query, negated);
+    assertEqual(parseQuery('NOT a:x').query, { not: exact('a', 'x') });
+  });
+
+  test('treats quoted text and lowercase keywords as terms', () => {
+    assertEqual(parseQuery('name:"Smith (OR) Jones"').query, exact('name', 'Smith (OR) Jones'));
+    assertEqual(parseQuery('"OR"').query, { type: TokenType.FULL_TEXT, field: null, value: 'OR' });
+    assertEqual(parseQuery('cats or dogs').query.and.length, 3);
+  });
+
+  test('rejects malformed queries with INVALID_QUERY', () => {
+    const cases = {
+      '(a:x': 'missing closing parenthesis',
+      'a:x)': 'unexpected closing parenthesis',
+      'OR a:x': 'OR must follow a term or group',
+      'a:x OR': 'OR must be followed by a term or group',
+      'a:x AND': 'AND must be followed by a term or group',
+      'NOT': 'NOT must be followed by a term or group',
+      '()': 'empty group',
+      'name:"smith': 'missing closing "',
+      [`${'('.repeat(12)}a:x${')'.repeat(12)}`]: 'groups nest at most 10 levels deep'
+    };
+    for (const [q, message] of Object.entries(cases)) {
+      const { query, error } = parseQuery(q);
+      assertEqual(query, null, q);
+      assertEqual(error.code, 'INVALID_QUERY', q);
+      assertEqual(error.details, [{ field: 'q', message }], q);
+    }
+  });
+
+  test('compiles groups to parameterized SQL', () => {
+    const { clause, params } = queryToSqlCondition(parseQuery('(status:a OR status:b) -(queueId:*)').query);
+    assertEqual(clause, '((json_extract(data, ?) = ? OR json_extract(data, ?) = ?) AND (NOT COALESCE(json_extract(data, ?) IS NOT NULL, 0)))');
+    assertEqual(params, ['$.status', 'a', '$.status', 'b', '$.queueId']);
+    // Full-text terms with no searchable fields add no condition
+    assertEqual(queryToSqlCondition(parseQuery('john OR status:a').query, []).clause, null);
+  });
+
+  test('grouped queries select the expected rows', () => {
+    const db = new Database(':memory:');
+    db.exec('CREATE TABLE resources (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+    const rows = [
+      { id: 't1', status: 'pending', programType: 'snap', isExpedited: false },
+      { id: 't2', status: 'escalated', programType: 'tanf', isExpedited: true, queueId: 'q1' },
+      { id: 't3', status: 'escalated', programType: 'medicaid', isExpedited: false },
+      { id: 't4', status: 'completed', programType: 'snap', isExpedited: true }
     ];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    for (const row of rows) db.prepare('INSERT INTO resources (id, data) VALUES (?, ?)').run(row.id, JSON.stringify(row));
+    const ids = (q) => {
+      const { clause, params } = queryToSqlCondition(parseQuery(q).query);
+      return db.prepare(`SELECT id FROM resources WHERE ${clause} ORDER BY id`).all(...params).map(r => r.id);
+    };
 
-    assertEqual(whereClauses.length, 2);
-    assertEqual(params, ['approved', 1000]);
+    assertEqual(ids('(status:pending OR status:escalated) AND -queueId:*'), ['t1', 't3']);
+    assertEqual(ids('programType:snap OR isExpedited:true'), ['t1', 't2', 't4']);
+    assertEqual(ids('-isExpedited:true'), ['t1', 't3']);
+    assertEqual(ids('NOT (programType:snap OR status:escalated)'), []);
+    assertEqual(ids('-(status:completed) programType:snap,tanf'), ['t1', 't2']);
+    db.close();
   });
 
   // ============================================================
@@ -386,68 +489,62 @@ function runTests() {
   console.log('\n--- Integration Tests ---\n');
 
   test('full pipeline: q=status:approved income:>=1000', () => {
-    const q = 'status:approved income:>=1000';
-    const tokens = parseQueryString(q);
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const { query } = parseQuery('status:approved income:>=1000');
+    const { clause, params } = queryToSqlCondition(query, []);
 
-    assertEqual(tokens.length, 2);
-    assertEqual(whereClauses.length, 2);
-    assertEqual(params, ['approved', 1000]);
+    assertEqual(query.and.length, 2);
+    assertEqual(clause, '(json_extract(data, ?) = ? AND CAST(json_extract(data, ?) AS REAL) >= ?)');
+    assertEqual(params, ['$.status', 'approved', '$.income', 1000]);
   });
 
   test('full pipeline: q=john status:active -deleted:*', () => {
-    const q = 'john status:active -deleted:*';
-    const tokens = parseQueryString(q);
+    const { query } = parseQuery('john status:active -deleted:*');
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { params } = queryToSqlCondition(query, searchableFields);
 
-    assertEqual(tokens.length, 3);
-    assertEqual(whereClauses.length, 3);
+    assertEqual(query.and.length, 3);
     // Full text exact match adds params for each searchable field
-    assertEqual(params.slice(0, 2), ['john', 'john']);
-    assertEqual(params[2], 'active');
+    assertEqual(params.slice(0, 4), ['$.name', 'john', '$.email', 'john']);
+    assertEqual(params.slice(4), ['$.status', 'active', '$.deleted']);
   });
 
   test('full pipeline: q=programs:snap,tanf state:TX,CA', () => {
-    const q = 'programs:snap,tanf state:TX,CA';
-    const tokens = parseQueryString(q);
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
+    const { query } = parseQuery('programs:snap,tanf state:TX,CA');
+    const { clause } = queryToSqlCondition(query, []);
 
-    assertEqual(tokens.length, 2);
-    assertEqual(tokens[0].type, TokenType.IN);
-    assertEqual(tokens[0].value, ['snap', 'tanf']);
-    assertEqual(tokens[1].type, TokenType.IN);
-    assertEqual(tokens[1].value, ['TX', 'CA']);
+    assertEqual(query.and.length, 2);
+    assertEqual(query.and[0].type, TokenType.IN);
+    assertEqual(query.and[0].value, ['snap', 'tanf']);
+    assertEqual(query.and[1].type, TokenType.IN);
+    assertEqual(query.and[1].value, ['TX', 'CA']);
+    assertEqual(clause !== null, true);
   });
 
   test('full pipeline: q=*john* name:*smith* email:*@example.com', () => {
-    const q = '*john* name:*smith* email:*@example.com';
-    const tokens = parseQueryString(q);
+    const { query } = parseQuery('*john* name:*smith* email:*@example.com');
     const searchableFields = ['name', 'email'];
-    const { whereClauses, params } = tokensToSqlConditions(tokens, searchableFields);
+    const { clause } = queryToSqlCondition(query, searchableFields);
 
-    assertEqual(tokens.length, 3);
-    assertEqual(tokens[0].type, TokenType.FULL_TEXT_CONTAINS);
-    assertEqual(tokens[0].value, 'john');
-    assertEqual(tokens[1].type, TokenType.CONTAINS);
-    assertEqual(tokens[1].value, 'smith');
-    assertEqual(tokens[2].type, TokenType.ENDS_WITH);
-    assertEqual(tokens[2].value, '@example.com');
-    assertEqual(whereClauses.length, 3);
+    assertEqual(query.and.length, 3);
+    assertEqual(query.and[0].type, TokenType.FULL_TEXT_CONTAINS);
+    assertEqual(query.and[0].value, 'john');
+    assertEqual(query.and[1].type, TokenType.CONTAINS);
+    assertEqual(query.and[1].value, 'smith');
+    assertEqual(query.and[2].type, TokenType.ENDS_WITH);
+    assertEqual(query.and[2].value, '@example.com');
+    assertEqual(clause.split(' AND ').length, 3);
   });
 
   test('full pipeline: q=name:john* status:approved', () => {
-    const q = 'name:john* status:approved';
-    const tokens = parseQueryString(q);
-    const { whereClauses, params } = tokensToSqlConditions(tokens, []);
-
-    assertEqual(tokens.length, 2);
-    assertEqual(tokens[0].type, TokenType.STARTS_WITH);
-    assertEqual(tokens[0].value, 'john');
-    assertEqual(tokens[1].type, TokenType.EXACT);
-    assertEqual(tokens[1].value, 'approved');
-    assertEqual(params[0], 'john%');
-    assertEqual(params[1], 'approved');
+    const { query } = parseQuery('name:john* status:approved');
+    const { params } = queryToSqlCondition(query, []);
+
+    assertEqual(query.and.length, 2);
+    assertEqual(query.and[0].type, TokenType.STARTS_WITH);
+    assertEqual(query.and[0].value, 'john');
+    assertEqual(query.and[1].type, TokenType.EXACT);
+    assertEqual(query.and[1].value, 'approved');
+    assertEqual(params, ['$.name', 'john%', '$.status', 'approved']);
   });
 
   // Summary
@@ -10,12 +10,19 @@ import { registerRoutes, registerAllRoutes } from '../../src/route-generator.js'
 // Mock Express app to capture registered routes
 function createMockApp() {
   const routes = [];
+  // The last function is the handler; any before it are middleware
+  const register = method => (path, ...handlers) => routes.push({
+    method,
+    path,
+    handler: handlers[handlers.length - 1],
+    middleware: handlers.slice(0, -1)
+  });
   const app = {
-    get: (path, handler) => routes.push({ method: 'GET', path, handler }),
-    post: (path, handler) => routes.push({ method: 'POST', path, handler }),
-    patch: (path, handler) => routes.push({ method: 'PATCH', path, handler }),
-    delete: (path, handler) => routes.push({ method: 'DELETE', path, handler }),
-    put: (path, handler) => routes.push({ method: 'PUT', path, handler }),
+    get: register('GET'),
+    post: register('POST'),
+    patch: register('PATCH'),
+    delete: register('DELETE'),
+    put: register('PUT'),
     getRoutes: () => routes,
     clear: () => routes.length = 0
   };
@@ -201,8 +208,8 @@ test('Route Generator Tests', async (t) => {
     const registered = registerRoutes(app, metadata, 'http://localhost:1080');
     const routes = app.getRoutes();
 
-    assert.strictEqual(registered.length, 5, 'Should register all 5 CRUD endpoints');
-    assert.strictEqual(routes.length, 5);
+    assert.strictEqual(registered.length, 6, 'Should register all 5 CRUD endpoints plus batch');
+    assert.strictEqual(routes.length, 6);
 
     // Verify methods
     const methods = routes.map(r => r.method);
@@ -211,7 +218,7 @@ test('Route Generator Tests', async (t) => {
     assert.ok(methods.includes('PATCH'));
     assert.ok(methods.includes('DELETE'));
 
-    console.log('  ✓ Registers full CRUD API (5 endpoints)');
+    console.log('  ✓ Registers full CRUD API (5 endpoints + batch)');
   });
 
   await t.test('registerRoutes - returns registered endpoint info', () => {
@@ -318,6 +325,129 @@ test('Route Generator Tests', async (t) => {
     console.log('  ✓ All handlers are functions');
   });
 
+  await t.test('registerRoutes - only creates and batches go through Idempotency-Key middleware', () => {
+    const app = createMockApp();
+    const metadata = createTestMetadata([
+      { path: '/persons', method: 'post', operationId: 'createPerson' },
+      { path: '/persons/{personId}', method: 'patch', operationId: 'updatePerson' }
+    ]);
+
+    registerRoutes(app, metadata, 'http://localhost:1080');
+    const [create, update, batch] = app.getRoutes();
+
+    assert.strictEqual(create.middleware.length, 1);
+    assert.strictEqual(update.middleware.length, 0);
+    assert.strictEqual(batch.middleware.length, 1);
+
+    console.log('  ✓ POST create and batch have idempotency middleware');
+  });
+
+  await t.test('registerRoutes - batches require an Idempotency-Key without MOCK_REQUIRE_IDEMPOTENCY_KEY', () => {
+    const app = createMockApp();
+    const metadata = createTestMetadata([
+      { path: '/persons', method: 'post', operationId: 'createPerson' }
+    ]);
+    const previous = process.env.MOCK_REQUIRE_IDEMPOTENCY_KEY;
+    delete process.env.MOCK_REQUIRE_IDEMPOTENCY_KEY;
+    try {
+      registerRoutes(app, metadata, 'http://localhost:1080');
+    } finally {
+      if (previous !== undefined) process.env.MOCK_REQUIRE_IDEMPOTENCY_KEY = previous;
+    }
+    const [create, batch] = app.getRoutes();
+
+    const call = route => {
+      const res = {
+        statusCode: 200,
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; }
+      };
+      let passed = false;
+      route.middleware[0]({ headers: {} }, res, () => { passed = true; });
+      return { res, passed };
+    };
+
+    assert.strictEqual(call(create).passed, true, 'Creates without a key go through');
+    const { res, passed } = call(batch);
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.code, 'IDEMPOTENCY_KEY_MISSING');
+
+    console.log('  ✓ Batch without a key → 400 IDEMPOTENCY_KEY_MISSING');
+  });
+
+  // ==========================================================================
+  // Batch Routes
+  // ==========================================================================
+
+  await t.test('registerRoutes - mounts one batch route per CRUD collection', () => {
+    const app = createMockApp();
+    const metadata = createTestMetadata([
+      { path: '/persons', method: 'get', operationId: 'listPersons' },
+      { path: '/persons', method: 'post', operationId: 'createPerson' },
+      { path: '/persons/{personId}', method: 'delete', operationId: 'deletePerson' },
+      { path: '/reports', method: 'get', operationId: 'listReports' }
+    ]);
+
+    const registered = registerRoutes(app, metadata, 'http://localhost:1080');
+    const batchRoutes = app.getRoutes().filter(r => r.path.endsWith('/batch'));
+
+    assert.deepStrictEqual(batchRoutes.map(r => [r.method, r.path]), [['POST', '/persons/batch']]);
+    assert.ok(registered.some(e => e.path === '/persons/batch'));
+
+    console.log('  ✓ Mounts POST /persons/batch, none for read-only /reports');
+  });
+
+  await t.test('registerRoutes - batch paths in the spec are not registered as creates', () => {
+    const app = createMockApp();
+    const metadata = createTestMetadata([
+      { path: '/persons', method: 'post', operationId: 'createPerson' },
+      { path: '/persons/batch', method: 'post', operationId: 'batchPersons' }
+    ]);
+
+    registerRoutes(app, metadata, 'http://localhost:1080');
+    const batchRoutes = app.getRoutes().filter(r => r.path === '/persons/batch');
+
+    assert.strictEqual(batchRoutes.length, 1);
+
+    console.log('  ✓ Spec batch path is served by the batch handler only');
+  });
+
+  // ==========================================================================
+  // Structured Search Routes
+  // ==========================================================================
+
+  await t.test('registerRoutes - mounts POST /{resources}/search for the post-search style', () => {
+    const app = createMockApp();
+    const metadata = {
+      ...createTestMetadata([
+        { path: '/persons', method: 'get', operationId: 'listPersons' },
+        { path: '/persons/search', method: 'post', operationId: 'searchPersons' }
+      ]),
+      search: { style: 'post-search' }
+    };
+
+    const registered = registerRoutes(app, metadata, 'http://localhost:1080');
+    const searchRoutes = app.getRoutes().filter(r => r.path === '/persons/search');
+
+    assert.deepStrictEqual(searchRoutes.map(r => r.method), ['POST']);
+    assert.ok(registered.some(e => e.path === '/persons/search' && e.description === 'Search resources with a filter body'));
+
+    console.log('  ✓ Spec search path is served by the list handler with a body filter');
+  });
+
+  await t.test('registerRoutes - no search routes for other search styles', () => {
+    const app = createMockApp();
+    const metadata = createTestMetadata([
+      { path: '/persons', method: 'get', operationId: 'listPersons' }
+    ]);
+
+    registerRoutes(app, metadata, 'http://localhost:1080');
+
+    assert.ok(!app.getRoutes().some(r => r.path === '/persons/search'));
+    console.log('  ✓ Simple style mounts no POST /persons/search');
+  });
+
   // ==========================================================================
   // Edge Cases
   // ==========================================================================
@@ -332,8 +462,8 @@ test('Route Generator Tests', async (t) => {
     const registered = registerRoutes(app, metadata, 'http://localhost:1080');
     const routes = app.getRoutes();
 
-    assert.strictEqual(registered.length, 2);
-    assert.strictEqual(routes.length, 2);
+    assert.strictEqual(registered.length, 3);
+    assert.strictEqual(routes.length, 3);
 
     console.log('  ✓ Handles uppercase HTTP methods');
   });
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the full-text search index (FTS5, BM25, Soundex)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  soundex,
+  tokenize,
+  buildMatchExpression,
+  scoreExpression,
+  highlight
+} from '../../src/search-index.js';
+import {
+  getDatabase,
+  enableSearchIndex,
+  insertResource,
+  create,
+  update,
+  deleteResource,
+  clearAll
+} from '../../src/database-manager.js';
+
+const COLLECTION = 'searchindextests';
+const FIELDS = ['name.firstName', 'name.lastName', 'email'];
+
+/**
+ * Ids of the indexed resources matching search terms, best first.
+ */
+function searchIds(terms) {
+  const db = getDatabase(COLLECTION);
+  return db.prepare(`
+    SELECT id, ${scoreExpression(FIELDS.length)} AS score FROM search_index
+    WHERE search_index MATCH ? ORDER BY score DESC
+  `).all(buildMatchExpression(terms, FIELDS.length)).map(row => row.id);
+}
+
+test('soundex - encodes consonant sounds', () => {
+  assert.strictEqual(soundex('Robert'), 'R163');
+  assert.strictEqual(soundex('Rupert'), 'R163');
+  assert.strictEqual(soundex('Ashcraft'), 'A261', 'h does not separate same-coded letters');
+  assert.strictEqual(soundex('Pfister'), 'P236', 'second letter coded like the first is dropped');
+  assert.strictEqual(soundex('Tymczak'), 'T522');
+  assert.strictEqual(soundex('Lee'), 'L000');
+  assert.strictEqual(soundex('Smyth'), soundex('Smith'));
+  assert.strictEqual(soundex('José'), 'J200', 'diacritics are stripped');
+  assert.strictEqual(soundex('555'), null);
+});
+
+test('tokenize - splits like the unicode61 tokenizer', () => {
+  assert.deepStrictEqual(tokenize('in_progress'), ['in', 'progress']);
+  assert.deepStrictEqual(tokenize('Zoë O\'Brien'), ['zoe', 'o', 'brien']);
+  assert.deepStrictEqual(tokenize('avery.j@example.com'), ['avery', 'j', 'example', 'com']);
+});
+
+test('buildMatchExpression - prefix or phonetic match per word', () => {
+  assert.strictEqual(
+    buildMatchExpression(['Jon', 'Smyth'], 2),
+    '({f0 f1} : "jon"* OR phonetic : "J500") AND ({f0 f1} : "smyth"* OR phonetic : "S530")'
+  );
+  assert.strictEqual(buildMatchExpression(['jo'], 2), '{f0 f1} : "jo"*', 'short words match by prefix only');
+  assert.strictEqual(buildMatchExpression(['jane doe'], 2), '{f0 f1} : "jane doe"', 'quoted terms are phrases');
+  assert.strictEqual(buildMatchExpression(['"*"'], 2), null);
+});
+
+test('highlight - marks matching words and cuts long values', () => {
+  assert.strictEqual(highlight('John Smith', ['Jon', 'Smyth']), '<mark>John</mark> <mark>Smith</mark>');
+  assert.strictEqual(highlight('Johnny', ['john']), '<mark>Johnny</mark>');
+  assert.strictEqual(highlight('Bianca Rivera', ['smith']), null);
+  assert.strictEqual(highlight('<b>Smith</b>', ['smith']), '&lt;b&gt;<mark>Smith</mark>&lt;/b&gt;');
+
+  const words = Array.from({ length: 30 }, (_, i) => `word${i}`);
+  words[20] = 'renewal';
+  const snippet = highlight(words.join(' '), ['renew']);
+  assert.ok(snippet.startsWith('…word18 word19 <mark>renewal</mark>'), snippet);
+  assert.ok(snippet.endsWith('word29'), 'no ellipsis when the window reaches the end');
+});
+
+test('search index - maintained on writes and ranked by BM25', () => {
+  clearAll(COLLECTION);
+  insertResource(COLLECTION, { id: 'existing', name: { firstName: 'Jane', lastName: 'Doe' } });
+  enableSearchIndex(COLLECTION, FIELDS);
+  assert.deepStrictEqual(searchIds(['jane']), ['existing'], 'existing rows are indexed');
+
+  const john = create(COLLECTION, { name: { firstName: 'John', lastName: 'Smith' }, email: 'jsmith@example.com' });
+  const jon = create(COLLECTION, { name: { firstName: 'Jon', lastName: 'Smyth' } });
+  create(COLLECTION, { name: { firstName: 'Bianca', lastName: 'Rivera' } });
+
+  const hits = searchIds(['Jon', 'Smyth']);
+  assert.deepStrictEqual(hits, [jon.id, john.id], 'phonetic variants match; the exact spelling ranks first');
+  assert.deepStrictEqual(searchIds(['smi']), [john.id], 'words match by prefix');
+
+  update(COLLECTION, john.id, { name: { lastName: 'Rivera' } });
+  assert.deepStrictEqual(searchIds(['Smith']), [jon.id], 'updates replace the entry');
+
+  deleteResource(COLLECTION, jon.id);
+  assert.deepStrictEqual(searchIds(['Smith']), [], 'deletes remove the entry');
+
+  clearAll(COLLECTION);
+  assert.deepStrictEqual(searchIds(['jane']), []);
+});
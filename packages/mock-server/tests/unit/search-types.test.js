@@ -0,0 +1,85 @@
+/**
+ * Unit tests for cross-resource search types read from x-search extensions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { renderTemplate, loadSearchTypes } from '../../src/search-types.js';
+
+const apiSpecs = [
+  {
+    name: 'scheduling',
+    schemas: {
+      Appointment: {
+        'x-search': {
+          type: 'appointment',
+          url: '/appointments/{id}',
+          title: '{appointmentType} — {startAt|date}',
+          searchableFields: ['appointmentType', 'notes'],
+          facetFields: ['status'],
+          attributes: [
+            { field: 'status', label: 'Status' },
+            { field: 'startAt', label: 'Start', type: 'date' },
+            { field: 'notes' }
+          ]
+        }
+      },
+      AppointmentList: { type: 'object' }
+    }
+  },
+  {
+    name: 'intake',
+    schemas: {
+      Application: {
+        'x-search': {
+          type: 'application',
+          url: '/applications/{id}',
+          title: '{household.members.0.name.firstName} {household.members.0.name.lastName}',
+          searchableFields: ['status']
+        }
+      },
+      Duplicate: { 'x-search': { type: 'appointment', url: '/other/{id}', title: '{id}', searchableFields: ['id'] } },
+      Incomplete: { 'x-search': { type: 'incomplete', url: '/incomplete/{id}' } }
+    }
+  }
+];
+
+test('renderTemplate - fills placeholders from the resource', () => {
+  const resource = { id: 'a1', name: { first: 'Ada' }, startAt: '2026-03-01T09:30:00Z', tags: ['x'] };
+
+  assert.deepStrictEqual(renderTemplate('/people/{id}', resource), { text: '/people/a1', filled: true });
+  assert.deepStrictEqual(renderTemplate('{name.first} on {startAt|date}', resource), { text: 'Ada on 2026-03-01', filled: true });
+  assert.deepStrictEqual(renderTemplate('{tags.0}', resource), { text: 'x', filled: true }, 'numeric segments index arrays');
+  assert.deepStrictEqual(renderTemplate('{name}{missing}', resource), { text: '', filled: false }, 'objects and missing fields render empty');
+});
+
+test('loadSearchTypes - reads x-search extensions from the specs', () => {
+  const types = loadSearchTypes(apiSpecs);
+
+  assert.deepStrictEqual([...types.keys()], ['appointment', 'application'], 'duplicate and incomplete types are skipped');
+  const appointment = types.get('appointment');
+  assert.strictEqual(appointment.collection, 'appointments');
+  assert.deepStrictEqual(appointment.searchableFields, ['appointmentType', 'notes']);
+  assert.deepStrictEqual(appointment.facetFields, ['status']);
+  assert.deepStrictEqual(types.get('application').facetFields, []);
+});
+
+test('loadSearchTypes - builds result titles, urls, and attributes', () => {
+  const types = loadSearchTypes(apiSpecs);
+  const appointment = types.get('appointment');
+  const application = types.get('application');
+
+  const resource = { id: 'ap-1', appointmentType: 'interview', status: 'scheduled', startAt: '2026-03-01T09:30:00Z', notes: '' };
+  assert.strictEqual(appointment.title(resource), 'interview — 2026-03-01');
+  assert.strictEqual(appointment.title({ id: 'ap-2', appointmentType: 'interview' }), 'interview', 'dangling separators are trimmed');
+  assert.strictEqual(appointment.title({ id: 'ap-3' }), 'ap-3', 'falls back to the id');
+  assert.strictEqual(appointment.url(resource), '/appointments/ap-1');
+  assert.deepStrictEqual(appointment.attributes(resource), [
+    { field: 'status', label: 'Status', value: 'scheduled', type: 'string' },
+    { field: 'startAt', label: 'Start', value: '2026-03-01T09:30:00Z', type: 'date' }
+  ], 'empty values are left out');
+
+  const household = { members: [{ name: { firstName: 'Avery', lastName: 'Johnson' } }] };
+  assert.strictEqual(application.title({ id: 'app-1', household }), 'Avery Johnson');
+  assert.strictEqual(application.title({ id: 'app-2', household: { members: [] } }), 'app-2');
+});
@@ -0,0 +1,231 @@
+/**
+ * Unit tests for SLA clock accounting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  getSlaClock,
+  resolveSlaDuration,
+  startSlaClock,
+  updateSlaClock,
+  checkSlaThresholds,
+  runSlaChecks
+} from '../../src/sla-clock.js';
+import { executeTransition } from '../../src/handlers/transition-handler.js';
+import { setClock, resetClock } from '../../src/clock.js';
+import { insertResource, findById, findAll, clearAll } from '../../src/database-manager.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const stateMachine = {
+  domain: 'workflow',
+  object: 'SlaTestTask',
+  states: {
+    pending: { slaClock: 'running' },
+    in_progress: { slaClock: 'running' },
+    awaiting_client: { slaClock: 'paused' },
+    completed: { slaClock: 'stopped' }
+  },
+  sla: {
+    duration: '30d',
+    calendarType: 'calendar',
+    warningBefore: '48h',
+    durations: [
+      { when: { '==': [{ var: 'object.isExpedited' }, true] }, duration: '7d' }
+    ]
+  },
+  transitions: [
+    { trigger: 'await-client', from: 'in_progress', to: 'awaiting_client' },
+    { trigger: 'resume', from: 'awaiting_client', to: 'in_progress' }
+  ]
+};
+
+const start = new Date('2026-06-01T12:00:00Z');
+
+// The mock clock keeps ticking after setClock, so persisted times can drift by a few ms
+function assertNear(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1000, message || `${actual} is not within 1s of ${expected}`);
+}
+
+function startedTask(overrides = {}) {
+  return { id: 'sla-task', status: 'in_progress', ...overrides, ...startSlaClock(stateMachine, overrides, start) };
+}
+
+// =============================================================================
+// Clock configuration
+// =============================================================================
+
+test('getSlaClock — reads the slaClock of a state', () => {
+  assert.strictEqual(getSlaClock(stateMachine, 'awaiting_client'), 'paused');
+  assert.strictEqual(getSlaClock(stateMachine, 'unknown'), null);
+});
+
+test('resolveSlaDuration — first matching condition overrides the default', () => {
+  assert.strictEqual(resolveSlaDuration(stateMachine.sla, { isExpedited: true }), '7d');
+  assert.strictEqual(resolveSlaDuration(stateMachine.sla, { isExpedited: false }), '30d');
+});
+
+test('startSlaClock — computes the deadline from the duration', () => {
+  const { slaDeadline, slaInfo } = startSlaClock(stateMachine, { isExpedited: true }, start);
+  assert.strictEqual(slaDeadline, '2026-06-08T12:00:00.000Z');
+  assert.strictEqual(slaInfo.clockStatus, 'running');
+  assert.strictEqual(slaInfo.remainingMs, 7 * DAY);
+  assert.strictEqual(slaInfo.breached, false);
+});
+
+test('startSlaClock — business calendarType uses the calendar', () => {
+  const businessMachine = { ...stateMachine, sla: { duration: '2d', calendarType: 'business' } };
+  const calendar = {
+    timeZone: 'UTC',
+    workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    workingHours: { start: '09:00', end: '17:00' },
+    holidays: {}
+  };
+  // Friday + 2 working days → Tuesday
+  const { slaDeadline } = startSlaClock(businessMachine, {}, new Date('2026-06-05T12:00:00Z'), calendar);
+  assert.strictEqual(slaDeadline, '2026-06-09T12:00:00.000Z');
+});
+
+// =============================================================================
+// Clock transitions
+// =============================================================================
+
+test('updateSlaClock — pausing freezes the time remaining', () => {
+  const task = startedTask();
+  const { changes } = updateSlaClock(stateMachine, task, 'awaiting_client', new Date(start.getTime() + 10 * DAY));
+
+  assert.strictEqual(changes.slaInfo.clockStatus, 'paused');
+  assert.strictEqual(changes.slaInfo.elapsedMs, 10 * DAY);
+  assert.strictEqual(changes.slaInfo.remainingMs, 20 * DAY);
+  assert.strictEqual(changes.slaInfo.pausedAt, '2026-06-11T12:00:00.000Z');
+  assert.strictEqual(changes.slaDeadline, task.slaDeadline);
+});
+
+test('updateSlaClock — resuming pushes the deadline out by the paused time', () => {
+  const task = startedTask();
+  const paused = { ...task, ...updateSlaClock(stateMachine, task, 'awaiting_client', new Date(start.getTime() + 10 * DAY)).changes };
+  const { changes } = updateSlaClock(stateMachine, paused, 'in_progress', new Date(start.getTime() + 15 * DAY));
+
+  assert.strictEqual(changes.slaInfo.clockStatus, 'running');
+  assert.strictEqual(changes.slaInfo.pausedMs, 5 * DAY);
+  assert.strictEqual(changes.slaInfo.pausedAt, null);
+  assert.deepStrictEqual(changes.slaInfo.pauses, [
+    { startedAt: '2026-06-11T12:00:00.000Z', endedAt: '2026-06-16T12:00:00.000Z' }
+  ]);
+  assert.strictEqual(changes.slaDeadline, '2026-07-06T12:00:00.000Z');
+});
+
+test('updateSlaClock — stopping after the deadline records a breach', () => {
+  const task = startedTask({ isExpedited: true });
+  const { changes, events } = updateSlaClock(stateMachine, task, 'completed', new Date(start.getTime() + 8 * DAY));
+
+  assert.strictEqual(changes.slaInfo.clockStatus, 'stopped');
+  assert.strictEqual(changes.slaInfo.breached, true);
+  assert.strictEqual(changes.slaInfo.remainingMs, -DAY);
+  assert.deepStrictEqual(events.map(e => e.action), ['sla_breached']);
+});
+
+test('updateSlaClock — no change between states with the same clock', () => {
+  const task = startedTask({ status: 'pending' });
+  const { changes, events } = updateSlaClock(stateMachine, task, 'in_progress', new Date(start.getTime() + DAY));
+  assert.deepStrictEqual(changes, {});
+  assert.deepStrictEqual(events, []);
+});
+
+test('updateSlaClock — starts a clock for resources without SLA accounting', () => {
+  const { changes } = updateSlaClock(stateMachine, { status: 'awaiting_client' }, 'in_progress', start);
+  assert.strictEqual(changes.slaInfo.clockStatus, 'running');
+  assert.strictEqual(changes.slaDeadline, '2026-07-01T12:00:00.000Z');
+});
+
+// =============================================================================
+// Thresholds
+// =============================================================================
+
+test('checkSlaThresholds — warns once inside the warning window', () => {
+  const task = startedTask();
+  assert.deepStrictEqual(checkSlaThresholds(stateMachine, task, new Date(start.getTime() + 27 * DAY)).events, []);
+
+  const { changes, events } = checkSlaThresholds(stateMachine, task, new Date(start.getTime() + 29 * DAY));
+  assert.deepStrictEqual(events.map(e => e.action), ['sla_warning']);
+  assert.strictEqual(events[0].data.remainingMs, DAY);
+  assert.ok(changes.slaInfo.warnedAt);
+
+  const warned = { ...task, ...changes };
+  assert.deepStrictEqual(checkSlaThresholds(stateMachine, warned, new Date(start.getTime() + 29.5 * DAY)).events, []);
+});
+
+test('checkSlaThresholds — breach at the deadline', () => {
+  const task = startedTask();
+  const { changes, events } = checkSlaThresholds(stateMachine, task, new Date(start.getTime() + 31 * DAY));
+  assert.deepStrictEqual(events.map(e => e.action), ['sla_breached']);
+  assert.strictEqual(changes.slaInfo.breached, true);
+  assert.strictEqual(changes.slaInfo.breachedAt, task.slaDeadline);
+});
+
+test('checkSlaThresholds — paused clocks never breach', () => {
+  const task = startedTask();
+  const paused = { ...task, ...updateSlaClock(stateMachine, task, 'awaiting_client', start).changes };
+  assert.deepStrictEqual(checkSlaThresholds(stateMachine, paused, new Date(start.getTime() + 60 * DAY)).events, []);
+});
+
+// =============================================================================
+// Persistence
+// =============================================================================
+
+test('executeTransition — persists SLA accounting across pause and resume', () => {
+  clearAll('slatesttasks');
+  setClock(start);
+  insertResource('slatesttasks', startedTask({ id: 'sla-task-1' }));
+
+  setClock(new Date(start.getTime() + 10 * DAY));
+  executeTransition({
+    resourceName: 'slatesttasks',
+    stateMachine,
+    transition: stateMachine.transitions[0],
+    resource: findById('slatesttasks', 'sla-task-1'),
+    caller: { id: 'worker-1', role: 'caseworker' }
+  });
+  const paused = findById('slatesttasks', 'sla-task-1');
+  assert.strictEqual(paused.slaInfo.clockStatus, 'paused');
+  assertNear(paused.slaInfo.remainingMs, 20 * DAY);
+
+  setClock(new Date(start.getTime() + 12 * DAY));
+  executeTransition({
+    resourceName: 'slatesttasks',
+    stateMachine,
+    transition: stateMachine.transitions[1],
+    resource: paused,
+    caller: { id: 'worker-1', role: 'caseworker' }
+  });
+  resetClock();
+
+  const resumed = findById('slatesttasks', 'sla-task-1');
+  assert.strictEqual(resumed.slaInfo.clockStatus, 'running');
+  assert.strictEqual(resumed.slaInfo.pausedAt, null);
+  assertNear(new Date(resumed.slaDeadline).getTime(), new Date('2026-07-03T12:00:00Z').getTime());
+
+  clearAll('slatesttasks');
+});
+
+test('runSlaChecks — persists breaches and emits sla_breached events', () => {
+  clearAll('slatesttasks');
+  insertResource('slatesttasks', startedTask({ id: 'sla-task-2' }));
+
+  setClock(new Date(start.getTime() + 31 * DAY));
+  const emitted = runSlaChecks([{ stateMachine }]);
+  resetClock();
+
+  assert.deepStrictEqual(emitted.map(e => [e.resourceId, e.action]), [['sla-task-2', 'sla_breached']]);
+  assert.strictEqual(findById('slatesttasks', 'sla-task-2').slaInfo.breached, true);
+
+  const { items } = findAll('events', { resourceId: 'sla-task-2' });
+  const event = items.find(e => e.action === 'sla_breached');
+  assert.ok(event);
+  assert.strictEqual(event.performedById, 'system');
+  assert.strictEqual(event.resource, 'slatesttask');
+
+  clearAll('slatesttasks');
+});
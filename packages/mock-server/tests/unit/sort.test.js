@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the sort query parameter
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import {
+  collectFieldInfo,
+  parseSort,
+  compareBySort,
+  executeSearch,
+  DEFAULT_SORT
+} from '../../src/search-engine.js';
+import { createListHandler } from '../../src/handlers/list-handler.js';
+
+const taskSchema = {
+  allOf: [
+    { type: 'object', properties: { id: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } } },
+    {
+      type: 'object',
+      properties: {
+        priority: { type: 'string', enum: ['expedited', 'high', 'normal', 'low'] },
+        slaDeadline: { type: 'string', format: 'date-time' },
+        assignee: { type: 'object', properties: { name: { type: 'object', properties: { lastName: { type: 'string' } } } } },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  ]
+};
+
+const tasks = [
+  { id: 't1', priority: 'low', slaDeadline: '2026-01-05', createdAt: '2026-01-01' },
+  { id: 't2', priority: 'expedited', slaDeadline: '2026-01-09', createdAt: '2026-01-02' },
+  { id: 't3', priority: 'high', createdAt: '2026-01-03' },
+  { id: 't4', priority: 'expedited', slaDeadline: '2026-01-03', createdAt: '2026-01-04' }
+];
+
+function createTaskDatabase() {
+  const db = new Database(':memory:');
+  db.exec('CREATE TABLE resources (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+  const insert = db.prepare('INSERT INTO resources (id, data) VALUES (?, ?)');
+  for (const task of tasks) insert.run(task.id, JSON.stringify(task));
+  return db;
+}
+
+test('collectFieldInfo — merges allOf and walks nested objects as dot paths', () => {
+  const fields = collectFieldInfo(taskSchema);
+
+  assert.deepStrictEqual(fields.get('priority'), { scalar: true, enum: ['expedited', 'high', 'normal', 'low'] });
+  assert.strictEqual(fields.get('createdAt').scalar, true);
+  assert.strictEqual(fields.get('assignee.name.lastName').scalar, true);
+  assert.strictEqual(fields.get('assignee').scalar, false);
+  assert.strictEqual(fields.get('tags').scalar, false);
+});
+
+test('parseSort — defaults to newest first', () => {
+  assert.deepStrictEqual(parseSort(undefined), { sort: DEFAULT_SORT, error: null });
+  assert.deepStrictEqual(parseSort(''), { sort: DEFAULT_SORT, error: null });
+});
+
+test('parseSort — parses direction, nested paths, and enum order', () => {
+  const { sort, error } = parseSort('priority,-assignee.name.lastName', collectFieldInfo(taskSchema));
+
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(sort, [
+    { field: 'priority', descending: false, enum: ['expedited', 'high', 'normal', 'low'] },
+    { field: 'assignee.name.lastName', descending: true }
+  ]);
+});
+
+test('parseSort — rejects unknown, unsortable, malformed, and too many fields', () => {
+  const fields = collectFieldInfo(taskSchema);
+  const cases = [
+    ['unknown', 'INVALID_SORT_FIELD', 'Unknown sort field: unknown'],
+    ["createdAt') --", 'INVALID_SORT_FIELD', "Unknown sort field: createdAt') --"],
+    ['-assignee', 'FIELD_NOT_SORTABLE', "Field 'assignee' does not support sorting"],
+    ['tags', 'FIELD_NOT_SORTABLE', "Field 'tags' does not support sorting"],
+    ['id,priority,slaDeadline,createdAt', 'BAD_REQUEST', 'sort accepts at most 3 fields'],
+    [['id', 'priority'], 'BAD_REQUEST', 'sort must be a single comma-separated value']
+  ];
+
+  for (const [value, code, message] of cases) {
+    const { error } = parseSort(value, fields);
+    assert.strictEqual(error.code, code, String(value));
+    assert.strictEqual(error.message, message);
+    assert.strictEqual(error.details[0].field, 'sort');
+  }
+});
+
+test('executeSearch — sorts enums in declared order with nulls last', () => {
+  const db = createTaskDatabase();
+  const { sort } = parseSort('priority,slaDeadline', collectFieldInfo(taskSchema));
+
+  const result = executeSearch(db, {}, [], {}, sort);
+  assert.deepStrictEqual(result.items.map(t => t.id), ['t4', 't2', 't3', 't1']);
+
+  const { sort: descending } = parseSort('-slaDeadline', collectFieldInfo(taskSchema));
+  const nullsLast = executeSearch(db, {}, [], {}, descending);
+  assert.deepStrictEqual(nullsLast.items.map(t => t.id), ['t2', 't1', 't4', 't3']);
+
+  db.close();
+});
+
+test('executeSearch — does not treat sort as a field filter', () => {
+  const db = createTaskDatabase();
+
+  const result = executeSearch(db, { sort: 'createdAt' }, [], {}, parseSort('createdAt').sort);
+  assert.strictEqual(result.total, 4);
+  assert.deepStrictEqual(result.items.map(t => t.id), ['t1', 't2', 't3', 't4']);
+
+  db.close();
+});
+
+test('compareBySort — matches the SQL ordering', () => {
+  const { sort } = parseSort('priority,slaDeadline', collectFieldInfo(taskSchema));
+  assert.deepStrictEqual([...tasks].sort(compareBySort(sort)).map(t => t.id), ['t4', 't2', 't3', 't1']);
+
+  const { sort: descending } = parseSort('-slaDeadline');
+  assert.deepStrictEqual([...tasks].sort(compareBySort(descending)).map(t => t.id), ['t2', 't1', 't4', 't3']);
+});
+
+test('list handler — returns 400 for an unknown sort field', () => {
+  const endpoint = {
+    path: '/sorttests',
+    collectionName: 'sorttests',
+    parameters: [],
+    responseSchema: { type: 'object', properties: { items: { type: 'array', items: taskSchema } } }
+  };
+  const res = {
+    statusCode: 200,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+
+  createListHandler({ schemas: {} }, endpoint)({ query: { sort: 'nope' } }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'INVALID_SORT_FIELD');
+});
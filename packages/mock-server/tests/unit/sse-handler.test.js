@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the domain event stream (GET /events/stream)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createSseHandler } from '../../src/handlers/sse-handler.js';
+import { emitDomainEvent } from '../../src/domain-events.js';
+import { eventBus } from '../../src/event-bus.js';
+
+const eventSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    domain: { type: 'string' },
+    resource: { type: 'string' },
+    action: { type: 'string' },
+    resourceId: { type: 'string' },
+    occurredAt: { type: 'string', format: 'date-time' },
+    data: { type: 'object', additionalProperties: true },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const taskMachine = { domain: 'workflow', object: 'Task' };
+const caseMachine = { domain: 'case_management', object: 'Case' };
+
+function emit(stateMachine, action, resourceId) {
+  return emitDomainEvent(stateMachine, {
+    action,
+    resourceId,
+    performedById: 'worker-1',
+    occurredAt: '2026-03-02T10:00:00Z',
+    data: {}
+  });
+}
+
+/**
+ * Open a stream and collect what it writes. close() ends the connection.
+ */
+function connect(handler, { query = {}, headers = {} } = {}) {
+  const closeListeners = [];
+  const req = { query, headers, on(name, fn) { if (name === 'close') closeListeners.push(fn); } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    setHeader(name, value) { res.headers[name] = value; },
+    flushHeaders() {},
+    write(chunk) { res.chunks.push(chunk); return true; },
+    close() { closeListeners.forEach(fn => fn()); },
+    frames() {
+      return res.chunks.filter(chunk => !chunk.startsWith(':')).map(chunk => {
+        const [, id, event, data] = chunk.match(/^id: (.*)\nevent: (.*)\ndata: (.*)\n\n$/);
+        return { id, event, data: JSON.parse(data) };
+      });
+    }
+  };
+  handler(req, res);
+  return res;
+}
+
+test('createSseHandler — frames carry the event ID and resource.action name', () => {
+  const stream = connect(createSseHandler(eventSchema), { query: { resourceId: 'sse-task-1' } });
+  const event = emit(taskMachine, 'claimed', 'sse-task-1');
+  stream.close();
+
+  assert.strictEqual(stream.headers['Content-Type'], 'text/event-stream');
+  assert.strictEqual(stream.chunks[0], ': connected\n\n');
+  assert.deepStrictEqual(stream.frames(), [{ id: event.id, event: 'task.claimed', data: event }]);
+});
+
+test('createSseHandler — delivers only the events that match the filters', () => {
+  const handler = createSseHandler(eventSchema);
+  const byAction = connect(handler, { query: { resourceId: 'sse-task-2,sse-case-2', action: 'claimed,completed' } });
+  const byDomain = connect(handler, { query: { resourceId: 'sse-task-2,sse-case-2', domain: 'case_management' } });
+  const byQuery = connect(handler, { query: { q: 'resourceId:sse-task-2 -action:claimed' } });
+
+  emit(taskMachine, 'claimed', 'sse-task-2');
+  emit(caseMachine, 'completed', 'sse-case-2');
+  emit(taskMachine, 'released', 'sse-task-2');
+  [byAction, byDomain, byQuery].forEach(stream => stream.close());
+
+  assert.deepStrictEqual(byAction.frames().map(frame => frame.event), ['task.claimed', 'case.completed']);
+  assert.deepStrictEqual(byDomain.frames().map(frame => frame.event), ['case.completed']);
+  assert.deepStrictEqual(byQuery.frames().map(frame => frame.event), ['task.released']);
+});
+
+test('createSseHandler — replays the matching events after Last-Event-ID', () => {
+  const handler = createSseHandler(eventSchema);
+  const seen = emit(taskMachine, 'created', 'sse-task-3');
+  const missed = [
+    emit(taskMachine, 'claimed', 'sse-task-3'),
+    emit(taskMachine, 'claimed', 'sse-task-4'),
+    emit(taskMachine, 'completed', 'sse-task-3')
+  ];
+
+  const stream = connect(handler, { query: { resourceId: 'sse-task-3' }, headers: { 'last-event-id': seen.id } });
+  const live = emit(taskMachine, 'reopened', 'sse-task-3');
+  stream.close();
+
+  assert.deepStrictEqual(stream.frames().map(frame => frame.id), [missed[0].id, missed[2].id, live.id],
+    'missed events in order, then live events');
+
+  const unknown = connect(handler, { query: { resourceId: 'sse-task-3' }, headers: { 'last-event-id': 'no-such-event' } });
+  unknown.close();
+  assert.deepStrictEqual(unknown.frames(), []);
+  assert.match(unknown.chunks[1], /^: Last-Event-ID not found/);
+});
+
+test('createSseHandler — streams CloudEvents with format=cloudevents', () => {
+  const stream = connect(createSseHandler(eventSchema), { query: { resourceId: 'sse-task-5', format: 'cloudevents' } });
+  const event = emit(taskMachine, 'claimed', 'sse-task-5');
+  stream.close();
+
+  const [frame] = stream.frames();
+  assert.strictEqual(frame.event, 'task.claimed');
+  assert.deepStrictEqual(frame.data, {
+    specversion: '1.0',
+    id: event.id,
+    source: '/workflow/task',
+    type: 'org.codeforamerica.safetynet.workflow.task.claimed',
+    subject: 'sse-task-5',
+    time: '2026-03-02T10:00:00Z',
+    datacontenttype: 'application/json',
+    performedbyid: 'worker-1',
+    data: {}
+  });
+
+  const unknown = connect(createSseHandler(eventSchema), { query: { format: 'xml' } });
+  assert.strictEqual(unknown.statusCode, 400);
+  assert.strictEqual(unknown.body.details[0].field, 'format');
+});
+
+test('createSseHandler — rejects invalid filters before streaming', () => {
+  const handler = createSseHandler(eventSchema);
+  const listeners = eventBus.listenerCount('domain-event');
+
+  const unknownField = connect(handler, { query: { q: 'priority:high' } });
+  assert.strictEqual(unknownField.statusCode, 400);
+  assert.strictEqual(unknownField.body.code, 'INVALID_FILTER_FIELD');
+
+  const malformed = connect(handler, { query: { q: '(action:claimed' } });
+  assert.strictEqual(malformed.statusCode, 400);
+  assert.strictEqual(malformed.body.code, 'INVALID_QUERY');
+
+  const unknownParam = connect(handler, { query: { queue: 'intake' } });
+  assert.strictEqual(unknownParam.statusCode, 400);
+
+  assert.deepStrictEqual([unknownField, malformed, unknownParam].map(res => res.chunks), [[], [], []]);
+  assert.strictEqual(eventBus.listenerCount('domain-event'), listeners, 'rejected requests do not subscribe');
+});
@@ -12,7 +12,10 @@ import {
   findTransition,
   applySetEffect,
   applyCreateEffect,
-  applyEffects
+  applyLookupEffect,
+  applyEffects,
+  checkActors,
+  getCallerRoles
 } from '../../src/state-machine-engine.js';
 
 // =============================================================================
@@ -139,6 +142,100 @@ test('evaluateGuard — equals with $caller.id fails when different', () => {
   assert.strictEqual(result.pass, false);
 });
 
+// =============================================================================
+// evaluateGuard — is_not_null, not_equals
+// =============================================================================
+
+test('evaluateGuard — is_not_null passes when field has value', () => {
+  const guard = { field: 'assignedToId', operator: 'is_not_null' };
+  assert.strictEqual(evaluateGuard(guard, { assignedToId: 'worker-1' }, {}).pass, true);
+});
+
+test('evaluateGuard — is_not_null fails when field is missing', () => {
+  const guard = { field: 'assignedToId', operator: 'is_not_null' };
+  const result = evaluateGuard(guard, {}, {});
+  assert.strictEqual(result.pass, false);
+  assert.strictEqual(result.reason, 'assignedToId is null');
+});
+
+test('evaluateGuard — not_equals fails when values match', () => {
+  const guard = { field: 'assignedToId', operator: 'not_equals', value: '$caller.id' };
+  const context = { caller: { id: 'worker-1' } };
+  assert.strictEqual(evaluateGuard(guard, { assignedToId: 'worker-1' }, context).pass, false);
+  assert.strictEqual(evaluateGuard(guard, { assignedToId: 'worker-2' }, context).pass, true);
+});
+
+// =============================================================================
+// evaluateGuard — contains_all, contains_any
+// =============================================================================
+
+test('evaluateGuard — contains_all requires every value', () => {
+  const guard = { field: 'skills', operator: 'contains_all', value: ['spanish', 'snap'] };
+  assert.strictEqual(evaluateGuard(guard, { skills: ['snap', 'spanish', 'tanf'] }, {}).pass, true);
+  const result = evaluateGuard(guard, { skills: ['snap'] }, {});
+  assert.strictEqual(result.pass, false);
+  assert.ok(result.reason.includes('all of'));
+});
+
+test('evaluateGuard — contains_any requires one value', () => {
+  const guard = { field: 'skills', operator: 'contains_any', value: ['spanish', 'snap'] };
+  assert.strictEqual(evaluateGuard(guard, { skills: ['snap'] }, {}).pass, true);
+  assert.strictEqual(evaluateGuard(guard, { skills: ['tanf'] }, {}).pass, false);
+});
+
+test('evaluateGuard — contains_* fails when the field is not an array', () => {
+  const guard = { field: 'skills', operator: 'contains_any', value: ['snap'] };
+  assert.strictEqual(evaluateGuard(guard, {}, {}).pass, false);
+});
+
+test('evaluateGuard — contains_any resolves a scalar reference', () => {
+  const guard = { field: '$caller.roles', operator: 'contains_any', value: '$object.requiredRole' };
+  const context = { caller: { roles: ['caseworker', 'supervisor'] } };
+  assert.strictEqual(evaluateGuard(guard, {}, { ...context, object: { requiredRole: 'supervisor' } }).pass, true);
+});
+
+// =============================================================================
+// evaluateGuard — field paths
+// =============================================================================
+
+test('evaluateGuard — nested field path on the resource', () => {
+  const guard = { field: 'address.state', operator: 'equals', value: 'CA' };
+  assert.strictEqual(evaluateGuard(guard, { address: { state: 'CA' } }, {}).pass, true);
+  assert.strictEqual(evaluateGuard(guard, { address: null }, {}).pass, false);
+});
+
+test('evaluateGuard — $request.* on the field side', () => {
+  const guard = { field: '$request.outcome', operator: 'is_not_null' };
+  assert.strictEqual(evaluateGuard(guard, {}, { request: { outcome: 'approved' } }).pass, true);
+  assert.strictEqual(evaluateGuard(guard, {}, { request: {} }).pass, false);
+});
+
+test('evaluateGuard — nested $request.* path compared to a nested $object.* path', () => {
+  const guard = { field: '$request.reviewer.id', operator: 'not_equals', value: '$object.submittedBy.id' };
+  const context = { request: { reviewer: { id: 'worker-1' } }, object: { submittedBy: { id: 'worker-1' } } };
+  assert.strictEqual(evaluateGuard(guard, {}, context).pass, false);
+});
+
+// =============================================================================
+// evaluateGuard — JSON Logic conditions
+// =============================================================================
+
+test('evaluateGuard — condition passes when the expression is truthy', () => {
+  const guard = {
+    condition: { and: [{ '==': [{ var: 'object.priority' }, 'high'] }, { '==': [{ var: 'caller.role' }, 'supervisor'] }] }
+  };
+  const context = { caller: { role: 'supervisor' } };
+  assert.strictEqual(evaluateGuard(guard, { priority: 'high' }, context).pass, true);
+  assert.strictEqual(evaluateGuard(guard, { priority: 'low' }, context).pass, false);
+});
+
+test('evaluateGuard — condition reads the request body', () => {
+  const guard = { condition: { '>': [{ var: 'request.hours' }, 0] }, description: 'hours must be positive' };
+  const result = evaluateGuard(guard, {}, { request: { hours: 0 } });
+  assert.strictEqual(result.pass, false);
+  assert.strictEqual(result.reason, 'hours must be positive');
+});
+
 // =============================================================================
 // evaluateGuard — unknown operator
 // =============================================================================
@@ -149,6 +246,18 @@ test('evaluateGuard — unknown operator passes (forward-compatible)', () => {
   assert.strictEqual(result.pass, true);
 });
 
+test('evaluateGuard — unknown operator fails closed in strict mode', () => {
+  const guard = { field: 'x', operator: 'future_op' };
+  const result = evaluateGuard(guard, { x: 1 }, {}, { strict: true });
+  assert.strictEqual(result.pass, false);
+  assert.strictEqual(result.reason, 'Unknown guard operator: future_op');
+});
+
+test('evaluateGuard — invalid condition fails closed in strict mode', () => {
+  const guard = { condition: { no_such_op: [1] } };
+  assert.strictEqual(evaluateGuard(guard, {}, {}, { strict: true }).pass, false);
+});
+
 // =============================================================================
 // evaluateGuards
 // =============================================================================
@@ -190,6 +299,12 @@ test('evaluateGuards — skips unknown guard names', () => {
   assert.strictEqual(result.pass, true);
 });
 
+test('evaluateGuards — unknown guard names fail in strict mode', () => {
+  const result = evaluateGuards(['nonExistent'], {}, {}, {}, { strict: true });
+  assert.strictEqual(result.pass, false);
+  assert.strictEqual(result.failedGuard, 'nonExistent');
+});
+
 test('evaluateGuards — any composition passes when at least one guard passes', () => {
   const guardsMap = {
     callerIsAssignedWorker: { field: 'assignedToId', operator: 'equals', value: '$caller.id' },
@@ -212,6 +327,34 @@ test('evaluateGuards — any composition fails when no guards pass', () => {
   assert.strictEqual(result.pass, false);
 });
 
+test('evaluateGuards — any composition with an unknown guard name fails whole in strict mode', () => {
+  const guardsMap = {
+    callerIsAssignedWorker: { field: 'assignedToId', operator: 'equals', value: '$caller.id' }
+  };
+  const resource = { assignedToId: 'worker-1' };
+  const context = { caller: { id: 'worker-1' } };
+  const composition = [{ any: ['callerIsAssignedWorker', 'callerIsSupervisr'] }];
+
+  const strict = evaluateGuards(composition, guardsMap, resource, context, { strict: true });
+  assert.strictEqual(strict.pass, false, 'a passing sibling does not rescue a missing name');
+  assert.strictEqual(strict.failedGuard, 'callerIsSupervisr');
+  assert.match(strict.reason, /not found in guards map/);
+
+  // Outside strict mode the missing name is skipped, and does not count as passing
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const supervisorOnly = { callerIsSupervisor: { field: '$caller.role', operator: 'equals', value: 'supervisor' } };
+    const typo = [{ any: ['typoGuard', 'callerIsSupervisor'] }];
+    const worker = evaluateGuards(typo, supervisorOnly, {}, { caller: { role: 'worker' } });
+    assert.strictEqual(worker.pass, false, 'a misspelled name does not open the group');
+    assert.strictEqual(worker.failedGuard, 'any(typoGuard, callerIsSupervisor)');
+    assert.strictEqual(evaluateGuards(typo, supervisorOnly, {}, { caller: { role: 'supervisor' } }).pass, true);
+  } finally {
+    console.warn = warn;
+  }
+});
+
 test('evaluateGuards — all composition passes when every guard passes', () => {
   const guardsMap = {
     isAssigned: { field: 'assignedToId', operator: 'is_not_null' },
@@ -468,3 +611,101 @@ test('applyEffects — returns empty pendingRuleEvaluations when no evaluate-rul
   const { pendingRuleEvaluations } = applyEffects(effects, resource, {});
   assert.deepStrictEqual(pendingRuleEvaluations, []);
 });
+
+// =============================================================================
+// applyEffects — lookup
+// =============================================================================
+
+const cases = [
+  { id: 'case-1', caseNumber: 'C-100', programType: 'snap' },
+  { id: 'case-2', caseNumber: 'C-200', programType: 'medicaid' }
+];
+const lookupDeps = {
+  findByField(collection, field, value) {
+    return collection === 'cases' ? cases.find(c => c[field] === value) || null : null;
+  }
+};
+
+test('applyLookupEffect — finds a related record by id', () => {
+  const effect = { type: 'lookup', entity: 'cases', value: '$object.caseId', bindTo: 'case' };
+  const result = applyLookupEffect(effect, { object: { caseId: 'case-2' } }, lookupDeps);
+  assert.strictEqual(result.bindTo, 'case');
+  assert.strictEqual(result.record.programType, 'medicaid');
+});
+
+test('applyLookupEffect — matches on lookupField and defaults bindTo to the entity', () => {
+  const effect = { type: 'lookup', entity: 'cases', lookupField: 'caseNumber', value: '$request.caseNumber' };
+  const result = applyLookupEffect(effect, { request: { caseNumber: 'C-100' } }, lookupDeps);
+  assert.strictEqual(result.bindTo, 'cases');
+  assert.strictEqual(result.record.id, 'case-1');
+});
+
+test('applyLookupEffect — binds null when the key is missing or nothing matches', () => {
+  const effect = { type: 'lookup', entity: 'cases', value: '$object.caseId', bindTo: 'case' };
+  assert.strictEqual(applyLookupEffect(effect, { object: {} }, lookupDeps).record, null);
+  assert.strictEqual(applyLookupEffect(effect, { object: { caseId: 'case-9' } }, lookupDeps).record, null);
+});
+
+test('applyEffects — later effects read $lookup values', () => {
+  const resource = { caseId: 'case-1' };
+  const context = { object: { ...resource } };
+  const effects = [
+    { type: 'lookup', entity: 'cases', value: '$object.caseId', bindTo: 'case' },
+    { type: 'set', field: 'programType', value: '$lookup.case.programType' },
+    { type: 'create', entity: 'tasks', fields: { caseNumber: '$lookup.case.caseNumber' } }
+  ];
+  const { pendingCreates } = applyEffects(effects, resource, context, lookupDeps);
+  assert.strictEqual(resource.programType, 'snap');
+  assert.deepStrictEqual(pendingCreates, [{ entity: 'tasks', data: { caseNumber: 'C-100' } }]);
+});
+
+test('applyEffects — when clauses branch on lookup results', () => {
+  const resource = { caseId: 'case-2' };
+  const context = { object: { ...resource } };
+  const effects = [
+    { type: 'lookup', entity: 'cases', value: '$object.caseId', bindTo: 'case' },
+    { type: 'set', field: 'queue', value: 'snap-intake', when: { '==': [{ var: 'lookup.case.programType' }, 'snap'] } },
+    { type: 'set', field: 'queue', value: 'medicaid-intake', when: { '==': [{ var: 'lookup.case.programType' }, 'medicaid'] } }
+  ];
+  applyEffects(effects, resource, context, lookupDeps);
+  assert.strictEqual(resource.queue, 'medicaid-intake');
+});
+
+test('applyEffects — lookup without dependencies binds null', () => {
+  const resource = { caseId: 'case-1' };
+  const context = { object: { ...resource } };
+  const effects = [
+    { type: 'lookup', entity: 'cases', value: '$object.caseId', bindTo: 'case' },
+    { type: 'set', field: 'programType', value: '$lookup.case.programType' }
+  ];
+  applyEffects(effects, resource, context);
+  assert.strictEqual(resource.programType, null);
+  assert.deepStrictEqual(context.lookup, { case: null });
+});
+
+// =============================================================================
+// checkActors
+// =============================================================================
+
+test('checkActors — empty or missing actors allow any caller', () => {
+  assert.strictEqual(checkActors([], { role: null }, 'claim').allowed, true);
+  assert.strictEqual(checkActors(undefined, { role: 'caseworker' }, 'claim').allowed, true);
+});
+
+test('checkActors — allows a caller whose role is listed', () => {
+  assert.strictEqual(checkActors(['supervisor'], { role: 'supervisor' }, 'approve').allowed, true);
+});
+
+test('checkActors — rejects other roles and callers without a role', () => {
+  const result = checkActors(['supervisor'], { role: 'caseworker' }, 'approve');
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'Role "caseworker" cannot approve: allowed roles are supervisor');
+  assert.strictEqual(checkActors(['supervisor'], {}, 'approve').allowed, false);
+});
+
+test('getCallerRoles — prefers a roles list over the single role', () => {
+  assert.deepStrictEqual(getCallerRoles({ role: 'caseworker' }), ['caseworker']);
+  assert.deepStrictEqual(getCallerRoles({ role: 'caseworker', roles: ['caseworker', 'supervisor'] }), ['caseworker', 'supervisor']);
+  assert.deepStrictEqual(getCallerRoles({ role: null }), []);
+  assert.strictEqual(checkActors(['supervisor'], { roles: ['caseworker', 'supervisor'] }, 'approve').allowed, true);
+});
@@ -9,7 +9,7 @@ import { mkdirSync, writeFileSync, rmSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { discoverStateMachines } from '../../src/state-machine-loader.js';
+import { discoverStateMachines, resolveEventPayloads, findUnknownLookupEntities } from '../../src/state-machine-loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -125,3 +125,81 @@ test('discoverStateMachines — discovers multiple state machines', () => {
     removeTempDir(tmpDir);
   }
 });
+
+test('resolveEventPayloads — inlines $refs relative to the state machine file', async () => {
+  const tmpDir = createTempDir();
+  try {
+    writeFileSync(join(tmpDir, 'workflow-state-machine.yaml'), `
+domain: workflow
+object: Task
+eventPayloads:
+  completed:
+    $ref: ./workflow-openapi.yaml#/components/schemas/TaskCompletedEventData
+  released:
+    type: object
+    properties:
+      reason: { type: string }
+`, 'utf8');
+    writeFileSync(join(tmpDir, 'workflow-openapi.yaml'), `
+openapi: 3.1.0
+components:
+  schemas:
+    TaskCompletedEventData:
+      type: object
+      required: [outcome]
+      properties:
+        outcome: { type: string }
+`, 'utf8');
+
+    const results = discoverStateMachines(tmpDir);
+    await resolveEventPayloads(results);
+    const { eventPayloads } = results[0].stateMachine;
+    assert.deepStrictEqual(eventPayloads.completed, {
+      type: 'object', required: ['outcome'], properties: { outcome: { type: 'string' } }
+    });
+    assert.deepStrictEqual(eventPayloads.released, { type: 'object', properties: { reason: { type: 'string' } } });
+  } finally {
+    removeTempDir(tmpDir);
+  }
+});
+
+test('resolveEventPayloads — drops payloads whose $ref cannot be resolved', async () => {
+  const tmpDir = createTempDir();
+  const warn = console.warn;
+  try {
+    writeFileSync(join(tmpDir, 'workflow-state-machine.yaml'), `
+domain: workflow
+object: Task
+eventPayloads:
+  completed:
+    $ref: ./missing-openapi.yaml#/components/schemas/TaskCompletedEventData
+`, 'utf8');
+
+    const results = discoverStateMachines(tmpDir);
+    console.warn = () => {};
+    await resolveEventPayloads(results);
+    assert.strictEqual(results[0].stateMachine.eventPayloads, undefined);
+  } finally {
+    console.warn = warn;
+    removeTempDir(tmpDir);
+  }
+});
+
+test('findUnknownLookupEntities — reports lookups of collections no API serves', () => {
+  const lookup = entity => ({ type: 'lookup', entity, value: '$object.caseId', bindTo: 'case' });
+  const stateMachines = [{
+    domain: 'workflow',
+    object: 'Task',
+    stateMachine: {
+      onCreate: { effects: [lookup('cases')] },
+      transitions: [{ trigger: 'claim', effects: [{ type: 'set', field: 'status', value: 'x' }, lookup('casse')] }],
+      onUpdate: { effects: [lookup('queues')] }
+    }
+  }];
+
+  assert.deepStrictEqual(findUnknownLookupEntities(stateMachines, new Set(['cases', 'tasks'])), [
+    'workflow/Task transition "claim": lookup entity "casse" is not a loaded collection',
+    'workflow/Task onUpdate: lookup entity "queues" is not a loaded collection'
+  ]);
+  assert.deepStrictEqual(findUnknownLookupEntities(stateMachines, new Set(['cases', 'casse', 'queues'])), []);
+});
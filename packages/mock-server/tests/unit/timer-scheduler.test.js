@@ -0,0 +1,206 @@
+/**
+ * Unit tests for the timer scheduler, mock clock, and duration parsing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseDuration, addDuration } from '../../src/duration.js';
+import { now, advanceClock, setClock, resetClock } from '../../src/clock.js';
+import {
+  getTimerTransitions,
+  computeTimerDueAt,
+  findDueTimerTransition,
+  runDueTimers
+} from '../../src/timer-scheduler.js';
+import { insertResource, findById, findAll, clearAll } from '../../src/database-manager.js';
+
+const stateMachine = {
+  domain: 'workflow',
+  object: 'TimerTestTask',
+  states: { pending: {}, in_progress: {}, escalated: {}, awaiting_client: {}, cancelled: {} },
+  guards: {
+    callerIsSystem: { field: '$caller.role', operator: 'equals', value: 'system' }
+  },
+  transitions: [
+    { trigger: 'claim', from: 'pending', to: 'in_progress' },
+    {
+      trigger: 'auto-escalate', from: 'pending', to: 'escalated',
+      on: 'timer', after: '72h', relativeTo: 'createdAt',
+      effects: [
+        { type: 'set', field: 'escalatedAt', value: '$now' },
+        { type: 'event', action: 'auto_escalated', data: { reason: 'deadline_exceeded' } }
+      ]
+    },
+    {
+      trigger: 'auto-escalate-sla-warning', from: 'in_progress', to: 'escalated',
+      on: 'timer', after: '-48h', relativeTo: 'slaDeadline'
+    },
+    {
+      trigger: 'auto-cancel', from: 'awaiting_client', to: 'cancelled',
+      on: 'timer', after: '30d', relativeTo: 'blockedAt',
+      guards: ['callerIsSystem']
+    }
+  ]
+};
+
+// =============================================================================
+// parseDuration / addDuration
+// =============================================================================
+
+test('parseDuration — hours, days, minutes, seconds, weeks', () => {
+  assert.strictEqual(parseDuration('72h'), 72 * 3600 * 1000);
+  assert.strictEqual(parseDuration('7d'), 7 * 24 * 3600 * 1000);
+  assert.strictEqual(parseDuration('15m'), 15 * 60 * 1000);
+  assert.strictEqual(parseDuration('30s'), 30 * 1000);
+  assert.strictEqual(parseDuration('1w'), 7 * 24 * 3600 * 1000);
+});
+
+test('parseDuration — negative and combined durations', () => {
+  assert.strictEqual(parseDuration('-48h'), -48 * 3600 * 1000);
+  assert.strictEqual(parseDuration('1d12h'), 36 * 3600 * 1000);
+});
+
+test('parseDuration — rejects invalid input', () => {
+  assert.throws(() => parseDuration('72'), /Invalid duration/);
+  assert.throws(() => parseDuration('abc'), /Invalid duration/);
+  assert.throws(() => parseDuration(null), /Invalid duration/);
+});
+
+test('addDuration — adds and subtracts from a date', () => {
+  assert.strictEqual(addDuration('2025-01-01T00:00:00Z', '72h').toISOString(), '2025-01-04T00:00:00.000Z');
+  assert.strictEqual(addDuration('2025-01-10T00:00:00Z', '-48h').toISOString(), '2025-01-08T00:00:00.000Z');
+});
+
+// =============================================================================
+// Mock clock
+// =============================================================================
+
+test('clock — advanceClock moves now forward', () => {
+  resetClock();
+  const before = now().getTime();
+  advanceClock(parseDuration('72h'));
+  const after = now().getTime();
+  assert.ok(after - before >= 72 * 3600 * 1000);
+  resetClock();
+});
+
+test('clock — setClock jumps to an absolute time', () => {
+  setClock('2030-06-01T00:00:00Z');
+  assert.ok(now().toISOString().startsWith('2030-06-01T00:00'));
+  resetClock();
+  assert.ok(now().getFullYear() < 2030);
+});
+
+test('clock — setClock rejects invalid times', () => {
+  assert.throws(() => setClock('not-a-date'), /Invalid time/);
+});
+
+// =============================================================================
+// Due time computation
+// =============================================================================
+
+test('getTimerTransitions — returns only on=timer transitions', () => {
+  const triggers = getTimerTransitions(stateMachine).map(t => t.trigger);
+  assert.deepStrictEqual(triggers, ['auto-escalate', 'auto-escalate-sla-warning', 'auto-cancel']);
+});
+
+test('computeTimerDueAt — positive offset from createdAt', () => {
+  const transition = stateMachine.transitions[1];
+  const dueAt = computeTimerDueAt(transition, { createdAt: '2025-01-01T00:00:00Z' });
+  assert.strictEqual(dueAt.toISOString(), '2025-01-04T00:00:00.000Z');
+});
+
+test('computeTimerDueAt — negative offset from slaDeadline', () => {
+  const transition = stateMachine.transitions[2];
+  const dueAt = computeTimerDueAt(transition, { slaDeadline: '2025-01-10T00:00:00Z' });
+  assert.strictEqual(dueAt.toISOString(), '2025-01-08T00:00:00.000Z');
+});
+
+test('computeTimerDueAt — business calendarType counts working hours', () => {
+  const transition = { ...stateMachine.transitions[1], calendarType: 'business' };
+  const calendar = {
+    timeZone: 'America/New_York',
+    workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    workingHours: { start: '08:00', end: '17:00' },
+    holidays: {}
+  };
+  // 72 working hours from Monday 08:00 EDT = eight 9-hour working days
+  const dueAt = computeTimerDueAt(transition, { createdAt: '2026-06-01T12:00:00Z' }, calendar);
+  assert.strictEqual(dueAt.toISOString(), '2026-06-10T21:00:00.000Z');
+});
+
+test('computeTimerDueAt — null when reference field is missing', () => {
+  const transition = stateMachine.transitions[2];
+  assert.strictEqual(computeTimerDueAt(transition, {}), null);
+});
+
+test('findDueTimerTransition — not due before the offset elapses', () => {
+  const resource = { status: 'pending', createdAt: '2025-01-01T00:00:00Z' };
+  assert.strictEqual(findDueTimerTransition(stateMachine, resource, new Date('2025-01-03T23:59:00Z')), null);
+});
+
+test('findDueTimerTransition — due once the offset elapses', () => {
+  const resource = { status: 'pending', createdAt: '2025-01-01T00:00:00Z' };
+  const due = findDueTimerTransition(stateMachine, resource, new Date('2025-01-04T00:00:00Z'));
+  assert.strictEqual(due.transition.trigger, 'auto-escalate');
+});
+
+test('findDueTimerTransition — ignores timers from other states', () => {
+  const resource = { status: 'completed', createdAt: '2025-01-01T00:00:00Z' };
+  assert.strictEqual(findDueTimerTransition(stateMachine, resource, new Date('2026-01-01T00:00:00Z')), null);
+});
+
+// =============================================================================
+// runDueTimers
+// =============================================================================
+
+test('runDueTimers — fires due transitions with system caller and emits events', () => {
+  clearAll('timertesttasks');
+  resetClock();
+
+  const createdAt = now().toISOString();
+  insertResource('timertesttasks', { id: 'timer-task-1', status: 'pending', createdAt });
+  insertResource('timertesttasks', { id: 'timer-task-2', status: 'in_progress', createdAt });
+
+  // Nothing is due yet
+  assert.deepStrictEqual(runDueTimers([{ stateMachine }]), []);
+
+  advanceClock(parseDuration('72h') + 1000);
+  const fired = runDueTimers([{ stateMachine }]);
+  resetClock();
+
+  assert.strictEqual(fired.length, 1);
+  assert.strictEqual(fired[0].resourceId, 'timer-task-1');
+  assert.strictEqual(fired[0].trigger, 'auto-escalate');
+
+  const escalated = findById('timertesttasks', 'timer-task-1');
+  assert.strictEqual(escalated.status, 'escalated');
+  assert.ok(escalated.escalatedAt);
+  assert.strictEqual(findById('timertesttasks', 'timer-task-2').status, 'in_progress');
+
+  const { items } = findAll('events', { resourceId: 'timer-task-1' });
+  const event = items.find(e => e.action === 'auto_escalated');
+  assert.ok(event);
+  assert.strictEqual(event.performedById, 'system');
+  assert.strictEqual(event.data.reason, 'deadline_exceeded');
+
+  clearAll('timertesttasks');
+});
+
+test('runDueTimers — evaluates guards against the system caller', () => {
+  clearAll('timertesttasks');
+  resetClock();
+
+  insertResource('timertesttasks', {
+    id: 'timer-task-3',
+    status: 'awaiting_client',
+    blockedAt: '2025-01-01T00:00:00Z',
+    createdAt: '2025-01-01T00:00:00Z'
+  });
+
+  const fired = runDueTimers([{ stateMachine }]);
+  assert.strictEqual(fired.length, 1);
+  assert.strictEqual(findById('timertesttasks', 'timer-task-3').status, 'cancelled');
+
+  clearAll('timertesttasks');
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for executeTransition persistence
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { executeTransition } from '../../src/handlers/transition-handler.js';
+import { eventBus } from '../../src/event-bus.js';
+import { insertResource, findById, findAll, count, clearAll } from '../../src/database-manager.js';
+import { registerCreateSchema } from '../../src/validator.js';
+
+const stateMachine = {
+  domain: 'workflow',
+  object: 'TxTestTask',
+  states: { in_progress: {}, completed: {} },
+  transitions: [
+    {
+      trigger: 'complete',
+      from: 'in_progress',
+      to: 'completed',
+      effects: [
+        { type: 'set', field: 'outcome', value: '$request.outcome' },
+        { type: 'create', entity: 'txtestfollowups', fields: { taskId: '$object.id', note: '$request.note' } },
+        { type: 'event', action: 'completed' }
+      ]
+    }
+  ]
+};
+
+const caller = { id: 'worker-1', role: 'caseworker' };
+
+// Follow-up records must carry a string note, like a POST /txtestfollowups body
+registerCreateSchema('txtestfollowups', {
+  type: 'object',
+  required: ['taskId', 'note'],
+  properties: { taskId: { type: 'string' }, note: { type: 'string' } }
+});
+
+function reset() {
+  clearAll('txtesttasks');
+  clearAll('txtestfollowups');
+  insertResource('txtesttasks', { id: 'tx-task-1', status: 'in_progress' });
+}
+
+test('executeTransition — commits the update, creates, and events together', () => {
+  reset();
+  const published = [];
+  const listener = event => published.push(event.action);
+  eventBus.on('domain-event', listener);
+
+  const { result, error } = executeTransition({
+    resourceName: 'txtesttasks',
+    stateMachine,
+    transition: stateMachine.transitions[0],
+    resource: findById('txtesttasks', 'tx-task-1'),
+    caller,
+    request: { outcome: 'approved', note: 'Check back in 30 days' }
+  });
+  eventBus.off('domain-event', listener);
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(result.status, 'completed');
+  assert.strictEqual(count('txtestfollowups'), 1);
+  assert.ok(findAll('events', { resourceId: 'tx-task-1', action: 'completed' }).total >= 1);
+  assert.deepStrictEqual(published, ['completed']);
+});
+
+test('executeTransition — an invalid follow-up record rolls back the whole transition with 422', () => {
+  reset();
+  const published = [];
+  const listener = event => published.push(event.action);
+  eventBus.on('domain-event', listener);
+  const before = findAll('events', { resourceId: 'tx-task-1' }).total;
+
+  // The follow-up's note is not a string, so the follow-up fails its create schema
+  const { result, error } = executeTransition({
+    resourceName: 'txtesttasks',
+    stateMachine,
+    transition: stateMachine.transitions[0],
+    resource: findById('txtesttasks', 'tx-task-1'),
+    caller,
+    request: { outcome: 'approved', note: 30 }
+  });
+  eventBus.off('domain-event', listener);
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(error.status, 422);
+  assert.strictEqual(error.code, 'VALIDATION_ERROR');
+  assert.ok(error.message.includes('rolled back'));
+  assert.deepStrictEqual(error.details, [{ field: 'txtestfollowups.note', message: 'must be string' }]);
+
+  const task = findById('txtesttasks', 'tx-task-1');
+  assert.strictEqual(task.status, 'in_progress');
+  assert.strictEqual(task.outcome, undefined);
+  assert.strictEqual(count('txtestfollowups'), 0);
+  assert.strictEqual(findAll('events', { resourceId: 'tx-task-1' }).total, before);
+  assert.deepStrictEqual(published, []);
+
+  clearAll('txtesttasks');
+  clearAll('txtestfollowups');
+});
+
+test('executeTransition — event data that does not match eventPayloads is recorded with a warning', () => {
+  reset();
+  const lenient = {
+    ...stateMachine,
+    object: 'TxPayloadTask',
+    eventPayloads: { completed: { type: 'object', required: ['outcome'], properties: { outcome: { type: 'string' } } } }
+  };
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+
+  const { result, error } = executeTransition({
+    resourceName: 'txtesttasks',
+    stateMachine: lenient,
+    transition: lenient.transitions[0],
+    resource: findById('txtesttasks', 'tx-task-1'),
+    caller,
+    request: { outcome: 'approved', note: 'n/a' }
+  });
+  console.warn = warn;
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(result.status, 'completed');
+  assert.deepStrictEqual(warnings, ['Event "completed" data does not match eventPayloads.completed: outcome is required']);
+
+  clearAll('txtesttasks');
+  clearAll('txtestfollowups');
+});
+
+test('executeTransition — strictEvents rolls back a transition whose event data does not match', () => {
+  reset();
+  const strict = {
+    ...stateMachine,
+    object: 'TxStrictPayloadTask',
+    strictEvents: true,
+    transitions: [{
+      ...stateMachine.transitions[0],
+      effects: [
+        ...stateMachine.transitions[0].effects.slice(0, 2),
+        { type: 'event', action: 'completed', data: { outcome: '$request.outcome' } }
+      ]
+    }],
+    eventPayloads: { completed: { type: 'object', properties: { outcome: { type: 'string', enum: ['approved', 'denied'] } } } }
+  };
+  const run = outcome => executeTransition({
+    resourceName: 'txtesttasks',
+    stateMachine: strict,
+    transition: strict.transitions[0],
+    resource: findById('txtesttasks', 'tx-task-1'),
+    caller,
+    request: { outcome, note: 'n/a' }
+  });
+
+  const { result, error } = run('maybe');
+  assert.strictEqual(result, null);
+  assert.strictEqual(error.status, 500);
+  assert.strictEqual(error.code, 'INVALID_EVENT_PAYLOAD');
+  assert.deepStrictEqual(error.details, [{ field: 'outcome', message: 'must be one of: approved, denied' }]);
+  assert.strictEqual(findById('txtesttasks', 'tx-task-1').status, 'in_progress');
+  assert.strictEqual(count('txtestfollowups'), 0);
+
+  assert.strictEqual(run('approved').error, null);
+
+  clearAll('txtesttasks');
+  clearAll('txtestfollowups');
+});
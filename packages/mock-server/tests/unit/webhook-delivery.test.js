@@ -0,0 +1,230 @@
+/**
+ * Unit tests for webhook delivery to event subscriptions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { createHmac } from 'crypto';
+import {
+  signPayload,
+  retryDelay,
+  createDeliveries,
+  attemptDelivery,
+  startWebhookDelivery,
+  stopWebhookDelivery
+} from '../../src/webhook-delivery.js';
+import { emitDomainEvent } from '../../src/domain-events.js';
+import { insertResource, findById, findAll, deleteResource, clearAll } from '../../src/database-manager.js';
+
+const SECRET = 'whsec-test-0123456789';
+const taskMachine = { domain: 'workflow', object: 'Task' };
+
+function emit(action, resourceId) {
+  return emitDomainEvent(taskMachine, {
+    action,
+    resourceId,
+    performedById: 'worker-1',
+    occurredAt: '2026-03-02T10:00:00Z',
+    data: {}
+  });
+}
+
+/**
+ * Start a local receiver that answers with the next status from `statuses`
+ * (repeating the last one) and records each request.
+ */
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function subscribe(id, url, filter, status = 'active', format = undefined) {
+  insertResource('subscriptions', { id, name: id, url, filter, secret: SECRET, status, format });
+}
+
+/**
+ * Wait until every delivery of an event has left the pending state.
+ */
+async function settledDeliveries(eventId, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const { items } = findAll('deliveries', { eventId });
+    if (items.length > 0 && items.every(delivery => delivery.status !== 'pending')) return items;
+    if (Date.now() > deadline) throw new Error(`Deliveries of ${eventId} still pending`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function reset() {
+  stopWebhookDelivery();
+  clearAll('subscriptions');
+  clearAll('deliveries');
+}
+
+test('signPayload — HMAC-SHA256 of id, timestamp, and body', () => {
+  const expected = createHmac('sha256', SECRET).update('d-1.1767225600.{"a":1}').digest('base64');
+  assert.strictEqual(signPayload(SECRET, 'd-1', 1767225600, '{"a":1}'), `v1,${expected}`);
+  assert.deepStrictEqual([1, 2, 3, 4].map(n => retryDelay(n, 1000)), [1000, 2000, 4000, 8000]);
+});
+
+test('createDeliveries — one pending delivery per matching active subscription', () => {
+  reset();
+  subscribe('sub-all', 'http://127.0.0.1:1/a', {});
+  subscribe('sub-claimed', 'http://127.0.0.1:1/b', { action: ['claimed', 'completed'], q: 'resourceId:wh-task-1' });
+  subscribe('sub-other', 'http://127.0.0.1:1/c', { resource: ['case'] });
+  subscribe('sub-paused', 'http://127.0.0.1:1/d', {}, 'paused');
+  subscribe('sub-invalid', 'http://127.0.0.1:1/e', { q: 'priority:high' });
+
+  const event = emit('claimed', 'wh-task-1');
+  const deliveries = createDeliveries(event, new Map([['resourceId', {}], ['action', {}], ['resource', {}]]));
+
+  assert.deepStrictEqual(deliveries.map(d => d.subscriptionId), ['sub-all', 'sub-claimed']);
+  assert.deepStrictEqual(
+    { ...deliveries[1], id: undefined, createdAt: undefined, updatedAt: undefined, nextAttemptAt: undefined },
+    {
+      id: undefined,
+      subscriptionId: 'sub-claimed',
+      eventId: event.id,
+      eventType: 'task.claimed',
+      url: 'http://127.0.0.1:1/b',
+      status: 'pending',
+      attemptCount: 0,
+      attempts: [],
+      createdAt: undefined,
+      updatedAt: undefined,
+      nextAttemptAt: undefined
+    }
+  );
+  reset();
+});
+
+test('startWebhookDelivery — POSTs signed events to the receiver', async () => {
+  reset();
+  const receiver = await startReceiver([200]);
+  subscribe('sub-signed', receiver.url, { resourceId: ['wh-task-2'] });
+  startWebhookDelivery(null, { retryBaseMs: 10 });
+
+  try {
+    const event = emit('claimed', 'wh-task-2');
+    const [delivery] = await settledDeliveries(event.id);
+
+    assert.strictEqual(delivery.status, 'succeeded');
+    assert.strictEqual(delivery.attemptCount, 1);
+    assert.strictEqual(delivery.attempts[0].statusCode, 200);
+    assert.strictEqual(delivery.nextAttemptAt, null);
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    assert.deepStrictEqual(JSON.parse(body), event);
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.strictEqual(headers['webhook-id'], delivery.id);
+    assert.strictEqual(headers['webhook-signature'], signPayload(SECRET, delivery.id, Number(headers['webhook-timestamp']), body));
+  } finally {
+    reset();
+    await receiver.close();
+  }
+});
+
+test('startWebhookDelivery — retries with backoff, then dead-letters', async () => {
+  reset();
+  const flaky = await startReceiver([503, 200]);
+  const down = await startReceiver([500]);
+  subscribe('sub-flaky', flaky.url, { resourceId: ['wh-task-3'] });
+  subscribe('sub-down', down.url, { resourceId: ['wh-task-3'] });
+  startWebhookDelivery(null, { maxAttempts: 3, retryBaseMs: 5 });
+
+  try {
+    const event = emit('completed', 'wh-task-3');
+    const deliveries = await settledDeliveries(event.id);
+    const bySubscription = Object.fromEntries(deliveries.map(d => [d.subscriptionId, d]));
+
+    assert.strictEqual(bySubscription['sub-flaky'].status, 'succeeded');
+    assert.deepStrictEqual(bySubscription['sub-flaky'].attempts.map(a => a.statusCode), [503, 200]);
+    assert.strictEqual(bySubscription['sub-down'].status, 'dead_lettered');
+    assert.deepStrictEqual(bySubscription['sub-down'].attempts.map(a => a.statusCode), [500, 500, 500]);
+    assert.strictEqual(bySubscription['sub-down'].lastError, 'Receiver responded 500');
+
+    const ids = new Set(down.requests.map(request => request.headers['webhook-id']));
+    assert.deepStrictEqual([...ids], [bySubscription['sub-down'].id], 'retries keep the Webhook-Id');
+  } finally {
+    reset();
+    await flaky.close();
+    await down.close();
+  }
+});
+
+test('startWebhookDelivery — sends CloudEvents in structured and binary mode', async () => {
+  reset();
+  const receiver = await startReceiver([200]);
+  subscribe('sub-structured', `${receiver.url}/structured`, { resourceId: ['wh-task-5'] }, 'active', 'cloudevents-structured');
+  subscribe('sub-binary', `${receiver.url}/binary`, { resourceId: ['wh-task-5'] }, 'active', 'cloudevents-binary');
+  startWebhookDelivery(null, { retryBaseMs: 10 });
+
+  try {
+    const event = emitDomainEvent(taskMachine, {
+      action: 'completed',
+      resourceId: 'wh-task-5',
+      performedById: 'worker-1',
+      occurredAt: '2026-03-02T10:00:00Z',
+      data: { outcome: 'approved' }
+    });
+    const deliveries = await settledDeliveries(event.id);
+    assert.deepStrictEqual(deliveries.map(d => d.status), ['succeeded', 'succeeded']);
+
+    const structured = receiver.requests.find(r => r.headers['webhook-id'] === deliveries.find(d => d.subscriptionId === 'sub-structured').id);
+    assert.strictEqual(structured.headers['content-type'], 'application/cloudevents+json');
+    assert.deepStrictEqual(JSON.parse(structured.body), {
+      specversion: '1.0',
+      id: event.id,
+      source: '/workflow/task',
+      type: 'org.codeforamerica.safetynet.workflow.task.completed',
+      subject: 'wh-task-5',
+      time: '2026-03-02T10:00:00Z',
+      datacontenttype: 'application/json',
+      performedbyid: 'worker-1',
+      data: { outcome: 'approved' }
+    });
+
+    const binary = receiver.requests.find(r => r.headers['webhook-id'] === deliveries.find(d => d.subscriptionId === 'sub-binary').id);
+    assert.strictEqual(binary.headers['content-type'], 'application/json');
+    assert.strictEqual(binary.headers['ce-type'], 'org.codeforamerica.safetynet.workflow.task.completed');
+    assert.strictEqual(binary.headers['ce-id'], event.id);
+    assert.strictEqual(binary.headers['ce-subject'], 'wh-task-5');
+    assert.deepStrictEqual(JSON.parse(binary.body), { outcome: 'approved' });
+    assert.strictEqual(binary.headers['webhook-signature'],
+      signPayload(SECRET, binary.headers['webhook-id'], Number(binary.headers['webhook-timestamp']), binary.body),
+      'the signature covers the body as sent');
+  } finally {
+    reset();
+    await receiver.close();
+  }
+});
+
+test('attemptDelivery — dead-letters deliveries of deleted subscriptions', async () => {
+  reset();
+  subscribe('sub-deleted', 'http://127.0.0.1:1/gone', {});
+  const [delivery] = createDeliveries(emit('released', 'wh-task-4'));
+  deleteResource('subscriptions', 'sub-deleted');
+
+  const { delivery: updated, retryInMs } = await attemptDelivery(delivery.id);
+  assert.strictEqual(updated.status, 'dead_lettered');
+  assert.strictEqual(updated.lastError, 'Subscription no longer exists');
+  assert.strictEqual(retryInMs, null);
+  assert.strictEqual(findById('deliveries', delivery.id).status, 'dead_lettered');
+  reset();
+});